@@ -4,6 +4,14 @@
  */
 
 import { Actions } from '../../infrastructure/state/actions.js';
+import { GameState } from '../../domain/state/GameState.js';
+import { GameRules } from '../../domain/rules/GameRules.js';
+import { Gravity } from '../../domain/rules/Gravity.js';
+import { SwapRule } from '../../domain/rules/SwapRule.js';
+import { AIPlayer, AIDifficulty } from '../../domain/ai/AIPlayer.js';
+import { GameRecord } from '../../domain/record/GameRecord.js';
+import { BoardLayout } from '../../domain/record/BoardLayout.js';
+import { MoveNotation } from '../../domain/record/MoveNotation.js';
 
 /**
  * Game service - main application use cases
@@ -13,10 +21,34 @@ export class GameService {
      * Create game service
      * @param {StateStore} stateStore - State store instance
      * @param {EventBus} eventBus - Event bus instance
+     * @param {Object} [options] - Service options
+     * @param {Function} [options.scheduleComputerMove] - Runs the computer's turn
+     *        (defaults to running it synchronously; the browser defers it so the
+     *        human's marker is drawn first)
      */
-    constructor(stateStore, eventBus) {
+    constructor(stateStore, eventBus, options = {}) {
         this.store = stateStore;
         this.eventBus = eventBus;
+        this.scheduleComputerMove = options.scheduleComputerMove || ((move) => move());
+
+        // The computer answers every placement or swap and moves first after a (re)start
+        const requestComputerMove = () => this.requestComputerMove();
+        this.eventBus.on('game:markerPlaced', requestComputerMove);
+        this.eventBus.on('game:sidesSwapped', requestComputerMove);
+        this.eventBus.on('game:stateReset', requestComputerMove);
+        this.eventBus.on('settings:changed', requestComputerMove);
+        this.eventBus.on('game:loaded', requestComputerMove);
+        this.eventBus.on('replay:stopped', requestComputerMove);
+    }
+
+    /**
+     * Schedule the computer's move if it is the computer's turn
+     * (e.g. after resuming a persisted game)
+     */
+    requestComputerMove() {
+        if (this.isComputerTurn()) {
+            this.scheduleComputerMove(() => this.playComputerTurn());
+        }
     }
 
     // ===== User Actions =====
@@ -28,16 +60,23 @@ export class GameService {
      *
      * **Precondition**:
      * - gamePhase === 'playing' (game not finished)
+     * - Not in replay mode
+     * - Not spectating an online game, and online it is this client's turn
      *
      * **Postcondition** (if confirming placement):
      * - Marker added to moveHistory
      * - currentPlayer switched
      * - previewCell cleared
-     * - Event 'game:markerPlaced' emitted
+     * - Event 'game:markerPlaced' emitted (only if the move was applied here;
+     *   online the server relays it back as a remote action instead)
      *
      * **Postcondition** (if setting preview):
      * - previewCell set to clicked position
      *
+     * With gravity (settings.gravityAxis) a click anywhere in a column
+     * previews and confirms the cell the marker lands in; clicks on full
+     * columns are ignored
+     *
      * @param {Array<number>} position - Cell position
      */
     handleCellClick(position) {
@@ -48,6 +87,35 @@ export class GameService {
             return;
         }
 
+        // The board shown while reviewing is not the real game
+        if (state.replay.active) {
+            return;
+        }
+
+        // The computer's side cannot be played by hand
+        if (this.isComputerTurn()) {
+            return;
+        }
+
+        // Spectators watch the room's game; they cannot even preview a move
+        if (this.isSpectating()) {
+            return;
+        }
+
+        // Online only the side to move may pick a cell
+        const side = state.network.side;
+        if (side && side !== state.game.currentPlayer) {
+            return;
+        }
+
+        // With gravity the marker drops to the bottom of the clicked column
+        if (Gravity.getAxis(state.game.settings) !== null) {
+            position = GameRules.getLandingCell(GameState.fromPlain(state.game), position);
+            if (!position) {
+                return;
+            }
+        }
+
         // Check if clicking on already previewed cell (confirm placement)
         const previewCell = state.visual.previewCell;
         if (previewCell && this._positionsEqual(previewCell, position)) {
@@ -55,14 +123,44 @@ export class GameService {
             this.store.dispatch(Actions.placeMarker(position));
             this.store.dispatch(Actions.setPreviewCell(null));
 
-            // Emit event
-            this.eventBus.emit('game:markerPlaced', { position, player: state.game.currentPlayer });
+            // Emit event unless the move was not applied (e.g. sent to the relay server)
+            if (this.store.getState().game.moveHistory.length > state.game.moveHistory.length) {
+                this.eventBus.emit('game:markerPlaced', { position, player: state.game.currentPlayer });
+            }
         } else {
             // Set preview
             this.store.dispatch(Actions.setPreviewCell(position));
         }
     }
 
+    /**
+     * Swap sides instead of moving (swap rule, see SwapRule.js)
+     *
+     * **Command Type**: User action handler
+     *
+     * **Precondition**:
+     * - canSwap() (swap offered to a human player)
+     *
+     * **Postcondition**:
+     * - Every marker changed owner, swap entry added to moveHistory
+     * - currentPlayer switched
+     * - previewCell cleared
+     * - Event 'game:sidesSwapped' emitted with { player } (only if the swap was applied here)
+     */
+    swapSides() {
+        if (!this.canSwap()) {
+            return;
+        }
+
+        const { game } = this.store.getState();
+        this.store.dispatch(Actions.swapSides());
+        this.store.dispatch(Actions.setPreviewCell(null));
+
+        if (this.store.getState().game.moveHistory.length > game.moveHistory.length) {
+            this.eventBus.emit('game:sidesSwapped', { player: game.currentPlayer });
+        }
+    }
+
     /**
      * Reset game state (clears markers, history, but keeps settings)
      *
@@ -115,7 +213,8 @@ export class GameService {
      *
      * @param {Object} newSettings - New settings
      * @param {number} newSettings.dimensions - Number of dimensions
-     * @param {number} newSettings.gridSize - Grid size (n-in-a-row)
+     * @param {number|Array<number>} newSettings.gridSize - Grid size, or per-axis sizes
+     * @param {number|null} [newSettings.winLength] - Markers in a row needed to win (null = gridSize)
      *
      * @see EVENT_RESPONSIBILITIES.md for detailed event specification
      */
@@ -132,6 +231,190 @@ export class GameService {
         });
     }
 
+    /**
+     * Replace the current game with a loaded one
+     *
+     * **Command Type**: State replacement (import)
+     *
+     * **Precondition**:
+     * - gameState was produced by the rules (e.g. GameRecord.parse replay)
+     *
+     * **Postcondition**:
+     * - game slice = gameState, redoStack = []
+     * - settings = settings of the loaded game
+     * - previewCell = null
+     * - Event 'game:loaded' emitted with { oldSettings, newSettings }
+     *
+     * **Event Listener Responsibility**:
+     * - Recreate grid if dimensions/gridSize changed
+     * - Update UI status
+     *
+     * @param {GameState} gameState - Game to load
+     */
+    loadGame(gameState) {
+        const oldSettings = this.store.getState().settings;
+
+        this.store.dispatch(Actions.loadGame(gameState.toPlain()));
+        this.store.dispatch(Actions.setPreviewCell(null));
+
+        this.eventBus.emit('game:loaded', {
+            oldSettings,
+            newSettings: this.store.getState().settings
+        });
+    }
+
+    /**
+     * Import a game from record JSON, or start a new game on a board layout
+     * @param {string} json - Game record JSON (see GameRecord) or layout file JSON (see BoardLayout)
+     * @throws {Error} If the record or layout is invalid (state is left unchanged)
+     */
+    importGame(json) {
+        this.loadGame(BoardLayout.isLayoutJSON(json) ? BoardLayout.parse(json) : GameRecord.parse(json));
+    }
+
+    /**
+     * Export the current game as record JSON
+     * @returns {string} Game record JSON (see GameRecord)
+     */
+    exportGame() {
+        return GameRecord.stringify(GameState.fromPlain(this.store.getState().game));
+    }
+
+    /**
+     * Import a game from text notation
+     * @param {string} text - Game notation (see MoveNotation)
+     * @throws {Error} If the notation is invalid (state is left unchanged)
+     */
+    importNotation(text) {
+        this.loadGame(MoveNotation.parseGame(text));
+    }
+
+    /**
+     * Export the current game as text notation
+     * @returns {string} Game notation (see MoveNotation)
+     */
+    exportNotation() {
+        return MoveNotation.formatGame(GameState.fromPlain(this.store.getState().game));
+    }
+
+    // ===== Replay =====
+
+    /**
+     * Enter replay mode for a move list
+     *
+     * **Command Type**: Mode change (review)
+     *
+     * **Precondition**:
+     * - moves were played under the current game's settings
+     *
+     * **Postcondition**:
+     * - replay.active = true, replay.index = 0 (empty board shown)
+     * - game slice unchanged
+     * - previewCell = null
+     * - Event 'replay:started' emitted with { moves }
+     *
+     * **Event Listener Responsibility**:
+     * - Update UI status
+     *
+     * @param {Array<Object>} [moves] - Moves to review (defaults to the current moveHistory)
+     */
+    startReplay(moves = this.getMoveHistory()) {
+        const settings = this.store.getState().game.settings;
+
+        this.store.dispatch(Actions.startReplay(moves, settings));
+        this.store.dispatch(Actions.setPreviewCell(null));
+
+        this.eventBus.emit('replay:started', { moves });
+    }
+
+    /**
+     * Leave replay mode and show the real game again
+     *
+     * **Postcondition**:
+     * - replay.active = false
+     * - Event 'replay:stopped' emitted
+     *
+     * **Event Listener Responsibility**:
+     * - Update UI status
+     */
+    stopReplay() {
+        if (!this.isReplaying()) {
+            return;
+        }
+
+        this.store.dispatch(Actions.stopReplay());
+        this.eventBus.emit('replay:stopped', {});
+    }
+
+    /**
+     * Show the board after a number of moves
+     * @param {number} index - Number of moves to show (clamped to the move list)
+     */
+    seekReplay(index) {
+        if (!this.isReplaying()) {
+            return;
+        }
+
+        this.store.dispatch(Actions.seekReplay(index));
+    }
+
+    /**
+     * Move the replay forward or backward
+     * @param {number} delta - Number of moves to step (negative = back)
+     */
+    stepReplay(delta) {
+        this.seekReplay(this.store.getState().replay.index + delta);
+    }
+
+    /**
+     * Preview the board after a move of the move line (history and pending redos)
+     * Enters replay mode over the whole line if it is not already being reviewed
+     * @param {number} moveCount - Number of moves to show
+     */
+    previewMove(moveCount) {
+        const line = this.getMoveLine();
+        const replay = this.store.getState().replay;
+        if (!replay.active || replay.moves.length !== line.length) {
+            this.startReplay(line);
+        }
+
+        this.seekReplay(moveCount);
+    }
+
+    /**
+     * Start automatic playback (restarts from the beginning at the last move)
+     */
+    playReplay() {
+        if (!this.isReplaying()) {
+            return;
+        }
+
+        const replay = this.store.getState().replay;
+        if (replay.index >= replay.moves.length) {
+            this.seekReplay(0);
+        }
+        this.store.dispatch(Actions.setReplayPlaying(true));
+    }
+
+    /**
+     * Pause automatic playback
+     */
+    pauseReplay() {
+        this.store.dispatch(Actions.setReplayPlaying(false));
+    }
+
+    /**
+     * Set playback speed
+     * @param {number} speed - Speed multiplier (> 0)
+     */
+    setReplaySpeed(speed) {
+        if (!(speed > 0)) {
+            return;
+        }
+
+        this.store.dispatch(Actions.setReplaySpeed(speed));
+    }
+
     /**
      * Undo last move
      *
@@ -165,6 +448,15 @@ export class GameService {
 
         // Emit event: notify that move has been undone (past tense)
         this.eventBus.emit('game:moveUndone', { move: lastMove });
+
+        // Against the computer, undo back to the human's turn
+        if (this.isComputerTurn()) {
+            if (this.canUndo()) {
+                this.undo();
+            } else {
+                this.scheduleComputerMove(() => this.playComputerTurn());
+            }
+        }
     }
 
     /**
@@ -201,6 +493,91 @@ export class GameService {
 
         // Emit event: notify that move has been redone (past tense)
         this.eventBus.emit('game:moveRedone', { move: moveToRedo });
+
+        // Against the computer, redo its reply as well
+        if (this.isComputerTurn()) {
+            if (this.canRedo()) {
+                this.redo();
+            } else {
+                this.scheduleComputerMove(() => this.playComputerTurn());
+            }
+        }
+    }
+
+    /**
+     * Let the computer play the current turn
+     *
+     * **Command Type**: State mutation (computer move)
+     *
+     * **Precondition**:
+     * - settings.computerPlayer === currentPlayer
+     * - gamePhase === 'playing'
+     *
+     * **Postcondition**:
+     * - Computer's marker added to moveHistory
+     * - currentPlayer switched
+     * - Event 'game:markerPlaced' emitted with { position, player, byComputer: true }
+     * - Or, when the swap rule offers it and AIPlayer.shouldSwap agrees, sides
+     *   swapped and Event 'game:sidesSwapped' emitted with { player, byComputer: true }
+     */
+    playComputerTurn() {
+        if (!this.isComputerTurn()) {
+            return;
+        }
+
+        const state = this.store.getState();
+        const gameState = GameState.fromPlain(state.game);
+        const difficulty = state.settings.computerDifficulty || AIDifficulty.GREEDY;
+        if (AIPlayer.shouldSwap(gameState, difficulty)) {
+            const player = gameState.currentPlayer;
+            this.store.dispatch(Actions.swapSides());
+            this.store.dispatch(Actions.setPreviewCell(null));
+
+            this.eventBus.emit('game:sidesSwapped', { player, byComputer: true });
+            return;
+        }
+
+        const position = AIPlayer.chooseMove(gameState, difficulty);
+        if (!position) {
+            return;
+        }
+
+        const player = gameState.currentPlayer;
+        this.store.dispatch(Actions.placeMarker(position));
+        this.store.dispatch(Actions.setPreviewCell(null));
+
+        this.eventBus.emit('game:markerPlaced', { position, player, byComputer: true });
+    }
+
+    /**
+     * Advance the chess clock of the player to move
+     *
+     * **Command Type**: State mutation (clock tick, called periodically)
+     *
+     * **Precondition**:
+     * - settings.timeControl set (no-op for untimed games)
+     *
+     * **Postcondition**:
+     * - Time since the last tick taken off currentPlayer's clock
+     *   (nothing is charged while the game is over, the settings modal is open or replaying)
+     * - If that clock reached zero: gamePhase = 'won', resultReason = 'timeout',
+     *   the next player wins, and Event 'game:timedOut' emitted with { player, winner }
+     *
+     * @param {number} [now] - Current time (ms)
+     */
+    tickClock(now = Date.now()) {
+        this.store.dispatch(Actions.tickTimer(now));
+
+        const { timer, game } = this.store.getState();
+        if (!timer.remaining || game.gamePhase !== 'playing' || timer.remaining[game.currentPlayer] > 0) {
+            return;
+        }
+
+        const player = game.currentPlayer;
+        this.store.dispatch(Actions.timeOut(player));
+        this.store.dispatch(Actions.setPreviewCell(null));
+
+        this.eventBus.emit('game:timedOut', { player, winner: this.store.getState().game.winner });
     }
 
     /**
@@ -210,6 +587,13 @@ export class GameService {
         this.store.dispatch(Actions.toggleAutoRotate());
     }
 
+    /**
+     * Toggle the threat overlay (cells that complete a line next move)
+     */
+    toggleThreatOverlay() {
+        this.store.dispatch(Actions.toggleThreatOverlay());
+    }
+
     /**
      * Update rotation
      * @param {string} axis - Rotation axis
@@ -234,6 +618,14 @@ export class GameService {
         this.store.dispatch(Actions.toggleSettingsModal());
     }
 
+    /**
+     * Open or close the settings modal
+     * @param {boolean} open - Whether the modal is shown
+     */
+    setSettingsModalOpen(open) {
+        this.store.dispatch(Actions.setSettingsModalOpen(open));
+    }
+
     // ===== Queries =====
 
     /**
@@ -268,6 +660,15 @@ export class GameService {
         return this.store.getState().game.moveHistory;
     }
 
+    /**
+     * Get played moves followed by the moves redo would replay (next redo first)
+     * @returns {Array} Move line
+     */
+    getMoveLine() {
+        const game = this.store.getState().game;
+        return [...game.moveHistory, ...[...(game.redoStack || [])].reverse()];
+    }
+
     /**
      * Get settings
      * @returns {Object} Current settings
@@ -276,13 +677,71 @@ export class GameService {
         return this.store.getState().settings;
     }
 
+    /**
+     * Get the time left on every clock
+     * @returns {Object|null} Player id -> milliseconds left, or null for untimed games
+     */
+    getClocks() {
+        return this.store.getState().timer.remaining;
+    }
+
+    /**
+     * Check if replay mode is active
+     * @returns {boolean}
+     */
+    isReplaying() {
+        return this.store.getState().replay.active;
+    }
+
+    /**
+     * Check if the computer is to move
+     * (never while reviewing; it resumes when replay stops)
+     * @returns {boolean}
+     */
+    isComputerTurn() {
+        const state = this.store.getState();
+        const computerPlayer = state.settings.computerPlayer;
+        return Boolean(computerPlayer) &&
+               !state.replay.active &&
+               state.game.gamePhase === 'playing' &&
+               state.game.currentPlayer === computerPlayer;
+    }
+
+    /**
+     * Check if this client only watches an online game
+     * @returns {boolean}
+     */
+    isSpectating() {
+        return this.store.getState().network.role === 'spectator';
+    }
+
     /**
      * Check if undo is possible
      * @returns {boolean}
      */
     canUndo() {
-        return this.store.getState().game.moveHistory.length > 0 &&
-               this.store.getState().game.gamePhase === 'playing';
+        const { game, network } = this.store.getState();
+        const lastMove = game.moveHistory[game.moveHistory.length - 1];
+        return game.moveHistory.length > 0 &&
+               game.gamePhase === 'playing' &&
+               !this.isReplaying() &&
+               !this.isSpectating() &&
+               (!network.side || lastMove.player === network.side); // Online: only your own move
+    }
+
+    /**
+     * Check if the player to move may swap sides by hand now
+     * (swap rule on, opening just finished, not the computer's or the opponent's turn)
+     * @returns {boolean}
+     */
+    canSwap() {
+        const state = this.store.getState();
+        const side = state.network.side;
+        return SwapRule.canSwap(state.game) &&
+               !this.isComputerTurn() &&
+               !this.isReplaying() &&
+               !this.isSpectating() &&
+               (!side || side === state.game.currentPlayer);
     }
 
     /**
@@ -290,9 +749,13 @@ export class GameService {
      * @returns {boolean}
      */
     canRedo() {
-        const redoStack = this.store.getState().game.redoStack || [];
+        const { game, network } = this.store.getState();
+        const redoStack = game.redoStack || [];
         return redoStack.length > 0 &&
-               this.store.getState().game.gamePhase === 'playing';
+               game.gamePhase === 'playing' &&
+               !this.isReplaying() &&
+               !this.isSpectating() &&
+               (!network.side || redoStack[redoStack.length - 1].player === network.side);
     }
 
     /**
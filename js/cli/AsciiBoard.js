@@ -0,0 +1,128 @@
+/**
+ * ASCII rendering of N-dimensional boards for the terminal client
+ * Pure functions, no side effects
+ *
+ * Axes x and y form a labelled plane; higher axes alternate between
+ * laying slices side by side (z, v, ...) and stacking them (w, u, ...):
+ *
+ *   z=0      z=1      z=2
+ *     0 1 2    0 1 2    0 1 2
+ *   0 X . .  0 . . .  0 . . .
+ *   1 . O .  1 . . .  1 . . .
+ *   2 . . .  2 . . .  2 . . X
+ */
+
+import { AXIS_NAMES, GameRules, GridShape } from '../engine/index.js';
+
+const EMPTY_CELL = '.';
+const BLOCKED_CELL = '#';
+
+/**
+ * Render the board of a game
+ * @param {GameState} state - Game state
+ * @returns {string} Multi-line board
+ */
+export function renderBoard(state) {
+    const { dimensions, gridSize } = state.settings;
+    const cellWidth = Math.max(
+        String(GridShape.getMaxSize(gridSize) - 1).length,
+        ...GameRules.getPlayers(state.settings).map(player => player.length),
+        1
+    );
+
+    const position = new Array(dimensions).fill(0);
+    const lines = renderAxis(state, dimensions - 1, position, cellWidth);
+    return lines.map(line => line.trimEnd()).join('\n');
+}
+
+/**
+ * Render every slice along an axis (and everything below it)
+ * @param {GameState} state - Game state
+ * @param {number} axis - Highest axis not fixed yet
+ * @param {Array<number>} position - Coordinates of the fixed axes (reused)
+ * @param {number} cellWidth - Characters per cell
+ * @returns {Array<string>} Lines of equal width
+ */
+function renderAxis(state, axis, position, cellWidth) {
+    if (axis < 2) {
+        return renderPlane(state, position, cellWidth);
+    }
+
+    const blocks = [];
+    for (let coord = 0; coord < GridShape.getSize(state.settings.gridSize, axis); coord++) {
+        position[axis] = coord;
+        blocks.push({
+            label: `${AXIS_NAMES[axis]}=${coord}`,
+            lines: renderAxis(state, axis - 1, position, cellWidth)
+        });
+    }
+
+    const level = Math.floor(axis / 2); // 1 for z/w, 2 for v/u, ...
+    return axis % 2 === 0 ? joinHorizontal(blocks, level) : joinVertical(blocks, level);
+}
+
+/**
+ * Render the x/y plane through a position
+ * @param {GameState} state - Game state
+ * @param {Array<number>} position - Coordinates of axes >= 2 (reused)
+ * @param {number} cellWidth - Characters per cell
+ * @returns {Array<string>} Lines of equal width
+ */
+function renderPlane(state, position, cellWidth) {
+    const { dimensions, gridSize } = state.settings;
+    const coords = Array.from({ length: GridShape.getSize(gridSize, 0) }, (_, coord) => coord);
+    const rows = dimensions >= 2 ? Array.from({ length: GridShape.getSize(gridSize, 1) }, (_, coord) => coord) : [];
+    const rowLabelWidth = dimensions >= 2 ? String(rows.length - 1).length + 1 : 0;
+
+    const renderRow = (y) => coords.map(x => {
+        position[0] = x;
+        if (dimensions >= 2) position[1] = y;
+        const cell = state.board.isBlocked(position) ? BLOCKED_CELL : (state.getMarkerAt(position) ?? EMPTY_CELL);
+        return cell.padEnd(cellWidth);
+    }).join(' ');
+
+    const header = ' '.repeat(rowLabelWidth) + coords.map(x => String(x).padEnd(cellWidth)).join(' ');
+    if (dimensions < 2) {
+        return [header, renderRow(0)];
+    }
+
+    return [
+        header,
+        ...rows.map(y => String(y).padEnd(rowLabelWidth) + renderRow(y))
+    ];
+}
+
+/**
+ * Lay labelled blocks side by side
+ * @param {Array<{label: string, lines: Array<string>}>} blocks - Blocks of equal height
+ * @param {number} level - Nesting level (wider gaps for outer axes)
+ * @returns {Array<string>} Lines of equal width
+ */
+function joinHorizontal(blocks, level) {
+    const separator = level === 1 ? '  ' : `  ${'|'.repeat(level - 1)}  `;
+    const widths = blocks.map(({ label, lines }) => Math.max(label.length, ...lines.map(line => line.length)));
+
+    const rows = [blocks.map(({ label }, i) => label.padEnd(widths[i])).join(separator)];
+    for (let row = 0; row < blocks[0].lines.length; row++) {
+        rows.push(blocks.map(({ lines }, i) => lines[row].padEnd(widths[i])).join(separator));
+    }
+    return rows;
+}
+
+/**
+ * Stack labelled blocks
+ * @param {Array<{label: string, lines: Array<string>}>} blocks - Blocks of equal width
+ * @param {number} level - Nesting level (rules between blocks of outer axes)
+ * @returns {Array<string>} Lines of equal width
+ */
+function joinVertical(blocks, level) {
+    const width = Math.max(...blocks.map(({ label, lines }) => Math.max(label.length, ...lines.map(line => line.length))));
+    const gap = level === 1 ? '' : '='.repeat(width);
+
+    const rows = [];
+    blocks.forEach(({ label, lines }, i) => {
+        if (i > 0) rows.push(gap);
+        rows.push(`${label}:`.padEnd(width), ...lines.map(line => line.padEnd(width)));
+    });
+    return rows;
+}
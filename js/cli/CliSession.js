@@ -0,0 +1,290 @@
+/**
+ * Terminal game session
+ * Keeps the game, the redo stack and who controls each player; turns a
+ * line of user input into a new state and the text to print. All rules
+ * come from GameRules via the engine - nothing here decides legality.
+ */
+
+import { Engine, GameRules, GridShape, MoveNotation } from '../engine/index.js';
+import { renderBoard } from './AsciiBoard.js';
+import { HUMAN } from './args.js';
+
+export const HELP_TEXT = `Commands:
+  <move>     Play a cell: notation like x1y0z2 or coordinates like 1,0,2
+  undo (u)   Take back the last move (back to your turn against the computer)
+  redo (r)   Replay a move taken back
+  reset      Start a new game
+  board (b)  Show the board
+  moves (m)  Show the moves in notation
+  help (h)   Show this help
+  quit (q)   Leave`;
+
+/**
+ * CliSession class
+ */
+export class CliSession {
+    /**
+     * Create a session
+     * @param {Object} options - Session options
+     * @param {Object} options.settings - Game settings { dimensions, gridSize, winLength, winEngine? }
+     * @param {Object} [options.controllers] - Player id -> HUMAN or an AIDifficulty
+     * @param {Function} [options.random] - RNG for computer players (defaults to Math.random)
+     */
+    constructor({ settings, controllers = {}, random = Math.random }) {
+        this.settings = settings;
+        this.controllers = controllers;
+        this.random = random;
+        this.finished = false; // Set by the quit command
+
+        this.reset();
+    }
+
+    /**
+     * Start a new game
+     */
+    reset() {
+        this.state = Engine.createGame(this.settings);
+        this.redoStack = [];
+    }
+
+    /**
+     * Check if a player is controlled by the computer
+     * @param {string} player - Player id
+     * @returns {boolean}
+     */
+    isComputer(player) {
+        return (this.controllers[player] ?? HUMAN) !== HUMAN;
+    }
+
+    /**
+     * Check if every player is controlled by the computer
+     * @returns {boolean}
+     */
+    isComputerOnly() {
+        return GameRules.getPlayers(this.state.settings).every(player => this.isComputer(player));
+    }
+
+    /**
+     * Handle one line of input
+     * @param {string} input - User input
+     * @returns {string} Text to print
+     */
+    execute(input) {
+        const command = input.trim().toLowerCase();
+
+        switch (command) {
+            case '':
+                return '';
+            case 'help':
+            case 'h':
+            case '?':
+                return HELP_TEXT;
+            case 'quit':
+            case 'exit':
+            case 'q':
+                this.finished = true;
+                return 'Bye.';
+            case 'board':
+            case 'b':
+                return this.describe();
+            case 'moves':
+            case 'm':
+                return Engine.toNotation(this.state);
+            case 'reset':
+                this.reset();
+                return this.afterChange('New game.');
+            case 'undo':
+            case 'u':
+                return this.undo();
+            case 'redo':
+            case 'r':
+                return this.redo();
+            default:
+                return this.playInput(input.trim());
+        }
+    }
+
+    /**
+     * Play a move typed by the user
+     * @param {string} text - Move notation or comma/space separated coordinates
+     * @returns {string} Text to print
+     * @private
+     */
+    playInput(text) {
+        if (this.state.isGameOver()) {
+            return 'The game is over: type "reset" for a new game or "undo".';
+        }
+
+        let position;
+        try {
+            position = this.parsePosition(text);
+        } catch (error) {
+            return `${error.message} (type "help" for commands)`;
+        }
+        if (!Engine.isLegalMove(this.state, position)) {
+            return this.describeIllegalMove(position);
+        }
+
+        this.play(position);
+        return this.afterChange();
+    }
+
+    /**
+     * Say why a cell on the board cannot be played
+     * @param {Array<number>} position - Cell the engine rejected
+     * @returns {string} Text to print
+     * @private
+     */
+    describeIllegalMove(position) {
+        const cell = MoveNotation.formatPosition(position);
+        const { board } = this.state;
+        if (board.isBlocked(position)) {
+            return `${cell} is blocked.`;
+        }
+        if (!board.isEmpty(position)) {
+            return `${cell} is already taken.`;
+        }
+
+        // With gravity an empty cell is only playable once the cell below is filled
+        const landing = GameRules.getLandingCell(this.state, position);
+        return landing
+            ? `${cell} has nothing below it: a marker there falls to ${MoveNotation.formatPosition(landing)}.`
+            : `${cell} cannot be played.`;
+    }
+
+    /**
+     * Parse a position in notation ("x1y2") or as plain coordinates ("1,2" / "1 2")
+     * @param {string} text - User input
+     * @returns {Array<number>} Position on the board
+     * @throws {Error} If the input is not a position on the board
+     * @private
+     */
+    parsePosition(text) {
+        if (/^\d+([\s,]+\d+)*$/.test(text)) {
+            const position = text.split(/[\s,]+/).map(Number);
+            if (!GameRules.isValidPosition(position, this.state.settings)) {
+                throw new Error(`"${text}" is not on the ${this.settings.dimensions}D/${GridShape.format(this.settings.gridSize)} board`);
+            }
+            return position;
+        }
+        return MoveNotation.parsePosition(text, this.state.settings);
+    }
+
+    /**
+     * Play a move for the current player (clears the redo stack)
+     * @param {Array<number>} position - Legal position
+     * @private
+     */
+    play(position) {
+        this.state = Engine.play(this.state, position);
+        this.redoStack = [];
+    }
+
+    /**
+     * Undo one move, or back to a human's turn against the computer
+     * Never past the human's first turn: nothing would make a computer that
+     * moved first move again, and the human would end up playing its side
+     * @returns {string} Text to print
+     * @private
+     */
+    undo() {
+        if (!GameRules.canUndo(this.state)) {
+            return 'Nothing to undo.';
+        }
+
+        const state = this.state;
+        const redoStack = [...this.redoStack];
+        do {
+            this.redoStack.push(this.state.moveHistory[this.state.moveHistory.length - 1]);
+            this.state = GameRules.undo(this.state);
+        } while (GameRules.canUndo(this.state) && this.isComputer(this.state.currentPlayer) && !this.isComputerOnly());
+
+        if (this.isComputer(this.state.currentPlayer) && !this.isComputerOnly()) {
+            this.state = state;
+            this.redoStack = redoStack;
+            return 'Nothing to undo.';
+        }
+        return this.describe();
+    }
+
+    /**
+     * Redo one move, or up to a human's turn against the computer
+     * @returns {string} Text to print
+     * @private
+     */
+    redo() {
+        if (this.redoStack.length === 0) {
+            return 'Nothing to redo.';
+        }
+
+        do {
+            this.state = GameRules.applyMove(this.state, this.redoStack.pop());
+        } while (this.redoStack.length > 0 && this.isComputer(this.state.currentPlayer) && !this.isComputerOnly());
+
+        return this.afterChange();
+    }
+
+    /**
+     * Let computer players move until a human is to move or the game ends
+     * @returns {Array<string>} One line per computer move
+     */
+    playComputerMoves() {
+        const log = [];
+        while (!this.state.isGameOver() && this.isComputer(this.state.currentPlayer)) {
+            const player = this.state.currentPlayer;
+            const position = Engine.chooseMove(this.state, this.controllers[player], { random: this.random });
+            if (!position) break;
+
+            this.play(position);
+            log.push(`${player} (${this.controllers[player]}) plays ${MoveNotation.formatPosition(position)}`);
+        }
+        return log;
+    }
+
+    /**
+     * Run computer moves after a change and describe the result
+     * @param {string} [message] - Line to print first
+     * @returns {string} Text to print
+     * @private
+     */
+    afterChange(message = null) {
+        const lines = message ? [message] : [];
+        if (!this.isComputerOnly()) {
+            lines.push(...this.playComputerMoves());
+        }
+        lines.push(this.describe());
+        return lines.join('\n');
+    }
+
+    /**
+     * Describe the board and whose turn it is
+     * @returns {string} Board and status line
+     */
+    describe() {
+        return `${renderBoard(this.state)}\n\n${this.getStatus()}`;
+    }
+
+    /**
+     * Get the status line
+     * @returns {string}
+     */
+    getStatus() {
+        const { gamePhase, winner, winningLine, currentPlayer } = this.state;
+        if (gamePhase === 'won') {
+            const cells = winningLine.cells.map(cell => MoveNotation.formatPosition(cell)).join(' ');
+            return `${winner} wins: ${cells}`;
+        }
+        if (gamePhase === 'draw') {
+            return 'Draw.';
+        }
+        return `${currentPlayer} to move (move ${this.state.moveHistory.length + 1})`;
+    }
+
+    /**
+     * Get the prompt for the next input line
+     * @returns {string}
+     */
+    getPrompt() {
+        return this.state.isGameOver() ? '> ' : `${this.state.currentPlayer}> `;
+    }
+}
@@ -0,0 +1,164 @@
+/**
+ * Command-line argument parsing for the terminal client
+ * Pure functions, no side effects
+ */
+
+import { DEFAULT_SETTINGS, AIDifficulty, GridShape, WinEngine } from '../engine/index.js';
+
+// Controller of a player: a person at the terminal or a computer difficulty
+export const HUMAN = 'human';
+const CONTROLLERS = [HUMAN, ...Object.values(AIDifficulty)];
+const WIN_ENGINES = Object.values(WinEngine);
+
+export const USAGE = `Usage: node js/cli/main.js [options]
+
+Options:
+  -d, --dimensions <n>   Number of dimensions (default ${DEFAULT_SETTINGS.dimensions})
+  -g, --grid-size <n>    Cells per axis, or per-axis sizes like 3x3x5 (default ${DEFAULT_SETTINGS.gridSize})
+  -k, --win-length <n>   Markers in a row needed to win (default: grid size)
+  -x, --x <controller>   Who plays X: ${CONTROLLERS.join(' | ')} (default ${HUMAN})
+  -o, --o <controller>   Who plays O (default ${HUMAN})
+  -n, --games <n>        Games to play when both players are computers (default 1)
+  -e, --win-engine <e>   How wins are checked: ${WIN_ENGINES.join(' | ')} (default ${WinEngine.SCAN})
+  -h, --help             Show this help
+
+Examples:
+  node js/cli/main.js -d 3 -g 3             # two people, 3x3x3
+  node js/cli/main.js -d 3 -g 3x3x5 -k 4    # uneven board, 4 in a row along z
+  node js/cli/main.js --o greedy            # play X against the computer
+  node js/cli/main.js --x random --o greedy --games 20
+  node js/cli/main.js -d 6 -g 3 -e index    # line counts instead of scans on a large board`;
+
+// Option name -> [settings key, value parser]
+const OPTIONS = {
+    dimensions: ['dimensions', parsePositiveInteger],
+    'grid-size': ['gridSize', parseGridSize],
+    'win-length': ['winLength', parsePositiveInteger],
+    x: ['X', parseController],
+    o: ['O', parseController],
+    games: ['games', parsePositiveInteger],
+    'win-engine': ['winEngine', parseWinEngine],
+};
+
+const SHORT_OPTIONS = { d: 'dimensions', g: 'grid-size', k: 'win-length', x: 'x', o: 'o', n: 'games', e: 'win-engine' };
+
+/**
+ * Parse command-line arguments
+ * Values may follow the option or be attached with "=" (--grid-size=3)
+ * @param {Array<string>} argv - Arguments without node and script path
+ * @returns {{settings: Object, controllers: Object, games: number, help: boolean}}
+ * @throws {Error} If an option is unknown or a value is invalid
+ */
+export function parseArgs(argv) {
+    const result = {
+        settings: { dimensions: DEFAULT_SETTINGS.dimensions, gridSize: DEFAULT_SETTINGS.gridSize, winLength: null },
+        controllers: { X: HUMAN, O: HUMAN },
+        games: 1,
+        help: false,
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h' || arg === '--help') {
+            result.help = true;
+            continue;
+        }
+
+        const match = /^(?:--([a-z-]+)|-([a-z]))(?:=(.*))?$/.exec(arg);
+        const name = match && (match[1] ?? SHORT_OPTIONS[match[2]]);
+        if (!name || !OPTIONS[name]) {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+
+        let value = match[3];
+        if (value === undefined) {
+            value = argv[++i];
+            if (value === undefined) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+        }
+
+        const [key, parse] = OPTIONS[name];
+        const parsed = parse(value, arg);
+        if (key === 'X' || key === 'O') {
+            result.controllers[key] = parsed;
+        } else if (key === 'games') {
+            result.games = parsed;
+        } else {
+            result.settings[key] = parsed;
+        }
+    }
+
+    const { dimensions, gridSize, winLength } = result.settings;
+    if (Array.isArray(gridSize) && gridSize.length !== dimensions) {
+        throw new Error(`Grid size ${GridShape.format(gridSize)} does not have ${dimensions} axes`);
+    }
+    if (winLength !== null && winLength > GridShape.getMaxSize(gridSize)) {
+        throw new Error(`Win length ${winLength} is larger than the grid size ${GridShape.format(gridSize)}`);
+    }
+    // Board size limits (GRID_LIMITS), the same ones every game is created with
+    GridShape.validate(dimensions, gridSize);
+
+    return result;
+}
+
+/**
+ * Parse an integer >= 1
+ * @param {string} value - Raw value
+ * @param {string} option - Option name (for error messages)
+ * @returns {number}
+ * @throws {Error} If the value is not a positive integer
+ */
+function parsePositiveInteger(value, option) {
+    const number = Number(value);
+    if (!/^\d+$/.test(value) || number < 1) {
+        throw new Error(`${option} expects a positive integer, got "${value}"`);
+    }
+    return number;
+}
+
+/**
+ * Parse a grid size: one size for every axis, or per-axis sizes ("3x3x5")
+ * @param {string} value - Raw value
+ * @param {string} option - Option name (for error messages)
+ * @returns {number|Array<number>}
+ * @throws {Error} If a size is not a positive integer
+ */
+function parseGridSize(value, option) {
+    const gridSize = GridShape.parse(value);
+    const sizes = Array.isArray(gridSize) ? gridSize : [gridSize];
+    if (gridSize === null || sizes.some(size => size < 1)) {
+        throw new Error(`${option} expects a positive integer or sizes like 3x3x5, got "${value}"`);
+    }
+    return GridShape.normalize(gridSize);
+}
+
+/**
+ * Parse a player controller
+ * @param {string} value - Raw value
+ * @param {string} option - Option name (for error messages)
+ * @returns {string} HUMAN or an AIDifficulty
+ * @throws {Error} If the controller is unknown
+ */
+function parseController(value, option) {
+    const controller = value.toLowerCase();
+    if (!CONTROLLERS.includes(controller)) {
+        throw new Error(`${option} expects one of ${CONTROLLERS.join(', ')}, got "${value}"`);
+    }
+    return controller;
+}
+
+/**
+ * Parse a win engine
+ * @param {string} value - Raw value
+ * @param {string} option - Option name (for error messages)
+ * @returns {string} WinEngine value
+ * @throws {Error} If the engine is unknown
+ */
+function parseWinEngine(value, option) {
+    const engine = value.toLowerCase();
+    if (!WIN_ENGINES.includes(engine)) {
+        throw new Error(`${option} expects one of ${WIN_ENGINES.join(', ')}, got "${value}"`);
+    }
+    return engine;
+}
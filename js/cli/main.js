@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+/**
+ * Terminal client entry point
+ * Plays N-dimensional Tic-Tac-Toe in a terminal (e.g. over SSH):
+ * interactively when a person plays, or as a computer-vs-computer match
+ *
+ * Run: node js/cli/main.js --help
+ */
+
+import readline from 'node:readline';
+import { parseArgs, USAGE } from './args.js';
+import { CliSession, HELP_TEXT } from './CliSession.js';
+
+/**
+ * Play games between two computer players and print a summary
+ * @param {CliSession} session - Session whose players are all computers
+ * @param {number} games - Number of games
+ */
+function runMatch(session, games) {
+    const tally = new Map();
+
+    for (let game = 1; game <= games; game++) {
+        session.reset();
+        const log = session.playComputerMoves();
+
+        const { gamePhase, winner } = session.state;
+        const outcome = gamePhase === 'won' ? winner : 'draw';
+        tally.set(outcome, (tally.get(outcome) ?? 0) + 1);
+
+        if (games === 1) {
+            console.log(log.join('\n'));
+            console.log(`\n${session.describe()}`);
+        } else {
+            console.log(`Game ${game}: ${session.getStatus()} (${session.state.moveHistory.length} moves)`);
+        }
+    }
+
+    if (games > 1) {
+        const summary = [...tally.entries()].map(([outcome, count]) => `${outcome}: ${count}`).join(', ');
+        console.log(`\nResults after ${games} games - ${summary}`);
+    }
+}
+
+/**
+ * Read moves and commands until the user quits
+ * @param {CliSession} session - Session with at least one human player
+ */
+function runInteractive(session) {
+    const terminal = readline.createInterface({ input: process.stdin, output: process.stdout });
+
+    console.log(`${HELP_TEXT}\n`);
+    console.log(session.execute('reset'));
+    terminal.setPrompt(session.getPrompt());
+    terminal.prompt();
+
+    terminal.on('line', (line) => {
+        const output = session.execute(line);
+        if (output) console.log(output);
+
+        if (session.finished) {
+            terminal.close();
+            return;
+        }
+        terminal.setPrompt(session.getPrompt());
+        terminal.prompt();
+    });
+}
+
+let options;
+try {
+    options = parseArgs(process.argv.slice(2));
+} catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exit(1);
+}
+
+if (options.help) {
+    console.log(USAGE);
+} else {
+    const session = new CliSession({ settings: options.settings, controllers: options.controllers });
+    if (session.isComputerOnly()) {
+        runMatch(session, options.games);
+    } else {
+        runInteractive(session);
+    }
+}
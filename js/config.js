@@ -2,6 +2,8 @@
  * Configuration constants for 4D Tic-Tac-Toe
  */
 
+import { GRID_LIMITS } from './domain/state/GridShape.js';
+
 export const VERSION = '3.3.0';
 
 export const CONFIG = {
@@ -13,9 +15,12 @@ export const CONFIG = {
 
     // Validation limits
     MIN_DIMENSIONS: 2,
-    MAX_DIMENSIONS: 8,
+    MAX_DIMENSIONS: GRID_LIMITS.MAX_DIMENSIONS,  // Same bounds as imported records (GridShape.validate)
     MIN_GRID_SIZE: 2,
-    MAX_GRID_SIZE: 6,
+    MAX_GRID_SIZE: GRID_LIMITS.MAX_GRID_SIZE,
+    MIN_WIN_LENGTH: 2,
+    MIN_PLAYERS: 2,
+    MAX_PLAYERS: 4,
     MAX_CELLS_WARNING_THRESHOLD: 10000,  // Warn user if total cells exceed this
 
     // Rotation settings
@@ -71,12 +76,44 @@ export const CONFIG = {
     SELECTED_GRID_OPACITY: 0.5,        // Player color, moderate brightness
     SAME_PLAYER_GRID_OPACITY: 0.8,     // Strong color when both ends same player
 
+    // Winning line highlight - Shown once the game is won
+    WINNING_LINE_COLOR: 0xffd700,      // Gold, distinct from both player colors
+    WINNING_LINE_OPACITY: 1.0,
+    WINNING_LINE_WIDTH: 4,
+    WINNING_CELL_OPACITY: 1.0,
+    WINNING_CELL_LINE_WIDTH: 6,
+
+    // Wrap edges - Torus connections from the last cell of each axis back to the first
+    SHOW_WRAP_EDGES: true,
+    WRAP_EDGE_OPACITY_SCALE: 0.4,      // Fainter than grid lines (they cross the whole board)
+
+    // Threat overlay - Empty cells that complete a line for a player
+    THREAT_CELL_OPACITY: 0.7,
+    THREAT_CELL_LINE_WIDTH: 3,
+    THREAT_SHARED_COLOR: 0xffffff,     // Cell that completes lines for several players
+
     // Marker settings - Larger and more visible
     MARKER_SCALE: 0.8,             // Increased from 0.6
     MARKER_CANVAS_SIZE: 128,
     MARKED_CELL_OPACITY: 0.9,      // New: High opacity for marked cells
     MARKED_CELL_LINE_WIDTH: 3,     // New: Thick lines for marked cells
 
+    // Computer opponent
+    COMPUTER_MOVE_DELAY_MS: 300,   // Pause before the computer answers a move
+
+    // Replay viewer
+    REPLAY_STEP_MS: 1000,          // Time per move during playback at 1× speed
+
+    // Status display
+    RECENT_MOVES_COUNT: 4,         // Last moves shown in notation under the status
+
+    // Chess clock
+    CLOCK_TICK_MS: 100,            // How often the running clock is updated
+    CLOCK_LOW_TIME_MS: 10000,      // Clocks below this are shown in red
+
+    // Online play (?room=<name>)
+    RELAY_SERVER_PORT: 8787,       // Relay server port when ?server= is not given
+
     // Default rotation axes
     DEFAULT_HORIZONTAL_AXIS: 'xw',
     DEFAULT_VERTICAL_AXIS: 'yz',
@@ -84,6 +121,12 @@ export const CONFIG = {
     // Player colors - More vibrant
     PLAYER_X_COLOR: 0xff00ff,      // Magenta
     PLAYER_O_COLOR: 0x00ffff,      // Cyan
+    PLAYER_T_COLOR: 0x66ff33,      // Green
+    PLAYER_S_COLOR: 0xff8800,      // Orange
+
+    // Players in turn order (games with N players use the first N)
+    PLAYER_IDS: ['X', 'O', 'T', 'S'],
+    PLAYER_GLYPHS: { X: '✕', O: '○', T: '△', S: '□' },
 
     // Scene settings
     SCENE_BACKGROUND: 0x0a0a1a,
@@ -0,0 +1,444 @@
+/**
+ * Computer opponent for N-dimensional Tic-Tac-Toe
+ * Chooses moves for any player on top of GameRules and WinChecker
+ * Pure functions, no side effects (randomness is injectable)
+ */
+
+import { GameRules } from '../rules/GameRules.js';
+import { WinChecker } from '../rules/WinChecker.js';
+import { RuleSets } from '../rules/RuleSets.js';
+import { Topology } from '../rules/Topology.js';
+import { SwapRule } from '../rules/SwapRule.js';
+import { GridShape } from '../state/GridShape.js';
+
+/**
+ * Supported difficulty levels
+ */
+export const AIDifficulty = Object.freeze({
+    RANDOM: 'random',     // Any valid move
+    GREEDY: 'greedy',     // Best immediate attack/block score
+    MINIMAX: 'minimax',   // Depth-limited alpha-beta search
+});
+
+// Score of a completed line; dominates every heuristic sum
+const WIN_SCORE = 1e9;
+
+// Score of blocking a line the opponent would complete next move
+const BLOCK_SCORE = WIN_SCORE / 10;
+
+// Default search limits for MINIMAX
+const DEFAULT_SEARCH_DEPTH = 3;
+const LARGE_BOARD_SEARCH_DEPTH = 2;
+const DEFAULT_CANDIDATE_LIMIT = 6;
+
+// Boards with more cells than this use the shallower search depth
+const LARGE_BOARD_CELLS = 1000;
+
+// Best root moves that inner search nodes choose from (re-ranked per node)
+const SEARCH_POOL_SIZE = 24;
+
+// Up to this many valid moves are all scored; beyond it only cells
+// next to existing markers are considered
+const FULL_SCAN_MOVE_LIMIT = 300;
+
+// Canonical directions per dimension count (generated once)
+const directionCache = new Map();
+
+/**
+ * AI player - all static, stateless
+ */
+export class AIPlayer {
+    /**
+     * Choose a move for the current player
+     * @param {GameState} state - Current state
+     * @param {string} [difficulty] - One of AIDifficulty
+     * @param {Object} [options] - Search options
+     * @param {Function} [options.random] - RNG returning [0, 1) (defaults to Math.random)
+     * @param {number} [options.depth] - Search depth in plies (MINIMAX only)
+     * @param {number} [options.candidateLimit] - Moves expanded per node (MINIMAX only)
+     * @returns {Array<number>|null} Position to play, or null if no move is possible
+     *
+     * @example
+     * const position = AIPlayer.chooseMove(state, AIDifficulty.MINIMAX);
+     * const next = GameRules.placeMarker(state, position);
+     */
+    static chooseMove(state, difficulty = AIDifficulty.GREEDY, options = {}) {
+        if (state.isGameOver()) {
+            return null;
+        }
+
+        const random = options.random || Math.random;
+
+        switch (difficulty) {
+            case AIDifficulty.RANDOM:
+                return this.chooseRandomMove(state, random);
+
+            case AIDifficulty.MINIMAX:
+                return this.chooseMinimaxMove(state, options);
+
+            case AIDifficulty.GREEDY:
+            default:
+                return this.chooseGreedyMove(state, random);
+        }
+    }
+
+    /**
+     * Decide whether to swap sides when the swap rule offers it (see SwapRule.js)
+     * RANDOM flips a coin; the other levels swap when the opponent's markers
+     * are worth more than the player's own (evaluatePosition, which ignores
+     * whose turn it is)
+     * @param {GameState} state - Current state
+     * @param {string} [difficulty] - One of AIDifficulty
+     * @param {Object} [options] - Options
+     * @param {Function} [options.random] - RNG returning [0, 1) (defaults to Math.random)
+     * @returns {boolean} False whenever no swap is offered
+     */
+    static shouldSwap(state, difficulty = AIDifficulty.GREEDY, options = {}) {
+        if (!SwapRule.canSwap(state)) {
+            return false;
+        }
+        if (difficulty === AIDifficulty.RANDOM) {
+            return (options.random || Math.random)() < 0.5;
+        }
+        return this.evaluatePosition(state, state.currentPlayer) < 0;
+    }
+
+    /**
+     * Choose a uniformly random valid move
+     * @param {GameState} state - Current state
+     * @param {Function} [random] - RNG returning [0, 1)
+     * @returns {Array<number>|null}
+     */
+    static chooseRandomMove(state, random = Math.random) {
+        const moves = GameRules.getValidMoves(state);
+        if (moves.length === 0) {
+            return null;
+        }
+
+        return moves[Math.floor(random() * moves.length)];
+    }
+
+    /**
+     * Choose the move with the best immediate threat score
+     * Wins first, then blocks, then the move building the strongest lines
+     * @param {GameState} state - Current state
+     * @param {Function} [random] - RNG used to break ties
+     * @returns {Array<number>|null}
+     */
+    static chooseGreedyMove(state, random = Math.random) {
+        const ranked = this.rankMoves(state, state.currentPlayer);
+        if (ranked.length === 0) {
+            return null;
+        }
+
+        const bestScore = ranked[0].score;
+        const best = ranked.filter(move => move.score === bestScore);
+        return best[Math.floor(random() * best.length)].position;
+    }
+
+    /**
+     * Choose a move with depth-limited minimax and alpha-beta pruning
+     * Opponents are assumed to cooperate against the searching player,
+     * so the same search works for any number of players
+     * @param {GameState} state - Current state
+     * @param {Object} [options] - Search options (depth, candidateLimit)
+     * @returns {Array<number>|null}
+     */
+    static chooseMinimaxMove(state, options = {}) {
+        const player = state.currentPlayer;
+        const { dimensions, gridSize } = state.settings;
+        const isLargeBoard = GridShape.getCellCount(dimensions, gridSize) > LARGE_BOARD_CELLS;
+        const depth = options.depth ?? (isLargeBoard ? LARGE_BOARD_SEARCH_DEPTH : DEFAULT_SEARCH_DEPTH);
+        const candidateLimit = options.candidateLimit ?? DEFAULT_CANDIDATE_LIMIT;
+
+        const ranked = this.rankMoves(state, player);
+        if (ranked.length === 0) {
+            return null;
+        }
+
+        // Take an immediate win without searching
+        if (ranked[0].score >= WIN_SCORE) {
+            return ranked[0].position;
+        }
+
+        const pool = ranked.slice(0, SEARCH_POOL_SIZE).map(move => move.position);
+        const search = { rootPlayer: player, pool, candidateLimit };
+        let bestPosition = ranked[0].position;
+        let bestValue = -Infinity;
+        let alpha = -Infinity;
+
+        for (const { position } of ranked.slice(0, candidateLimit)) {
+            const next = GameRules.placeMarker(state, position);
+            const value = this.search(next, search, depth - 1, alpha, Infinity, 1);
+
+            if (value > bestValue) {
+                bestValue = value;
+                bestPosition = position;
+            }
+            alpha = Math.max(alpha, value);
+        }
+
+        return bestPosition;
+    }
+
+    /**
+     * Minimax search with alpha-beta pruning
+     * Inner nodes only choose among the best root moves (search.pool), which
+     * keeps the search affordable on boards with thousands of cells
+     * @param {GameState} state - State to evaluate
+     * @param {Object} search - Search context
+     * @param {string} search.rootPlayer - Player the search is maximizing for
+     * @param {Array<Array<number>>} search.pool - Positions inner nodes may play
+     * @param {number} search.candidateLimit - Moves expanded per node
+     * @param {number} depth - Remaining depth in plies
+     * @param {number} alpha - Best value guaranteed to the maximizer
+     * @param {number} beta - Best value guaranteed to the minimizers
+     * @param {number} ply - Distance from the root (prefers quicker wins)
+     * @returns {number} Value of the state for the root player
+     * @private
+     */
+    static search(state, search, depth, alpha, beta, ply) {
+        const { rootPlayer, pool, candidateLimit } = search;
+
+        if (state.isGameOver()) {
+            if (!state.winner) return 0;
+            return state.winner === rootPlayer ? WIN_SCORE - ply : -(WIN_SCORE - ply);
+        }
+
+        if (depth === 0) {
+            return this.evaluatePosition(state, rootPlayer);
+        }
+
+        const maximizing = state.currentPlayer === rootPlayer;
+        const sign = RuleSets.get(state.settings).linesLose ? -1 : 1;
+        const moves = pool
+            .filter(position => state.isValidMove(position))
+            .map(position => ({ position, score: sign * this.scoreMove(state, position, state.currentPlayer) }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, candidateLimit);
+
+        if (moves.length === 0) {
+            return this.evaluatePosition(state, rootPlayer);
+        }
+
+        let best = maximizing ? -Infinity : Infinity;
+
+        for (const { position } of moves) {
+            const next = GameRules.placeMarker(state, position);
+            const value = this.search(next, search, depth - 1, alpha, beta, ply + 1);
+
+            if (maximizing) {
+                best = Math.max(best, value);
+                alpha = Math.max(alpha, best);
+            } else {
+                best = Math.min(best, value);
+                beta = Math.min(beta, best);
+            }
+
+            if (alpha >= beta) {
+                break;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Score candidate moves for a player, best first
+     * Under rule sets where lines lose (misère) the lowest score comes first
+     * @param {GameState} state - Current state
+     * @param {string} player - Player to move
+     * @returns {Array<{position: Array<number>, score: number}>}
+     */
+    static rankMoves(state, player) {
+        const sign = RuleSets.get(state.settings).linesLose ? -1 : 1;
+        return this.getCandidateMoves(state)
+            .map(position => ({ position, score: sign * this.scoreMove(state, position, player) }))
+            .sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Score placing a marker at a position
+     * Every winning window through the cell contributes its attack value
+     * (own markers only) or block value (a single opponent's markers only)
+     * @param {GameState} state - Current state
+     * @param {Array<number>} position - Empty position to evaluate
+     * @param {string} player - Player placing the marker
+     * @returns {number} Heuristic score (WIN_SCORE for a winning move)
+     */
+    static scoreMove(state, position, player) {
+        const { dimensions, gridSize } = state.settings;
+        const torus = Topology.isTorus(state.settings);
+        let score = 0;
+
+        for (const direction of getCanonicalDirections(dimensions)) {
+            const winLength = WinChecker.getLineLength(state.settings, direction);
+            for (const window of WinChecker.getWindowsThrough(position, direction, winLength, gridSize, torus)) {
+                const owners = countOwners(state.board, window);
+
+                if (owners === null) {
+                    continue;
+                } else if (owners.size === 0) {
+                    score += lineWeight(1);
+                } else if (owners.size === 1) {
+                    const [owner, count] = owners.entries().next().value;
+
+                    if (owner === player) {
+                        if (count + 1 >= winLength) {
+                            return WIN_SCORE;
+                        }
+                        score += lineWeight(count + 1);
+                    } else {
+                        score += count === winLength - 1 ? BLOCK_SCORE : lineWeight(count) / 2;
+                    }
+                }
+            }
+        }
+
+        return Math.min(score, WIN_SCORE - 1);
+    }
+
+    /**
+     * Static evaluation of a position for a player
+     * Sums the weight of every live window through a marker on the board
+     * (layout placements included): positive for the player's own windows,
+     * negative for windows held by a single opponent (the other way round
+     * when lines lose)
+     * @param {GameState} state - State to evaluate
+     * @param {string} player - Player to evaluate for
+     * @returns {number} Heuristic value
+     */
+    static evaluatePosition(state, player) {
+        const { dimensions, gridSize } = state.settings;
+        const directions = getCanonicalDirections(dimensions);
+        const torus = Topology.isTorus(state.settings);
+        const seen = new Set();
+        let value = 0;
+
+        for (const position of getMarkerPositions(state.board)) {
+            for (const direction of directions) {
+                const winLength = WinChecker.getLineLength(state.settings, direction);
+                for (const window of WinChecker.getWindowsThrough(position, direction, winLength, gridSize, torus)) {
+                    const key = `${window[0].join(',')}|${direction.join(',')}`;
+                    if (seen.has(key)) continue;
+                    seen.add(key);
+
+                    const owners = countOwners(state.board, window);
+                    if (owners === null || owners.size !== 1) continue;
+
+                    const [owner, count] = owners.entries().next().value;
+                    value += owner === player ? lineWeight(count) : -lineWeight(count);
+                }
+            }
+        }
+
+        return RuleSets.get(state.settings).linesLose ? -value : value;
+    }
+
+    /**
+     * Get the moves worth considering
+     * Small boards: every valid move. Large boards: empty cells adjacent to
+     * a marker, pre-filled layout markers included (or to the center on an
+     * empty board; on a torus neighbours
+     * across an edge count). Winning and blocking moves are always adjacent
+     * to a marker, so none are lost.
+     * @param {GameState} state - Current state
+     * @returns {Array<Array<number>>}
+     */
+    static getCandidateMoves(state) {
+        const { dimensions, gridSize } = state.settings;
+        const { board } = state;
+        const emptyCells = board.cellCount - board.getFilledCount() - board.getBlockedCount();
+        if (emptyCells <= FULL_SCAN_MOVE_LIMIT) {
+            return GameRules.getValidMoves(state);
+        }
+
+        const markers = getMarkerPositions(board);
+        const anchors = markers.length > 0
+            ? markers
+            : [GridShape.getSizes(dimensions, gridSize).map(size => Math.floor((size - 1) / 2))];
+
+        const torus = Topology.isTorus(state.settings);
+        const seen = new Set();
+        const candidates = [];
+
+        const consider = (position) => {
+            if (torus) {
+                position = Topology.wrap(position, gridSize);
+            }
+            const key = position.join(',');
+            if (seen.has(key)) return;
+            seen.add(key);
+
+            if (state.isValidMove(position)) {
+                candidates.push(position);
+            }
+        };
+
+        for (const anchor of anchors) {
+            consider(anchor);
+            for (const direction of WinChecker.generateDirections(dimensions)) {
+                consider(anchor.map((coord, i) => coord + direction[i]));
+            }
+        }
+
+        return candidates.length > 0 ? candidates : GameRules.getValidMoves(state);
+    }
+}
+
+/**
+ * Get canonical directions for a dimension count (cached)
+ * @param {number} dimensions - Number of dimensions
+ * @returns {Array<Array<number>>}
+ */
+function getCanonicalDirections(dimensions) {
+    if (!directionCache.has(dimensions)) {
+        directionCache.set(dimensions, WinChecker.generateCanonicalDirections(dimensions));
+    }
+    return directionCache.get(dimensions);
+}
+
+/**
+ * Get the position of every marker on a board
+ * Read from the board rather than the move history, so markers a layout
+ * placed before the first move count too
+ * @param {BoardState} board - Board state
+ * @returns {Array<Array<number>>}
+ */
+function getMarkerPositions(board) {
+    const positions = [];
+    board.forEachMarker((index) => {
+        positions.push(board.positionOf(index));
+    });
+    return positions;
+}
+
+/**
+ * Count markers per player in a window
+ * @param {BoardState} board - Board state
+ * @param {Array<Array<number>>} window - Cells of the window
+ * @returns {Map<string, number>|null} Marker count by player, or null if a
+ *          blocked cell makes the window impossible to complete
+ */
+function countOwners(board, window) {
+    const owners = new Map();
+    for (const cell of window) {
+        if (board.isBlocked(cell)) {
+            return null;
+        }
+        const marker = board.get(cell);
+        if (marker !== null) {
+            owners.set(marker, (owners.get(marker) || 0) + 1);
+        }
+    }
+    return owners;
+}
+
+/**
+ * Weight of a window holding `count` markers of a single player
+ * @param {number} count - Marker count
+ * @returns {number}
+ */
+function lineWeight(count) {
+    return Math.pow(10, count);
+}
@@ -0,0 +1,125 @@
+/**
+ * Threat analysis (lines one move away from completion)
+ * Pure functions, no side effects
+ *
+ * A threat is a window of winLength consecutive cells along one of the
+ * WinChecker directions that holds winLength - 1 markers of a single player
+ * and exactly one empty cell: playing that cell wins the game.
+ */
+
+import { WinChecker } from '../rules/WinChecker.js';
+import { Topology } from '../rules/Topology.js';
+
+// Canonical directions per dimension count (generated once)
+const directionCache = new Map();
+
+/**
+ * Threat analyzer class
+ */
+export class ThreatAnalyzer {
+    /**
+     * Find every threat on the board
+     * Only windows through markers can be threats, so the search starts
+     * from the markers on the board (layout placements included) instead
+     * of scanning every empty cell
+     * @param {GameState} state - Game state
+     * @returns {Array<{player: string, cell: Array<number>, line: Array<Array<number>>}>}
+     *          One entry per threatening window (`cell` is the empty cell that completes `line`)
+     */
+    static findThreats(state) {
+        const { board, settings } = state;
+        if (WinChecker.getWinLength(settings) < 2) {
+            return [];
+        }
+
+        const torus = Topology.isTorus(settings);
+        const threats = [];
+        const seenWindows = new Set();
+
+        const markers = [];
+        board.forEachMarker((index, player) => {
+            markers.push({ position: board.positionOf(index), player });
+        });
+
+        for (const { position, player } of markers) {
+            for (const direction of this.getDirections(settings.dimensions)) {
+                const winLength = WinChecker.getLineLength(settings, direction);
+                for (const window of WinChecker.getWindowsThrough(position, direction, winLength, board.gridSize, torus)) {
+                    // A window is reached from each of its markers; analyze it once
+                    const windowKey = `${window[0].join(',')}|${direction.join(',')}`;
+                    if (seenWindows.has(windowKey)) continue;
+                    seenWindows.add(windowKey);
+
+                    const emptyCell = this.findSingleGap(board, window, player);
+                    if (emptyCell) {
+                        threats.push({ player, cell: emptyCell, line: window });
+                    }
+                }
+            }
+        }
+
+        return threats;
+    }
+
+    /**
+     * Group threats by their empty cell
+     * @param {Array<{player: string, cell: Array<number>}>} threats - Threats from findThreats
+     * @returns {Map<string, {position: Array<number>, players: Array<string>}>}
+     *          Position key ("x,y,...") to the players who would complete a line there
+     */
+    static groupByCell(threats) {
+        const cells = new Map();
+
+        for (const { player, cell } of threats) {
+            const key = cell.join(',');
+            if (!cells.has(key)) {
+                cells.set(key, { position: cell, players: [] });
+            }
+            const entry = cells.get(key);
+            if (!entry.players.includes(player)) {
+                entry.players.push(player);
+            }
+        }
+
+        return cells;
+    }
+
+    /**
+     * Find the only empty cell of a window whose other cells all belong to a player
+     * Windows through blocked cells can never be completed
+     * @param {BoardState} board - Board state
+     * @param {Array<Array<number>>} window - Window cells
+     * @param {string} player - Player owning the other cells
+     * @returns {Array<number>|null} Empty cell, or null if the window is not a threat
+     * @private
+     */
+    static findSingleGap(board, window, player) {
+        let emptyCell = null;
+
+        for (const cell of window) {
+            if (board.isBlocked(cell)) return null;
+            const marker = board.get(cell);
+            if (marker === null) {
+                if (emptyCell) return null;
+                emptyCell = cell;
+            } else if (marker !== player) {
+                return null;
+            }
+        }
+
+        return emptyCell;
+    }
+
+    /**
+     * Get canonical directions for a dimension count (cached)
+     * @param {number} dimensions - Number of dimensions
+     * @returns {Array<Array<number>>} Direction vectors
+     * @private
+     */
+    static getDirections(dimensions) {
+        if (!directionCache.has(dimensions)) {
+            directionCache.set(dimensions, WinChecker.generateCanonicalDirections(dimensions));
+        }
+        return directionCache.get(dimensions);
+    }
+}
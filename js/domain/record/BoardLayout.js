@@ -0,0 +1,179 @@
+/**
+ * Board layouts: custom board shapes for puzzle-like games
+ * Pure functions, no side effects
+ *
+ * A layout lives in settings.layout and shapes the starting board
+ * (GameState.initial):
+ * {
+ *   "blocked": [[1, 1, 1]],                              // holes: never playable, break lines
+ *   "placements": [{ "position": [0, 0, 0], "player": "X" }] // markers on the board before move 1
+ * }
+ * Placements are part of the board, not of the move history, so undo and
+ * replay never remove them; they count towards lines like any marker.
+ *
+ * Layout file schema (version 1), imported with the same button as game records:
+ * {
+ *   "format": "nd-tic-tac-toe/board-layout",
+ *   "version": 1,
+ *   "dimensions": 3,
+ *   "gridSize": 4,                  // or per-axis sizes, e.g. [3, 3, 4]
+ *   "winLength": 3,                 // optional (omitted = gridSize)
+ *   "players": ["X", "O"],          // optional turn order (omitted = X, O)
+ *   "blocked": [[1, 1, 1], [2, 2, 2]],
+ *   "placements": [{ "position": [0, 0, 0], "player": "X" }]
+ * }
+ */
+
+import { GameState } from '../state/GameState.js';
+import { GameRules } from '../rules/GameRules.js';
+import { isValidPosition } from '../state/BoardState.js';
+import { GridShape } from '../state/GridShape.js';
+import { GameSettings } from '../rules/GameSettings.js';
+
+export const BOARD_LAYOUT_FORMAT = 'nd-tic-tac-toe/board-layout';
+export const BOARD_LAYOUT_VERSION = 1;
+
+/**
+ * Board layout class - validates layouts and converts layout files
+ */
+export class BoardLayout {
+    /**
+     * Check the layout of a game's settings
+     * @param {Object} settings - Game settings { dimensions, gridSize, players?, layout? }
+     * @throws {Error} If a cell is off the board or listed twice, or a placement names an unknown player
+     */
+    static validate(settings) {
+        const { layout, dimensions, gridSize } = settings;
+        if (layout === undefined || layout === null) {
+            return;
+        }
+        if (typeof layout !== 'object' || Array.isArray(layout)) {
+            throw new Error('Board layout must be an object');
+        }
+
+        const blocked = layout.blocked ?? [];
+        const placements = layout.placements ?? [];
+        if (!Array.isArray(blocked) || !Array.isArray(placements)) {
+            throw new Error('Board layout blocked cells and placements must be arrays');
+        }
+
+        const players = GameRules.getPlayers(settings);
+        const seen = new Set();
+        const claim = (position, what) => {
+            if (!isValidPosition(position, dimensions, gridSize)) {
+                throw new Error(`Invalid ${what} in board layout: ${JSON.stringify(position)}`);
+            }
+            const key = position.join(',');
+            if (seen.has(key)) {
+                throw new Error(`Board layout lists cell ${key} twice`);
+            }
+            seen.add(key);
+        };
+
+        blocked.forEach(position => claim(position, 'blocked cell'));
+        placements.forEach((placement) => {
+            claim(placement && placement.position, 'placement');
+            if (!players.includes(placement.player)) {
+                throw new Error(`Unknown player in board layout: ${placement.player}`);
+            }
+        });
+    }
+
+    /**
+     * Create a layout file object from game settings
+     * @param {Object} settings - Game settings { dimensions, gridSize, winLength?, players?, layout? }
+     * @returns {Object} Layout file object (see schema above)
+     */
+    static create(settings) {
+        const layout = settings.layout || {};
+
+        return {
+            format: BOARD_LAYOUT_FORMAT,
+            version: BOARD_LAYOUT_VERSION,
+            dimensions: settings.dimensions,
+            gridSize: GridShape.normalize(settings.gridSize),
+            ...(settings.winLength ? { winLength: settings.winLength } : {}),
+            players: [...GameRules.getPlayers(settings)],
+            blocked: (layout.blocked || []).map(position => [...position]),
+            placements: (layout.placements || []).map(({ position, player }) => ({ position: [...position], player }))
+        };
+    }
+
+    /**
+     * Serialize the layout of game settings as layout file JSON
+     * @param {Object} settings - Game settings
+     * @returns {string} Pretty-printed JSON
+     */
+    static stringify(settings) {
+        return JSON.stringify(this.create(settings), null, 2);
+    }
+
+    /**
+     * Check if JSON text is a layout file (rather than a game record)
+     * @param {string} json - JSON text
+     * @returns {boolean} False for invalid JSON and other formats
+     */
+    static isLayoutJSON(json) {
+        try {
+            const value = JSON.parse(json);
+            return Boolean(value) && value.format === BOARD_LAYOUT_FORMAT;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Parse layout file JSON into a new game on that board
+     * @param {string} json - Layout file JSON
+     * @returns {GameState} Initial state of a game on the layout
+     * @throws {Error} If the JSON or the layout is invalid
+     */
+    static parse(json) {
+        let file;
+        try {
+            file = JSON.parse(json);
+        } catch (error) {
+            throw new Error(`Board layout is not valid JSON: ${error.message}`);
+        }
+
+        return GameState.initial(this.toSettings(file));
+    }
+
+    /**
+     * Validate a layout file object and turn it into game settings
+     * @param {Object} file - Layout file object
+     * @returns {Object} Game settings with the layout
+     * @throws {Error} If the layout file is invalid
+     */
+    static toSettings(file) {
+        if (!file || typeof file !== 'object' || file.format !== BOARD_LAYOUT_FORMAT) {
+            throw new Error(`Unknown board layout format: ${file && file.format}`);
+        }
+        if (!Number.isInteger(file.version) || file.version < 1 || file.version > BOARD_LAYOUT_VERSION) {
+            throw new Error(`Unsupported board layout version: ${file.version}`);
+        }
+
+        const { dimensions, gridSize } = file;
+        const winLength = file.winLength ?? null;
+        const players = file.players ?? GameRules.getPlayers(null);
+        GameSettings.validate({ dimensions, gridSize, winLength, players });
+
+        const settings = {
+            dimensions,
+            gridSize: GridShape.normalize(gridSize),
+            winLength,
+            players: [...players],
+            layout: {
+                blocked: file.blocked ?? [],
+                placements: file.placements ?? []
+            }
+        };
+        this.validate(settings);
+
+        settings.layout = {
+            blocked: settings.layout.blocked.map(position => [...position]),
+            placements: settings.layout.placements.map(({ position, player }) => ({ position: [...position], player }))
+        };
+        return settings;
+    }
+}
@@ -0,0 +1,249 @@
+/**
+ * Versioned game record format (export/import of complete games)
+ * Pure functions, no side effects
+ *
+ * Record schema (version 1):
+ * {
+ *   "format": "nd-tic-tac-toe/game-record",
+ *   "version": 1,
+ *   "exportedAt": "2024-01-01T00:00:00.000Z",   // informational only
+ *   "settings": { "dimensions": 4, "gridSize": 4, "winLength": null, "players": ["X", "O"],   // gridSize may be [3, 3, 3, 5]
+ *                 "ruleSet": "standard", "gravityAxis": null, "topology": "bounded", "swapMoves": null,
+ *                 "layout": null, ... },
+ *   "players": ["X", "O"],                      // turn order
+ *   "moves": [
+ *     { "position": [0, 1, 2, 3], "player": "X", "timestamp": 1700000000000 },
+ *     { "swap": true, "player": "O", "timestamp": 1700000001000 }   // swap rule (see SwapRule.js)
+ *   ],
+ *   "result": {
+ *     "gamePhase": "won",                       // 'playing' | 'won' | 'draw'
+ *     "winner": "X",                            // null unless won
+ *     "winningLine": { "cells": [[...]], "direction": [...] },
+ *     "reason": "timeout"                       // only when the player to move ran out of time
+ *   }
+ * }
+ *
+ * The board is not stored: importing replays `moves` through GameRules, so
+ * a record can never describe a position the rules would not produce. A
+ * timeout is the one result the moves cannot show; it is applied to the
+ * player to move after the replay.
+ */
+
+import { GameState } from '../state/GameState.js';
+import { GameRules } from '../rules/GameRules.js';
+import { SwapRule } from '../rules/SwapRule.js';
+import { GameSettings } from '../rules/GameSettings.js';
+import { TimeControl } from '../rules/TimeControl.js';
+import { BoardLayout } from './BoardLayout.js';
+
+export const GAME_RECORD_FORMAT = 'nd-tic-tac-toe/game-record';
+export const GAME_RECORD_VERSION = 1;
+
+const GAME_PHASES = ['playing', 'won', 'draw'];
+
+/**
+ * Game record class - converts between GameState and record objects/JSON
+ */
+export class GameRecord {
+    /**
+     * Create a record object from a game state
+     * @param {GameState} state - Game state to record
+     * @param {Date} [exportedAt] - Export time
+     * @returns {Object} Record object (see schema above)
+     */
+    static create(state, exportedAt = new Date()) {
+        const plain = state.toPlain();
+
+        return {
+            format: GAME_RECORD_FORMAT,
+            version: GAME_RECORD_VERSION,
+            exportedAt: exportedAt.toISOString(),
+            settings: { ...plain.settings },
+            players: [...GameRules.getPlayers(plain.settings)],
+            moves: plain.moveHistory.map(move => SwapRule.isSwap(move)
+                ? { swap: true, player: move.player, timestamp: move.timestamp }
+                : { position: [...move.position], player: move.player, timestamp: move.timestamp }),
+            result: {
+                gamePhase: plain.gamePhase,
+                winner: plain.winner,
+                winningLine: plain.winningLine,
+                ...(plain.resultReason === 'timeout' ? { reason: 'timeout' } : {})
+            }
+        };
+    }
+
+    /**
+     * Serialize a game state as record JSON
+     * @param {GameState} state - Game state to record
+     * @returns {string} Pretty-printed JSON
+     */
+    static stringify(state) {
+        return JSON.stringify(this.create(state), null, 2);
+    }
+
+    /**
+     * Parse record JSON into a game state
+     * @param {string} json - Record JSON
+     * @returns {GameState} Replayed game state
+     * @throws {Error} If the JSON or the record is invalid
+     */
+    static parse(json) {
+        let record;
+        try {
+            record = JSON.parse(json);
+        } catch (error) {
+            throw new Error(`Game record is not valid JSON: ${error.message}`);
+        }
+
+        return this.toGameState(record);
+    }
+
+    /**
+     * Validate a record object and replay it into a game state
+     * @param {Object} record - Record object
+     * @returns {GameState} Replayed game state
+     * @throws {Error} If the record is invalid
+     */
+    static toGameState(record) {
+        this.validateHeader(record);
+
+        const settings = this.validateSettings(record);
+        let state = GameState.initial(settings);
+
+        record.moves.forEach((move, index) => {
+            state = this.replayMove(state, move, index + 1);
+        });
+
+        if (record.result && record.result.reason === 'timeout') {
+            state = GameRules.timeout(state);
+        }
+
+        this.validateResult(record.result, state);
+        return state;
+    }
+
+    /**
+     * Check format and version
+     * @param {Object} record - Record object
+     * @throws {Error} If format or version is not supported
+     * @private
+     */
+    static validateHeader(record) {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            throw new Error('Game record must be an object');
+        }
+        if (record.format !== GAME_RECORD_FORMAT) {
+            throw new Error(`Unknown game record format: ${record.format}`);
+        }
+        if (!Number.isInteger(record.version) || record.version < 1) {
+            throw new Error(`Invalid game record version: ${record.version}`);
+        }
+        if (record.version > GAME_RECORD_VERSION) {
+            throw new Error(`Game record version ${record.version} is newer than supported version ${GAME_RECORD_VERSION}`);
+        }
+        if (!Array.isArray(record.moves)) {
+            throw new Error('Game record moves must be an array');
+        }
+    }
+
+    /**
+     * Check settings and players
+     * @param {Object} record - Record object
+     * @returns {Object} Settings for the replayed game
+     * @throws {Error} If settings are invalid
+     * @private
+     */
+    static validateSettings(record) {
+        const settings = record.settings;
+        if (!settings || typeof settings !== 'object') {
+            throw new Error('Game record settings are missing');
+        }
+
+        const players = record.players ?? settings.players ?? GameRules.getPlayers(null);
+        GameSettings.validate({ ...settings, players });
+        BoardLayout.validate({ ...settings, players });
+
+        const loaded = { ...settings, players: [...players] };
+        if (settings.timeControl) {
+            loaded.timeControl = TimeControl.normalize(settings.timeControl);
+        }
+        return loaded;
+    }
+
+    /**
+     * Validate and apply a single recorded move
+     * @param {GameState} state - State before the move
+     * @param {Object} move - Recorded move
+     * @param {number} moveNumber - 1-based move number (for error messages)
+     * @returns {GameState} State after the move
+     * @throws {Error} If the move is not legal at this point
+     * @private
+     */
+    static replayMove(state, move, moveNumber) {
+        if (SwapRule.isSwap(move)) {
+            return this.replaySwap(state, move, moveNumber);
+        }
+        if (!move || !GameRules.isValidPosition(move.position, state.settings)) {
+            throw new Error(`Move ${moveNumber}: invalid position ${JSON.stringify(move && move.position)}`);
+        }
+        if (move.player !== state.currentPlayer) {
+            throw new Error(`Move ${moveNumber}: expected player ${state.currentPlayer}, got ${move.player}`);
+        }
+        if (!state.isValidMove(move.position)) {
+            throw new Error(`Move ${moveNumber}: cell ${move.position.join(',')} is not playable`);
+        }
+        if (move.timestamp !== undefined && !Number.isFinite(move.timestamp)) {
+            throw new Error(`Move ${moveNumber}: invalid timestamp`);
+        }
+
+        return GameRules.placeMarker(state, move.position, move.player, move.timestamp ?? Date.now());
+    }
+
+    /**
+     * Validate and apply a recorded swap (see SwapRule.js)
+     * @param {GameState} state - State before the swap
+     * @param {Object} move - Recorded swap
+     * @param {number} moveNumber - 1-based move number (for error messages)
+     * @returns {GameState} State after the swap
+     * @throws {Error} If no swap is allowed at this point
+     * @private
+     */
+    static replaySwap(state, move, moveNumber) {
+        if (move.player !== state.currentPlayer) {
+            throw new Error(`Move ${moveNumber}: expected player ${state.currentPlayer}, got ${move.player}`);
+        }
+        if (!SwapRule.canSwap(state)) {
+            throw new Error(`Move ${moveNumber}: swap not allowed`);
+        }
+        if (move.timestamp !== undefined && !Number.isFinite(move.timestamp)) {
+            throw new Error(`Move ${moveNumber}: invalid timestamp`);
+        }
+
+        return GameRules.swapSides(state, move.player, move.timestamp ?? Date.now());
+    }
+
+    /**
+     * Check that the recorded result matches the replayed game
+     * @param {Object|undefined} result - Recorded result
+     * @param {GameState} state - Replayed state
+     * @throws {Error} If the result disagrees with the replay
+     * @private
+     */
+    static validateResult(result, state) {
+        if (result === undefined || result === null) {
+            return;
+        }
+        if (!GAME_PHASES.includes(result.gamePhase)) {
+            throw new Error(`Invalid game phase: ${result.gamePhase}`);
+        }
+        if (result.gamePhase !== state.gamePhase || (result.winner ?? null) !== state.winner) {
+            throw new Error(
+                `Recorded result (${result.gamePhase}, ${result.winner ?? '-'}) does not match ` +
+                `replayed result (${state.gamePhase}, ${state.winner ?? '-'})`
+            );
+        }
+        if (result.reason === 'timeout' && state.resultReason !== 'timeout') {
+            throw new Error('Recorded timeout does not match the replayed game, which had already ended');
+        }
+    }
+}
@@ -0,0 +1,385 @@
+/**
+ * Compact text notation for positions and whole games
+ * Pure functions, no side effects
+ *
+ * Position: one axis letter + coordinate per dimension
+ *   x2y0z3w1          // [2, 0, 3, 1]
+ *   Axis letters: x y z w v u t s (same names as the rotation planes)
+ *
+ * Game: header, colon, numbered move list (numbers are optional when parsing)
+ *   4D/4: 1.x0y0z0w0 2.x1y1z1w1 3.x0y1z0w0
+ *   3D/5/k4/X,O,T: 1.x2y2z2 2.x0y0z0
+ *   3D/3/r=first-to-k/t=2: 1.x0y0z0 2.x1y1z1
+ *   4D/3x3x3x5: 1.x1y1z1w2
+ *   3D/4/torus: 1.x0y0z0 2.x3y3z3
+ *   4D/4/s=1: 1.x1y1z1w1 2.swap 3.x0y0z0w0
+ *   2D/3/b=x1y1/p2=x0y0: 1.x2y2
+ *
+ *   Header fields separated by "/":
+ *     <dimensions>D       required
+ *     <gridSize>          required (one size, or per-axis sizes like 3x3x3x5)
+ *     k<winLength>        optional (omitted = gridSize, the longest axis)
+ *     <id>,<id>,...       optional turn order (omitted = X,O)
+ *     r=<ruleSet>         optional rule set (omitted = standard, see RuleSets.js)
+ *     t=<targetLines>     optional lines needed to win first-to-k games
+ *     g=<axis>            optional gravity axis letter (omitted = no gravity)
+ *     torus               optional: lines wrap around the edges (see Topology.js)
+ *     s=<moves>           optional swap rule: moves after which a swap is offered (see SwapRule.js)
+ *     b=<pos>,<pos>,...   optional blocked cells of a custom board (see BoardLayout.js)
+ *     p<n>=<pos>,...      optional markers on the board before the first move, owned by
+ *                         the n-th player in turn order (p1 = first player)
+ *
+ * A swap is written as the move "swap".
+ *
+ * Moves carry no player: the turn order decides who played each move, and
+ * parsing replays every move through GameRules.
+ */
+
+import { GameState } from '../state/GameState.js';
+import { GridShape, GRID_LIMITS } from '../state/GridShape.js';
+import { GameRules } from '../rules/GameRules.js';
+import { RuleSets, RuleSetId } from '../rules/RuleSets.js';
+import { Gravity } from '../rules/Gravity.js';
+import { Topology, TopologyId } from '../rules/Topology.js';
+import { SwapRule } from '../rules/SwapRule.js';
+import { BoardLayout } from './BoardLayout.js';
+
+export const AXIS_NAMES = ['x', 'y', 'z', 'w', 'v', 'u', 't', 's'];
+
+const POSITION_PATTERN = /^([a-z]\d+)+$/i;
+const AXIS_PATTERN = /([a-z])(\d+)/gi;
+const PLAYER_ID_PATTERN = /^[^\s,/:]+$/;
+const SWAP_TOKEN = 'swap';
+
+/**
+ * Move notation class - converts positions and games to and from text
+ */
+export class MoveNotation {
+    /**
+     * Format a position
+     * @param {Array<number>} position - Cell position
+     * @returns {string} Notation like "x2y0z3w1"
+     * @throws {Error} If the position has more axes than there are axis names
+     */
+    static formatPosition(position) {
+        if (position.length > AXIS_NAMES.length) {
+            throw new Error(`Notation supports at most ${AXIS_NAMES.length} dimensions`);
+        }
+        return position.map((coord, axis) => `${AXIS_NAMES[axis]}${coord}`).join('');
+    }
+
+    /**
+     * Parse a position
+     * Axes may appear in any order but each exactly once
+     * @param {string} text - Notation like "x2y0z3w1"
+     * @param {Object} settings - Game settings (dimensions, gridSize)
+     * @returns {Array<number>} Cell position
+     * @throws {Error} If the text is malformed or off the board
+     */
+    static parsePosition(text, settings) {
+        const trimmed = String(text).trim();
+        if (!POSITION_PATTERN.test(trimmed)) {
+            throw new Error(`Invalid position notation: "${text}"`);
+        }
+
+        const position = new Array(settings.dimensions).fill(undefined);
+        for (const [, letter, digits] of trimmed.matchAll(AXIS_PATTERN)) {
+            const axis = AXIS_NAMES.indexOf(letter.toLowerCase());
+            if (axis === -1 || axis >= settings.dimensions) {
+                throw new Error(`Invalid axis "${letter}" in "${text}" for ${settings.dimensions}D`);
+            }
+            if (position[axis] !== undefined) {
+                throw new Error(`Axis "${letter}" given twice in "${text}"`);
+            }
+            position[axis] = parseInt(digits, 10);
+        }
+
+        if (!GameRules.isValidPosition(position, settings)) {
+            throw new Error(`Position "${text}" is not on the ${settings.dimensions}D/${GridShape.format(settings.gridSize)} board`);
+        }
+        return position;
+    }
+
+    /**
+     * Format a single move
+     * @param {{position?: Array<number>, swap?: boolean}} move - Placed marker or swap
+     * @returns {string} Position notation, or "swap"
+     */
+    static formatMove(move) {
+        return SwapRule.isSwap(move) ? SWAP_TOKEN : this.formatPosition(move.position);
+    }
+
+    /**
+     * Format moves as a numbered list
+     * @param {Array<{position?: Array<number>, swap?: boolean}>} moves - Moves to format
+     * @param {number} [firstMoveNumber=1] - Number of the first move
+     * @returns {string} Notation like "1.x0y0 2.x1y1"
+     */
+    static formatMoves(moves, firstMoveNumber = 1) {
+        return moves
+            .map((move, index) => `${firstMoveNumber + index}.${this.formatMove(move)}`)
+            .join(' ');
+    }
+
+    /**
+     * Format a game (header and move list)
+     * @param {GameState} state - Game state
+     * @returns {string} Game notation
+     */
+    static formatGame(state) {
+        const { dimensions, gridSize, winLength, ruleSet, targetLines } = state.settings;
+        const gravityAxis = Gravity.getAxis(state.settings);
+        const swapMoves = SwapRule.getMoves(state.settings);
+        const players = GameRules.getPlayers(state.settings);
+
+        const header = [`${dimensions}D`, GridShape.format(gridSize)];
+        if (winLength !== undefined && winLength !== null) {
+            header.push(`k${winLength}`);
+        }
+        if (players.join(',') !== GameRules.getPlayers(null).join(',')) {
+            header.push(players.join(','));
+        }
+        if (ruleSet && ruleSet !== RuleSetId.STANDARD) {
+            header.push(`r=${ruleSet}`);
+        }
+        if (targetLines !== undefined && targetLines !== null) {
+            header.push(`t=${targetLines}`);
+        }
+        if (gravityAxis !== null) {
+            header.push(`g=${AXIS_NAMES[gravityAxis]}`);
+        }
+        if (Topology.isTorus(state.settings)) {
+            header.push(TopologyId.TORUS);
+        }
+        if (swapMoves !== null) {
+            header.push(`s=${swapMoves}`);
+        }
+        header.push(...this.formatLayout(state.settings.layout, players));
+
+        const moves = this.formatMoves(state.moveHistory);
+        return moves ? `${header.join('/')}: ${moves}` : `${header.join('/')}:`;
+    }
+
+    /**
+     * Format the header fields of a board layout
+     * @param {Object} [layout] - Layout { blocked, placements } (see BoardLayout.js)
+     * @param {Array<string>} players - Players in turn order
+     * @returns {Array<string>} Fields like "b=x1y1" and "p1=x0y0,x2y2" (none without a layout)
+     * @private
+     */
+    static formatLayout(layout, players) {
+        if (!layout) {
+            return [];
+        }
+
+        const fields = [];
+        const blocked = layout.blocked || [];
+        if (blocked.length > 0) {
+            fields.push(`b=${blocked.map(position => this.formatPosition(position)).join(',')}`);
+        }
+        players.forEach((player, index) => {
+            const cells = (layout.placements || [])
+                .filter(placement => placement.player === player)
+                .map(placement => this.formatPosition(placement.position));
+            if (cells.length > 0) {
+                fields.push(`p${index + 1}=${cells.join(',')}`);
+            }
+        });
+        return fields;
+    }
+
+    /**
+     * Parse a game and replay it
+     * @param {string} text - Game notation
+     * @returns {GameState} Replayed game state
+     * @throws {Error} If the notation is malformed or a move is not legal
+     */
+    static parseGame(text) {
+        const source = String(text).trim();
+        const separator = source.indexOf(':');
+        if (separator === -1) {
+            throw new Error('Game notation must start with a header like "4D/4:"');
+        }
+
+        const settings = this.parseHeader(source.slice(0, separator));
+        let state = GameState.initial(settings);
+
+        const tokens = source.slice(separator + 1).split(/\s+/)
+            .map(token => token.replace(/^\d+\./, ''))
+            .filter(token => token.length > 0);
+
+        tokens.forEach((token, index) => {
+            const moveNumber = index + 1;
+            if (token.toLowerCase() === SWAP_TOKEN) {
+                if (!SwapRule.canSwap(state)) {
+                    throw new Error(`Move ${moveNumber}: swap not allowed`);
+                }
+                state = GameRules.swapSides(state);
+                return;
+            }
+
+            let position;
+            try {
+                position = this.parsePosition(token, settings);
+            } catch (error) {
+                throw new Error(`Move ${moveNumber}: ${error.message}`);
+            }
+            if (!state.isValidMove(position)) {
+                throw new Error(`Move ${moveNumber}: cell ${token} is not playable`);
+            }
+            state = GameRules.placeMarker(state, position);
+        });
+
+        return state;
+    }
+
+    /**
+     * Parse the game header into settings
+     * @param {string} header - Header like "4D/4/k3/X,O,T/r=misere"
+     * @returns {Object} Settings (dimensions, gridSize, winLength, players;
+     *          ruleSet, targetLines, gravityAxis, topology, swapMoves and layout only when given)
+     * @throws {Error} If the header is malformed
+     * @private
+     */
+    static parseHeader(header) {
+        const fields = header.trim().split('/').map(field => field.trim());
+
+        const dimensionsMatch = /^(\d+)D$/i.exec(fields[0] || '');
+        const dimensions = dimensionsMatch ? parseInt(dimensionsMatch[1], 10) : NaN;
+        if (!(dimensions >= 1 && dimensions <= Math.min(AXIS_NAMES.length, GRID_LIMITS.MAX_DIMENSIONS))) {
+            throw new Error(`Invalid dimensions in header: "${fields[0] || ''}"`);
+        }
+
+        // Pasted text is untrusted: the size limits keep "8D/12" from freezing the page
+        const gridSize = GridShape.parse(fields[1] || '');
+        try {
+            GridShape.validate(dimensions, gridSize);
+        } catch (error) {
+            throw new Error(`Invalid grid size in header: "${fields[1] || ''}"`);
+        }
+
+        let winLength = null;
+        let players = GameRules.getPlayers(null);
+        let ruleSet = RuleSetId.STANDARD;
+        let targetLines = null;
+        let gravityAxis = null;
+        let topology = TopologyId.BOUNDED;
+        let swapMoves = null;
+        let blockedField = null;
+        const placementFields = [];
+        for (const field of fields.slice(2)) {
+            const winLengthMatch = /^k(\d+)$/i.exec(field);
+            const ruleSetMatch = /^r=(.+)$/i.exec(field);
+            const targetMatch = /^t=(\d+)$/i.exec(field);
+            const gravityMatch = /^g=([a-z])$/i.exec(field);
+            const swapMatch = /^s=(\d+)$/i.exec(field);
+            const blockedMatch = /^b=(.+)$/i.exec(field);
+            const placementMatch = /^p(\d+)=(.+)$/i.exec(field);
+            if (field.toLowerCase() === TopologyId.TORUS) {
+                topology = TopologyId.TORUS;
+            } else if (swapMatch) {
+                swapMoves = parseInt(swapMatch[1], 10);
+            } else if (blockedMatch) {
+                blockedField = blockedMatch[1];
+            } else if (placementMatch) {
+                placementFields.push({ index: parseInt(placementMatch[1], 10), cells: placementMatch[2], field });
+            } else if (gravityMatch) {
+                gravityAxis = AXIS_NAMES.indexOf(gravityMatch[1].toLowerCase());
+                if (gravityAxis === -1 || gravityAxis >= dimensions) {
+                    throw new Error(`Invalid gravity axis in header: "${field}"`);
+                }
+            } else if (ruleSetMatch) {
+                ruleSet = ruleSetMatch[1];
+            } else if (targetMatch) {
+                targetLines = parseInt(targetMatch[1], 10);
+            } else if (winLengthMatch) {
+                winLength = parseInt(winLengthMatch[1], 10);
+                if (winLength < 1 || winLength > GridShape.getMaxSize(gridSize)) {
+                    throw new Error(`Invalid win length in header: "${field}"`);
+                }
+            } else {
+                players = field.split(',').map(id => id.trim());
+                const validPlayers = players.length >= 2 &&
+                    players.every(id => PLAYER_ID_PATTERN.test(id)) &&
+                    new Set(players).size === players.length;
+                if (!validPlayers) {
+                    throw new Error(`Invalid players in header: "${field}"`);
+                }
+            }
+        }
+
+        const settings = { dimensions, gridSize: GridShape.normalize(gridSize), winLength, players: [...players] };
+        if (ruleSet !== RuleSetId.STANDARD) {
+            settings.ruleSet = ruleSet;
+        }
+        if (targetLines !== null) {
+            settings.targetLines = targetLines;
+        }
+        if (gravityAxis !== null) {
+            settings.gravityAxis = gravityAxis;
+        }
+        if (topology !== TopologyId.BOUNDED) {
+            settings.topology = topology;
+        }
+        if (swapMoves !== null) {
+            settings.swapMoves = swapMoves;
+        }
+        if (blockedField !== null || placementFields.length > 0) {
+            settings.layout = this.parseLayout(blockedField, placementFields, settings);
+        }
+        try {
+            RuleSets.validate(settings);
+        } catch (error) {
+            throw new Error(`Invalid rule set in header: ${error.message}`);
+        }
+        try {
+            Topology.validate(settings);
+        } catch (error) {
+            throw new Error(`Invalid topology in header: ${error.message}`);
+        }
+        try {
+            SwapRule.validate(settings);
+        } catch (error) {
+            throw new Error(`Invalid swap rule in header: ${error.message}`);
+        }
+        return settings;
+    }
+
+    /**
+     * Parse the layout fields of a header
+     * @param {string|null} blockedField - Cells after "b=", or null
+     * @param {Array<{index: number, cells: string, field: string}>} placementFields - "p<n>=" fields
+     * @param {Object} settings - Settings parsed so far (dimensions, gridSize, players)
+     * @returns {{blocked: Array<Array<number>>, placements: Array<{position: Array<number>, player: string}>}}
+     * @throws {Error} If a cell is malformed, a player number unknown or a cell listed twice
+     * @private
+     */
+    static parseLayout(blockedField, placementFields, settings) {
+        const parseCells = (cells, field) => cells.split(',').map((token) => {
+            try {
+                return this.parsePosition(token, settings);
+            } catch (error) {
+                throw new Error(`Invalid layout in header: "${field}": ${error.message}`);
+            }
+        });
+
+        const layout = {
+            blocked: blockedField === null ? [] : parseCells(blockedField, `b=${blockedField}`),
+            placements: [],
+        };
+        for (const { index, cells, field } of placementFields) {
+            const player = settings.players[index - 1];
+            if (!player) {
+                throw new Error(`Invalid layout in header: "${field}" names no player`);
+            }
+            layout.placements.push(...parseCells(cells, field).map(position => ({ position, player })));
+        }
+
+        try {
+            BoardLayout.validate({ ...settings, layout });
+        } catch (error) {
+            throw new Error(`Invalid layout in header: ${error.message}`);
+        }
+        return layout;
+    }
+}
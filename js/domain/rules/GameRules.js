@@ -4,7 +4,15 @@
  */
 
 import { GameState } from '../state/GameState.js';
+import { GridShape } from '../state/GridShape.js';
+import { isValidPosition } from '../state/BoardState.js';
 import { WinChecker } from './WinChecker.js';
+import { RuleSets } from './RuleSets.js';
+import { Gravity } from './Gravity.js';
+import { SwapRule } from './SwapRule.js';
+
+// Turn order used when settings do not list players
+const DEFAULT_PLAYERS = ['X', 'O'];
 
 /**
  * Game rules - all pure functions
@@ -12,12 +20,14 @@ import { WinChecker } from './WinChecker.js';
 export class GameRules {
     /**
      * Attempt to place marker
+     * The active rule set (settings.ruleSet) decides whether the move ends the game
      * @param {GameState} state - Current state
      * @param {Array<number>} position - Position to place marker
      * @param {string} [player] - Player (defaults to current player)
+     * @param {number} [timestamp] - Time of the move (defaults to now)
      * @returns {GameState} New state (unchanged if invalid move)
      */
-    static placeMarker(state, position, player = null) {
+    static placeMarker(state, position, player = null, timestamp = Date.now()) {
         const actualPlayer = player || state.currentPlayer;
 
         // Validate move
@@ -26,29 +36,97 @@ export class GameRules {
         }
 
         // Place marker
-        let newState = state.withMarker(position, actualPlayer);
+        const ruleSet = RuleSets.get(state.settings);
+        let newState = state.withMarker(position, actualPlayer, timestamp);
+
+        // Score the lines it completed
+        if (ruleSet.countsLines) {
+            const lines = WinChecker.countCompletedLines(newState.board, position, actualPlayer, newState.settings);
+            newState = newState.withScore(actualPlayer, (state.scores?.[actualPlayer] ?? 0) + lines);
+        }
 
-        // Check win condition
-        if (WinChecker.hasWinningLine(newState.board, position, actualPlayer, newState.settings)) {
-            return newState.withWinner(actualPlayer);
+        // Let the rule set decide the outcome
+        const outcome = ruleSet.evaluate(newState, position, actualPlayer);
+        switch (outcome.gamePhase) {
+            case 'won':
+                return newState.withWinner(outcome.winner, outcome.winningLine ?? null, outcome.reason);
+            case 'lost':
+                // Like a timeout, the next player in turn order wins
+                return newState.withWinner(this.nextPlayer(actualPlayer, newState.settings),
+                    outcome.winningLine ?? null, outcome.reason);
+            case 'draw':
+                return newState.withDraw(outcome.reason);
+            default:
+                // Switch player
+                return newState.withPlayer(this.nextPlayer(actualPlayer, newState.settings));
         }
+    }
 
-        // Check draw
-        if (newState.isBoardFull()) {
-            return newState.withDraw();
+    /**
+     * Swap sides instead of moving (see SwapRule.js)
+     * Every marker changes owner and the other player moves next
+     * @param {GameState} state - Current state
+     * @param {string} [player] - Player (defaults to current player)
+     * @param {number} [timestamp] - Time of the swap (defaults to now)
+     * @returns {GameState} New state (unchanged if no swap is offered)
+     */
+    static swapSides(state, player = null, timestamp = Date.now()) {
+        const actualPlayer = player || state.currentPlayer;
+        if (!SwapRule.canSwap(state) || actualPlayer !== state.currentPlayer) {
+            return state;
         }
 
-        // Switch player
-        return newState.withPlayer(this.nextPlayer(actualPlayer));
+        const opponent = this.nextPlayer(actualPlayer, state.settings);
+        return state.withSwap(actualPlayer, opponent, timestamp).withPlayer(opponent);
     }
 
     /**
-     * Get next player
+     * Play a move history entry: a placed marker or a swap
+     * @param {GameState} state - Current state
+     * @param {{position?: Array<number>, swap?: boolean, player: string, timestamp?: number}} move - Move
+     * @returns {GameState} New state (unchanged if invalid move)
+     */
+    static applyMove(state, move) {
+        const timestamp = move.timestamp ?? Date.now();
+        return SwapRule.isSwap(move)
+            ? this.swapSides(state, move.player, timestamp)
+            : this.placeMarker(state, move.position, move.player, timestamp);
+    }
+
+    /**
+     * Get the players in turn order
+     * @param {Object} [settings] - Game settings { players? }
+     * @returns {Array<string>} Player ids (defaults to ['X', 'O'])
+     */
+    static getPlayers(settings = null) {
+        return settings && settings.players ? settings.players : DEFAULT_PLAYERS;
+    }
+
+    /**
+     * Get next player in turn order
      * @param {string} current - Current player
-     * @returns {string} Next player
+     * @param {Object} [settings] - Game settings { players? }
+     * @returns {string} Next player (first player if current is unknown)
+     */
+    static nextPlayer(current, settings = null) {
+        const players = this.getPlayers(settings);
+        const index = players.indexOf(current);
+        return players[(index + 1) % players.length];
+    }
+
+    /**
+     * End the game because the player to move ran out of time
+     * The next player in turn order wins (the opponent in a two-player game)
+     * @param {GameState} state - Current state
+     * @param {string} [player] - Player whose clock ran out (defaults to the player to move)
+     * @returns {GameState} Finished state (unchanged if the game is already over)
      */
-    static nextPlayer(current) {
-        return current === 'X' ? 'O' : 'X';
+    static timeout(state, player = null) {
+        if (state.isGameOver()) {
+            return state;
+        }
+        const loser = player || state.currentPlayer;
+        return state.withTimeout(this.nextPlayer(loser, state.settings));
     }
 
     /**
@@ -89,14 +167,9 @@ export class GameRules {
             return state;
         }
 
-        // Rebuild state from history (excluding last move)
-        const newHistory = state.moveHistory.slice(0, -1);
-        let newState = GameState.initial(state.settings);
-
-        // Replay all moves except the last one
-        for (const move of newHistory) {
-            newState = newState.withMarker(move.position, move.player);
-        }
+        // Rebuild state from history (excluding last move); replaying
+        // through the rules also restores line scores
+        let newState = this.replay(state.settings, state.moveHistory.slice(0, -1));
 
         // Determine current player
         const lastPlayer = state.moveHistory[state.moveHistory.length - 1].player;
@@ -105,8 +178,47 @@ export class GameRules {
         return newState;
     }
 
+    /**
+     * Rebuild a game by playing moves from the initial state
+     * Moves keep their recorded timestamps; invalid moves are skipped
+     * like any other invalid placeMarker call
+     * @param {Object} settings - Game settings
+     * @param {Array<Object>} moves - Moves in order (placed markers and swaps, see applyMove)
+     * @returns {GameState} State after all moves
+     */
+    static replay(settings, moves) {
+        let state = GameState.initial(settings);
+
+        for (const move of moves) {
+            state = this.applyMove(state, move);
+        }
+
+        return state;
+    }
+
+    /**
+     * Get the cell a move aimed at a position ends up in
+     * Without gravity that is the position itself; with gravity the marker
+     * falls to the lowest empty cell of the position's column
+     * @param {GameState} state - Current state
+     * @param {Array<number>} position - Position aimed at
+     * @returns {Array<number>|null} Cell to play, or null if no move lands there
+     */
+    static getLandingCell(state, position) {
+        if (state.gamePhase !== 'playing' || !this.isValidPosition(position, state.settings)) {
+            return null;
+        }
+
+        const axis = Gravity.getAxis(state.settings);
+        if (axis === null) {
+            return state.isValidMove(position) ? position : null;
+        }
+        return Gravity.findLandingCell(state.board, position, axis);
+    }
+
     /**
      * Get all valid moves
+     * With gravity there is at most one per column (its lowest empty cell)
      * @param {GameState} state - Current state
      * @returns {Array<Array<number>>} Array of valid positions
      */
@@ -117,17 +229,24 @@ export class GameRules {
 
         const validMoves = [];
         const { dimensions, gridSize } = state.settings;
+        const axis = Gravity.getAxis(state.settings);
 
-        // Generate all possible positions
+        // Generate all possible positions (with gravity, one floor cell per column)
         const generatePositions = (dims, current = []) => {
             if (dims === 0) {
-                if (state.isValidMove(current)) {
+                if (axis !== null) {
+                    const landing = Gravity.findLandingCell(state.board, current, axis);
+                    if (landing) {
+                        validMoves.push(landing);
+                    }
+                } else if (state.isValidMove(current)) {
                     validMoves.push([...current]);
                 }
                 return;
             }
 
-            for (let i = 0; i < gridSize; i++) {
+            const size = dims - 1 === axis ? 1 : GridShape.getSize(gridSize, dims - 1);
+            for (let i = 0; i < size; i++) {
                 generatePositions(dims - 1, [i, ...current]);
             }
         };
@@ -143,11 +262,6 @@ export class GameRules {
      * @returns {boolean}
      */
     static isValidPosition(position, settings) {
-        if (!Array.isArray(position)) return false;
-        if (position.length !== settings.dimensions) return false;
-
-        return position.every(coord => {
-            return Number.isInteger(coord) && coord >= 0 && coord < settings.gridSize;
-        });
+        return isValidPosition(position, settings.dimensions, settings.gridSize);
     }
 }
@@ -0,0 +1,61 @@
+/**
+ * Game settings validation
+ * Pure functions, no side effects
+ *
+ * Every way into a game that does not come from the settings modal
+ * (Engine.createGame, imported game records, board layout files) checks
+ * its settings here, so they all accept the same games: the board size
+ * limits (GridShape.validate), the win length, the players, the clock,
+ * the computer player and each variant rule's own setting. The layout itself is checked by
+ * BoardLayout.validate, which needs valid settings first.
+ */
+
+import { GridShape } from '../state/GridShape.js';
+import { GameRules } from './GameRules.js';
+import { RuleSets } from './RuleSets.js';
+import { Gravity } from './Gravity.js';
+import { Topology } from './Topology.js';
+import { SwapRule } from './SwapRule.js';
+import { TimeControl } from './TimeControl.js';
+import { WinChecker } from './WinChecker.js';
+
+/**
+ * Game settings class
+ */
+export class GameSettings {
+    /**
+     * Check game settings
+     * @param {Object} settings - Game settings { dimensions, gridSize, winLength?, players?, ruleSet?,
+     *        targetLines?, gravityAxis?, topology?, swapMoves?, winEngine?, timeControl?, computerPlayer? }
+     * @throws {Error} If a setting is invalid or the board is larger than GRID_LIMITS allow
+     */
+    static validate(settings) {
+        const { dimensions, gridSize, winLength } = settings;
+        GridShape.validate(dimensions, gridSize);
+        if (winLength !== undefined && winLength !== null &&
+            (!Number.isInteger(winLength) || winLength < 1 || winLength > GridShape.getMaxSize(gridSize))) {
+            throw new Error(`Invalid win length: ${winLength}`);
+        }
+
+        const players = settings.players ?? GameRules.getPlayers(null);
+        const validPlayers = Array.isArray(players) &&
+            players.length >= 2 &&
+            players.every(player => typeof player === 'string' && player.length > 0) &&
+            new Set(players).size === players.length;
+        if (!validPlayers) {
+            throw new Error('Invalid players: must be at least two distinct ids');
+        }
+
+        TimeControl.normalize(settings.timeControl);
+        const { computerPlayer } = settings;
+        if (computerPlayer !== undefined && computerPlayer !== null && !players.includes(computerPlayer)) {
+            throw new Error(`Invalid computer player: ${computerPlayer}`);
+        }
+
+        RuleSets.validate(settings);
+        Gravity.validate(settings);
+        Topology.validate(settings);
+        SwapRule.validate(settings);
+        WinChecker.validateEngine(settings);
+    }
+}
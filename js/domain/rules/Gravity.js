@@ -0,0 +1,80 @@
+/**
+ * Gravity ("Connect Four") variant
+ * Pure functions, no side effects
+ *
+ * With settings.gravityAxis set, markers fall along that axis towards
+ * coordinate 0 (the floor) and rest on the floor or on another marker.
+ * A column is every cell that differs from a position only in the gravity
+ * axis coordinate; the only playable cell of a column is its lowest empty
+ * cell. Blocked cells (see BoardState) are solid: markers rest on them.
+ */
+
+import { GridShape } from '../state/GridShape.js';
+
+/**
+ * Gravity class
+ */
+export class Gravity {
+    /**
+     * Get the gravity axis of a game
+     * An axis the board does not have (left over after the dimension
+     * count was lowered) is ignored
+     * @param {Object} [settings] - Game settings { dimensions, gravityAxis? }
+     * @returns {number|null} Axis index, or null when markers stay where they are placed
+     */
+    static getAxis(settings = null) {
+        const axis = settings ? settings.gravityAxis : null;
+        if (!Number.isInteger(axis) || axis < 0 || axis >= settings.dimensions) {
+            return null;
+        }
+        return axis;
+    }
+
+    /**
+     * Check the gravity axis setting
+     * @param {Object} settings - Game settings { dimensions, gravityAxis? }
+     * @throws {Error} If the axis is not an axis of the board
+     */
+    static validate(settings) {
+        const axis = settings.gravityAxis;
+        if (axis !== undefined && axis !== null &&
+            (!Number.isInteger(axis) || axis < 0 || axis >= settings.dimensions)) {
+            throw new Error(`Invalid gravity axis: ${axis}`);
+        }
+    }
+
+    /**
+     * Check if a cell rests on the floor, a marker or a blocked cell
+     * @param {BoardState} board - Board state
+     * @param {Array<number>} position - Cell position
+     * @param {number} axis - Gravity axis
+     * @returns {boolean}
+     */
+    static isSupported(board, position, axis) {
+        if (position[axis] === 0) {
+            return true;
+        }
+        const below = [...position];
+        below[axis]--;
+        return board.get(below) !== null || board.isBlocked(below);
+    }
+
+    /**
+     * Find where a marker dropped into the column of a position lands
+     * @param {BoardState} board - Board state
+     * @param {Array<number>} position - Any cell of the column
+     * @param {number} axis - Gravity axis
+     * @returns {Array<number>|null} Lowest empty cell of the column, or null if it is full
+     */
+    static findLandingCell(board, position, axis) {
+        const cell = [...position];
+        const size = GridShape.getSize(board.gridSize, axis);
+        for (let coord = 0; coord < size; coord++) {
+            cell[axis] = coord;
+            if (board.isEmpty(cell)) {
+                return cell;
+            }
+        }
+        return null;
+    }
+}
@@ -0,0 +1,357 @@
+/**
+ * Precomputed index of every winning line of a board
+ * Pure data structure built once per (dimensions, gridSize, winLength, topology)
+ *
+ * A line is a window of winLength consecutive cells along a canonical
+ * direction (d and -d are the same line, so each window appears once).
+ * On boards with per-axis sizes a direction's lines are shorter when it
+ * moves along an axis with fewer than winLength cells (the axis span).
+ * On a torus windows wrap around the edges, so every cell starts a line
+ * in every direction, except that a window covering the whole cycle of
+ * its direction is kept once (see Topology.js).
+ * Cells are numbered row-major like BoardState (the last coordinate
+ * varies fastest).
+ *
+ * Storage (flat typed arrays):
+ *   lineStart / lineCells       CSR list of the cell indices of each line
+ *   lineDirections              direction index (into `directions`) per line
+ *   cellLineStart / cellLines   CSR list of line ids through each cell,
+ *                               ordered like `directions`
+ */
+
+import { Topology } from './Topology.js';
+import { GridShape } from '../state/GridShape.js';
+
+/**
+ * Line index class
+ */
+export class LineIndex {
+    /**
+     * Build the index
+     * @param {number} dimensions - Number of dimensions
+     * @param {number|Array<number>} gridSize - Cells per axis, or per-axis sizes
+     * @param {number} winLength - Cells per line (at most the span of its direction)
+     * @param {Array<Array<number>>} directions - Canonical direction vectors
+     * @param {boolean} [torus] - Wrap lines around the edges
+     */
+    constructor(dimensions, gridSize, winLength, directions, torus = false) {
+        this.dimensions = dimensions;
+        this.gridSize = gridSize;
+        this.sizes = GridShape.getSizes(dimensions, gridSize);
+        this.winLength = winLength;
+        this.directions = directions;
+        this.torus = torus;
+        this.cellCount = GridShape.getCellCount(dimensions, gridSize);
+
+        // Row-major strides (stride of the last axis is 1)
+        this.strides = new Array(dimensions);
+        for (let axis = dimensions - 1, stride = 1; axis >= 0; stride *= this.sizes[axis], axis--) {
+            this.strides[axis] = stride;
+        }
+
+        this.buildLines();
+        this.buildCellLines();
+    }
+
+    /**
+     * Enumerate every in-bounds (on a torus: every wrapped) window along every direction
+     * @private
+     */
+    buildLines() {
+        const { sizes } = this;
+        const cells = [];
+        const starts = [0];
+        const directionIds = [];
+
+        this.directions.forEach((direction, directionId) => {
+            const length = Math.min(this.winLength, GridShape.getSpan(sizes, direction));
+
+            // Start coordinates that keep the whole window in bounds, per axis
+            // (on a torus any start; a full circle starts where its first moving axis is 0)
+            const fullCircle = this.torus && length >= Topology.getCycleLength(sizes, direction);
+            const firstAxis = direction.findIndex(step => step !== 0);
+            const ranges = direction.map((step, axis) => {
+                if (fullCircle && axis === firstAxis) return [0, 0];
+                if (step === 0 || this.torus) return [0, sizes[axis] - 1];
+                if (step > 0) return [0, sizes[axis] - length];
+                return [length - 1, sizes[axis] - 1];
+            });
+            if (ranges.some(([min, max]) => min > max)) return;
+
+            const delta = direction.reduce((sum, step, axis) => sum + step * this.strides[axis], 0);
+            this.forEachInRanges(ranges, (start) => {
+                const startIndex = this.indexOf(start);
+                for (let step = 0; step < length; step++) {
+                    cells.push(this.torus
+                        ? this.indexOf(Topology.wrap(start.map((coord, axis) => coord + direction[axis] * step), sizes))
+                        : startIndex + step * delta);
+                }
+                starts.push(cells.length);
+                directionIds.push(directionId);
+            });
+        });
+
+        this.lineCount = directionIds.length;
+        this.lineStart = Int32Array.from(starts);
+        this.lineCells = Int32Array.from(cells);
+        this.lineDirections = Uint16Array.from(directionIds);
+    }
+
+    /**
+     * Build the per-cell line lists (compressed sparse rows)
+     * @private
+     */
+    buildCellLines() {
+        const { lineCount, lineStart, lineCells } = this;
+
+        const counts = new Int32Array(this.cellCount + 1);
+        for (let i = 0; i < lineCells.length; i++) {
+            counts[lineCells[i] + 1]++;
+        }
+        for (let cell = 0; cell < this.cellCount; cell++) {
+            counts[cell + 1] += counts[cell];
+        }
+
+        this.cellLineStart = counts;
+        this.cellLines = new Int32Array(counts[this.cellCount]);
+
+        // Lines are visited in id order, so each cell's list follows direction order
+        const fill = counts.slice(0, this.cellCount);
+        for (let line = 0; line < lineCount; line++) {
+            for (let i = lineStart[line]; i < lineStart[line + 1]; i++) {
+                this.cellLines[fill[lineCells[i]]++] = line;
+            }
+        }
+    }
+
+    /**
+     * Call fn for every coordinate tuple inside per-axis inclusive ranges
+     * @param {Array<[number, number]>} ranges - [min, max] per axis
+     * @param {Function} fn - Receives a (reused) coordinate array
+     * @private
+     */
+    forEachInRanges(ranges, fn) {
+        const current = ranges.map(([min]) => min);
+
+        while (true) {
+            fn(current);
+
+            let axis = current.length - 1;
+            while (axis >= 0 && current[axis] === ranges[axis][1]) {
+                current[axis] = ranges[axis][0];
+                axis--;
+            }
+            if (axis < 0) return;
+            current[axis]++;
+        }
+    }
+
+    /**
+     * Get the row-major index of a position
+     * @param {Array<number>} position - Cell position
+     * @returns {number} Cell index
+     */
+    indexOf(position) {
+        let index = 0;
+        for (let axis = 0; axis < this.dimensions; axis++) {
+            index += position[axis] * this.strides[axis];
+        }
+        return index;
+    }
+
+    /**
+     * Get the position of a cell index
+     * @param {number} index - Cell index
+     * @returns {Array<number>} Cell position
+     */
+    positionOf(index) {
+        return this.strides.map((stride, axis) => Math.floor(index / stride) % this.sizes[axis]);
+    }
+
+    /**
+     * Get the ids of every line through a cell
+     * @param {Array<number>} position - Cell position
+     * @returns {Int32Array} Line ids (view, do not modify)
+     */
+    getLinesThrough(position) {
+        return this.getLinesThroughCell(this.indexOf(position));
+    }
+
+    /**
+     * Get the ids of every line through a cell index
+     * @param {number} cell - Cell index
+     * @returns {Int32Array} Line ids (view, do not modify)
+     */
+    getLinesThroughCell(cell) {
+        return this.cellLines.subarray(this.cellLineStart[cell], this.cellLineStart[cell + 1]);
+    }
+
+    /**
+     * Get the cell indices of a line
+     * @param {number} line - Line id
+     * @returns {Int32Array} Cell indices ordered along the direction (view, do not modify)
+     */
+    getLineCells(line) {
+        return this.lineCells.subarray(this.lineStart[line], this.lineStart[line + 1]);
+    }
+
+    /**
+     * Get the number of cells of a line
+     * @param {number} line - Line id
+     * @returns {number} winLength, or less along a short axis
+     */
+    getLineLength(line) {
+        return this.lineStart[line + 1] - this.lineStart[line];
+    }
+
+    /**
+     * Get the direction vector of a line
+     * @param {number} line - Line id
+     * @returns {Array<number>} Canonical direction
+     */
+    getDirection(line) {
+        return this.directions[this.lineDirections[line]];
+    }
+
+    /**
+     * Create incremental per-player line counters for this index
+     * @returns {LineCounters}
+     */
+    createCounters() {
+        return new LineCounters(this);
+    }
+}
+
+/**
+ * Per-player marker counts of every line, updated as markers are placed
+ * and undone; a line is complete when a player's count reaches its length
+ *
+ * Two ways to update them:
+ * - place / remove change the counters in place (search loops)
+ * - withCell returns new counters and leaves these untouched; boards keep
+ *   their counters this way (see BoardState.withLineIndex), copying only
+ *   the counts of the players whose marker changed
+ */
+export class LineCounters {
+    /**
+     * @param {LineIndex} index - Line index
+     * @param {Map<string, Uint8Array>} [counts] - Player id -> marker count per line (not copied)
+     */
+    constructor(index, counts = new Map()) {
+        this.index = index;
+        this.counts = counts;
+    }
+
+    /**
+     * Get (and create) the counters of a player
+     * @param {string} player - Player id
+     * @returns {Uint8Array} Marker count per line
+     * @private
+     */
+    countsOf(player) {
+        if (!this.counts.has(player)) {
+            this.counts.set(player, new Uint8Array(this.index.lineCount));
+        }
+        return this.counts.get(player);
+    }
+
+    /**
+     * Record a placed marker
+     * @param {Array<number>} position - Cell position
+     * @param {string} player - Player id
+     * @returns {number} Id of a line the marker completes, or -1
+     */
+    place(position, player) {
+        return this.placeCell(this.index.indexOf(position), player);
+    }
+
+    /**
+     * Record a placed marker by cell index
+     * @param {number} cell - Cell index
+     * @param {string} player - Player id
+     * @returns {number} Id of a line the marker completes, or -1
+     */
+    placeCell(cell, player) {
+        const counts = this.countsOf(player);
+        let completed = -1;
+
+        for (const line of this.index.getLinesThroughCell(cell)) {
+            counts[line]++;
+            if (counts[line] === this.index.getLineLength(line) && completed === -1) {
+                completed = line;
+            }
+        }
+
+        return completed;
+    }
+
+    /**
+     * Record an undone marker
+     * @param {Array<number>} position - Cell position
+     * @param {string} player - Player id
+     */
+    remove(position, player) {
+        const counts = this.countsOf(player);
+        for (const line of this.index.getLinesThroughCell(this.index.indexOf(position))) {
+            counts[line]--;
+        }
+    }
+
+    /**
+     * Get the counters after a cell changed owner (copy-on-write)
+     * @param {number} cell - Cell index
+     * @param {string|null} previous - Player whose marker left the cell, or null
+     * @param {string|null} player - Player whose marker entered the cell, or null
+     * @returns {LineCounters} New counters (these are unchanged)
+     */
+    withCell(cell, previous, player) {
+        const counts = new Map(this.counts);
+        const lines = this.index.getLinesThroughCell(cell);
+        const update = (owner, delta) => {
+            const ownerCounts = counts.has(owner) ? counts.get(owner).slice() : new Uint8Array(this.index.lineCount);
+            for (const line of lines) {
+                ownerCounts[line] += delta;
+            }
+            counts.set(owner, ownerCounts);
+        };
+
+        if (previous !== null) update(previous, -1);
+        if (player !== null) update(player, 1);
+        return new LineCounters(this.index, counts);
+    }
+
+    /**
+     * Get the counters with two players' markers exchanged (copy-on-write)
+     * @param {string} a - Player id
+     * @param {string} b - Player id
+     * @returns {LineCounters} New counters (these are unchanged)
+     */
+    swapPlayers(a, b) {
+        const counts = new Map(this.counts);
+        counts.delete(a);
+        counts.delete(b);
+        if (this.counts.has(a)) counts.set(b, this.counts.get(a));
+        if (this.counts.has(b)) counts.set(a, this.counts.get(b));
+        return new LineCounters(this.index, counts);
+    }
+
+    /**
+     * Check if a player holds every cell of a line
+     * @param {number} line - Line id
+     * @param {string} player - Player id
+     * @returns {boolean}
+     */
+    isComplete(line, player) {
+        return this.getCount(line, player) === this.index.getLineLength(line);
+    }
+
+    /**
+     * Get the number of a player's markers on a line
+     * @param {number} line - Line id
+     * @param {string} player - Player id
+     * @returns {number}
+     */
+    getCount(line, player) {
+        return this.counts.has(player) ? this.counts.get(player)[line] : 0;
+    }
+}
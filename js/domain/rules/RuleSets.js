@@ -0,0 +1,162 @@
+/**
+ * Pluggable rule sets (victory conditions)
+ * Pure functions, no side effects
+ *
+ * settings.ruleSet selects how a game ends; GameRules.placeMarker places the
+ * marker, then asks the active rule set what the move led to:
+ *
+ *   evaluate(state, position, player) => outcome
+ *     state     game after the marker was placed (turn not passed yet,
+ *               state.scores already updated when countsLines is set)
+ *     outcome   { gamePhase: 'playing' }                     next player's turn
+ *               { gamePhase: 'won', winner, winningLine?, reason }
+ *               { gamePhase: 'lost', winningLine?, reason }  the mover loses
+ *               { gamePhase: 'draw', reason }
+ *
+ * linesLose marks rule sets where completing a line is bad for the mover;
+ * the computer player turns its line heuristics around for them.
+ *
+ * A "line" is a window of winLength consecutive cells in one direction (the
+ * same windows as LineIndex); with countsLines set, GameRules keeps the
+ * number of lines each player completed in state.scores.
+ */
+
+import { WinChecker } from './WinChecker.js';
+
+export const RuleSetId = Object.freeze({
+    STANDARD: 'standard',     // Making a line wins
+    MISERE: 'misere',         // Making a line loses
+    LINE_COUNT: 'line-count', // Most lines when the board is full wins
+    FIRST_TO_K: 'first-to-k', // First to complete targetLines lines wins
+});
+
+// Lines needed to win first-to-K games when settings.targetLines is not set
+export const DEFAULT_TARGET_LINES = 2;
+
+/**
+ * Get the draw outcome of a full board, or null if cells are left
+ * @param {GameState} state - Game state
+ * @returns {Object|null} Outcome
+ */
+function fullBoardDraw(state) {
+    return state.isBoardFull() ? { gamePhase: 'draw', reason: 'board-full' } : null;
+}
+
+const PLAYING = Object.freeze({ gamePhase: 'playing' });
+
+const RULE_SETS = new Map([
+    [RuleSetId.STANDARD, Object.freeze({
+        id: RuleSetId.STANDARD,
+        countsLines: false,
+        linesLose: false,
+        evaluate(state, position, player) {
+            const winningLine = WinChecker.findWinningLine(state.board, position, player, state.settings);
+            if (winningLine) {
+                return { gamePhase: 'won', winner: player, winningLine, reason: 'line' };
+            }
+            return fullBoardDraw(state) || PLAYING;
+        }
+    })],
+
+    [RuleSetId.MISERE, Object.freeze({
+        id: RuleSetId.MISERE,
+        countsLines: false,
+        linesLose: true,
+        evaluate(state, position, player) {
+            const losingLine = WinChecker.findWinningLine(state.board, position, player, state.settings);
+            if (losingLine) {
+                return { gamePhase: 'lost', winningLine: losingLine, reason: 'misere' };
+            }
+            return fullBoardDraw(state) || PLAYING;
+        }
+    })],
+
+    [RuleSetId.LINE_COUNT, Object.freeze({
+        id: RuleSetId.LINE_COUNT,
+        countsLines: true,
+        linesLose: false,
+        evaluate(state) {
+            if (!state.isBoardFull()) {
+                return PLAYING;
+            }
+
+            // Highest score wins; a shared top score is a draw
+            const scores = state.scores || {};
+            const best = Math.max(0, ...Object.values(scores));
+            const leaders = Object.keys(scores).filter(player => scores[player] === best);
+            if (best > 0 && leaders.length === 1) {
+                return { gamePhase: 'won', winner: leaders[0], winningLine: null, reason: 'score' };
+            }
+            return { gamePhase: 'draw', reason: 'score' };
+        }
+    })],
+
+    [RuleSetId.FIRST_TO_K, Object.freeze({
+        id: RuleSetId.FIRST_TO_K,
+        countsLines: true,
+        linesLose: false,
+        evaluate(state, position, player) {
+            const target = state.settings.targetLines ?? DEFAULT_TARGET_LINES;
+            if ((state.scores?.[player] ?? 0) >= target) {
+                const winningLine = WinChecker.findWinningLine(state.board, position, player, state.settings);
+                return { gamePhase: 'won', winner: player, winningLine, reason: 'line-count' };
+            }
+            return fullBoardDraw(state) || PLAYING;
+        }
+    })],
+]);
+
+/**
+ * Rule set registry
+ */
+export class RuleSets {
+    /**
+     * Get the rule set selected by settings
+     * @param {Object} [settings] - Game settings { ruleSet? } (defaults to standard)
+     * @returns {Object} Rule set { id, countsLines, linesLose, evaluate }
+     * @throws {Error} If the rule set is unknown
+     */
+    static get(settings = null) {
+        const id = (settings && settings.ruleSet) || RuleSetId.STANDARD;
+        const ruleSet = RULE_SETS.get(id);
+        if (!ruleSet) {
+            throw new Error(`Unknown rule set: ${id}`);
+        }
+        return ruleSet;
+    }
+
+    /**
+     * Add or replace a rule set
+     * @param {Object} ruleSet - Rule set { id, countsLines?, linesLose?, evaluate }
+     * @throws {Error} If the rule set does not implement the interface
+     */
+    static register(ruleSet) {
+        if (!ruleSet || typeof ruleSet.id !== 'string' || !ruleSet.id || typeof ruleSet.evaluate !== 'function') {
+            throw new Error('Rule sets need an id and an evaluate function');
+        }
+        RULE_SETS.set(ruleSet.id, Object.freeze({ countsLines: false, linesLose: false, ...ruleSet }));
+    }
+
+    /**
+     * Get the ids of every registered rule set
+     * @returns {Array<string>}
+     */
+    static getIds() {
+        return [...RULE_SETS.keys()];
+    }
+
+    /**
+     * Check the rule set settings
+     * @param {Object} settings - Game settings { ruleSet?, targetLines? }
+     * @throws {Error} If the rule set is unknown or targetLines is invalid
+     */
+    static validate(settings) {
+        this.get(settings);
+
+        const { targetLines } = settings;
+        if (targetLines !== undefined && targetLines !== null &&
+            (!Number.isInteger(targetLines) || targetLines < 1)) {
+            throw new Error(`Invalid target lines: ${targetLines}`);
+        }
+    }
+}
@@ -0,0 +1,87 @@
+/**
+ * Swap ("pie") rule for opening balancing
+ * Pure functions, no side effects
+ *
+ * The first player has a large advantage. With settings.swapMoves = N,
+ * once N moves have been played the player to move may swap sides instead
+ * of moving: every marker on the board changes owner (X's become O's and
+ * vice versa), line scores follow, and the other player moves next. The
+ * opener therefore wants an opening that is neither too strong nor too
+ * weak. The swap is recorded in the move history as a move without a
+ * position: { swap: true, player, timestamp }.
+ *
+ * The rule needs exactly two players.
+ */
+
+/**
+ * Count the players of a game
+ * @param {Object} settings - Game settings { players? }
+ * @returns {number} Player count (two when settings do not list players)
+ */
+function countPlayers(settings) {
+    return settings.players ? settings.players.length : 2;
+}
+
+/**
+ * SwapRule class
+ */
+export class SwapRule {
+    /**
+     * Get the number of moves after which a swap is offered
+     * @param {Object} [settings] - Game settings { swapMoves?, players? }
+     * @returns {number|null} Move count, or null when the rule is off
+     */
+    static getMoves(settings = null) {
+        const moves = settings ? settings.swapMoves : null;
+        if (!Number.isInteger(moves) || moves < 1 || countPlayers(settings) !== 2) {
+            return null;
+        }
+        return moves;
+    }
+
+    /**
+     * Check the swap rule setting
+     * @param {Object} settings - Game settings { swapMoves?, players? }
+     * @throws {Error} If the move count is invalid or the game does not have two players
+     */
+    static validate(settings) {
+        const moves = settings.swapMoves;
+        if (moves === undefined || moves === null) {
+            return;
+        }
+        if (!Number.isInteger(moves) || moves < 1) {
+            throw new Error(`Invalid swap move count: ${moves}`);
+        }
+        if (countPlayers(settings) !== 2) {
+            throw new Error('The swap rule needs exactly two players');
+        }
+    }
+
+    /**
+     * Check if a history entry is a swap rather than a placed marker
+     * @param {Object} move - Move history entry
+     * @returns {boolean}
+     */
+    static isSwap(move) {
+        return Boolean(move && move.swap);
+    }
+
+    /**
+     * Check if the player to move may swap sides now
+     * @param {GameState|Object} state - Current state (the plain game slice works too)
+     * @returns {boolean} True right after the opening moves of a game with the rule on
+     */
+    static canSwap(state) {
+        const moves = this.getMoves(state.settings);
+        return moves !== null && state.gamePhase === 'playing' && state.moveHistory.length === moves;
+    }
+
+    /**
+     * Get the placed markers of a move history (swaps left out)
+     * @param {Array<Object>} moves - Move history
+     * @returns {Array<{position: Array<number>, player: string}>}
+     */
+    static getPlacements(moves) {
+        return moves.filter(move => !this.isSwap(move));
+    }
+}
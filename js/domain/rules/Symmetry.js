@@ -0,0 +1,329 @@
+/**
+ * Symmetries of the N-dimensional board
+ * Pure functions, no side effects
+ *
+ * The N-cube has 2^N * N! symmetries: every permutation of the axes,
+ * combined with mirroring any subset of them. A symmetry maps a position
+ * to its image like this:
+ *   image[axis] = reflect[axis] ? gridSize - 1 - p[permutation[axis]]
+ *                               : p[permutation[axis]]
+ * Lines map to lines, so a position and its images are equivalent games.
+ *
+ * Symmetries are plain frozen objects { permutation, reflect }; the
+ * identity comes first in enumeration order.
+ *
+ * On boards with per-axis sizes (see GridShape.js) only axes of equal size
+ * can be swapped, so those boards have fewer symmetries.
+ */
+
+import { GridShape } from '../state/GridShape.js';
+import { SwapRule } from './SwapRule.js';
+
+// Owner of a blocked cell in canonical keys (player ids are never empty)
+const BLOCKED_OWNER = '';
+
+// Enumerated symmetries per dimension count
+const symmetryCache = new Map();
+
+/**
+ * Symmetry class
+ */
+export class Symmetry {
+    /**
+     * Get the number of symmetries of a board with equal axes
+     * @param {number} dimensions - Number of dimensions
+     * @returns {number} 2^N * N!
+     */
+    static count(dimensions) {
+        let factorial = 1;
+        for (let i = 2; i <= dimensions; i++) {
+            factorial *= i;
+        }
+        return Math.pow(2, dimensions) * factorial;
+    }
+
+    /**
+     * Get every symmetry (cached)
+     * The list grows as 2^N * N! (46080 for 6D), prefer forEach beyond that
+     * @param {number} dimensions - Number of dimensions
+     * @param {number|Array<number>|null} [gridSize] - Per-axis sizes limit the axis swaps (null = equal axes)
+     * @returns {Array<{permutation: Array<number>, reflect: Array<boolean>}>}
+     */
+    static getAll(dimensions, gridSize = null) {
+        const key = gridSize === null || GridShape.isUniform(gridSize)
+            ? String(dimensions)
+            : `${dimensions}/${GridShape.format(gridSize)}`;
+        if (!symmetryCache.has(key)) {
+            const symmetries = [];
+            this.forEach(dimensions, symmetry => symmetries.push(symmetry), gridSize);
+            symmetryCache.set(key, Object.freeze(symmetries));
+        }
+        return symmetryCache.get(key);
+    }
+
+    /**
+     * Call fn for every symmetry without keeping the list
+     * @param {number} dimensions - Number of dimensions
+     * @param {Function} fn - Receives each symmetry
+     * @param {number|Array<number>|null} [gridSize] - Per-axis sizes limit the axis swaps (null = equal axes)
+     */
+    static forEach(dimensions, fn, gridSize = null) {
+        const axes = Array.from({ length: dimensions }, (_, axis) => axis);
+        const reflectionCount = 1 << dimensions;
+        const sizes = gridSize === null ? null : GridShape.getSizes(dimensions, gridSize);
+
+        forEachPermutation(axes, 0, (permutation) => {
+            if (sizes && permutation.some((source, axis) => sizes[source] !== sizes[axis])) {
+                return;
+            }
+            for (let mask = 0; mask < reflectionCount; mask++) {
+                fn(createSymmetry(
+                    [...permutation],
+                    permutation.map((_, axis) => (mask & (1 << axis)) !== 0)
+                ));
+            }
+        });
+    }
+
+    /**
+     * Get the identity symmetry
+     * @param {number} dimensions - Number of dimensions
+     * @returns {{permutation: Array<number>, reflect: Array<boolean>}}
+     */
+    static identity(dimensions) {
+        return createSymmetry(
+            Array.from({ length: dimensions }, (_, axis) => axis),
+            new Array(dimensions).fill(false)
+        );
+    }
+
+    /**
+     * Check if a symmetry leaves every position in place
+     * @param {Object} symmetry - Symmetry
+     * @returns {boolean}
+     */
+    static isIdentity(symmetry) {
+        return symmetry.permutation.every((source, axis) => source === axis && !symmetry.reflect[axis]);
+    }
+
+    /**
+     * Get the symmetry that undoes another
+     * @param {Object} symmetry - Symmetry
+     * @returns {{permutation: Array<number>, reflect: Array<boolean>}}
+     */
+    static invert(symmetry) {
+        const permutation = new Array(symmetry.permutation.length);
+        const reflect = new Array(symmetry.permutation.length);
+
+        symmetry.permutation.forEach((source, axis) => {
+            permutation[source] = axis;
+            reflect[source] = symmetry.reflect[axis];
+        });
+
+        return createSymmetry(permutation, reflect);
+    }
+
+    /**
+     * Map a position
+     * @param {Object} symmetry - Symmetry
+     * @param {Array<number>} position - Position
+     * @param {number|Array<number>} gridSize - Size of grid in each dimension, or per-axis sizes
+     * @returns {Array<number>} Image position
+     */
+    static applyToPosition(symmetry, position, gridSize) {
+        return symmetry.permutation.map((source, axis) => {
+            const coord = position[source];
+            return symmetry.reflect[axis] ? GridShape.getSize(gridSize, axis) - 1 - coord : coord;
+        });
+    }
+
+    /**
+     * Map every marker of a board
+     * @param {Object} symmetry - Symmetry
+     * @param {BoardState} board - Board state
+     * @returns {BoardState} Image board
+     */
+    static applyToBoard(symmetry, board) {
+        if (this.isIdentity(symmetry)) {
+            return board;
+        }
+        return board.mapPositions(position => this.applyToPosition(symmetry, position, board.gridSize));
+    }
+
+    /**
+     * Map the positions of a move history (other move fields are kept;
+     * swap entries have no position and stay as they are, see SwapRule.js)
+     * @param {Object} symmetry - Symmetry
+     * @param {Array<Object>} moves - Moves (placed markers and swaps)
+     * @param {number|Array<number>} gridSize - Size of grid in each dimension, or per-axis sizes
+     * @returns {Array<Object>} Image moves
+     */
+    static applyToMoves(symmetry, moves, gridSize) {
+        return moves.map(move => SwapRule.isSwap(move) ? move : {
+            ...move,
+            position: this.applyToPosition(symmetry, move.position, gridSize)
+        });
+    }
+
+    /**
+     * Get the canonical form of a board: the same board for every image
+     * The form is the image whose markers and blocked cells, listed by cell
+     * index, come first in order (earlier cell indices first, then owners),
+     * so boards with the same markers but different holes stay apart
+     * @param {BoardState} board - Board state
+     * @returns {{board: BoardState, symmetry: Object}} Canonical board and
+     *          the symmetry that maps the given board to it
+     */
+    static canonicalize(board) {
+        const { dimensions, gridSize } = board;
+        const markers = [];
+        board.forEachMarker((index, player) => {
+            markers.push({ position: board.positionOf(index), player });
+        });
+        board.forEachBlocked((index) => {
+            markers.push({ position: board.positionOf(index), player: BLOCKED_OWNER });
+        });
+
+        let best = null;
+        let bestKey = null;
+        this.forEach(dimensions, (symmetry) => {
+            const key = markers
+                .map(({ position, player }) => ({
+                    index: indexOf(this.applyToPosition(symmetry, position, gridSize), gridSize),
+                    player
+                }))
+                .sort(compareMarkers);
+
+            if (!bestKey || compareKeys(key, bestKey) < 0) {
+                best = symmetry;
+                bestKey = key;
+            }
+        }, gridSize);
+
+        return { board: this.applyToBoard(best, board), symmetry: best };
+    }
+
+    /**
+     * Get the canonical form of a move history: the same moves for every image
+     * The form is the image whose cell indices, in move order, come first
+     * (a swap is the same in every image and counts as index -1)
+     * @param {Array<Object>} moves - Moves (placed markers and swaps)
+     * @param {Object} settings - Game settings { dimensions, gridSize }
+     * @returns {{moves: Array<Object>, symmetry: Object}} Canonical moves and
+     *          the symmetry that maps the given moves to them
+     */
+    static canonicalizeMoves(moves, settings) {
+        const { dimensions, gridSize } = settings;
+
+        let best = null;
+        let bestKey = null;
+        this.forEach(dimensions, (symmetry) => {
+            const key = moves.map(move => SwapRule.isSwap(move)
+                ? -1
+                : indexOf(this.applyToPosition(symmetry, move.position, gridSize), gridSize));
+
+            if (!bestKey || compareSequences(key, bestKey) < 0) {
+                best = symmetry;
+                bestKey = key;
+            }
+        }, gridSize);
+
+        return { moves: this.applyToMoves(best, moves, gridSize), symmetry: best };
+    }
+
+    /**
+     * Check if two boards are images of each other
+     * @param {BoardState} a - Board state
+     * @param {BoardState} b - Board state
+     * @returns {boolean}
+     */
+    static areEquivalent(a, b) {
+        if (a.dimensions !== b.dimensions || !GridShape.equals(a.dimensions, a.gridSize, b.gridSize)) {
+            return false;
+        }
+        if (a.getFilledCount() !== b.getFilledCount()) {
+            return false;
+        }
+        return this.canonicalize(a).board.getHash() === this.canonicalize(b).board.getHash();
+    }
+}
+
+/**
+ * Create a frozen symmetry object
+ * @param {Array<number>} permutation - Source axis of each image axis
+ * @param {Array<boolean>} reflect - Whether each image axis is mirrored
+ * @returns {{permutation: Array<number>, reflect: Array<boolean>}}
+ */
+function createSymmetry(permutation, reflect) {
+    return Object.freeze({
+        permutation: Object.freeze(permutation),
+        reflect: Object.freeze(reflect)
+    });
+}
+
+/**
+ * Call fn for every permutation of items (in place, swap-based)
+ * Starts with the items in their given order
+ * @param {Array<number>} items - Items to permute
+ * @param {number} start - First position still free
+ * @param {Function} fn - Receives the (reused) permutation array
+ */
+function forEachPermutation(items, start, fn) {
+    if (start >= items.length - 1) {
+        fn(items);
+        return;
+    }
+    for (let i = start; i < items.length; i++) {
+        [items[start], items[i]] = [items[i], items[start]];
+        forEachPermutation(items, start + 1, fn);
+        [items[start], items[i]] = [items[i], items[start]];
+    }
+}
+
+/**
+ * Get the row-major cell index of a position
+ * @param {Array<number>} position - Position
+ * @param {number|Array<number>} gridSize - Size of grid in each dimension, or per-axis sizes
+ * @returns {number} Cell index
+ */
+function indexOf(position, gridSize) {
+    return position.reduce((index, coord, axis) => index * GridShape.getSize(gridSize, axis) + coord, 0);
+}
+
+/**
+ * Order markers by cell index, then player id
+ * @param {{index: number, player: string}} a - Marker
+ * @param {{index: number, player: string}} b - Marker
+ * @returns {number}
+ */
+function compareMarkers(a, b) {
+    if (a.index !== b.index) return a.index - b.index;
+    return a.player < b.player ? -1 : a.player > b.player ? 1 : 0;
+}
+
+/**
+ * Compare two sorted marker lists of equal length
+ * @param {Array<Object>} a - Markers
+ * @param {Array<Object>} b - Markers
+ * @returns {number}
+ */
+function compareKeys(a, b) {
+    for (let i = 0; i < a.length; i++) {
+        const order = compareMarkers(a[i], b[i]);
+        if (order !== 0) return order;
+    }
+    return 0;
+}
+
+/**
+ * Compare two number sequences of equal length
+ * @param {Array<number>} a - Sequence
+ * @param {Array<number>} b - Sequence
+ * @returns {number}
+ */
+function compareSequences(a, b) {
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return 0;
+}
@@ -0,0 +1,91 @@
+/**
+ * Chess-clock time control
+ * Pure functions, no side effects
+ *
+ * settings.timeControl is null (no clock) or { baseMs, incrementMs }: every
+ * player starts with baseMs, only the player to move loses time, and a
+ * player gains incrementMs after each of their moves. A player whose clock
+ * reaches zero loses the game (GameRules.timeout).
+ */
+
+/**
+ * TimeControl class
+ */
+export class TimeControl {
+    /**
+     * Validate a time control setting
+     * @param {Object|null|undefined} timeControl - { baseMs, incrementMs } or null
+     * @returns {{baseMs: number, incrementMs: number}|null} Normalized time control (null = no clock)
+     * @throws {Error} If the base time or increment is invalid
+     */
+    static normalize(timeControl) {
+        if (timeControl === null || timeControl === undefined) {
+            return null;
+        }
+
+        const { baseMs, incrementMs = 0 } = timeControl;
+        if (!Number.isFinite(baseMs) || baseMs <= 0) {
+            throw new Error(`Invalid base time: ${baseMs}`);
+        }
+        if (!Number.isFinite(incrementMs) || incrementMs < 0) {
+            throw new Error(`Invalid time increment: ${incrementMs}`);
+        }
+        return { baseMs, incrementMs };
+    }
+
+    /**
+     * Create full clocks for every player
+     * @param {Object} settings - Game settings { timeControl?, players? }
+     * @param {Array<string>} players - Players in turn order
+     * @returns {Object|null} Player id -> milliseconds left, or null without a time control
+     */
+    static createClocks(settings, players) {
+        const timeControl = settings && settings.timeControl;
+        if (!timeControl) {
+            return null;
+        }
+        return Object.fromEntries(players.map(player => [player, timeControl.baseMs]));
+    }
+
+    /**
+     * Take elapsed time off a player's clock
+     * @param {Object} clocks - Player id -> milliseconds left
+     * @param {string} player - Player to move
+     * @param {number} elapsedMs - Time spent
+     * @returns {Object} New clocks (never below zero)
+     */
+    static charge(clocks, player, elapsedMs) {
+        return { ...clocks, [player]: Math.max(0, clocks[player] - Math.max(0, elapsedMs)) };
+    }
+
+    /**
+     * Credit the increment after a player's move
+     * @param {Object} clocks - Player id -> milliseconds left
+     * @param {string} player - Player who moved
+     * @param {Object} settings - Game settings { timeControl }
+     * @returns {Object} New clocks
+     */
+    static addIncrement(clocks, player, settings) {
+        const incrementMs = settings.timeControl ? settings.timeControl.incrementMs : 0;
+        if (!incrementMs || !(player in clocks)) {
+            return clocks;
+        }
+        return { ...clocks, [player]: clocks[player] + incrementMs };
+    }
+
+    /**
+     * Format a clock for display
+     * @param {number} ms - Milliseconds left
+     * @returns {string} "m:ss", or "s.t" under ten seconds
+     */
+    static format(ms) {
+        const clamped = Math.max(0, ms);
+        if (clamped < 10000) {
+            return (Math.floor(clamped / 100) / 10).toFixed(1);
+        }
+        const totalSeconds = Math.floor(clamped / 1000);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+    }
+}
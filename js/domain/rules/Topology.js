@@ -0,0 +1,107 @@
+/**
+ * Board topology (bounded or toroidal)
+ * Pure functions, no side effects
+ *
+ * settings.topology selects what lies beyond the edge of the board:
+ * - 'bounded' nothing: lines stop at the edges (default)
+ * - 'torus'   the opposite edge: every axis wraps around, so lines continue
+ *             on the other side and every cell is equivalent
+ *
+ * On a torus the cells along a direction form a cycle. A line is still a
+ * window of consecutive cells of that cycle; a window as long as the whole
+ * cycle (a full circle) is one line, whichever cell it is read from.
+ */
+
+import { GridShape } from '../state/GridShape.js';
+
+export const TopologyId = Object.freeze({
+    BOUNDED: 'bounded', // Lines stop at the edges
+    TORUS: 'torus',     // Every axis wraps around
+});
+
+// Smallest axis a torus may have: on shorter axes a step forward and a
+// step backward reach the same cell, so different directions share lines
+export const MIN_TORUS_SIZE = 3;
+
+/**
+ * Greatest common divisor
+ * @param {number} a - Positive integer
+ * @param {number} b - Positive integer
+ * @returns {number}
+ */
+function gcd(a, b) {
+    return b === 0 ? a : gcd(b, a % b);
+}
+
+/**
+ * Topology class
+ */
+export class Topology {
+    /**
+     * Get the topology of a game
+     * @param {Object} [settings] - Game settings { topology? }
+     * @returns {string} TopologyId value (unknown ids read as bounded)
+     */
+    static getId(settings = null) {
+        return settings && settings.topology === TopologyId.TORUS ? TopologyId.TORUS : TopologyId.BOUNDED;
+    }
+
+    /**
+     * Check if the board of a game wraps around
+     * @param {Object} [settings] - Game settings { topology? }
+     * @returns {boolean}
+     */
+    static isTorus(settings = null) {
+        return this.getId(settings) === TopologyId.TORUS;
+    }
+
+    /**
+     * Check the topology setting
+     * @param {Object} settings - Game settings { dimensions, gridSize, topology? }
+     * @throws {Error} If the topology is unknown or a torus axis is too short
+     */
+    static validate(settings) {
+        const topology = settings.topology;
+        if (topology === undefined || topology === null) {
+            return;
+        }
+        if (!Object.values(TopologyId).includes(topology)) {
+            throw new Error(`Unknown topology: ${topology}`);
+        }
+        if (topology === TopologyId.TORUS &&
+            GridShape.getSizes(settings.dimensions, settings.gridSize).some(size => size < MIN_TORUS_SIZE)) {
+            throw new Error(`Torus boards need at least ${MIN_TORUS_SIZE} cells per axis`);
+        }
+    }
+
+    /**
+     * Bring a position back onto the torus
+     * @param {Array<number>} position - Position, possibly past an edge
+     * @param {number|Array<number>} gridSize - Size of grid in each dimension, or per-axis sizes
+     * @returns {Array<number>} Position with every coordinate in range
+     */
+    static wrap(position, gridSize) {
+        return position.map((coord, axis) => {
+            const size = GridShape.getSize(gridSize, axis);
+            return ((coord % size) + size) % size;
+        });
+    }
+
+    /**
+     * Get the number of cells of the cycle a direction traces on the torus
+     * (the steps after which it returns to its start)
+     * @param {number|Array<number>} gridSize - Size of grid in each dimension, or per-axis sizes
+     * @param {Array<number>} direction - Direction vector
+     * @returns {number} Least common multiple of the sizes of the axes the direction moves along
+     */
+    static getCycleLength(gridSize, direction) {
+        let length = 1;
+        direction.forEach((step, axis) => {
+            if (step !== 0) {
+                const size = GridShape.getSize(gridSize, axis);
+                length = length / gcd(length, size) * size;
+            }
+        });
+        return length;
+    }
+}
@@ -1,31 +1,254 @@
 /**
  * Win condition checker for N-dimensional Tic-Tac-Toe
  * Pure functions, no side effects
+ *
+ * Two interchangeable engines answer findWinningLine / hasWinningLine,
+ * chosen per game by settings.winEngine:
+ * - 'scan'  walks every canonical direction from the placed cell (default)
+ * - 'index' looks up the precomputed lines through the cell (LineIndex)
+ *           and reads the per-line marker counts the board keeps up to
+ *           date as markers are placed and undone (BoardState.withLineIndex);
+ *           faster for 5D+ boards once the index is built
+ *
+ * On boards with per-axis sizes a line needs min(winLength, span) cells,
+ * where the span is the smallest axis its direction moves along (see
+ * getLineLength).
+ *
+ * On a torus (settings.topology, see Topology.js) lines continue past the
+ * edges on the opposite side, and a line running the full circle is
+ * counted once.
  */
 
+import { LineIndex } from './LineIndex.js';
+import { Topology } from './Topology.js';
+import { GridShape } from '../state/GridShape.js';
+
+export const WinEngine = {
+    SCAN: 'scan',
+    INDEX: 'index',
+};
+
+// Line indexes per "dimensions/gridSize/winLength/topology" (built on first use).
+// Large boards take hundreds of MB, so only the most recently used few are
+// kept (the map's insertion order is the use order)
+const LINE_INDEX_CACHE_SIZE = 4;
+const lineIndexCache = new Map();
+
 /**
  * Win checker class
  */
 export class WinChecker {
+    /**
+     * Get the engine a game checks wins with
+     * @param {Object} [settings] - Game settings { winEngine? }
+     * @returns {string} WinEngine value (unknown or missing engines read as scan)
+     */
+    static getEngine(settings = null) {
+        return settings && settings.winEngine === WinEngine.INDEX ? WinEngine.INDEX : WinEngine.SCAN;
+    }
+
+    /**
+     * Check the win engine setting
+     * @param {Object} settings - Game settings { winEngine? }
+     * @throws {Error} If the engine is unknown
+     */
+    static validateEngine(settings) {
+        const engine = settings.winEngine;
+        if (engine !== undefined && engine !== null && !Object.values(WinEngine).includes(engine)) {
+            throw new Error(`Unknown win engine: ${engine}`);
+        }
+    }
+
     /**
      * Check if a position results in a winning line
      * @param {BoardState} board - Current board state
      * @param {Array<number>} position - Position of last placed marker
      * @param {string} player - Player who placed the marker
-     * @param {Object} settings - Game settings { dimensions, gridSize }
+     * @param {Object} settings - Game settings { dimensions, gridSize, winLength }
      * @returns {boolean} True if this position creates a winning line
      */
     static hasWinningLine(board, position, player, settings) {
-        const directions = this.generateDirections(settings.dimensions);
-        const winLength = settings.gridSize;
+        return this.findWinningLine(board, position, player, settings) !== null;
+    }
+
+    /**
+     * Find the winning line through a position
+     * Only canonical directions are scanned since d and -d describe the same line
+     * @param {BoardState} board - Current board state
+     * @param {Array<number>} position - Position of last placed marker
+     * @param {string} player - Player who placed the marker
+     * @param {Object} settings - Game settings { dimensions, gridSize, winLength, topology?, winEngine? }
+     * @returns {{cells: Array<Array<number>>, direction: Array<number>}|null}
+     *          Every consecutive cell of the line (ordered along direction), or null
+     */
+    static findWinningLine(board, position, player, settings) {
+        if (this.getEngine(settings) === WinEngine.INDEX) {
+            return this.findWinningLineIndexed(board, position, player, settings);
+        }
+
+        const directions = this.generateCanonicalDirections(settings.dimensions);
+        const torus = Topology.isTorus(settings);
 
         for (const direction of directions) {
-            if (this.checkDirection(board, position, player, direction, winLength)) {
-                return true;
+            const cells = this.collectLine(board, position, player, direction, torus);
+            if (cells.length >= this.getLineLength(settings, direction)) {
+                return { cells, direction };
             }
         }
 
-        return false;
+        return null;
+    }
+
+    /**
+     * Count the lines a player completed with the marker at a position
+     * Every window of winLength cells through the position that the player
+     * fills counts once, so a run longer than winLength scores each window
+     * @param {BoardState} board - Current board state
+     * @param {Array<number>} position - Position of last placed marker
+     * @param {string} player - Player who placed the marker
+     * @param {Object} settings - Game settings { dimensions, gridSize, winLength, topology? }
+     * @returns {number} Number of completed lines through the position
+     */
+    static countCompletedLines(board, position, player, settings) {
+        const torus = Topology.isTorus(settings);
+        let count = 0;
+
+        for (const direction of this.generateCanonicalDirections(settings.dimensions)) {
+            const length = this.getLineLength(settings, direction);
+            for (const window of this.getWindowsThrough(position, direction, length, settings.gridSize, torus)) {
+                if (window.every(cell => board.get(cell) === player)) {
+                    count++;
+                }
+            }
+        }
+
+        return count;
+    }
+
+    /**
+     * Find the winning line through a position using the line index
+     * Returns the same result as the scan engine (directions are tried in the same order).
+     * Boards of a game with the index engine keep their line counts; other
+     * boards get them counted first
+     * @param {BoardState} board - Current board state
+     * @param {Array<number>} position - Position of last placed marker
+     * @param {string} player - Player who placed the marker
+     * @param {Object} settings - Game settings { dimensions, gridSize, winLength, topology? }
+     * @returns {{cells: Array<Array<number>>, direction: Array<number>}|null}
+     */
+    static findWinningLineIndexed(board, position, player, settings) {
+        const index = this.getLineIndex(settings);
+        const counters = board.withLineIndex(index).getLineCounters();
+
+        for (const line of index.getLinesThrough(position)) {
+            if (counters.isComplete(line, player)) {
+                const direction = index.getDirection(line);
+                return {
+                    cells: this.collectLine(board, position, player, direction, Topology.isTorus(settings)),
+                    direction
+                };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the (cached) line index for a board
+     * The least recently used index is dropped once more than
+     * LINE_INDEX_CACHE_SIZE board shapes are in use
+     * @param {Object} settings - Game settings { dimensions, gridSize, winLength, topology? }
+     * @returns {LineIndex}
+     */
+    static getLineIndex(settings) {
+        const winLength = this.getWinLength(settings);
+        const topology = Topology.getId(settings);
+        const key = `${settings.dimensions}/${GridShape.format(settings.gridSize)}/${winLength}/${topology}`;
+
+        let index = lineIndexCache.get(key);
+        if (index) {
+            lineIndexCache.delete(key);
+        } else {
+            index = new LineIndex(
+                settings.dimensions,
+                settings.gridSize,
+                winLength,
+                this.generateCanonicalDirections(settings.dimensions),
+                Topology.isTorus(settings)
+            );
+            if (lineIndexCache.size >= LINE_INDEX_CACHE_SIZE) {
+                lineIndexCache.delete(lineIndexCache.keys().next().value);
+            }
+        }
+        lineIndexCache.set(key, index);
+        return index;
+    }
+
+    /**
+     * Collect the run of consecutive markers through a position along a direction
+     * @param {BoardState} board - Board state
+     * @param {Array<number>} start - Position inside the run
+     * @param {string} player - Player to check
+     * @param {Array<number>} direction - Direction vector
+     * @param {boolean} [torus] - Wrap around the edges (see Topology.js)
+     * @returns {Array<Array<number>>} Cells ordered from the negative to the positive end
+     *          (a full circle on a torus starts at `start`)
+     */
+    static collectLine(board, start, player, direction, torus = false) {
+        const after = this.countInDirection(board, start, player, direction, board.gridSize, 1, torus);
+        const before = this.countBehind(board, start, player, direction, after, torus);
+        const cells = [];
+
+        for (let step = -before; step <= after; step++) {
+            const cell = start.map((coord, i) => coord + direction[i] * step);
+            cells.push(torus ? Topology.wrap(cell, board.gridSize) : cell);
+        }
+
+        return cells;
+    }
+
+    /**
+     * Count the markers of a run behind a position, given the count ahead of it
+     * On a torus a full circle is seen from both sides; its cells are only
+     * counted ahead, so no cell is counted twice
+     * @param {BoardState} board - Board state
+     * @param {Array<number>} start - Position inside the run
+     * @param {string} player - Player to check
+     * @param {Array<number>} direction - Direction vector
+     * @param {number} ahead - Markers already counted in the direction
+     * @param {boolean} torus - Wrap around the edges
+     * @returns {number} Markers behind the position
+     * @private
+     */
+    static countBehind(board, start, player, direction, ahead, torus) {
+        const behind = this.countInDirection(board, start, player, direction, board.gridSize, -1, torus);
+        if (!torus) {
+            return behind;
+        }
+        return Math.min(behind, Topology.getCycleLength(board.gridSize, direction) - 1 - ahead);
+    }
+
+    /**
+     * Get the number of markers in a row needed to win
+     * Defaults to the grid size (the longest axis) and never exceeds it
+     * @param {Object} settings - Game settings { gridSize, winLength }
+     * @returns {number} Required line length
+     */
+    static getWinLength(settings) {
+        const maxSize = GridShape.getMaxSize(settings.gridSize);
+        return Math.min(settings.winLength ?? maxSize, maxSize);
+    }
+
+    /**
+     * Get the number of markers in a row needed to win along a direction
+     * The win length, bounded by the axes the direction moves along (equal
+     * to getWinLength on boards whose axes all have the same size)
+     * @param {Object} settings - Game settings { gridSize, winLength }
+     * @param {Array<number>} direction - Direction vector
+     * @returns {number} Required line length
+     */
+    static getLineLength(settings, direction) {
+        return Math.min(this.getWinLength(settings), GridShape.getSpan(settings.gridSize, direction));
     }
 
     /**
@@ -35,16 +258,18 @@ export class WinChecker {
      * @param {string} player - Player to check
      * @param {Array<number>} direction - Direction vector
      * @param {number} winLength - Required length to win
+     * @param {boolean} [torus] - Wrap around the edges (see Topology.js)
      * @returns {boolean}
      */
-    static checkDirection(board, start, player, direction, winLength) {
+    static checkDirection(board, start, player, direction, winLength, torus = false) {
         let count = 1; // Count the starting position
 
         // Check positive direction
-        count += this.countInDirection(board, start, player, direction, board.gridSize, 1);
+        const ahead = this.countInDirection(board, start, player, direction, board.gridSize, 1, torus);
+        count += ahead;
 
         // Check negative direction
-        count += this.countInDirection(board, start, player, direction, board.gridSize, -1);
+        count += this.countBehind(board, start, player, direction, ahead, torus);
 
         return count >= winLength;
     }
@@ -55,22 +280,32 @@ export class WinChecker {
      * @param {Array<number>} start - Starting position
      * @param {string} player - Player to check
      * @param {Array<number>} direction - Direction vector
-     * @param {number} gridSize - Grid size (for bounds checking)
+     * @param {number|Array<number>} gridSize - Grid size or per-axis sizes (for bounds checking)
      * @param {number} multiplier - Direction multiplier (1 or -1)
-     * @returns {number} Count of consecutive markers
+     * @param {boolean} [torus] - Wrap around the edges instead of stopping at them
+     * @returns {number} Count of consecutive markers (on a torus at most the
+     *          cycle length - 1: the walk stops when it is back at the start)
      */
-    static countInDirection(board, start, player, direction, gridSize, multiplier) {
+    static countInDirection(board, start, player, direction, gridSize, multiplier, torus = false) {
+        const maxCount = torus ? Topology.getCycleLength(gridSize, direction) - 1 : Infinity;
         let count = 0;
         let current = [...start];
 
-        while (true) {
+        while (count < maxCount) {
             // Move in direction
             for (let i = 0; i < current.length; i++) {
                 current[i] += direction[i] * multiplier;
             }
 
-            // Check bounds
-            if (!this.isInBounds(current, gridSize)) {
+            // Wrap around (torus) or check bounds
+            if (torus) {
+                current = Topology.wrap(current, gridSize);
+            } else if (!this.isInBounds(current, gridSize)) {
+                break;
+            }
+
+            // Blocked cells (holes in the board) break every line through them
+            if (board.isBlocked(current)) {
                 break;
             }
 
@@ -89,11 +324,11 @@ export class WinChecker {
     /**
      * Check if position is within bounds
      * @param {Array<number>} position - Position to check
-     * @param {number} gridSize - Grid size
+     * @param {number|Array<number>} gridSize - Grid size or per-axis sizes
      * @returns {boolean}
      */
     static isInBounds(position, gridSize) {
-        return position.every(coord => coord >= 0 && coord < gridSize);
+        return position.every((coord, axis) => coord >= 0 && coord < GridShape.getSize(gridSize, axis));
     }
 
     /**
@@ -133,4 +368,65 @@ export class WinChecker {
     static getDirectionCount(dimensions) {
         return Math.pow(3, dimensions) - 1;
     }
+
+    /**
+     * Generate one direction vector per line orientation
+     * d and -d describe the same line, so only vectors whose first
+     * non-zero component is positive are kept ((3^N - 1) / 2 directions)
+     * @param {number} dimensions - Number of dimensions
+     * @returns {Array<Array<number>>} Array of canonical direction vectors
+     */
+    static generateCanonicalDirections(dimensions) {
+        return this.generateDirections(dimensions).filter(direction => {
+            const firstNonZero = direction.find(v => v !== 0);
+            return firstNonZero === 1;
+        });
+    }
+
+    /**
+     * Get every in-bounds window of `length` consecutive cells along a
+     * direction that contains the given position
+     * On a torus windows wrap around the edges; a window covering the whole
+     * cycle is returned once, starting where the first axis the direction
+     * moves along is 0 (the same window from every cell of the cycle)
+     * @param {Array<number>} position - Position contained in each window
+     * @param {Array<number>} direction - Direction vector
+     * @param {number} length - Window length (cells needed to win)
+     * @param {number|Array<number>} gridSize - Grid size or per-axis sizes (for bounds checking)
+     * @param {boolean} [torus] - Wrap around the edges (see Topology.js)
+     * @returns {Array<Array<Array<number>>>} Windows as ordered cell lists
+     */
+    static getWindowsThrough(position, direction, length, gridSize, torus = false) {
+        const cellAt = step => position.map((coord, i) => coord + direction[i] * step);
+
+        if (torus && length >= Topology.getCycleLength(gridSize, direction)) {
+            const axis = direction.findIndex(step => step !== 0);
+            const first = -position[axis] * direction[axis];
+            return [Array.from({ length }, (_, i) => Topology.wrap(cellAt(first + i), gridSize))];
+        }
+
+        const windows = [];
+
+        for (let offset = 0; offset < length; offset++) {
+            const window = [];
+
+            for (let step = -offset; step < length - offset; step++) {
+                const cell = cellAt(step);
+                if (torus) {
+                    window.push(Topology.wrap(cell, gridSize));
+                    continue;
+                }
+                if (!this.isInBounds(cell, gridSize)) {
+                    break;
+                }
+                window.push(cell);
+            }
+
+            if (window.length === length) {
+                windows.push(window);
+            }
+        }
+
+        return windows;
+    }
 }
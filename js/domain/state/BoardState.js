@@ -1,8 +1,67 @@
 /**
  * Immutable board state
- * Handles both Array and Map storage strategies
+ * Every dimension count uses one flat Uint8Array of player codes
+ *
+ * Cells are numbered row-major (the last coordinate varies fastest), the
+ * same numbering as LineIndex:
+ *   index = ((c0 * size1 + c1) * size2 + c2) ...
+ * where sizeK is the size of axis K (see GridShape.js; every axis has
+ * gridSize cells unless gridSize is a per-axis vector).
+ * A cell holds 0 when empty, otherwise 1 + the index of its player in the
+ * board's player table. Boards derived with set() share the player table
+ * and copy the cell array only when writing (copy-on-write).
+ * The Zobrist hash (see Zobrist.js) is kept up to date by set().
+ *
+ * Custom board shapes block cells (holes): a blocked cell holds no marker,
+ * can never be played and does not count towards a full board. The mask is
+ * a second Uint8Array (1 = blocked) shared by every derived board.
+ *
+ * A board may also keep per-line marker counts for the index win engine
+ * (see withLineIndex and LineIndex.js); set() updates them like the hash.
  */
 
+import { Zobrist } from './Zobrist.js';
+import { GridShape } from './GridShape.js';
+
+const EMPTY_CELL = 0;
+const MAX_PLAYER_CODES = 255; // Largest code a Uint8Array cell can hold
+
+/**
+ * Get the row-major cell index of a position
+ * @param {Array<number>} position - Position coordinates
+ * @param {number} dimensions - Number of dimensions
+ * @param {number|Array<number>} gridSize - Size of grid in each dimension, or per-axis sizes
+ * @returns {number} Cell index, or -1 if the position is not on the board
+ */
+export function cellIndexOf(position, dimensions, gridSize) {
+    if (!Array.isArray(position) || position.length !== dimensions) {
+        return -1;
+    }
+
+    const uniform = typeof gridSize === 'number';
+    let index = 0;
+    for (let axis = 0; axis < dimensions; axis++) {
+        const coord = position[axis];
+        const size = uniform ? gridSize : gridSize[axis];
+        if (!Number.isInteger(coord) || coord < 0 || coord >= size) {
+            return -1;
+        }
+        index = index * size + coord;
+    }
+    return index;
+}
+
+/**
+ * Check if a position is on the board
+ * @param {Array<number>} position - Position coordinates
+ * @param {number} dimensions - Number of dimensions
+ * @param {number|Array<number>} gridSize - Size of grid in each dimension, or per-axis sizes
+ * @returns {boolean}
+ */
+export function isValidPosition(position, dimensions, gridSize) {
+    return cellIndexOf(position, dimensions, gridSize) !== -1;
+}
+
 /**
  * Board state class (Immutable)
  */
@@ -10,13 +69,26 @@ export class BoardState {
     /**
      * Create a new board state
      * @param {number} dimensions - Number of dimensions
-     * @param {number} gridSize - Size of grid in each dimension
-     * @param {Array|Map} storage - Internal storage (Array for 2D-4D, Map for 5D+)
+     * @param {number|Array<number>} gridSize - Size of grid in each dimension, or per-axis sizes
+     * @param {Uint8Array} storage - Player code per cell (not copied, never mutated)
+     * @param {Array<string>} [players] - Player table (code k is players[k - 1])
+     * @param {number} [filled] - Number of non-empty cells (counted if omitted)
+     * @param {string} [hash] - Zobrist hash (computed if omitted)
+     * @param {Uint8Array} [blocked] - Blocked cell mask (not copied, never mutated), or null
+     * @param {LineCounters} [lines] - Line counts of these cells (never mutated), or null
      */
-    constructor(dimensions, gridSize, storage) {
+    constructor(dimensions, gridSize, storage, players = [], filled = countFilledCells(storage), hash = null,
+        blocked = null, lines = null) {
         this.dimensions = dimensions;
         this.gridSize = gridSize;
+        this.cellCount = storage.length;
         this._storage = storage;
+        this._players = Object.isFrozen(players) ? players : Object.freeze([...players]);
+        this._filled = filled;
+        this._blocked = blocked;
+        this._blockedCount = blocked ? countFilledCells(blocked) : 0;
+        this._lines = lines;
+        [this._hashHi, this._hashLo] = hash ? Zobrist.fromHex(hash) : Zobrist.hashBoard(this);
 
         // Freeze to ensure immutability
         Object.freeze(this);
@@ -25,177 +97,377 @@ export class BoardState {
     /**
      * Create empty board
      * @param {number} dimensions - Number of dimensions
-     * @param {number} gridSize - Size of grid
+     * @param {number|Array<number>} gridSize - Size of grid, or per-axis sizes
      * @returns {BoardState}
      */
     static empty(dimensions, gridSize) {
-        const storage = dimensions >= 5
-            ? new Map()
-            : createNestedArray(dimensions, gridSize);
+        const storage = new Uint8Array(GridShape.getCellCount(dimensions, gridSize));
+        return new BoardState(dimensions, gridSize, storage, [], 0, Zobrist.toHex(0, 0));
+    }
+
+    /**
+     * Block cells (returns new BoardState)
+     * @param {Array<Array<number>>} positions - Cells to block
+     * @returns {BoardState}
+     * @throws {Error} If a position is not on the board or holds a marker
+     */
+    withBlocked(positions) {
+        if (positions.length === 0) {
+            return this;
+        }
+
+        const blocked = this._blocked ? this._blocked.slice() : new Uint8Array(this.cellCount);
+        for (const position of positions) {
+            const index = this.indexOf(position);
+            if (index === -1) {
+                throw new Error(`Position out of bounds: [${position}]`);
+            }
+            if (this._storage[index] !== EMPTY_CELL) {
+                throw new Error(`Cannot block an occupied cell: [${position}]`);
+            }
+            blocked[index] = 1;
+        }
+
+        // The hash covers the blocked cells too, so it is computed afresh
+        return new BoardState(this.dimensions, this.gridSize, this._storage, this._players, this._filled,
+            null, blocked, this._lines);
+    }
+
+    /**
+     * Keep line counts for a line index from now on (returns new BoardState)
+     * The counts of the markers already on the board are built once; every
+     * later set() updates them for the changed cell only
+     * @param {LineIndex} index - Line index of this board's shape
+     * @returns {BoardState}
+     */
+    withLineIndex(index) {
+        if (this._lines && this._lines.index === index) {
+            return this;
+        }
 
-        return new BoardState(dimensions, gridSize, storage);
+        const lines = index.createCounters();
+        this.forEachMarker((cell, player) => {
+            lines.placeCell(cell, player);
+        });
+        return new BoardState(this.dimensions, this.gridSize, this._storage, this._players, this._filled,
+            this.getHash(), this._blocked, lines);
+    }
+
+    /**
+     * Get the line counts kept by this board
+     * @returns {LineCounters|null} Counts (read-only), or null if withLineIndex was never called
+     */
+    getLineCounters() {
+        return this._lines;
+    }
+
+    /**
+     * Get the row-major cell index of a position
+     * @param {Array<number>} position - Position coordinates
+     * @returns {number} Cell index, or -1 if the position is not on the board
+     */
+    indexOf(position) {
+        return cellIndexOf(position, this.dimensions, this.gridSize);
+    }
+
+    /**
+     * Get the position of a row-major cell index
+     * @param {number} index - Cell index
+     * @returns {Array<number>} Position coordinates
+     */
+    positionOf(index) {
+        const position = new Array(this.dimensions);
+        for (let axis = this.dimensions - 1; axis >= 0; axis--) {
+            const size = GridShape.getSize(this.gridSize, axis);
+            position[axis] = index % size;
+            index = Math.floor(index / size);
+        }
+        return position;
     }
 
     /**
      * Get marker at position
      * @param {Array<number>} position - Position coordinates
-     * @returns {string|null} Player marker or null
+     * @returns {string|null} Player marker or null (also for positions off the board)
      */
     get(position) {
-        if (this._storage instanceof Map) {
-            return this._storage.get(position.join(',')) || null;
+        const index = this.indexOf(position);
+        if (index === -1) {
+            return null;
         }
 
-        // Navigate nested array
-        let current = this._storage;
-        for (let i = position.length - 1; i >= 0; i--) {
-            if (!current || current[position[i]] === undefined) {
-                return null;
-            }
-            current = current[position[i]];
-        }
-        return current;
+        const code = this._storage[index];
+        return code === EMPTY_CELL ? null : this._players[code - 1];
     }
 
     /**
      * Set marker at position (returns new BoardState)
      * @param {Array<number>} position - Position coordinates
-     * @param {string} value - Player marker
+     * @param {string|null} value - Player marker, or null to clear the cell
      * @returns {BoardState}
+     * @throws {Error} If the position is not on the board or is blocked
      */
     set(position, value) {
-        if (this._storage instanceof Map) {
-            const newStorage = new Map(this._storage);
-            newStorage.set(position.join(','), value);
-            return new BoardState(this.dimensions, this.gridSize, newStorage);
+        const index = this.indexOf(position);
+        if (index === -1) {
+            throw new Error(`Position out of bounds: [${position}]`);
+        }
+        if (this._blocked && this._blocked[index]) {
+            throw new Error(`Cell is blocked: [${position}]`);
+        }
+
+        let players = this._players;
+        let code = EMPTY_CELL;
+        if (value !== null && value !== undefined) {
+            code = players.indexOf(value) + 1;
+            if (code === 0) {
+                if (players.length >= MAX_PLAYER_CODES) {
+                    throw new Error(`Too many players for board storage: ${players.length + 1}`);
+                }
+                players = Object.freeze([...players, value]);
+                code = players.length;
+            }
         }
 
-        // Clone nested array and set value
-        const newStorage = deepCloneArray(this._storage);
-        let current = newStorage;
-        for (let i = position.length - 1; i > 0; i--) {
-            current = current[position[i]];
+        const previous = this._storage[index];
+        if (previous === code) {
+            return this;
         }
-        current[position[0]] = value;
 
-        return new BoardState(this.dimensions, this.gridSize, newStorage);
+        const storage = this._storage.slice();
+        storage[index] = code;
+        const lines = this._lines && this._lines.withCell(index,
+            previous !== EMPTY_CELL ? this._players[previous - 1] : null,
+            code !== EMPTY_CELL ? value : null);
+
+        const filled = this._filled +
+            (code !== EMPTY_CELL ? 1 : 0) - (previous !== EMPTY_CELL ? 1 : 0);
+
+        // XOR the old marker out and the new one in
+        let hashHi = this._hashHi;
+        let hashLo = this._hashLo;
+        if (previous !== EMPTY_CELL) {
+            const key = Zobrist.keyOf(this.dimensions, this.gridSize, index, this._players[previous - 1]);
+            hashHi ^= key[0];
+            hashLo ^= key[1];
+        }
+        if (code !== EMPTY_CELL) {
+            const key = Zobrist.keyOf(this.dimensions, this.gridSize, index, value);
+            hashHi ^= key[0];
+            hashLo ^= key[1];
+        }
+
+        return new BoardState(this.dimensions, this.gridSize, storage, players, filled,
+            Zobrist.toHex(hashHi, hashLo), this._blocked, lines);
     }
 
     /**
-     * Check if position is empty
-     * @param {Array<number>} position - Position coordinates
-     * @returns {boolean}
+     * Move every marker to a new position (returns new BoardState without line counts)
+     * @param {Function} mapping - Position => position, a bijection of the board
+     * @returns {BoardState}
      */
-    isEmpty(position) {
-        // Validate position dimensions
-        if (!Array.isArray(position) || position.length !== this.dimensions) {
-            return false;
+    mapPositions(mapping) {
+        const storage = new Uint8Array(this.cellCount);
+        const blocked = this._blocked ? new Uint8Array(this.cellCount) : null;
+        for (let index = 0; index < this._storage.length; index++) {
+            if (this._storage[index] !== EMPTY_CELL) {
+                storage[this.indexOf(mapping(this.positionOf(index)))] = this._storage[index];
+            }
+            if (blocked && this._blocked[index]) {
+                blocked[this.indexOf(mapping(this.positionOf(index)))] = 1;
+            }
         }
+        return new BoardState(this.dimensions, this.gridSize, storage, this._players, this._filled, null, blocked);
+    }
+
+    /**
+     * Exchange the markers of two players (returns new BoardState)
+     * Only the player table changes; cells keep their codes
+     * @param {string} a - Player id
+     * @param {string} b - Player id
+     * @returns {BoardState}
+     */
+    swapPlayers(a, b) {
+        const players = this._players.map(player => player === a ? b : player === b ? a : player);
+        return new BoardState(this.dimensions, this.gridSize, this._storage, players, this._filled, null,
+            this._blocked, this._lines && this._lines.swapPlayers(a, b));
+    }
 
-        // Validate bounds
-        for (const coord of position) {
-            if (!Number.isInteger(coord) || coord < 0 || coord >= this.gridSize) {
-                return false;
+    /**
+     * Call fn for every placed marker, in cell index order
+     * @param {Function} fn - Receives (index, player)
+     */
+    forEachMarker(fn) {
+        for (let index = 0; index < this._storage.length; index++) {
+            const code = this._storage[index];
+            if (code !== EMPTY_CELL) {
+                fn(index, this._players[code - 1]);
+            }
+        }
+    }
+
+    /**
+     * Call fn for every blocked cell, in cell index order
+     * @param {Function} fn - Receives (index)
+     */
+    forEachBlocked(fn) {
+        if (!this._blocked) return;
+        for (let index = 0; index < this._blocked.length; index++) {
+            if (this._blocked[index]) {
+                fn(index);
             }
         }
+    }
+
+    /**
+     * Check if position is empty
+     * @param {Array<number>} position - Position coordinates
+     * @returns {boolean} False for occupied and blocked cells and positions off the board
+     */
+    isEmpty(position) {
+        const index = this.indexOf(position);
+        return index !== -1 && this._storage[index] === EMPTY_CELL && !(this._blocked && this._blocked[index]);
+    }
+
+    /**
+     * Check if a cell is blocked (a hole of a custom board shape)
+     * @param {Array<number>} position - Position coordinates
+     * @returns {boolean} False for playable cells and positions off the board
+     */
+    isBlocked(position) {
+        if (!this._blocked) return false;
+        const index = this.indexOf(position);
+        return index !== -1 && this._blocked[index] === 1;
+    }
+
+    /**
+     * Get the number of blocked cells
+     * @returns {number}
+     */
+    getBlockedCount() {
+        return this._blockedCount;
+    }
 
-        return this.get(position) === null;
+    /**
+     * Get the number of placed markers
+     * @returns {number}
+     */
+    getFilledCount() {
+        return this._filled;
     }
 
     /**
-     * Check if board is full
+     * Check if board is full (every cell that is not blocked holds a marker)
      * @returns {boolean}
      */
     isFull() {
-        const totalCells = Math.pow(this.gridSize, this.dimensions);
+        return this._filled + this._blockedCount === this.cellCount;
+    }
 
-        if (this._storage instanceof Map) {
-            return this._storage.size === totalCells;
-        }
+    /**
+     * Get the Zobrist hash (equal boards have equal hashes)
+     * @returns {string} 16-digit hex hash
+     */
+    getHash() {
+        return Zobrist.toHex(this._hashHi, this._hashLo);
+    }
 
-        return countFilledCells(this._storage, this.dimensions) === totalCells;
+    /**
+     * Get the hash shared by every rotation/reflection of this board
+     * @returns {string} 16-digit hex hash
+     */
+    getCanonicalHash() {
+        return Zobrist.canonicalHash(this);
     }
 
     /**
      * Convert to plain object
+     * `data` is the cell array itself and `lines` the line counts (both
+     * shared, treat as read-only); game records and persistence store the
+     * move list, not the board
      * @returns {Object}
      */
     toPlain() {
-        if (this._storage instanceof Map) {
-            return {
-                dimensions: this.dimensions,
-                gridSize: this.gridSize,
-                type: 'map',
-                data: Array.from(this._storage.entries())
-            };
-        }
-
         return {
             dimensions: this.dimensions,
             gridSize: this.gridSize,
-            type: 'array',
-            data: this._storage
+            type: 'flat',
+            players: this._players,
+            filled: this._filled,
+            hash: this.getHash(),
+            data: this._storage,
+            blocked: this._blocked,
+            lines: this._lines
         };
     }
 
     /**
      * Create from plain object
+     * Also reads the payloads of earlier versions: 'array' (nested arrays
+     * indexed board[...][c1][c0]) and 'map' (entries keyed "c0,c1,...")
      * @param {Object} plain - Plain object
      * @returns {BoardState}
      */
     static fromPlain(plain) {
-        let storage;
+        const { dimensions, gridSize } = plain;
+
+        if (plain.type === 'flat') {
+            const storage = plain.data instanceof Uint8Array ? plain.data : Uint8Array.from(plain.data);
+            const blocked = !plain.blocked || plain.blocked instanceof Uint8Array
+                ? plain.blocked || null
+                : Uint8Array.from(plain.blocked);
+            // Line counts only survive in memory (a JSON copy cannot be trusted to match the cells)
+            const lines = plain.lines && plain.data === storage && typeof plain.lines.withCell === 'function'
+                ? plain.lines
+                : null;
+            return new BoardState(dimensions, gridSize, storage, plain.players, plain.filled, plain.hash, blocked, lines);
+        }
+
+        let board = BoardState.empty(dimensions, gridSize);
 
         if (plain.type === 'map') {
-            storage = new Map(plain.data);
-        } else {
-            storage = plain.data;
+            for (const [key, value] of plain.data) {
+                board = board.set(key.split(',').map(Number), value);
+            }
+            return board;
         }
 
-        return new BoardState(plain.dimensions, plain.gridSize, storage);
+        // Legacy nested arrays: the last coordinate selects the outermost array
+        forEachNestedCell(plain.data, dimensions, [], (position, value) => {
+            if (value !== null && value !== undefined) {
+                board = board.set(position, value);
+            }
+        });
+        return board;
     }
 }
 
 /**
- * Create nested array for N dimensions
- * @param {number} dims - Number of dimensions
- * @param {number} size - Size in each dimension
- * @returns {Array}
+ * Count non-empty cells
+ * @param {Uint8Array} storage - Cell array
+ * @returns {number}
  */
-function createNestedArray(dims, size) {
-    if (dims === 1) {
-        return new Array(size).fill(null);
+function countFilledCells(storage) {
+    let filled = 0;
+    for (let i = 0; i < storage.length; i++) {
+        if (storage[i] !== EMPTY_CELL) filled++;
     }
-
-    return Array.from({ length: size }, () => createNestedArray(dims - 1, size));
+    return filled;
 }
 
 /**
- * Deep clone nested array
- * @param {Array} arr - Array to clone
- * @returns {Array}
+ * Visit every cell of a legacy nested array board
+ * @param {Array} nested - Nested array (outermost level is the last coordinate)
+ * @param {number} depth - Remaining nesting depth
+ * @param {Array<number>} suffix - Coordinates already selected (trailing axes)
+ * @param {Function} fn - Receives (position, value)
  */
-function deepCloneArray(arr) {
-    return arr.map(item => {
-        if (Array.isArray(item)) {
-            return deepCloneArray(item);
+function forEachNestedCell(nested, depth, suffix, fn) {
+    nested.forEach((item, coord) => {
+        if (depth === 1) {
+            fn([coord, ...suffix], item);
+        } else {
+            forEachNestedCell(item, depth - 1, [coord, ...suffix], fn);
         }
-        return item;
     });
 }
-
-/**
- * Count filled cells in nested array
- * @param {Array} arr - Nested array
- * @param {number} depth - Current depth
- * @returns {number}
- */
-function countFilledCells(arr, depth) {
-    if (depth === 1) {
-        return arr.filter(cell => cell !== null).length;
-    }
-
-    return arr.reduce((sum, subArray) => {
-        return sum + countFilledCells(subArray, depth - 1);
-    }, 0);
-}
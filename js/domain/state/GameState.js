@@ -4,6 +4,9 @@
  */
 
 import { BoardState } from './BoardState.js';
+import { Zobrist } from './Zobrist.js';
+import { Gravity } from '../rules/Gravity.js';
+import { WinChecker, WinEngine } from '../rules/WinChecker.js';
 
 /**
  * Game state class (Immutable)
@@ -17,7 +20,10 @@ export class GameState {
         this.board = data.board || null;
         this.currentPlayer = data.currentPlayer || 'X';
         this.gamePhase = data.gamePhase || 'playing'; // 'playing' | 'won' | 'draw'
+        this.resultReason = data.resultReason || null; // Rule set reason or 'timeout' once over (see RuleSets.js)
+        this.scores = data.scores || null; // { player: lines } for rule sets that count lines
         this.winner = data.winner || null;
+        this.winningLine = data.winningLine || null; // { cells, direction } when won
         this.moveHistory = data.moveHistory || [];
         this.settings = data.settings || null;
 
@@ -27,15 +33,25 @@ export class GameState {
 
     /**
      * Create initial game state
-     * @param {Object} settings - Game settings { dimensions, gridSize }
+     * @param {Object} settings - Game settings { dimensions, gridSize, winLength?, players?, ruleSet?, targetLines? }
+     *        (winLength defaults to gridSize, see WinChecker.getWinLength;
+     *        players defaults to ['X', 'O'], the first player moves first;
+     *        ruleSet defaults to 'standard', see RuleSets.js;
+     *        gravityAxis defaults to null, see Gravity.js;
+     *        topology defaults to 'bounded', see Topology.js;
+     *        swapMoves defaults to null, see SwapRule.js;
+     *        winEngine defaults to 'scan', see WinChecker.js;
+     *        layout { blocked, placements } shapes the board, see BoardLayout.js)
      * @returns {GameState}
      */
     static initial(settings) {
         return new GameState({
-            board: BoardState.empty(settings.dimensions, settings.gridSize),
-            currentPlayer: 'X',
+            board: createBoard(settings),
+            currentPlayer: settings.players ? settings.players[0] : 'X',
             gamePhase: 'playing',
+            resultReason: null,
             winner: null,
+            scores: null,
             moveHistory: [],
             settings: { ...settings }
         });
@@ -44,23 +60,49 @@ export class GameState {
     /**
      * Create new state with marker placed
      * @param {Array<number>} position - Position to place marker
-     * @param {string} player - Player ('X' or 'O')
+     * @param {string} player - Player id
+     * @param {number} [timestamp] - Time of the move (defaults to now)
      * @returns {GameState}
      */
-    withMarker(position, player) {
+    withMarker(position, player, timestamp = Date.now()) {
         return new GameState({
             ...this,
             board: this.board.set(position, player),
             moveHistory: [
                 ...this.moveHistory,
-                { position, player, timestamp: Date.now() }
+                { position, player, timestamp }
+            ]
+        });
+    }
+
+    /**
+     * Create new state with two players' sides swapped (markers and line
+     * counts change owner, see SwapRule.js)
+     * @param {string} player - Player who swapped
+     * @param {string} opponent - The other player
+     * @param {number} [timestamp] - Time of the swap (defaults to now)
+     * @returns {GameState}
+     */
+    withSwap(player, opponent, timestamp = Date.now()) {
+        const scores = this.scores && {
+            ...this.scores,
+            [player]: this.scores[opponent] ?? 0,
+            [opponent]: this.scores[player] ?? 0
+        };
+        return new GameState({
+            ...this,
+            board: this.board.swapPlayers(player, opponent),
+            scores,
+            moveHistory: [
+                ...this.moveHistory,
+                { swap: true, player, timestamp }
             ]
         });
     }
 
     /**
      * Create new state with different current player
-     * @param {string} player - Player ('X' or 'O')
+     * @param {string} player - Player id
      * @returns {GameState}
      */
     withPlayer(player) {
@@ -70,28 +112,63 @@ export class GameState {
         });
     }
 
+    /**
+     * Create new state with a player's line count
+     * @param {string} player - Player id
+     * @param {number} lines - Lines completed so far
+     * @returns {GameState}
+     */
+    withScore(player, lines) {
+        return new GameState({
+            ...this,
+            scores: { ...this.scores, [player]: lines }
+        });
+    }
+
     /**
      * Create new state marking game as won
-     * @param {string} winner - Winner ('X' or 'O')
+     * @param {string} winner - Winner player id
+     * @param {{cells: Array<Array<number>>, direction: Array<number>}} [winningLine] - Line that decided the game
+     * @param {string} [reason] - Result reason (defaults to 'line')
      * @returns {GameState}
      */
-    withWinner(winner) {
+    withWinner(winner, winningLine = null, reason = 'line') {
         return new GameState({
             ...this,
             gamePhase: 'won',
-            winner: winner
+            resultReason: reason,
+            winner: winner,
+            winningLine: winningLine
+        });
+    }
+
+    /**
+     * Create new state marking game as lost on time
+     * @param {string} winner - Player credited with the win
+     * @returns {GameState}
+     */
+    withTimeout(winner) {
+        return new GameState({
+            ...this,
+            gamePhase: 'won',
+            resultReason: 'timeout',
+            winner: winner,
+            winningLine: null
         });
     }
 
     /**
      * Create new state marking game as draw
+     * @param {string} [reason] - Result reason (defaults to 'board-full')
      * @returns {GameState}
      */
-    withDraw() {
+    withDraw(reason = 'board-full') {
         return new GameState({
             ...this,
             gamePhase: 'draw',
-            winner: null
+            resultReason: reason,
+            winner: null,
+            winningLine: null
         });
     }
 
@@ -107,13 +184,17 @@ export class GameState {
 
     /**
      * Check if move is valid
+     * With gravity only the lowest empty cell of a column is valid
      * @param {Array<number>} position - Position
      * @returns {boolean}
      */
     isValidMove(position) {
         if (this.gamePhase !== 'playing') return false;
         if (!this.board) return false;
-        return this.board.isEmpty(position);
+        if (!this.board.isEmpty(position)) return false;
+
+        const axis = Gravity.getAxis(this.settings);
+        return axis === null || Gravity.isSupported(this.board, position, axis);
     }
 
     /**
@@ -133,6 +214,25 @@ export class GameState {
         return this.gamePhase !== 'playing';
     }
 
+    /**
+     * Get the position identity (board and side to move)
+     * Transpositions - the same cells reached in another move order - hash equal
+     * @returns {string|null} 16-digit hex hash, or null without a board
+     */
+    getHash() {
+        if (!this.board) return null;
+        return Zobrist.withTurn(this.board.getHash(), this.currentPlayer);
+    }
+
+    /**
+     * Get the position identity up to rotations and reflections of the board
+     * @returns {string|null} 16-digit hex hash, or null without a board
+     */
+    getCanonicalHash() {
+        if (!this.board) return null;
+        return Zobrist.withTurn(this.board.getCanonicalHash(), this.currentPlayer);
+    }
+
     /**
      * Convert to plain object (for storage in Redux)
      * @returns {Object}
@@ -142,7 +242,10 @@ export class GameState {
             board: this.board ? this.board.toPlain() : null,
             currentPlayer: this.currentPlayer,
             gamePhase: this.gamePhase,
+            resultReason: this.resultReason,
             winner: this.winner,
+            winningLine: this.winningLine,
+            scores: this.scores,
             moveHistory: this.moveHistory,
             settings: this.settings
         };
@@ -156,7 +259,40 @@ export class GameState {
     static fromPlain(data) {
         return new GameState({
             ...data,
-            board: data.board ? BoardState.fromPlain(data.board) : null
+            board: data.board ? trackLines(BoardState.fromPlain(data.board), data.settings) : null
         });
     }
 }
+
+/**
+ * Create the starting board: empty, or shaped by settings.layout
+ * (blocked cells and pre-filled markers, which are not moves)
+ * @param {Object} settings - Game settings { dimensions, gridSize, layout?, winEngine? }
+ * @returns {BoardState}
+ */
+function createBoard(settings) {
+    let board = trackLines(BoardState.empty(settings.dimensions, settings.gridSize), settings);
+    if (!settings.layout) {
+        return board;
+    }
+
+    board = board.withBlocked(settings.layout.blocked || []);
+    for (const { position, player } of settings.layout.placements || []) {
+        board = board.set(position, player);
+    }
+    return board;
+}
+
+/**
+ * Make a board keep the line counts the index win engine reads
+ * (every board derived from it with set() keeps them up to date)
+ * @param {BoardState} board - Board state
+ * @param {Object} [settings] - Game settings { winEngine? }
+ * @returns {BoardState} The board, with line counts for the index engine
+ */
+function trackLines(board, settings) {
+    if (WinChecker.getEngine(settings) !== WinEngine.INDEX) {
+        return board;
+    }
+    return board.withLineIndex(WinChecker.getLineIndex(settings));
+}
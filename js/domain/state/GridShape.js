@@ -0,0 +1,166 @@
+/**
+ * Board shape: the number of cells along each axis
+ * Pure functions, no side effects
+ *
+ * settings.gridSize is either one number (every axis has that many cells)
+ * or a vector with one size per axis, e.g. [3, 3, 3, 5] for a 3x3x3x5
+ * board. Every function here accepts both forms.
+ *
+ * A line along a direction can be no longer than the smallest axis that
+ * direction moves along (its span), so on uneven boards the win length is
+ * bounded per direction (see WinChecker.getLineLength).
+ */
+
+/**
+ * Largest board any game may have (the settings modal's limits).
+ * Records, layouts and notation are untrusted input: without these a
+ * single file could ask for hundreds of millions of cells.
+ */
+export const GRID_LIMITS = Object.freeze({
+    MAX_DIMENSIONS: 8,
+    MAX_GRID_SIZE: 6,
+    MAX_CELLS: 6 ** 8
+});
+
+/**
+ * Grid shape class
+ */
+export class GridShape {
+    /**
+     * Get the size of one axis
+     * @param {number|Array<number>} gridSize - Size of every axis, or per-axis sizes
+     * @param {number} axis - Axis index
+     * @returns {number} Cells along the axis
+     */
+    static getSize(gridSize, axis) {
+        return typeof gridSize === 'number' ? gridSize : gridSize[axis];
+    }
+
+    /**
+     * Get the size of every axis
+     * @param {number} dimensions - Number of dimensions
+     * @param {number|Array<number>} gridSize - Size of every axis, or per-axis sizes
+     * @returns {Array<number>} One size per axis
+     */
+    static getSizes(dimensions, gridSize) {
+        return Array.from({ length: dimensions }, (_, axis) => this.getSize(gridSize, axis));
+    }
+
+    /**
+     * Get the size of the longest axis
+     * @param {number|Array<number>} gridSize - Size of every axis, or per-axis sizes
+     * @returns {number}
+     */
+    static getMaxSize(gridSize) {
+        return typeof gridSize === 'number' ? gridSize : Math.max(...gridSize);
+    }
+
+    /**
+     * Get the number of cells of a board
+     * @param {number} dimensions - Number of dimensions
+     * @param {number|Array<number>} gridSize - Size of every axis, or per-axis sizes
+     * @returns {number}
+     */
+    static getCellCount(dimensions, gridSize) {
+        return this.getSizes(dimensions, gridSize).reduce((count, size) => count * size, 1);
+    }
+
+    /**
+     * Get the longest line a direction allows: the smallest axis it moves along
+     * @param {number|Array<number>} gridSize - Size of every axis, or per-axis sizes
+     * @param {Array<number>} direction - Direction vector
+     * @returns {number} Cells of the longest line
+     */
+    static getSpan(gridSize, direction) {
+        let span = Infinity;
+        direction.forEach((step, axis) => {
+            if (step !== 0) {
+                span = Math.min(span, this.getSize(gridSize, axis));
+            }
+        });
+        return span;
+    }
+
+    /**
+     * Check if every axis has the same size
+     * @param {number|Array<number>} gridSize - Size of every axis, or per-axis sizes
+     * @returns {boolean}
+     */
+    static isUniform(gridSize) {
+        return typeof gridSize === 'number' || gridSize.every(size => size === gridSize[0]);
+    }
+
+    /**
+     * Write equal per-axis sizes as one number
+     * @param {number|Array<number>} gridSize - Size of every axis, or per-axis sizes
+     * @returns {number|Array<number>} A number for uniform grids, otherwise a copy of the sizes
+     */
+    static normalize(gridSize) {
+        if (typeof gridSize === 'number') {
+            return gridSize;
+        }
+        return this.isUniform(gridSize) ? gridSize[0] : [...gridSize];
+    }
+
+    /**
+     * Check if two grid sizes describe the same shape
+     * @param {number} dimensions - Number of dimensions
+     * @param {number|Array<number>} a - Grid size
+     * @param {number|Array<number>} b - Grid size
+     * @returns {boolean}
+     */
+    static equals(dimensions, a, b) {
+        if (a === b) {
+            return true;
+        }
+        const sizesA = this.getSizes(dimensions, a);
+        const sizesB = this.getSizes(dimensions, b);
+        return sizesA.every((size, axis) => size === sizesB[axis]);
+    }
+
+    /**
+     * Check the dimension count and grid size of a board
+     * @param {number} dimensions - Number of dimensions
+     * @param {number|Array<number>} gridSize - Size of every axis, or per-axis sizes
+     * @throws {Error} If the dimension count is not an integer from 1 to GRID_LIMITS.MAX_DIMENSIONS,
+     *         a size is not an integer from 1 to GRID_LIMITS.MAX_GRID_SIZE, the vector
+     *         length is not the dimension count, or the board has more than GRID_LIMITS.MAX_CELLS cells
+     */
+    static validate(dimensions, gridSize) {
+        if (!Number.isInteger(dimensions) || dimensions < 1 || dimensions > GRID_LIMITS.MAX_DIMENSIONS) {
+            throw new Error(`Invalid dimensions: ${dimensions}`);
+        }
+        const isSize = size => Number.isInteger(size) && size >= 1 && size <= GRID_LIMITS.MAX_GRID_SIZE;
+        const valid = Array.isArray(gridSize)
+            ? gridSize.length === dimensions && gridSize.every(isSize)
+            : isSize(gridSize);
+        if (!valid) {
+            throw new Error(`Invalid grid size: ${Array.isArray(gridSize) ? `[${gridSize}]` : gridSize}`);
+        }
+        if (this.getCellCount(dimensions, gridSize) > GRID_LIMITS.MAX_CELLS) {
+            throw new Error(`Board too large: more than ${GRID_LIMITS.MAX_CELLS} cells`);
+        }
+    }
+
+    /**
+     * Format a grid size: "4", or per-axis sizes joined by "x" ("3x3x3x5")
+     * @param {number|Array<number>} gridSize - Size of every axis, or per-axis sizes
+     * @returns {string}
+     */
+    static format(gridSize) {
+        return typeof gridSize === 'number' ? String(gridSize) : gridSize.join('x');
+    }
+
+    /**
+     * Parse a formatted grid size
+     * @param {string} text - "4" or "3x3x3x5"
+     * @returns {number|Array<number>|null} Grid size, or null if the text is not one
+     */
+    static parse(text) {
+        if (!/^\d+(x\d+)*$/.test(text)) {
+            return null;
+        }
+        const sizes = text.split('x').map(size => parseInt(size, 10));
+        return sizes.length === 1 ? sizes[0] : sizes;
+    }
+}
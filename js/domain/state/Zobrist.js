@@ -0,0 +1,161 @@
+/**
+ * Zobrist hashing of board positions
+ * Pure functions, no side effects
+ *
+ * Every (cell, player) pair has a fixed pseudo-random 64-bit key derived
+ * from the board shape, the row-major cell index and the player id, so a
+ * hash depends only on which player holds which cell: not on move order,
+ * not on the session. A board hash is the XOR of the keys of its markers
+ * and of its blocked cells (BoardState.set updates it incrementally), so
+ * boards that differ only in their holes hash differently; hashes are
+ * written as 16-digit hex strings.
+ *
+ * The canonical hash is the hash of the board's canonical form (see
+ * Symmetry.canonicalize), so positions that are rotations or mirror images
+ * of each other share it.
+ */
+
+import { Symmetry } from '../rules/Symmetry.js';
+
+// Cell index used for the side-to-move key (never a real cell)
+const TURN_INDEX = -1;
+
+// Owner used for the key of a blocked cell (player ids are never empty)
+const BLOCKED_OWNER = '';
+
+// Player id -> 32-bit string hash
+const playerHashes = new Map();
+
+// Canonical hash per board (boards are immutable)
+const canonicalCache = new WeakMap();
+
+/**
+ * Murmur3 finalizer (32-bit avalanche)
+ * @param {number} h - Input
+ * @returns {number} Unsigned 32-bit result
+ */
+function fmix32(h) {
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+}
+
+/**
+ * Hash of a board shape
+ * @param {number} dimensions - Number of dimensions
+ * @param {number|Array<number>} gridSize - Size of grid in each dimension, or per-axis sizes
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashShape(dimensions, gridSize) {
+    if (typeof gridSize === 'number') {
+        return fmix32(Math.imul(dimensions, 0x9e3779b1) ^ gridSize);
+    }
+    return gridSize.reduce((h, size) => fmix32(Math.imul(h, 0x9e3779b1) ^ size), fmix32(dimensions));
+}
+
+/**
+ * FNV-1a hash of a player id (cached)
+ * @param {string} player - Player id
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashPlayer(player) {
+    if (!playerHashes.has(player)) {
+        let h = 0x811c9dc5;
+        for (let i = 0; i < player.length; i++) {
+            h = Math.imul(h ^ player.charCodeAt(i), 0x01000193);
+        }
+        playerHashes.set(player, h >>> 0);
+    }
+    return playerHashes.get(player);
+}
+
+/**
+ * Zobrist hashing class
+ */
+export class Zobrist {
+    /**
+     * Get the key of a player's marker on a cell
+     * @param {number} dimensions - Number of dimensions
+     * @param {number|Array<number>} gridSize - Size of grid in each dimension, or per-axis sizes
+     * @param {number} index - Row-major cell index
+     * @param {string} player - Player id
+     * @returns {Array<number>} [hi, lo] unsigned 32-bit halves
+     */
+    static keyOf(dimensions, gridSize, index, player) {
+        const seed = fmix32(hashPlayer(player) ^ hashShape(dimensions, gridSize));
+        const cell = index + 1;
+
+        return [
+            fmix32(seed ^ Math.imul(cell, 0x27d4eb2f)),
+            fmix32((seed + Math.imul(cell, 0x165667b1)) | 0)
+        ];
+    }
+
+    /**
+     * Hash every marker and blocked cell of a board from scratch
+     * @param {BoardState} board - Board state
+     * @returns {Array<number>} [hi, lo]
+     */
+    static hashBoard(board) {
+        let hi = 0;
+        let lo = 0;
+        board.forEachMarker((index, player) => {
+            const key = this.keyOf(board.dimensions, board.gridSize, index, player);
+            hi ^= key[0];
+            lo ^= key[1];
+        });
+        board.forEachBlocked((index) => {
+            const key = this.keyOf(board.dimensions, board.gridSize, index, BLOCKED_OWNER);
+            hi ^= key[0];
+            lo ^= key[1];
+        });
+        return [hi >>> 0, lo >>> 0];
+    }
+
+    /**
+     * Get the hash shared by a board and all its rotations/reflections
+     * Costs one pass over the markers per symmetry (2^N * N! of them)
+     * @param {BoardState} board - Board state
+     * @returns {string} Hex hash
+     */
+    static canonicalHash(board) {
+        if (!canonicalCache.has(board)) {
+            canonicalCache.set(board, Symmetry.canonicalize(board).board.getHash());
+        }
+        return canonicalCache.get(board);
+    }
+
+    /**
+     * Mix the side to move into a board hash
+     * @param {string} hash - Board hash (hex)
+     * @param {string} player - Player to move
+     * @returns {string} Position hash (hex)
+     */
+    static withTurn(hash, player) {
+        const [hi, lo] = this.fromHex(hash);
+        const key = this.keyOf(0, 0, TURN_INDEX, player);
+        return this.toHex(hi ^ key[0], lo ^ key[1]);
+    }
+
+    /**
+     * Format a hash
+     * @param {number} hi - High 32 bits
+     * @param {number} lo - Low 32 bits
+     * @returns {string} 16-digit hex string
+     */
+    static toHex(hi, lo) {
+        return (hi >>> 0).toString(16).padStart(8, '0') + (lo >>> 0).toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Parse a hash
+     * @param {string} hash - 16-digit hex string
+     * @returns {Array<number>} [hi, lo]
+     */
+    static fromHex(hash) {
+        return [parseInt(hash.slice(0, 8), 16), parseInt(hash.slice(8, 16), 16)];
+    }
+}
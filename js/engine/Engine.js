@@ -0,0 +1,210 @@
+/**
+ * Headless game engine
+ * Thin facade over the domain layer for bots, servers and scripts:
+ * every function takes and returns immutable GameStates and runs the
+ * exact rules the browser game uses (no DOM, THREE or CONFIG involved)
+ *
+ * @example
+ * let game = Engine.createGame({ dimensions: 3, gridSize: 3 });
+ * game = Engine.play(game, [1, 1, 1]);
+ * game = Engine.play(game, Engine.chooseMove(game, AIDifficulty.GREEDY));
+ * Engine.getResult(game); // { status: 'playing', winner: null, ... }
+ */
+
+import { GameState } from '../domain/state/GameState.js';
+import { GridShape } from '../domain/state/GridShape.js';
+import { GameRules } from '../domain/rules/GameRules.js';
+import { RuleSetId } from '../domain/rules/RuleSets.js';
+import { TopologyId } from '../domain/rules/Topology.js';
+import { SwapRule } from '../domain/rules/SwapRule.js';
+import { GameSettings } from '../domain/rules/GameSettings.js';
+import { AIPlayer, AIDifficulty } from '../domain/ai/AIPlayer.js';
+import { GameRecord } from '../domain/record/GameRecord.js';
+import { BoardLayout } from '../domain/record/BoardLayout.js';
+import { MoveNotation } from '../domain/record/MoveNotation.js';
+
+/**
+ * Settings used for anything createGame is not told
+ * (same defaults as the browser game)
+ */
+export const DEFAULT_SETTINGS = Object.freeze({
+    dimensions: 4,
+    gridSize: 4,            // or per-axis sizes, e.g. [3, 3, 3, 5]
+    winLength: null,        // null = gridSize (the longest axis)
+    players: ['X', 'O'],    // Turn order
+    ruleSet: RuleSetId.STANDARD,
+    targetLines: null,      // first-to-k only (null = DEFAULT_TARGET_LINES)
+    gravityAxis: null,      // Axis markers fall along (null = no gravity)
+    topology: TopologyId.BOUNDED, // or 'torus': lines wrap around the edges
+    swapMoves: null,        // Moves after which the player to move may swap sides (null = no swap rule)
+    winEngine: null,        // 'index' checks wins with board-kept line counts (null = 'scan', see WinChecker)
+    layout: null,           // { blocked, placements } custom board shape (see BoardLayout)
+});
+
+/**
+ * Engine facade - all static, stateless
+ */
+export class Engine {
+    /**
+     * Create a new game
+     * @param {Object} [settings] - Game settings { dimensions, gridSize, winLength, players, ruleSet, targetLines,
+     *        gravityAxis, topology, swapMoves, winEngine, layout }
+     * @returns {GameState} Initial state
+     * @throws {Error} If the settings are invalid
+     */
+    static createGame(settings = {}) {
+        const merged = { ...DEFAULT_SETTINGS, ...settings };
+        merged.players = [...(merged.players || DEFAULT_SETTINGS.players)];
+
+        GameSettings.validate(merged);
+        merged.gridSize = GridShape.normalize(merged.gridSize);
+        BoardLayout.validate(merged);
+
+        return GameState.initial(merged);
+    }
+
+    /**
+     * Play a move for the current player
+     * @param {GameState} state - Current state
+     * @param {Array<number>} position - Cell to play
+     * @returns {GameState} State after the move
+     * @throws {Error} If the game is over or the cell cannot be played
+     */
+    static play(state, position) {
+        if (state.isGameOver()) {
+            throw new Error('Game is over');
+        }
+        if (!this.isLegalMove(state, position)) {
+            throw new Error(`Illegal move: ${MoveNotation.formatPosition(position)}`);
+        }
+        return GameRules.placeMarker(state, position);
+    }
+
+    /**
+     * Swap sides instead of moving (swap rule, see SwapRule)
+     * @param {GameState} state - Current state
+     * @returns {GameState} State after the swap
+     * @throws {Error} If no swap is offered now
+     */
+    static swap(state) {
+        if (!this.canSwap(state)) {
+            throw new Error('Swap not allowed');
+        }
+        return GameRules.swapSides(state);
+    }
+
+    /**
+     * Check if the current player may swap sides instead of moving
+     * @param {GameState} state - Current state
+     * @returns {boolean}
+     */
+    static canSwap(state) {
+        return SwapRule.canSwap(state);
+    }
+
+    /**
+     * Check if the current player may play a cell
+     * @param {GameState} state - Current state
+     * @param {Array<number>} position - Cell to check
+     * @returns {boolean}
+     */
+    static isLegalMove(state, position) {
+        return GameRules.isValidPosition(position, state.settings) && state.isValidMove(position);
+    }
+
+    /**
+     * Get the cell a move aimed at a position ends up in (see GameRules.getLandingCell)
+     * @param {GameState} state - Current state
+     * @param {Array<number>} position - Cell aimed at (any cell of the column with gravity)
+     * @returns {Array<number>|null} Cell to play, or null if nothing can be played there
+     */
+    static getLandingCell(state, position) {
+        return GameRules.getLandingCell(state, position);
+    }
+
+    /**
+     * Get every cell the current player may play
+     * @param {GameState} state - Current state
+     * @returns {Array<Array<number>>} Positions (empty once the game is over)
+     */
+    static getLegalMoves(state) {
+        return GameRules.getValidMoves(state);
+    }
+
+    /**
+     * Take back the last move (or swap)
+     * @param {GameState} state - Current state
+     * @returns {GameState} State before the last move (unchanged if there is none)
+     */
+    static undo(state) {
+        return GameRules.undo(state);
+    }
+
+    /**
+     * Get the outcome so far
+     * @param {GameState} state - Current state
+     * @returns {{status: string, reason: string|null, winner: string|null, winningLine: Object|null,
+     *           scores: Object|null, currentPlayer: string, moveCount: number}}
+     *          status is 'playing', 'won' or 'draw'; reason tells why the game ended
+     */
+    static getResult(state) {
+        return {
+            status: state.gamePhase,
+            reason: state.resultReason,
+            winner: state.winner,
+            winningLine: state.winningLine,
+            scores: state.scores,
+            currentPlayer: state.currentPlayer,
+            moveCount: state.moveHistory.length,
+        };
+    }
+
+    /**
+     * Choose a move for the current player with the built-in computer opponent
+     * @param {GameState} state - Current state
+     * @param {string} [difficulty] - One of AIDifficulty
+     * @param {Object} [options] - Search options (see AIPlayer.chooseMove)
+     * @returns {Array<number>|null} Position, or null if no move is possible
+     */
+    static chooseMove(state, difficulty = AIDifficulty.GREEDY, options = {}) {
+        return AIPlayer.chooseMove(state, difficulty, options);
+    }
+
+    /**
+     * Serialize a game as record JSON (the format of the save button)
+     * @param {GameState} state - Game state
+     * @returns {string} JSON
+     */
+    static toJSON(state) {
+        return GameRecord.stringify(state);
+    }
+
+    /**
+     * Load a game from record JSON
+     * @param {string} json - Record JSON
+     * @returns {GameState} Replayed game state
+     * @throws {Error} If the JSON or a move is invalid
+     */
+    static fromJSON(json) {
+        return GameRecord.parse(json);
+    }
+
+    /**
+     * Serialize a game as notation text like "3D/3: 1.x1y1z1 2.x0y0z0"
+     * @param {GameState} state - Game state
+     * @returns {string} Game notation
+     */
+    static toNotation(state) {
+        return MoveNotation.formatGame(state);
+    }
+
+    /**
+     * Load a game from notation text
+     * @param {string} text - Game notation
+     * @returns {GameState} Replayed game state
+     * @throws {Error} If the notation or a move is invalid
+     */
+    static fromNotation(text) {
+        return MoveNotation.parseGame(text);
+    }
+}
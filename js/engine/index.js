@@ -0,0 +1,39 @@
+/**
+ * Headless engine entry point
+ * Everything needed to run games without a browser: import from here
+ * instead of deep domain paths. Nothing reachable from this module touches
+ * the DOM, THREE or CONFIG, so it runs under plain Node as well as vitest.
+ *
+ * @example
+ * import { Engine, AIDifficulty } from './js/engine/index.js';
+ *
+ * let game = Engine.createGame({ dimensions: 2, gridSize: 3 });
+ * while (Engine.getResult(game).status === 'playing') {
+ *     game = Engine.play(game, Engine.chooseMove(game, AIDifficulty.RANDOM));
+ * }
+ * console.log(Engine.toNotation(game));
+ */
+
+// Facade
+export { Engine, DEFAULT_SETTINGS } from './Engine.js';
+
+// State
+export { GameState } from '../domain/state/GameState.js';
+export { BoardState } from '../domain/state/BoardState.js';
+export { GridShape } from '../domain/state/GridShape.js';
+export { Zobrist } from '../domain/state/Zobrist.js';
+
+// Rules
+export { GameRules } from '../domain/rules/GameRules.js';
+export { WinChecker, WinEngine } from '../domain/rules/WinChecker.js';
+export { LineIndex } from '../domain/rules/LineIndex.js';
+export { Symmetry } from '../domain/rules/Symmetry.js';
+
+// Computer opponent and analysis
+export { AIPlayer, AIDifficulty } from '../domain/ai/AIPlayer.js';
+export { ThreatAnalyzer } from '../domain/analysis/ThreatAnalyzer.js';
+
+// Serialization
+export { GameRecord, GAME_RECORD_FORMAT, GAME_RECORD_VERSION } from '../domain/record/GameRecord.js';
+export { MoveNotation, AXIS_NAMES } from '../domain/record/MoveNotation.js';
+export { BoardLayout, BOARD_LAYOUT_FORMAT, BOARD_LAYOUT_VERSION } from '../domain/record/BoardLayout.js';
@@ -1,28 +1,38 @@
 /**
  * Manager for connection lines between 4D grid cells
  * Handles creation and updates of Three.js line objects
+ *
+ * Wrap edges (torus boards, see GridBuilder options.wrap) join the last
+ * cell of an axis to the first across the whole board; they are only
+ * drawn when showWrapEdges is set, fainter than the other lines.
  */
 
 import { CONFIG } from '../config.js';
 import { rotate4D, project4Dto3D } from '../mathnd.js';
+import { getPlayerColor } from '../rendering/playerStyle.js';
 
 export class ConnectionManager {
     /**
      * Create a connection manager
      * @param {THREE.Scene} scene - Three.js scene to add lines to
+     * @param {Object} [options] - Drawing options
+     * @param {boolean} [options.showWrapEdges] - Draw wrap edges (default false)
      */
-    constructor(scene) {
+    constructor(scene, options = {}) {
         this.scene = scene;
+        this.showWrapEdges = options.showWrapEdges ?? false;
         this.connectionLines = [];
+        this.winningLines = [];
     }
 
     /**
      * Create a single connection line
      * @param {Array} posND1 - Start position N-dimensional
      * @param {Array} posND2 - End position N-dimensional
+     * @param {boolean} [wrap] - Wrap edge of a torus board
      * @returns {THREE.Line} Created line object
      */
-    createLine(posND1, posND2) {
+    createLine(posND1, posND2, wrap = false) {
         const geometry = new THREE.BufferGeometry();
         const positions = new Float32Array(6); // 2 points * 3 coordinates
         geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
@@ -37,7 +47,7 @@ export class ConnectionManager {
         });
 
         const line = new THREE.Line(geometry, material);
-        line.userData = { posND1, posND2 };
+        line.userData = { posND1, posND2, wrap };
         line.renderOrder = 999;  // Render after most objects
 
         this.scene.add(line);
@@ -48,21 +58,89 @@ export class ConnectionManager {
 
     /**
      * Create all connection lines from connection data
-     * @param {Array} connections - Array of {posND1, posND2} objects
+     * Wrap edges are skipped unless showWrapEdges is set
+     * @param {Array} connections - Array of {posND1, posND2, wrap?} objects
      */
     createAllLines(connections) {
         connections.forEach(conn => {
-            this.createLine(conn.posND1, conn.posND2);
+            if (conn.wrap && !this.showWrapEdges) {
+                return;
+            }
+            this.createLine(conn.posND1, conn.posND2, conn.wrap ?? false);
         });
     }
 
+    /**
+     * Replace the winning line highlight
+     * Consecutive winning cells are joined directly, so diagonal lines
+     * that have no grid connection are drawn as well
+     * @param {Array<Array<number>>} positions - World positions of the winning cells in line order (empty to clear)
+     */
+    setWinningLine(positions) {
+        this.clearWinningLine();
+
+        for (let i = 0; i < positions.length - 1; i++) {
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(6), 3));
+
+            const material = new THREE.LineBasicMaterial({
+                color: CONFIG.WINNING_LINE_COLOR,
+                transparent: true,
+                opacity: CONFIG.WINNING_LINE_OPACITY,
+                linewidth: CONFIG.WINNING_LINE_WIDTH,
+                depthTest: false,
+                depthWrite: false
+            });
+
+            const line = new THREE.Line(geometry, material);
+            line.userData = { posND1: positions[i], posND2: positions[i + 1] };
+            line.renderOrder = 1000;  // Above regular grid lines
+
+            this.scene.add(line);
+            this.winningLines.push(line);
+        }
+    }
+
+    /**
+     * Remove the winning line highlight from the scene
+     */
+    clearWinningLine() {
+        this.winningLines.forEach(line => {
+            this.scene.remove(line);
+            line.geometry.dispose();
+            line.material.dispose();
+        });
+        this.winningLines = [];
+    }
+
+    /**
+     * Update endpoint geometry of a line from its N-dimensional positions
+     * @param {THREE.Line} line - Line with posND1/posND2 in userData
+     * @param {Object} rotations - Rotation angles
+     * @private
+     */
+    updateLineGeometry(line, rotations) {
+        const { posND1, posND2 } = line.userData;
+        const [x1, y1, z1] = project4Dto3D(rotate4D(posND1, rotations));
+        const [x2, y2, z2] = project4Dto3D(rotate4D(posND2, rotations));
+
+        const positions = line.geometry.attributes.position.array;
+        positions[0] = x1;
+        positions[1] = y1;
+        positions[2] = z1;
+        positions[3] = x2;
+        positions[4] = y2;
+        positions[5] = z2;
+        line.geometry.attributes.position.needsUpdate = true;
+    }
+
     /**
      * Update all connection lines based on current rotation
      * @param {Object} rotations - Rotation angles {xy, xz, xw, yz, yw, zw}
      * @param {Array} cells - Array of cell objects (for geometry only)
      * @param {Object} hoveredCell - Currently hovered cell (optional)
      * @param {Object} previewCell - Currently previewed cell (optional)
-     * @param {string} currentPlayer - Current player ('X' or 'O') for preview coloring
+     * @param {string} currentPlayer - Current player id for preview coloring
      * @param {Map<string, {player: string}>} markerMap - Map of cell positions to marker info
      */
     updateLines(rotations, cells = [], hoveredCell = null, previewCell = null, currentPlayer = 'X', markerMap = new Map()) {
@@ -85,21 +163,8 @@ export class ConnectionManager {
             const isHovered = isHovered1 || isHovered2;
             const isPreview = isPreview1 || isPreview2;
 
-            // Rotate and project endpoints
-            const rotated1 = rotate4D(posND1, rotations);
-            const rotated2 = rotate4D(posND2, rotations);
-            const [x1, y1, z1] = project4Dto3D(rotated1);
-            const [x2, y2, z2] = project4Dto3D(rotated2);
-
-            // Update line geometry
-            const positions = line.geometry.attributes.position.array;
-            positions[0] = x1;
-            positions[1] = y1;
-            positions[2] = z1;
-            positions[3] = x2;
-            positions[4] = y2;
-            positions[5] = z2;
-            line.geometry.attributes.position.needsUpdate = true;
+            // Rotate, project and update line geometry
+            this.updateLineGeometry(line, rotations);
 
             // Determine line color based on endpoint states using markerMap
             const marker1 = markerMap.get(key1);
@@ -114,7 +179,7 @@ export class ConnectionManager {
                 // Both selected
                 if (player1 === player2) {
                     // Same player: strong color
-                    const color = player1 === 'X' ? CONFIG.PLAYER_X_COLOR : CONFIG.PLAYER_O_COLOR;
+                    const color = getPlayerColor(player1);
                     line.material.color.setHex(color);
                     line.material.opacity = CONFIG.SAME_PLAYER_GRID_OPACITY;
                 } else {
@@ -125,12 +190,12 @@ export class ConnectionManager {
             } else if (selected1 || selected2) {
                 // One selected: use that player's color
                 const player = selected1 ? player1 : player2;
-                const color = player === 'X' ? CONFIG.PLAYER_X_COLOR : CONFIG.PLAYER_O_COLOR;
+                const color = getPlayerColor(player);
                 line.material.color.setHex(color);
                 line.material.opacity = CONFIG.SELECTED_GRID_OPACITY;
             } else if (isPreview) {
                 // Preview state: show preview player color
-                const color = currentPlayer === 'X' ? CONFIG.PLAYER_X_COLOR : CONFIG.PLAYER_O_COLOR;
+                const color = getPlayerColor(currentPlayer);
                 line.material.color.setHex(color);
                 line.material.opacity = CONFIG.PREVIEW_GRID_OPACITY;
             } else if (isHovered) {
@@ -142,6 +207,16 @@ export class ConnectionManager {
                 line.material.color.setHex(CONFIG.UNSELECTED_GRID_COLOR);
                 line.material.opacity = CONFIG.UNSELECTED_GRID_OPACITY;
             }
+
+            // Wrap edges cross the whole board; keep them in the background
+            if (line.userData.wrap) {
+                line.material.opacity *= CONFIG.WRAP_EDGE_OPACITY_SCALE;
+            }
+        });
+
+        // Winning line highlight follows the same rotation
+        this.winningLines.forEach(line => {
+            this.updateLineGeometry(line, rotations);
         });
     }
 
@@ -157,6 +232,7 @@ export class ConnectionManager {
      * Clear all connection lines from scene
      */
     clear() {
+        this.clearWinningLine();
         this.connectionLines.forEach(line => {
             this.scene.remove(line);
             line.geometry.dispose();
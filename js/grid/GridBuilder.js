@@ -1,23 +1,31 @@
 /**
  * Builder for N-dimensional grid structure
- * Supports 2D, 3D, 4D, 5D, 6D+
+ * Supports 2D, 3D, 4D, 5D, 6D+ and per-axis grid sizes (e.g. 3x3x3x5)
  */
 
 import { CONFIG } from '../config.js';
+import { GridShape } from '../domain/state/GridShape.js';
 
 export class GridBuilder {
     /**
      * Create a grid builder
      * @param {Object} options - Configuration options
      * @param {number} options.dimensions - Number of dimensions (defaults to CONFIG.DIMENSIONS)
-     * @param {number} options.gridSize - Size of grid (defaults to CONFIG.GRID_SIZE)
+     * @param {number|Array<number>} options.gridSize - Size of grid, or per-axis sizes (defaults to CONFIG.GRID_SIZE)
      * @param {number} options.cellSpacing - Spacing between cells (defaults to CONFIG.CELL_SPACING)
+     * @param {Array<Array<number>>} options.blocked - Blocked cells of the board layout (left out of the grid)
+     * @param {boolean} options.wrap - Torus board: also connect the last cell of each axis back to the first
      */
     constructor(options = {}) {
         this.dimensions = options.dimensions ?? CONFIG.DIMENSIONS ?? 4;
         this.gridSize = options.gridSize ?? CONFIG.GRID_SIZE;
         this.cellSpacing = options.cellSpacing ?? CONFIG.CELL_SPACING;
-        this.offset = (this.gridSize - 1) * this.cellSpacing / 2;
+        this.sizes = GridShape.getSizes(this.dimensions, this.gridSize);
+        // Centering offset per axis (every axis is centered on the origin)
+        this.offsets = this.sizes.map(size => (size - 1) * this.cellSpacing / 2);
+        this.offset = (GridShape.getMaxSize(this.gridSize) - 1) * this.cellSpacing / 2;
+        this.blocked = new Set((options.blocked ?? []).map(position => position.join(',')));
+        this.wrap = options.wrap ?? false;
     }
 
     /**
@@ -29,6 +37,8 @@ export class GridBuilder {
      * - 3D: gridSize^3 cells
      * - 4D: gridSize^4 cells (256 for 4x4x4x4)
      * - 5D: gridSize^5 cells (1,024 for 4x4x4x4x4)
+     * - per-axis sizes: the product of the sizes (135 for 3x3x3x5)
+     * minus the blocked cells, which get no cell at all
      */
     generateCells() {
         const cells = [];
@@ -44,13 +54,16 @@ export class GridBuilder {
     generateCellsRecursive(currentCoords, cells) {
         // Base case: we have complete coordinates
         if (currentCoords.length === this.dimensions) {
+            if (this.isBlocked(currentCoords)) {
+                return;
+            }
             const cell = this.createCellData(currentCoords);
             cells.push(cell);
             return;
         }
 
         // Recursive case: add next coordinate
-        for (let i = 0; i < this.gridSize; i++) {
+        for (let i = 0; i < this.sizes[currentCoords.length]; i++) {
             this.generateCellsRecursive([...currentCoords, i], cells);
         }
     }
@@ -62,7 +75,7 @@ export class GridBuilder {
      */
     createCellData(coords) {
         // Convert grid coordinates to world positions
-        const posND = coords.map(c => c * this.cellSpacing - this.offset);
+        const posND = this.coordsToPosition(coords);
 
         // Convert coords array to object with named properties
         // For backward compatibility: {x, y, z, w} for 4D
@@ -105,6 +118,8 @@ export class GridBuilder {
      * - 3D: 3 * gridSize^2 * (gridSize-1) connections
      * - 4D: 4 * gridSize^3 * (gridSize-1) connections
      * - ND: dimensions * gridSize^(dimensions-1) * (gridSize-1) connections
+     * plus, with wrap, one wrap edge (wrap: true) per row of each axis
+     * minus the ones touching a blocked cell
      */
     generateConnections() {
         const connections = [];
@@ -120,46 +135,67 @@ export class GridBuilder {
     generateConnectionsRecursive(currentCoords, connections) {
         // Base case: we have complete coordinates
         if (currentCoords.length === this.dimensions) {
+            if (this.isBlocked(currentCoords)) {
+                return;
+            }
+
             // Create connections in each dimension
             for (let dim = 0; dim < this.dimensions; dim++) {
                 // Only connect if not at the edge in this dimension
-                if (currentCoords[dim] < this.gridSize - 1) {
-                    const pos1 = this.coordsToPosition(currentCoords);
-
-                    // Create neighbor coordinates (increment in this dimension)
-                    const neighborCoords = [...currentCoords];
-                    neighborCoords[dim]++;
-                    const pos2 = this.coordsToPosition(neighborCoords);
-
-                    connections.push({
-                        posND1: pos1,
-                        posND2: pos2,
-                        coords1: currentCoords,
-                        coords2: neighborCoords,
-                        dimension: dim
-                    });
+                // (on a torus the edge connects back to the first cell; with
+                // two cells that edge would repeat the regular one)
+                const atEdge = currentCoords[dim] === this.sizes[dim] - 1;
+                if (atEdge && !(this.wrap && this.sizes[dim] > 2)) {
+                    continue;
+                }
+                const pos1 = this.coordsToPosition(currentCoords);
+
+                // Create neighbor coordinates (increment in this dimension)
+                const neighborCoords = [...currentCoords];
+                neighborCoords[dim] = atEdge ? 0 : neighborCoords[dim] + 1;
+                if (this.isBlocked(neighborCoords)) {
+                    continue;
                 }
+                const pos2 = this.coordsToPosition(neighborCoords);
+
+                connections.push({
+                    posND1: pos1,
+                    posND2: pos2,
+                    coords1: currentCoords,
+                    coords2: neighborCoords,
+                    dimension: dim,
+                    wrap: atEdge
+                });
             }
             return;
         }
 
         // Recursive case: add next coordinate
-        for (let i = 0; i < this.gridSize; i++) {
+        for (let i = 0; i < this.sizes[currentCoords.length]; i++) {
             this.generateConnectionsRecursive([...currentCoords, i], connections);
         }
     }
 
+    /**
+     * Check if a cell is blocked by the board layout
+     * @param {Array<number>} coords - Grid coordinates
+     * @returns {boolean} True if blocked
+     */
+    isBlocked(coords) {
+        return this.blocked.has(coords.join(','));
+    }
+
     /**
      * Convert grid coordinates to world position
      * @param {Array<number>} coords - Grid coordinates
      * @returns {Array<number>} World position
      */
     coordsToPosition(coords) {
-        return coords.map(c => c * this.cellSpacing - this.offset);
+        return coords.map((c, axis) => c * this.cellSpacing - this.offsets[axis]);
     }
 
     /**
-     * Get grid offset (centering offset)
+     * Get grid offset (centering offset of the longest axis)
      * @returns {number} Offset value
      */
     getOffset() {
@@ -168,18 +204,22 @@ export class GridBuilder {
 
     /**
      * Get total number of cells
-     * @returns {number} Total cells
+     * @returns {number} Total cells (blocked cells excluded)
      */
     getTotalCells() {
-        return Math.pow(this.gridSize, this.dimensions);
+        return GridShape.getCellCount(this.dimensions, this.gridSize) - this.blocked.size;
     }
 
     /**
      * Get total number of connections
-     * @returns {number} Total connections
+     * @returns {number} Total connections of the full grid (blocked cells ignored, wrap edges included)
      */
     getTotalConnections() {
-        return this.dimensions * Math.pow(this.gridSize, this.dimensions - 1) * (this.gridSize - 1);
+        const cellCount = GridShape.getCellCount(this.dimensions, this.gridSize);
+        return this.sizes.reduce((total, size) => {
+            const perRow = this.wrap && size > 2 ? size : size - 1;
+            return total + cellCount / size * perRow;
+        }, 0);
     }
 
     /**
@@ -0,0 +1,323 @@
+/**
+ * Client side of online play (see js/server/RelayServer.js for the protocol)
+ *
+ * Game actions go through the relay server instead of the local reducer:
+ * the StateStore middleware sends PLACE_MARKER / SWAP_SIDES / UNDO_MOVE /
+ * REDO_MOVE / RESET_GAME and cancels them locally; the server checks them and relays
+ * accepted ones to every client, which dispatch them marked meta.remote.
+ * Every store therefore applies the same actions in the same order.
+ *
+ * On (re)connect the server sends the whole game (settings, moves, redo
+ * stack), which replaces the local game through LOAD_GAME.
+ *
+ * Spectators (options.spectator, or anyone joining a full room) get the
+ * same snapshots and move stream but no seat; only the local visual slice
+ * (rotation, zoom) is theirs to change.
+ *
+ * @example
+ * const network = new NetworkClient(eventBus, { url: 'ws://localhost:8787', room: 'lobby' });
+ * const store = new StateStore(initialState, rootReducer, [network.createMiddleware()]);
+ * network.attach(store);
+ * network.connect();
+ */
+
+import { ActionTypes, Actions } from '../state/actions.js';
+import { GameRules } from '../../domain/rules/GameRules.js';
+
+// Actions decided by the server
+const NETWORKED_ACTIONS = new Set([
+    ActionTypes.PLACE_MARKER,
+    ActionTypes.SWAP_SIDES,
+    ActionTypes.UNDO_MOVE,
+    ActionTypes.REDO_MOVE,
+    ActionTypes.RESET_GAME,
+]);
+
+// Actions that would replace the shared game or its settings locally
+const BLOCKED_ONLINE_ACTIONS = new Set([
+    ActionTypes.LOAD_GAME,
+    ActionTypes.UPDATE_SETTINGS,
+    ActionTypes.SET_DIMENSIONS,
+    ActionTypes.SET_GRID_SIZE,
+    ActionTypes.SET_WIN_LENGTH,
+]);
+
+const CLIENT_ID_KEY = 'tictactoe4d:clientId';
+const DEFAULT_RECONNECT_DELAY_MS = 1000;
+
+/**
+ * NetworkClient class
+ */
+export class NetworkClient {
+    /**
+     * Create a network client (call attach() and connect() to go online)
+     * @param {EventBus} eventBus - Event bus ('network:synced' / 'network:rejected' are emitted)
+     * @param {Object} options - Client options
+     * @param {string} options.url - Relay server URL (ws://host:port)
+     * @param {string} options.room - Room name
+     * @param {Storage|null} [options.storage] - Keeps the client id across reloads (sessionStorage)
+     * @param {Function} [options.WebSocketImpl] - WebSocket constructor (defaults to the global one)
+     * @param {number} [options.reconnectDelay] - Delay before reconnecting (ms)
+     * @param {boolean} [options.spectator] - Watch the room without taking a seat
+     */
+    constructor(eventBus, { url, room, storage = null, WebSocketImpl = globalThis.WebSocket,
+        reconnectDelay = DEFAULT_RECONNECT_DELAY_MS, spectator = false }) {
+        this.eventBus = eventBus;
+        this.url = url;
+        this.room = room;
+        this.spectator = spectator;
+        this.WebSocketImpl = WebSocketImpl;
+        this.reconnectDelay = reconnectDelay;
+        this.clientId = loadClientId(storage);
+
+        this.store = null;
+        this.socket = null;
+        this.reconnectTimer = null;
+        this.closedByUser = false;
+    }
+
+    /**
+     * Use a store (its middleware must come from createMiddleware())
+     * @param {StateStore} store - State store
+     */
+    attach(store) {
+        this.store = store;
+    }
+
+    /**
+     * Connect to the relay server and join the room
+     * The local settings are only used if this client creates the room
+     */
+    connect() {
+        if (!this.store) {
+            throw new Error('NetworkClient must be attached to a store before connecting');
+        }
+
+        this.closedByUser = false;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+
+        const socket = new this.WebSocketImpl(this.url);
+        this.socket = socket;
+        if (this.store.getState().network.status === 'offline') {
+            this.setStatus({ status: 'connecting', room: this.room });
+        }
+
+        socket.addEventListener('open', () => {
+            const { settings } = this.store.getState();
+            this.send({
+                type: 'join',
+                room: this.room,
+                clientId: this.clientId,
+                settings,
+                role: this.spectator ? 'spectator' : 'player'
+            });
+        });
+        socket.addEventListener('message', (event) => {
+            this.handleMessage(JSON.parse(String(event.data)));
+        });
+        socket.addEventListener('close', () => {
+            if (this.socket === socket) {
+                this.handleClose();
+            }
+        });
+        // Errors are followed by 'close', which handles reconnecting
+        socket.addEventListener('error', () => {});
+    }
+
+    /**
+     * Leave the room and stop reconnecting
+     */
+    disconnect() {
+        this.closedByUser = true;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close();
+        }
+        this.setStatus({ status: 'offline', side: null, role: null, seats: {}, spectators: 0 });
+    }
+
+    /**
+     * Check if the room state has been received and the connection is up
+     * @returns {boolean}
+     */
+    isOnline() {
+        return this.store?.getState().network.status === 'online';
+    }
+
+    /**
+     * Create the StateStore middleware that routes game actions through the server
+     * Cancelled actions emit 'network:rejected' with { action, reason }
+     * @returns {Function} Middleware (store) => (action) => action|null
+     */
+    createMiddleware() {
+        return (store) => (action) => {
+            // Relayed by the server or produced by this client while syncing
+            if (action.meta?.remote) {
+                return action;
+            }
+
+            const network = store.getState().network;
+            if (network.status === 'offline') {
+                return action;
+            }
+
+            if (BLOCKED_ONLINE_ACTIONS.has(action.type)) {
+                this.reject(action, 'online');
+                return null;
+            }
+
+            if (!NETWORKED_ACTIONS.has(action.type)) {
+                return action;
+            }
+
+            if (network.status !== 'online') {
+                this.reject(action, 'disconnected');
+                return null;
+            }
+
+            const { game } = store.getState();
+            if ((action.type === ActionTypes.PLACE_MARKER || action.type === ActionTypes.SWAP_SIDES) &&
+                network.side !== game.currentPlayer) {
+                this.reject(action, network.side ? 'not-your-turn' : 'no-seat');
+                return null;
+            }
+
+            this.send({ type: 'action', action: { type: action.type, payload: action.payload } });
+            return null;
+        };
+    }
+
+    /**
+     * Handle a message from the server
+     * @param {Object} message - Parsed message
+     * @private
+     */
+    handleMessage(message) {
+        switch (message.type) {
+            case 'welcome':
+                this.applySnapshot(message.snapshot);
+                this.setStatus({
+                    status: 'online',
+                    room: message.room,
+                    side: message.side,
+                    role: message.side ? 'player' : 'spectator'
+                });
+                this.eventBus.emit('network:connected', { room: message.room, side: message.side });
+                break;
+
+            case 'action':
+                this.store.dispatch({ ...message.action, meta: { remote: true, side: message.side } });
+                this.eventBus.emit('network:action', { action: message.action, side: message.side });
+                break;
+
+            case 'rejected':
+                this.reject(message.action, message.reason);
+                break;
+
+            case 'presence':
+                this.setStatus({ seats: message.seats, spectators: message.spectators });
+                break;
+
+            case 'error':
+                console.error('Relay server error:', message.message);
+                break;
+
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Replace the local game with the room's game
+     * @param {{settings: Object, moves: Array<Object>, redoStack: Array<Object>}} snapshot - Room state
+     * @private
+     */
+    applySnapshot({ settings, moves, redoStack }) {
+        const oldSettings = this.store.getState().settings;
+        const game = {
+            ...GameRules.replay(settings, moves).toPlain(),
+            redoStack,
+        };
+
+        this.store.dispatch({ ...Actions.loadGame(game), meta: { remote: true } });
+        this.store.dispatch(Actions.setPreviewCell(null));
+
+        this.eventBus.emit('network:synced', {
+            oldSettings,
+            newSettings: this.store.getState().settings
+        });
+    }
+
+    /**
+     * Handle a lost connection (reconnects unless disconnect() was called)
+     * @private
+     */
+    handleClose() {
+        this.socket = null;
+        if (this.closedByUser) {
+            return;
+        }
+
+        this.setStatus({ status: 'reconnecting' });
+        this.eventBus.emit('network:disconnected', { room: this.room });
+        this.reconnectTimer = setTimeout(() => this.connect(), this.reconnectDelay);
+    }
+
+    /**
+     * Report an action that was not applied
+     * @param {Object} action - Action
+     * @param {string} reason - Reason code
+     * @private
+     */
+    reject(action, reason) {
+        this.eventBus.emit('network:rejected', { action, reason });
+    }
+
+    /**
+     * Update the network slice
+     * @param {Object} status - Fields to merge
+     * @private
+     */
+    setStatus(status) {
+        this.store.dispatch(Actions.setNetworkStatus(status));
+    }
+
+    /**
+     * Send a message if the socket is open
+     * @param {Object} message - Message
+     * @private
+     */
+    send(message) {
+        if (this.socket && this.socket.readyState === 1) { // WebSocket.OPEN
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+}
+
+/**
+ * Get the id this browser tab uses to get its seat back after reconnecting
+ * @param {Storage|null} storage - Storage keeping the id
+ * @returns {string} Client id
+ */
+function loadClientId(storage) {
+    try {
+        const saved = storage?.getItem(CLIENT_ID_KEY);
+        if (saved) return saved;
+    } catch (error) {
+        // Storage may be unavailable; a fresh id still works until reload
+    }
+
+    const id = globalThis.crypto?.randomUUID?.() ??
+        `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+    try {
+        storage?.setItem(CLIENT_ID_KEY, id);
+    } catch (error) {
+        // Same as above
+    }
+    return id;
+}
@@ -7,12 +7,18 @@
 export const ActionTypes = {
     // Game actions
     PLACE_MARKER: 'PLACE_MARKER',
+    SWAP_SIDES: 'SWAP_SIDES',
     RESET_GAME: 'RESET_GAME',
     SWITCH_PLAYER: 'SWITCH_PLAYER',
     SET_GAME_PHASE: 'SET_GAME_PHASE',
     SET_WINNER: 'SET_WINNER',
     UNDO_MOVE: 'UNDO_MOVE',
     REDO_MOVE: 'REDO_MOVE',
+    LOAD_GAME: 'LOAD_GAME',
+    TIME_OUT: 'TIME_OUT',
+
+    // Timer actions
+    TICK_TIMER: 'TICK_TIMER',
 
     // Visual actions
     UPDATE_ROTATION: 'UPDATE_ROTATION',
@@ -23,11 +29,24 @@ export const ActionTypes = {
     SET_PREVIEW_CELL: 'SET_PREVIEW_CELL',
     TOGGLE_AUTO_ROTATE: 'TOGGLE_AUTO_ROTATE',
     SET_AUTO_ROTATE: 'SET_AUTO_ROTATE',
+    TOGGLE_THREAT_OVERLAY: 'TOGGLE_THREAT_OVERLAY',
+    SET_THREAT_OVERLAY: 'SET_THREAT_OVERLAY',
 
     // Settings actions
     UPDATE_SETTINGS: 'UPDATE_SETTINGS',
     SET_DIMENSIONS: 'SET_DIMENSIONS',
     SET_GRID_SIZE: 'SET_GRID_SIZE',
+    SET_WIN_LENGTH: 'SET_WIN_LENGTH',
+
+    // Replay actions
+    START_REPLAY: 'START_REPLAY',
+    STOP_REPLAY: 'STOP_REPLAY',
+    SEEK_REPLAY: 'SEEK_REPLAY',
+    SET_REPLAY_PLAYING: 'SET_REPLAY_PLAYING',
+    SET_REPLAY_SPEED: 'SET_REPLAY_SPEED',
+
+    // Network actions
+    SET_NETWORK_STATUS: 'SET_NETWORK_STATUS',
 
     // UI actions
     TOGGLE_SETTINGS_MODAL: 'TOGGLE_SETTINGS_MODAL',
@@ -39,9 +58,14 @@ export const ActionTypes = {
 // Action creators - functions that create actions
 export const Actions = {
     // Game actions
-    placeMarker: (position, player = null) => ({
+    placeMarker: (position, player = null, now = Date.now()) => ({
         type: ActionTypes.PLACE_MARKER,
-        payload: { position, player }
+        payload: { position, player, now } // now: when the move was made (charged to the mover's clock)
+    }),
+
+    swapSides: (player = null, now = Date.now()) => ({
+        type: ActionTypes.SWAP_SIDES,
+        payload: { player, now }
     }),
 
     resetGame: (settings = null) => ({
@@ -58,9 +82,9 @@ export const Actions = {
         payload: { phase }
     }),
 
-    setWinner: (winner) => ({
+    setWinner: (winner, winningLine = null) => ({
         type: ActionTypes.SET_WINNER,
-        payload: { winner }
+        payload: { winner, winningLine }
     }),
 
     undoMove: () => ({
@@ -71,6 +95,22 @@ export const Actions = {
         type: ActionTypes.REDO_MOVE
     }),
 
+    loadGame: (game) => ({
+        type: ActionTypes.LOAD_GAME,
+        payload: { game }
+    }),
+
+    timeOut: (player) => ({
+        type: ActionTypes.TIME_OUT,
+        payload: { player }
+    }),
+
+    // Timer actions
+    tickTimer: (now) => ({
+        type: ActionTypes.TICK_TIMER,
+        payload: { now }
+    }),
+
     // Visual actions
     updateRotation: (axis, delta) => ({
         type: ActionTypes.UPDATE_ROTATION,
@@ -111,6 +151,15 @@ export const Actions = {
         payload: { enabled }
     }),
 
+    toggleThreatOverlay: () => ({
+        type: ActionTypes.TOGGLE_THREAT_OVERLAY
+    }),
+
+    setThreatOverlay: (enabled) => ({
+        type: ActionTypes.SET_THREAT_OVERLAY,
+        payload: { enabled }
+    }),
+
     // Settings actions
     updateSettings: (settings) => ({
         type: ActionTypes.UPDATE_SETTINGS,
@@ -127,6 +176,42 @@ export const Actions = {
         payload: { gridSize }
     }),
 
+    setWinLength: (winLength) => ({
+        type: ActionTypes.SET_WIN_LENGTH,
+        payload: { winLength }
+    }),
+
+    // Replay actions
+    startReplay: (moves, settings) => ({
+        type: ActionTypes.START_REPLAY,
+        payload: { moves, settings }
+    }),
+
+    stopReplay: () => ({
+        type: ActionTypes.STOP_REPLAY
+    }),
+
+    seekReplay: (index) => ({
+        type: ActionTypes.SEEK_REPLAY,
+        payload: { index }
+    }),
+
+    setReplayPlaying: (playing) => ({
+        type: ActionTypes.SET_REPLAY_PLAYING,
+        payload: { playing }
+    }),
+
+    setReplaySpeed: (speed) => ({
+        type: ActionTypes.SET_REPLAY_SPEED,
+        payload: { speed }
+    }),
+
+    // Network actions
+    setNetworkStatus: (status) => ({
+        type: ActionTypes.SET_NETWORK_STATUS,
+        payload: { status }
+    }),
+
     // UI actions
     toggleSettingsModal: () => ({
         type: ActionTypes.TOGGLE_SETTINGS_MODAL
@@ -0,0 +1,301 @@
+/**
+ * Local persistence of the in-progress game
+ * StateStore middleware that saves the game/settings slices (and optionally
+ * the rotation from the visual slice) to a Storage, plus rehydration helpers
+ *
+ * Stored payload (version 1):
+ * {
+ *   "version": 1,
+ *   "savedAt": 1700000000000,
+ *   "game": { ...state.game },         // includes redoStack, omits board (rebuilt from moves)
+ *   "settings": { ...state.settings },
+ *   "timer": { "remaining": { "X": 60000, ... }, "lastTick": 1700000000000 },
+ *                                       // only for timed games: clocks as of lastTick (null = stopped);
+ *                                       // the time since then is charged to the player to move on load
+ *   "visual": { "rotation": {...}, "autoRotate": true, "showThreats": true }   // only with includeVisual
+ * }
+ *
+ * @example
+ * const persisted = loadPersistedState(localStorage, initialState, { includeVisual: true });
+ * const store = new StateStore(persisted, rootReducer, [
+ *     createPersistenceMiddleware(localStorage, { includeVisual: true })
+ * ]);
+ */
+import { ActionTypes } from './actions.js';
+import { GameRecord, GAME_RECORD_FORMAT, GAME_RECORD_VERSION } from '../../domain/record/GameRecord.js';
+import { GameRules } from '../../domain/rules/GameRules.js';
+import { SwapRule } from '../../domain/rules/SwapRule.js';
+import { GridShape } from '../../domain/state/GridShape.js';
+import { TimeControl } from '../../domain/rules/TimeControl.js';
+import { RotationInitializer } from '../../game/RotationInitializer.js';
+
+export const PERSISTENCE_KEY = 'nd-tic-tac-toe/state';
+export const PERSISTENCE_VERSION = 1;
+
+// Actions that change the game or settings slices (saved right after reduction)
+const GAME_ACTIONS = new Set([
+    ActionTypes.PLACE_MARKER,
+    ActionTypes.SWAP_SIDES,
+    ActionTypes.RESET_GAME,
+    ActionTypes.SWITCH_PLAYER,
+    ActionTypes.SET_GAME_PHASE,
+    ActionTypes.SET_WINNER,
+    ActionTypes.UNDO_MOVE,
+    ActionTypes.REDO_MOVE,
+    ActionTypes.LOAD_GAME,
+    ActionTypes.TIME_OUT,
+    ActionTypes.UPDATE_SETTINGS,
+    ActionTypes.SET_DIMENSIONS,
+    ActionTypes.SET_GRID_SIZE,
+    ActionTypes.SET_WIN_LENGTH,
+]);
+
+// Visual actions (fire every frame while auto-rotating, so saves are throttled)
+const VISUAL_ACTIONS = new Set([
+    ActionTypes.UPDATE_ROTATION,
+    ActionTypes.SET_ROTATION,
+    ActionTypes.TOGGLE_AUTO_ROTATE,
+    ActionTypes.SET_AUTO_ROTATE,
+    ActionTypes.TOGGLE_THREAT_OVERLAY,
+    ActionTypes.SET_THREAT_OVERLAY,
+]);
+
+const DEFAULT_VISUAL_SAVE_DELAY_MS = 1000;
+
+/**
+ * Create middleware that persists state after relevant actions
+ * Middleware runs before the reducer, so saving is deferred until the
+ * action has been reduced (several actions in one task are saved once)
+ * @param {Storage|null} storage - Storage to write to (no-op if null)
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.includeVisual=false] - Also persist rotation/auto-rotate
+ * @param {string} [options.key] - Storage key
+ * @param {number} [options.visualSaveDelay] - Throttle for visual-only saves (ms)
+ * @param {Function} [options.schedule] - Defers game saves (defaults to queueMicrotask)
+ * @param {Function} [options.scheduleDelayed] - Defers visual saves (defaults to setTimeout)
+ * @returns {Function} Middleware (store) => (action) => action
+ */
+export function createPersistenceMiddleware(storage, options = {}) {
+    const {
+        includeVisual = false,
+        key = PERSISTENCE_KEY,
+        visualSaveDelay = DEFAULT_VISUAL_SAVE_DELAY_MS,
+        schedule = queueMicrotask,
+        scheduleDelayed = setTimeout,
+    } = options;
+
+    let savePending = false;
+    let visualSavePending = false;
+
+    return (store) => (action) => {
+        if (!storage) {
+            return action;
+        }
+
+        if (GAME_ACTIONS.has(action.type) && !savePending) {
+            savePending = true;
+            schedule(() => {
+                savePending = false;
+                saveState(storage, store.getState(), { includeVisual, key });
+            });
+        } else if (includeVisual && VISUAL_ACTIONS.has(action.type) && !visualSavePending) {
+            visualSavePending = true;
+            scheduleDelayed(() => {
+                visualSavePending = false;
+                saveState(storage, store.getState(), { includeVisual, key });
+            }, visualSaveDelay);
+        }
+
+        return action;
+    };
+}
+
+/**
+ * Write the persisted slices of a state to storage
+ * @param {Storage} storage - Storage to write to
+ * @param {Object} state - Root state
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.includeVisual=false] - Also persist rotation/auto-rotate
+ * @param {string} [options.key] - Storage key
+ * @returns {boolean} True if saved
+ */
+export function saveState(storage, state, options = {}) {
+    const { includeVisual = false, key = PERSISTENCE_KEY } = options;
+
+    // The board is rebuilt by replaying the moves on load (and its cell
+    // array does not serialize to JSON), so only the rest is stored
+    const { board: _board, ...game } = state.game;
+
+    const payload = {
+        version: PERSISTENCE_VERSION,
+        savedAt: Date.now(),
+        game,
+        settings: state.settings,
+    };
+    if (state.timer && state.timer.remaining) {
+        payload.timer = { remaining: state.timer.remaining, lastTick: state.timer.lastTick };
+    }
+    if (includeVisual) {
+        payload.visual = {
+            rotation: state.visual.rotation,
+            autoRotate: state.visual.autoRotate,
+            showThreats: state.visual.showThreats,
+        };
+    }
+
+    try {
+        storage.setItem(key, JSON.stringify(payload));
+        return true;
+    } catch (error) {
+        // Quota exceeded or storage disabled: keep playing without persistence
+        console.warn('Persistence: Failed to save state', error);
+        return false;
+    }
+}
+
+/**
+ * Build the initial store state from storage
+ * Falls back to initialState (and discards the stored entry) when the
+ * stored data is missing, corrupt, from another schema version, or does
+ * not replay under the rules
+ * @param {Storage|null} storage - Storage to read from
+ * @param {Object} initialState - Default root state
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.includeVisual=false] - Also restore rotation/auto-rotate
+ * @param {string} [options.key] - Storage key
+ * @param {number} [options.now] - Current time (ms), charged to a running clock
+ * @returns {Object} Root state to create the store with
+ */
+export function loadPersistedState(storage, initialState, options = {}) {
+    const { includeVisual = false, key = PERSISTENCE_KEY, now = Date.now() } = options;
+    if (!storage) {
+        return initialState;
+    }
+
+    let raw;
+    try {
+        raw = storage.getItem(key);
+    } catch (error) {
+        console.warn('Persistence: Failed to read state', error);
+        return initialState;
+    }
+    if (raw === null || raw === undefined) {
+        return initialState;
+    }
+
+    try {
+        return restoreState(JSON.parse(raw), initialState, includeVisual, now);
+    } catch (error) {
+        console.warn('Persistence: Discarding stored state', error.message);
+        clearPersistedState(storage, key);
+        return initialState;
+    }
+}
+
+/**
+ * Remove the persisted state
+ * @param {Storage|null} storage - Storage to clear
+ * @param {string} [key] - Storage key
+ */
+export function clearPersistedState(storage, key = PERSISTENCE_KEY) {
+    if (!storage) return;
+    try {
+        storage.removeItem(key);
+    } catch (error) {
+        console.warn('Persistence: Failed to clear state', error);
+    }
+}
+
+/**
+ * Validate a stored payload and merge it into the initial state
+ * @param {Object} payload - Parsed payload
+ * @param {Object} initialState - Default root state
+ * @param {boolean} includeVisual - Restore rotation/auto-rotate
+ * @param {number} now - Current time (ms)
+ * @returns {Object} Restored root state
+ * @throws {Error} If the payload is invalid or from another version
+ * @private
+ */
+function restoreState(payload, initialState, includeVisual, now) {
+    if (!payload || typeof payload !== 'object') {
+        throw new Error('Stored state is not an object');
+    }
+    if (payload.version !== PERSISTENCE_VERSION) {
+        throw new Error(`Unsupported stored state version: ${payload.version}`);
+    }
+
+    const { game, settings } = payload;
+    if (!game || !settings || !game.settings || !Array.isArray(game.moveHistory)) {
+        throw new Error('Stored state is incomplete');
+    }
+    if (game.settings.dimensions !== settings.dimensions ||
+        !GridShape.equals(settings.dimensions, game.settings.gridSize, settings.gridSize)) {
+        throw new Error('Stored game does not match stored settings');
+    }
+
+    // Replay the stored moves so a tampered or stale board can never be restored
+    const gameState = GameRecord.toGameState({
+        format: GAME_RECORD_FORMAT,
+        version: GAME_RECORD_VERSION,
+        settings: game.settings,
+        players: GameRules.getPlayers(game.settings),
+        moves: game.moveHistory,
+        result: {
+            gamePhase: game.gamePhase,
+            winner: game.winner,
+            ...(game.resultReason === 'timeout' ? { reason: 'timeout' } : {}),
+        },
+    });
+
+    const redoStack = Array.isArray(game.redoStack) &&
+        game.redoStack.every(move => move &&
+            (SwapRule.isSwap(move) || GameRules.isValidPosition(move.position, game.settings)))
+        ? game.redoStack
+        : [];
+
+    const restoredSettings = { ...initialState.settings, ...settings };
+    const defaultRotation = RotationInitializer.createRotations(restoredSettings.dimensions);
+    const visual = { ...initialState.visual, rotation: defaultRotation };
+
+    if (includeVisual && payload.visual) {
+        const rotation = payload.visual.rotation;
+        const rotationMatches = rotation && typeof rotation === 'object' &&
+            Object.keys(defaultRotation).every(axis => Number.isFinite(rotation[axis]));
+        if (rotationMatches) {
+            visual.rotation = Object.fromEntries(
+                Object.keys(defaultRotation).map(axis => [axis, rotation[axis]])
+            );
+        }
+        if (typeof payload.visual.autoRotate === 'boolean') {
+            visual.autoRotate = payload.visual.autoRotate;
+        }
+        if (typeof payload.visual.showThreats === 'boolean') {
+            visual.showThreats = payload.visual.showThreats;
+        }
+    }
+
+    // Clocks resume where they were at the last save (full clocks if unreadable).
+    // A clock that was running keeps running while the page is closed: the
+    // player to move is charged for the whole gap, so reloading gives no time back
+    let remaining = TimeControl.createClocks(restoredSettings, GameRules.getPlayers(gameState.settings));
+    let lastTick = null;
+    const storedClocks = payload.timer && payload.timer.remaining;
+    if (remaining && storedClocks && typeof storedClocks === 'object' &&
+        Object.keys(remaining).every(player => Number.isFinite(storedClocks[player]) && storedClocks[player] >= 0)) {
+        remaining = Object.fromEntries(Object.keys(remaining).map(player => [player, storedClocks[player]]));
+
+        const storedTick = payload.timer.lastTick;
+        if (Number.isFinite(storedTick) && !gameState.isGameOver()) {
+            remaining = TimeControl.charge(remaining, gameState.currentPlayer, now - storedTick);
+            lastTick = now;
+        }
+    }
+
+    return {
+        ...initialState,
+        game: { ...gameState.toPlain(), redoStack },
+        settings: restoredSettings,
+        visual,
+        timer: { remaining, lastTick },
+    };
+}
@@ -5,12 +5,27 @@
 import { ActionTypes } from './actions.js';
 import { GameRules } from '../../domain/rules/GameRules.js';
 import { GameState } from '../../domain/state/GameState.js';
+import { GridShape } from '../../domain/state/GridShape.js';
+import { TimeControl } from '../../domain/rules/TimeControl.js';
+import { SwapRule } from '../../domain/rules/SwapRule.js';
 import { RotationInitializer } from '../../game/RotationInitializer.js';
 
 // Initial game settings
 const defaultSettings = {
     dimensions: 4,
-    gridSize: 4,
+    gridSize: 4,                 // Cells per axis, or per-axis sizes like [3, 3, 3, 5]
+    winLength: null,             // Markers in a row needed to win (null = gridSize, the longest axis)
+    players: ['X', 'O'],         // Player ids in turn order
+    computerPlayer: null,        // Player id controlled by the computer or null
+    computerDifficulty: 'greedy', // AIDifficulty used by the computer player
+    timeControl: null,           // { baseMs, incrementMs } chess clock, or null for untimed games
+    ruleSet: 'standard',         // RuleSetId deciding how a game is won (see RuleSets.js)
+    targetLines: null,           // Lines needed to win first-to-k games (null = default)
+    gravityAxis: null,           // Axis markers fall along ("Connect Four"), or null
+    topology: 'bounded',         // TopologyId: 'torus' wraps lines around the edges (see Topology.js)
+    swapMoves: null,             // Moves after which the player to move may swap sides (see SwapRule.js), or null
+    winEngine: null,             // WinEngine checking wins: 'index' keeps line counts on the board (null = 'scan')
+    layout: null,                // { blocked, placements } custom board shape, or null
 };
 
 // Initial state structure
@@ -27,12 +42,37 @@ export const initialState = {
         hoveredCell: null,
         previewCell: null,
         autoRotate: true,
+        showThreats: true,   // Highlight cells that complete a line next move
     },
     ui: {
         settingsModalOpen: false,
         helpPanelOpen: false,
         status: 'プレイヤー X のターン',
         isVictoryStatus: false,
+    },
+    // Replay viewer: reviews a move list without touching the game slice
+    replay: {
+        active: false,   // Replay mode (cell placement is disabled while active)
+        moves: [],       // Moves under review
+        settings: null,  // Settings the moves were played with
+        index: 0,        // Number of moves shown (0 = empty board)
+        game: null,      // Game after `index` moves (plain object)
+        playing: false,  // Auto-advancing
+        speed: 1,        // Playback speed multiplier
+    },
+    // Chess clocks (see TimeControl)
+    timer: {
+        remaining: null,   // Player id -> milliseconds left (null = untimed game)
+        lastTick: null,    // Time of the last charged tick (null = clock stopped)
+    },
+    // Online play through the relay server (see NetworkClient)
+    network: {
+        status: 'offline', // 'offline' | 'connecting' | 'online' | 'reconnecting'
+        room: null,        // Room name
+        side: null,        // Player id this client plays (null = no seat)
+        role: null,        // 'player' | 'spectator' (read-only view of the room)
+        seats: {},         // Player id -> 'connected' | 'away' | 'open'
+        spectators: 0,     // Connected clients without a seat
     }
 };
 
@@ -48,6 +88,9 @@ export function rootReducer(state = initialState, action) {
         settings: settingsReducer(state.settings, action, state),
         visual: visualReducer(state.visual, action, state),
         ui: uiReducer(state.ui, action, state),
+        replay: replayReducer(state.replay, action, state),
+        timer: timerReducer(state.timer, action, state),
+        network: networkReducer(state.network, action, state),
     };
 }
 
@@ -65,16 +108,30 @@ function gameReducer(state = initialState.game, action, rootState) {
 
     switch (action.type) {
         case ActionTypes.PLACE_MARKER: {
-            const { position, player } = action.payload;
-            const newGameState = GameRules.placeMarker(gameState, position, player);
+            // Relayed online moves carry the server's timestamp so every peer records the same move
+            const { position, player, timestamp } = action.payload;
+            const newGameState = GameRules.placeMarker(gameState, position, player, timestamp);
             return {
                 ...newGameState.toPlain(),
                 redoStack: [], // Clear redo stack on new move
             };
         }
 
+        case ActionTypes.SWAP_SIDES: {
+            // A swap is a move: it enters the history and clears the redo stack
+            const { player, timestamp } = action.payload;
+            const newGameState = GameRules.swapSides(gameState, player, timestamp);
+            if (newGameState === gameState) {
+                return state; // No swap offered
+            }
+            return {
+                ...newGameState.toPlain(),
+                redoStack: [],
+            };
+        }
+
         case ActionTypes.SWITCH_PLAYER: {
-            const nextPlayer = GameRules.nextPlayer(gameState.currentPlayer);
+            const nextPlayer = GameRules.nextPlayer(gameState.currentPlayer, gameState.settings);
             return gameState.withPlayer(nextPlayer).toPlain();
         }
 
@@ -85,7 +142,7 @@ function gameReducer(state = initialState.game, action, rootState) {
             };
 
         case ActionTypes.SET_WINNER:
-            return gameState.withWinner(action.payload.winner).toPlain();
+            return gameState.withWinner(action.payload.winner, action.payload.winningLine).toPlain();
 
         case ActionTypes.RESET_GAME: {
             const settings = action.payload.settings || rootState.settings;
@@ -114,6 +171,20 @@ function gameReducer(state = initialState.game, action, rootState) {
             };
         }
 
+        case ActionTypes.TIME_OUT:
+            return {
+                ...GameRules.timeout(gameState, action.payload.player).toPlain(),
+                redoStack: [],
+            };
+
+        case ActionTypes.LOAD_GAME:
+            // Replace the whole game (e.g. imported record); only a network
+            // resync brings a redo stack along
+            return {
+                ...action.payload.game,
+                redoStack: action.payload.game.redoStack || [],
+            };
+
         case ActionTypes.REDO_MOVE: {
             const redoStack = state.redoStack || [];
             if (redoStack.length === 0) {
@@ -123,12 +194,8 @@ function gameReducer(state = initialState.game, action, rootState) {
             // Get the last undone move
             const moveToRedo = redoStack[redoStack.length - 1];
 
-            // Replay the move
-            const newGameState = GameRules.placeMarker(
-                gameState,
-                moveToRedo.position,
-                moveToRedo.player
-            );
+            // Replay the move (a placed marker or a swap)
+            const newGameState = GameRules.applyMove(gameState, moveToRedo);
 
             // Remove from redo stack
             return {
@@ -138,8 +205,8 @@ function gameReducer(state = initialState.game, action, rootState) {
         }
 
         case ActionTypes.UPDATE_SETTINGS: {
-            // When settings change, reset the game
-            const newSettings = action.payload.settings;
+            // When settings change, reset the game (partial updates keep the other settings)
+            const newSettings = mergeSettings(rootState.settings, action.payload.settings);
             const newGameState = GameRules.updateSettings(gameState, newSettings);
             return newGameState.toPlain();
         }
@@ -149,6 +216,24 @@ function gameReducer(state = initialState.game, action, rootState) {
     }
 }
 
+/**
+ * Apply a partial settings update
+ * A board layout only fits the board it was made for, so changing the
+ * dimensions or grid size drops it (unless the update brings a new one)
+ * @param {Object} settings - Current settings
+ * @param {Object} changes - Changed settings
+ * @returns {Object} New settings
+ */
+function mergeSettings(settings, changes) {
+    const merged = { ...settings, ...changes };
+    const reshaped = merged.dimensions !== settings.dimensions ||
+        !GridShape.equals(merged.dimensions, merged.gridSize, settings.gridSize);
+    if (reshaped && changes.layout === undefined) {
+        merged.layout = null;
+    }
+    return merged;
+}
+
 /**
  * Settings state reducer
  * @param {Object} state - Current settings state
@@ -159,21 +244,32 @@ function gameReducer(state = initialState.game, action, rootState) {
 function settingsReducer(state = initialState.settings, action, rootState) {
     switch (action.type) {
         case ActionTypes.UPDATE_SETTINGS:
+            return mergeSettings(state, action.payload.settings);
+
+        case ActionTypes.LOAD_GAME:
+            // A loaded game brings its own settings (older games were standard rules)
             return {
                 ...state,
-                ...action.payload.settings
+                ruleSet: defaultSettings.ruleSet,
+                targetLines: defaultSettings.targetLines,
+                gravityAxis: defaultSettings.gravityAxis,
+                topology: defaultSettings.topology,
+                swapMoves: defaultSettings.swapMoves,
+                winEngine: defaultSettings.winEngine,
+                layout: defaultSettings.layout,
+                ...action.payload.game.settings
             };
 
         case ActionTypes.SET_DIMENSIONS:
-            return {
-                ...state,
-                dimensions: action.payload.dimensions
-            };
+            return mergeSettings(state, { dimensions: action.payload.dimensions });
 
         case ActionTypes.SET_GRID_SIZE:
+            return mergeSettings(state, { gridSize: action.payload.gridSize });
+
+        case ActionTypes.SET_WIN_LENGTH:
             return {
                 ...state,
-                gridSize: action.payload.gridSize
+                winLength: action.payload.winLength
             };
 
         default:
@@ -242,6 +338,18 @@ function visualReducer(state = initialState.visual, action, rootState) {
                 autoRotate: action.payload.enabled
             };
 
+        case ActionTypes.TOGGLE_THREAT_OVERLAY:
+            return {
+                ...state,
+                showThreats: !state.showThreats
+            };
+
+        case ActionTypes.SET_THREAT_OVERLAY:
+            return {
+                ...state,
+                showThreats: action.payload.enabled
+            };
+
         case ActionTypes.UPDATE_SETTINGS:
             // When dimensions change, reinitialize rotation axes
             const newDimensions = action.payload.settings.dimensions;
@@ -253,6 +361,17 @@ function visualReducer(state = initialState.visual, action, rootState) {
             }
             return state;
 
+        case ActionTypes.LOAD_GAME: {
+            const loadedDimensions = action.payload.game.settings.dimensions;
+            if (loadedDimensions !== rootState.settings.dimensions) {
+                return {
+                    ...state,
+                    rotation: RotationInitializer.createRotations(loadedDimensions)
+                };
+            }
+            return state;
+        }
+
         default:
             return state;
     }
@@ -296,3 +415,210 @@ function uiReducer(state = initialState.ui, action, rootState) {
             return state;
     }
 }
+
+/**
+ * Replay state reducer
+ * Rebuilds the displayed game with GameRules.replay, so the real game
+ * in the game slice is never modified
+ * @param {Object} state - Current replay state
+ * @param {Object} action - Action to process
+ * @param {Object} rootState - Full root state
+ * @returns {Object} New replay state
+ */
+function replayReducer(state = initialState.replay, action, rootState) {
+    switch (action.type) {
+        case ActionTypes.START_REPLAY: {
+            const { moves, settings } = action.payload;
+            return {
+                ...state,
+                active: true,
+                moves: [...moves],
+                settings,
+                index: 0,
+                game: GameRules.replay(settings, []).toPlain(),
+                playing: false,
+            };
+        }
+
+        case ActionTypes.SEEK_REPLAY: {
+            if (!state.active) {
+                return state;
+            }
+            const index = Math.max(0, Math.min(action.payload.index, state.moves.length));
+            return {
+                ...state,
+                index,
+                game: GameRules.replay(state.settings, state.moves.slice(0, index)).toPlain(),
+                // Playback stops at the last move
+                playing: state.playing && index < state.moves.length,
+            };
+        }
+
+        case ActionTypes.SET_REPLAY_PLAYING:
+            if (!state.active) {
+                return state;
+            }
+            return {
+                ...state,
+                playing: action.payload.playing
+            };
+
+        case ActionTypes.SET_REPLAY_SPEED:
+            return {
+                ...state,
+                speed: action.payload.speed
+            };
+
+        case ActionTypes.STOP_REPLAY:
+        case ActionTypes.RESET_GAME:
+        case ActionTypes.LOAD_GAME:
+        case ActionTypes.UPDATE_SETTINGS:
+            // Leaving replay (or replacing the reviewed game) keeps the chosen speed
+            if (!state.active) {
+                return state;
+            }
+            return {
+                ...initialState.replay,
+                speed: state.speed,
+            };
+
+        default:
+            return state;
+    }
+}
+
+/**
+ * Network state reducer
+ * @param {Object} state - Current network state
+ * @param {Object} action - Action to process
+ * @param {Object} rootState - Full root state
+ * @returns {Object} New network state
+ */
+function networkReducer(state = initialState.network, action, rootState) {
+    switch (action.type) {
+        case ActionTypes.SET_NETWORK_STATUS:
+            return {
+                ...state,
+                ...action.payload.status
+            };
+
+        default:
+            return state;
+    }
+}
+
+/**
+ * Timer state reducer
+ * Ticks charge the time since the previous tick to the player to move; a
+ * move or swap charges the mover up to the action's `now`, then adds the
+ * increment. The clock stops (nothing is charged) while the game is over, the
+ * settings modal is open or a replay is shown
+ * @param {Object} state - Current timer state
+ * @param {Object} action - Action to process
+ * @param {Object} rootState - Full root state (before this action)
+ * @returns {Object} New timer state
+ */
+function timerReducer(state = initialState.timer, action, rootState) {
+    switch (action.type) {
+        case ActionTypes.TICK_TIMER: {
+            if (!state.remaining) {
+                return state;
+            }
+
+            const { game, ui, replay } = rootState;
+            const running = game.gamePhase === 'playing' && !ui.settingsModalOpen && !replay.active;
+            if (!running) {
+                return state.lastTick === null ? state : { ...state, lastTick: null };
+            }
+
+            const { now } = action.payload;
+            return {
+                ...state,
+                remaining: state.lastTick === null
+                    ? state.remaining
+                    : TimeControl.charge(state.remaining, game.currentPlayer, now - state.lastTick),
+                lastTick: now,
+            };
+        }
+
+        case ActionTypes.PLACE_MARKER: {
+            const { game, settings } = rootState;
+            if (!state.remaining || game.gamePhase !== 'playing') {
+                return state;
+            }
+
+            // Only moves the game reducer accepts (GameRules.placeMarker) count
+            const { position, player, now } = action.payload;
+            if (!GameState.fromPlain(game).isValidMove(position)) {
+                return state;
+            }
+            return chargeMove(state, player || game.currentPlayer, now, settings);
+        }
+
+        case ActionTypes.SWAP_SIDES: {
+            // A swap is a move, so it earns the increment too
+            const { game, settings } = rootState;
+            const { player, now } = action.payload;
+            if (!state.remaining || !SwapRule.canSwap(game) ||
+                (player && player !== game.currentPlayer)) {
+                return state;
+            }
+            return chargeMove(state, game.currentPlayer, now, settings);
+        }
+
+        case ActionTypes.TIME_OUT:
+            if (!state.remaining) {
+                return state;
+            }
+            return {
+                remaining: { ...state.remaining, [action.payload.player]: 0 },
+                lastTick: null,
+            };
+
+        case ActionTypes.RESET_GAME:
+            return createTimer(action.payload.settings || rootState.settings);
+
+        case ActionTypes.UPDATE_SETTINGS:
+            return createTimer(mergeSettings(rootState.settings, action.payload.settings));
+
+        case ActionTypes.LOAD_GAME:
+            return createTimer({ ...rootState.settings, ...action.payload.game.settings });
+
+        default:
+            return state;
+    }
+}
+
+/**
+ * Charge a player for the move just made and credit the increment
+ * The time since the last tick belongs to the mover, not to the next
+ * player; a stopped clock (or an action without `now`, like a relayed
+ * online move) charges nothing
+ * @param {Object} state - Timer state with clocks
+ * @param {string} player - Player who moved
+ * @param {number} [now] - Time of the move (ms)
+ * @param {Object} settings - Game settings { timeControl }
+ * @returns {Object} New timer state
+ */
+function chargeMove(state, player, now, settings) {
+    const running = state.lastTick !== null && Number.isFinite(now);
+    const remaining = running
+        ? TimeControl.charge(state.remaining, player, now - state.lastTick)
+        : state.remaining;
+    return {
+        remaining: TimeControl.addIncrement(remaining, player, settings),
+        lastTick: running ? now : state.lastTick,
+    };
+}
+
+/**
+ * Create full, stopped clocks for a game
+ * @param {Object} settings - Game settings { timeControl, players }
+ * @returns {Object} Timer state
+ */
+function createTimer(settings) {
+    return {
+        remaining: TimeControl.createClocks(settings, GameRules.getPlayers(settings)),
+        lastTick: null,
+    };
+}
@@ -6,16 +6,82 @@
 import { StateStore } from './infrastructure/state/StateStore.js';
 import { EventBus } from './infrastructure/events/EventBus.js';
 import { rootReducer, initialState } from './infrastructure/state/reducers.js';
+import { createPersistenceMiddleware, loadPersistedState } from './infrastructure/state/persistence.js';
+import { NetworkClient } from './infrastructure/network/NetworkClient.js';
 import { GameService } from './application/services/GameService.js';
 
 // Presentation layer (Phase 4)
 import { UIManager } from './presentation/ui/UIManager.js';
 import { SettingsModal } from './presentation/ui/SettingsModal.js';
+import { RecordControls } from './presentation/ui/RecordControls.js';
+import { ReplayControls } from './presentation/ui/ReplayControls.js';
+import { MoveListPanel } from './presentation/ui/MoveListPanel.js';
 import { InputController } from './presentation/input/InputController.js';
 
 // Legacy components (partial Phase 4)
 import { GridRenderer } from './renderer.js';
 import { RotationInitializer } from './game/RotationInitializer.js';
+import { CONFIG } from './config.js';
+import { GridShape } from './domain/state/GridShape.js';
+import { Topology } from './domain/rules/Topology.js';
+import { SwapRule } from './domain/rules/SwapRule.js';
+
+/**
+ * Get localStorage if the browser allows it
+ * (access throws in some privacy modes and sandboxed frames)
+ * @returns {Storage|null}
+ */
+function getLocalStorage() {
+    try {
+        return window.localStorage;
+    } catch (error) {
+        console.warn('localStorage is not available; the game will not be saved', error);
+        return null;
+    }
+}
+
+/**
+ * Get sessionStorage if the browser allows it
+ * @returns {Storage|null}
+ */
+function getSessionStorage() {
+    try {
+        return window.sessionStorage;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Read online play options from the page URL
+ * (?room=<name>[&server=ws://host:port][&spectate]; defaults to the relay on this host)
+ * @returns {{room: string, url: string, spectator: boolean}|null} Options, or null to play offline
+ */
+function getOnlineOptions() {
+    const params = new URLSearchParams(window.location.search);
+    const room = params.get('room');
+    if (!room) {
+        return null;
+    }
+    return {
+        room,
+        url: params.get('server') || `ws://${window.location.hostname || 'localhost'}:${CONFIG.RELAY_SERVER_PORT}`,
+        spectator: params.has('spectate')
+    };
+}
+
+/**
+ * Check if two settings describe differently shaped grids
+ * @param {Object} oldSettings - Previous settings
+ * @param {Object} newSettings - New settings
+ * @returns {boolean} True if dimensions, gridSize, topology (wrap edges) or the blocked cells differ
+ */
+function isGridChanged(oldSettings, newSettings) {
+    return oldSettings.dimensions !== newSettings.dimensions ||
+        !GridShape.equals(newSettings.dimensions, oldSettings.gridSize, newSettings.gridSize) ||
+        Topology.getId(oldSettings) !== Topology.getId(newSettings) ||
+        JSON.stringify(oldSettings.layout?.blocked ?? []) !== JSON.stringify(newSettings.layout?.blocked ?? []);
+}
 
 /**
  * Main Game Application
@@ -23,9 +89,24 @@ import { RotationInitializer } from './game/RotationInitializer.js';
 class Game {
     constructor() {
         // === Core Architecture (Phase 1-3) ===
-        this.store = new StateStore(initialState, rootReducer);
+        // Resume the previous game (if any) and keep saving it as it changes.
+        // Online games belong to the relay server: the saved settings only
+        // seed a new room and the shared game is not saved locally
+        const storage = getLocalStorage();
+        const online = getOnlineOptions();
         this.eventBus = new EventBus();
-        this.gameService = new GameService(this.store, this.eventBus);
+        this.network = online ? new NetworkClient(this.eventBus, { ...online, storage: getSessionStorage() }) : null;
+        this.store = new StateStore(
+            loadPersistedState(storage, initialState, { includeVisual: true }),
+            rootReducer,
+            this.network
+                ? [this.network.createMiddleware()]
+                : [createPersistenceMiddleware(storage, { includeVisual: true })]
+        );
+        this.gameService = new GameService(this.store, this.eventBus, {
+            // Let the human's marker render before the computer answers
+            scheduleComputerMove: (move) => setTimeout(move, CONFIG.COMPUTER_MOVE_DELAY_MS)
+        });
 
         // === Presentation Layer ===
         this.uiManager = new UIManager(this.store);
@@ -42,8 +123,32 @@ class Game {
         );
 
         // Settings modal with both new architecture and legacy callback for backward compatibility
-        this.settingsModal = new SettingsModal(this.store, (dims, gridSize) => {
-            this.handleSettingsChange(dims, gridSize);
+        this.settingsModal = new SettingsModal(this.store, (dims, gridSize, options) => {
+            this.handleSettingsChange(dims, gridSize, options);
+        });
+
+        // Game record download/upload and text notation next to undo/redo
+        this.recordControls = new RecordControls(
+            () => this.gameService.exportGame(),
+            (json) => this.gameService.importGame(json),
+            () => this.gameService.exportNotation(),
+            (text) => this.gameService.importNotation(text)
+        );
+
+        // Replay timeline (reviews the move history without touching the game)
+        this.replayControls = new ReplayControls(this.store, {
+            onToggle: () => this.toggleReplay(),
+            onSeek: (index) => this.gameService.seekReplay(index),
+            onStep: (delta) => this.gameService.stepReplay(delta),
+            onPlay: () => this.gameService.playReplay(),
+            onPause: () => this.gameService.pauseReplay(),
+            onSpeedChange: (speed) => this.gameService.setReplaySpeed(speed)
+        });
+
+        // Move list: click previews the position (replay mode), hover highlights the cell
+        this.moveListPanel = new MoveListPanel(this.store, {
+            onPreview: (moveCount) => this.gameService.previewMove(moveCount),
+            onHover: (position) => this.gameService.setHoveredCell(position)
         });
 
         // === Setup ===
@@ -53,6 +158,14 @@ class Game {
 
         // Initial sync (markers are automatically rendered from moveHistory in render loop)
         this.updateStatus();
+        if (this.network) {
+            this.network.attach(this.store);
+            this.network.connect();
+        } else {
+            this.gameService.requestComputerMove();
+            // Chess clock (untimed games ignore the ticks)
+            setInterval(() => this.gameService.tickClock(), CONFIG.CLOCK_TICK_MS);
+        }
         this.animate();
     }
 
@@ -171,6 +284,48 @@ class Game {
             this.updateStatus();
         });
 
+        /**
+         * Event: game:loaded
+         *
+         * Precondition (guaranteed by GameService.loadGame):
+         * - game slice replaced by the loaded game (redoStack = [])
+         * - settings replaced by the loaded game's settings
+         *
+         * Responsibility:
+         * - Recreate grid if dimensions/gridSize/blocked cells changed
+         * - Update UI status
+         *
+         * Postcondition:
+         * - Loaded markers visible on next frame (rendered from moveHistory)
+         */
+        this.eventBus.on('game:loaded', ({ oldSettings, newSettings }) => {
+            if (isGridChanged(oldSettings, newSettings)) {
+                this.renderer.recreateGrid(newSettings.dimensions, newSettings.gridSize);
+            }
+            this.updateStatus();
+        });
+
+        // ===== Replay Events =====
+
+        /**
+         * Event: replay:started / replay:stopped
+         *
+         * Precondition (guaranteed by GameService.startReplay / stopReplay):
+         * - replay.active toggled, game slice unchanged
+         *
+         * Responsibility:
+         * - Update UI status and undo/redo buttons (disabled while reviewing)
+         *
+         * Postcondition:
+         * - Reviewed (or real) board visible on next frame (renderer reads replay.game)
+         */
+        this.eventBus.on('replay:started', () => {
+            this.updateStatus();
+        });
+        this.eventBus.on('replay:stopped', () => {
+            this.updateStatus();
+        });
+
         // ===== Settings Events =====
 
         /**
@@ -188,14 +343,45 @@ class Game {
          * - Grid recreated with new settings
          * - Rotation axes updated in StateStore by visualReducer
          */
-        this.eventBus.on('settings:changed', ({ newSettings }) => {
+        this.eventBus.on('settings:changed', () => {
             // Heavy operation: recreate grid with new settings
+            // (read from the store: online, the change is refused)
+            const settings = this.store.getState().settings;
             this.renderer.recreateGrid(
-                newSettings.dimensions,
-                newSettings.gridSize
+                settings.dimensions,
+                settings.gridSize
             );
         });
 
+        // ===== Network Events =====
+
+        /**
+         * Event: network:synced
+         *
+         * Precondition (guaranteed by NetworkClient):
+         * - game slice and settings replaced by the room's game (also after reconnecting)
+         *
+         * Responsibility:
+         * - Recreate grid if dimensions/gridSize/blocked cells changed
+         * - Update UI status
+         */
+        this.eventBus.on('network:synced', ({ oldSettings, newSettings }) => {
+            if (isGridChanged(oldSettings, newSettings)) {
+                this.renderer.recreateGrid(newSettings.dimensions, newSettings.gridSize);
+            }
+            this.updateStatus();
+        });
+
+        /**
+         * Event: network:rejected
+         *
+         * Responsibility:
+         * - Tell the player why the click/undo/etc. had no effect
+         */
+        this.eventBus.on('network:rejected', ({ reason }) => {
+            this.uiManager.showNetworkRejection(reason);
+        });
+
         // Input controller events
         this.inputController.addEventListener('rotate', (e) => {
             const { axis, delta } = e.detail;
@@ -207,14 +393,18 @@ class Game {
         });
 
         this.inputController.addEventListener('reset', () => {
-            const state = this.store.getState();
-            this.settingsModal.show(state.settings.dimensions, state.settings.gridSize);
+            // Opened through the store so the chess clock stops while choosing
+            this.gameService.setSettingsModalOpen(true);
         });
 
         this.inputController.addEventListener('toggleAutoRotate', () => {
             this.gameService.toggleAutoRotate();
         });
 
+        this.inputController.addEventListener('toggleThreats', () => {
+            this.gameService.toggleThreatOverlay();
+        });
+
         this.inputController.addEventListener('cameraPinch', (e) => {
             this.renderer.adjustCameraDistance(e.detail.delta);
         });
@@ -232,14 +422,21 @@ class Game {
         document.getElementById('redo-button')?.addEventListener('click', () => {
             this.handleRedo();
         });
+
+        // Swap button (swap rule)
+        document.getElementById('swap-btn')?.addEventListener('click', () => {
+            this.handleSwap();
+        });
     }
 
     /**
      * Setup legacy integration (bridge old and new)
      */
     setupLegacyIntegration() {
-        // Store last values to detect changes
-        this._lastAutoRotate = true;
+        // Store last values to detect changes (auto-rotate may be restored as off)
+        this._lastAutoRotate = this.store.getState().visual.autoRotate;
+        this.inputController.updateAutoRotateButton(this._lastAutoRotate);
+        this.inputController.updateThreatButton(this.store.getState().visual.showThreats);
     }
 
     /**
@@ -248,8 +445,8 @@ class Game {
     handleCellClick(mouseX, mouseY) {
         const state = this.store.getState();
 
-        // Don't allow moves when game is over
-        if (state.game.gamePhase !== 'playing') return;
+        // Don't allow moves when game is over or while reviewing a replay
+        if (state.game.gamePhase !== 'playing' || state.replay.active) return;
 
         const cell = this.renderer.getCellAtMouse(mouseX, mouseY);
         if (!cell) return;
@@ -286,6 +483,27 @@ class Game {
         this.updateStatus();
     }
 
+    /**
+     * Handle swap button (take over the opponent's markers instead of moving)
+     */
+    handleSwap() {
+        if (!this.gameService.canSwap()) return;
+
+        this.gameService.swapSides();
+        this.updateStatus();
+    }
+
+    /**
+     * Handle replay button (enter or leave replay mode)
+     */
+    toggleReplay() {
+        if (this.gameService.isReplaying()) {
+            this.gameService.stopReplay();
+        } else {
+            this.gameService.startReplay();
+        }
+    }
+
     /**
      * Handle settings change (called from SettingsModal)
      *
@@ -319,18 +537,20 @@ class Game {
      * - UI synchronized with new state
      *
      * @param {number} dimensions - New dimension count
-     * @param {number} gridSize - New grid size (n-in-a-row)
+     * @param {number|Array<number>} gridSize - New grid size (n-in-a-row), or per-axis sizes
+     * @param {Object} [options] - Other settings (winLength, players, computerPlayer, computerDifficulty,
+     *        timeControl, ruleSet, targetLines, gravityAxis, topology, swapMoves)
      *
      * @see EVENT_RESPONSIBILITIES.md section "複合操作フロー"
      */
-    handleSettingsChange(dimensions, gridSize) {
+    handleSettingsChange(dimensions, gridSize, options = {}) {
         // Step 1: Reset game state FIRST (clears markers and moveHistory)
         // This ensures the new grid is created with clean state
         this.gameService.resetGameState();
 
         // Step 2: Update settings (triggers 'settings:changed' which recreates grid)
         // At this point, moveHistory is empty, so no markers will be re-applied
-        this.gameService.updateSettings({ dimensions, gridSize });
+        this.gameService.updateSettings({ dimensions, gridSize, ...options });
 
         // Note: Grid recreation and UI updates are handled by event listeners
         // This prevents circular dependencies and keeps the flow one-directional
@@ -345,13 +565,16 @@ class Game {
     updateStatus() {
         const state = this.store.getState();
 
-        if (state.game.gamePhase === 'won') {
-            this.uiManager.showVictoryStatus(`プレイヤー ${state.game.winner} の勝利！`);
+        if (state.replay.active) {
+            this.uiManager.showReplayStatus(state.replay.index, state.replay.moves.length, state.replay.game);
+        } else if (state.game.gamePhase === 'won') {
+            this.uiManager.showVictoryStatus(`プレイヤー ${state.game.winner} の勝利！`, state.game.winner,
+                state.game.resultReason);
         } else if (state.game.gamePhase === 'draw') {
-            this.uiManager.showDrawStatus();
+            this.uiManager.showDrawStatus(state.game.resultReason);
         } else {
             // Pass currentPlayer (not full message) to updateStatus
-            this.uiManager.updateStatus(state.game.currentPlayer);
+            this.uiManager.updateStatus(state.game.currentPlayer, SwapRule.canSwap(state.game));
         }
 
         // Update undo/redo button states
@@ -364,6 +587,12 @@ class Game {
         if (redoButton) {
             redoButton.disabled = !this.gameService.canRedo();
         }
+
+        // Offer the swap only when the player at this screen may take it
+        const swapButton = document.getElementById('swap-btn');
+        if (swapButton) {
+            swapButton.hidden = !this.gameService.canSwap();
+        }
     }
 
     /**
@@ -46,6 +46,12 @@ export class InputController extends EventTarget {
             this._lastAutoRotate = state.visual.autoRotate;
             this.updateAutoRotateButton(state.visual.autoRotate);
         }
+
+        // Update threat overlay button based on state
+        if (state.visual && state.visual.showThreats !== this._lastShowThreats) {
+            this._lastShowThreats = state.visual.showThreats;
+            this.updateThreatButton(state.visual.showThreats);
+        }
     }
 
     /**
@@ -170,6 +176,14 @@ export class InputController extends EventTarget {
             }
         });
 
+        this.uiController.addEventListener('toggleThreats', () => {
+            this.dispatchEvent(new CustomEvent('toggleThreats'));
+
+            if (this.eventBus) {
+                this.eventBus.emit('input:toggleThreats', {});
+            }
+        });
+
         // Axis changes are handled internally by UIController
         // Gesture handler will query current axes when needed
     }
@@ -182,6 +196,14 @@ export class InputController extends EventTarget {
         this.uiController.updateAutoRotateButton(autoRotate);
     }
 
+    /**
+     * Update threat overlay button state
+     * @param {boolean} showThreats - Threat overlay enabled
+     */
+    updateThreatButton(showThreats) {
+        this.uiController.updateThreatButton(showThreats);
+    }
+
     /**
      * Get rotation axes from UI controller
      * @returns {Object} Rotation axes {horizontal, vertical}
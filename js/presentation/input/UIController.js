@@ -111,6 +111,19 @@ export class UIController extends EventTarget {
             });
         }
 
+        const threatBtn = document.getElementById('threat-btn');
+        if (threatBtn) {
+            threatBtn.addEventListener('click', () => {
+                // Dispatch legacy event
+                this.dispatchEvent(new CustomEvent('toggleThreats'));
+
+                // Also emit to EventBus if available
+                if (this.eventBus) {
+                    this.eventBus.emit('ui:toggleThreats', {});
+                }
+            });
+        }
+
         // Settings toggle button
         const settingsToggleBtn = document.getElementById('settings-toggle-btn');
         const advancedControls = document.getElementById('advanced-controls');
@@ -165,6 +178,18 @@ export class UIController extends EventTarget {
         }
     }
 
+    /**
+     * Update threat overlay button state
+     * @param {boolean} showThreats - Threat overlay enabled
+     */
+    updateThreatButton(showThreats) {
+        const btn = document.getElementById('threat-btn');
+        if (btn) {
+            btn.classList.toggle('active', showThreats);
+            btn.title = showThreats ? 'リーチ表示をオフ' : 'リーチ表示をオン';
+        }
+    }
+
     /**
      * Get current rotation axes
      * @returns {{horizontal: string, vertical: string}} Rotation axes
@@ -0,0 +1,199 @@
+/**
+ * Move List Panel for Presentation Layer
+ * Lists played moves and pending redo moves (number, player, coordinates,
+ * time taken); clicking previews the board, hovering highlights the cell
+ * Pure view layer - previews and hover are delegated to callbacks
+ */
+
+import { getPlayerClass, getPlayerGlyph } from '../../rendering/playerStyle.js';
+import { MoveNotation } from '../../domain/record/MoveNotation.js';
+import { SwapRule } from '../../domain/rules/SwapRule.js';
+
+const NARROW_SCREEN_WIDTH = 600; // Panel starts collapsed at or below this width
+
+/**
+ * Format the time between two moves
+ * @param {number|undefined} milliseconds - Elapsed time
+ * @returns {string} Like "3.2s" or "1:05" ("—" if unknown)
+ */
+export function formatMoveTime(milliseconds) {
+    if (!Number.isFinite(milliseconds) || milliseconds < 0) {
+        return '—';
+    }
+
+    const seconds = milliseconds / 1000;
+    if (seconds < 60) {
+        return `${seconds.toFixed(1)}s`;
+    }
+
+    const minutes = Math.floor(seconds / 60);
+    const rest = String(Math.floor(seconds % 60)).padStart(2, '0');
+    return `${minutes}:${rest}`;
+}
+
+/**
+ * MoveListPanel - renders the move history as a clickable list
+ */
+export class MoveListPanel {
+    /**
+     * Create move list panel
+     * @param {StateStore} stateStore - State store instance (reads game and replay slices)
+     * @param {Object} handlers - Callbacks
+     * @param {Function} handlers.onPreview - Receives the number of moves to show
+     * @param {Function} handlers.onHover - Receives a position (or null when the pointer leaves)
+     */
+    constructor(stateStore, handlers) {
+        this.store = stateStore;
+        this.handlers = handlers;
+
+        // Slices last rendered (the list is rebuilt only when they change)
+        this.lastGame = null;
+        this.lastReplay = null;
+
+        // Get DOM elements
+        this.panel = document.getElementById('move-list-panel');
+        this.list = document.getElementById('move-list');
+        this.toggleBtn = document.getElementById('move-list-btn');
+
+        if (this.panel && window.innerWidth <= NARROW_SCREEN_WIDTH) {
+            this.panel.classList.add('collapsed');
+        }
+
+        this.setupEventListeners();
+
+        this.store.subscribe((state) => this.onStateChange(state));
+        this.onStateChange(this.store.getState());
+    }
+
+    /**
+     * Setup event listeners (delegated to the list so rows can be rebuilt freely)
+     * @private
+     */
+    setupEventListeners() {
+        this.toggleBtn?.addEventListener('click', () => {
+            this.panel?.classList.toggle('collapsed');
+        });
+
+        if (!this.list) return;
+
+        this.list.addEventListener('click', (event) => {
+            const row = event.target.closest('.move-row');
+            if (row) {
+                this.handlers.onPreview(parseInt(row.dataset.index, 10) + 1);
+            }
+        });
+
+        this.list.addEventListener('mouseover', (event) => {
+            const row = event.target.closest('.move-row');
+            if (row && !row.contains(event.relatedTarget)) {
+                this.handlers.onHover(this.getRowPosition(row));
+            }
+        });
+
+        this.list.addEventListener('mouseleave', () => {
+            this.handlers.onHover(null);
+        });
+    }
+
+    /**
+     * Rebuild the list when moves, redo stack or replay position change
+     * @param {Object} state - Current state
+     * @private
+     */
+    onStateChange(state) {
+        if (state.game === this.lastGame && state.replay === this.lastReplay) {
+            return;
+        }
+        this.lastGame = state.game;
+        this.lastReplay = state.replay;
+
+        this.render(state.game, state.replay);
+    }
+
+    /**
+     * Render all rows
+     * @param {Object} game - Game slice
+     * @param {Object} replay - Replay slice
+     * @private
+     */
+    render(game, replay) {
+        if (!this.list) return;
+
+        const history = game.moveHistory;
+        const moves = [...history, ...[...(game.redoStack || [])].reverse()];
+        const shownCount = replay.active ? replay.index : history.length;
+
+        this.list.replaceChildren(...moves.map((move, index) => {
+            const previous = moves[index - 1];
+            const elapsed = previous ? move.timestamp - previous.timestamp : undefined;
+            return this.createRow(move, index, {
+                isRedo: index >= history.length,
+                isCurrent: index === shownCount - 1,
+                isFuture: replay.active && index >= shownCount,
+                elapsed
+            });
+        }));
+
+        this.list.querySelector('.move-row.current')?.scrollIntoView?.({ block: 'nearest' });
+    }
+
+    /**
+     * Create one row
+     * @param {Object} move - Move ({position, player, timestamp}, or a swap {swap, player, timestamp})
+     * @param {number} index - 0-based move index
+     * @param {Object} flags - Row state (isRedo, isCurrent, isFuture, elapsed)
+     * @returns {HTMLElement} List item
+     * @private
+     */
+    createRow(move, index, { isRedo, isCurrent, isFuture, elapsed }) {
+        const row = document.createElement('li');
+        row.className = 'move-row';
+        row.classList.toggle('redo', isRedo);
+        row.classList.toggle('current', isCurrent);
+        row.classList.toggle('future', isFuture);
+        row.dataset.index = String(index);
+        const isSwap = SwapRule.isSwap(move);
+        if (!isSwap) {
+            row.dataset.position = move.position.join(',');
+        }
+        row.title = isRedo ? 'やり直しで再開できる手 (クリックでプレビュー)' : 'クリックでこの局面をプレビュー';
+
+        const cells = [
+            ['move-number', `${index + 1}.`],
+            ['move-player', getPlayerGlyph(move.player)],
+            ['move-coords', isSwap ? '入れ替え' : MoveNotation.formatPosition(move.position)],
+            ['move-time', formatMoveTime(elapsed)],
+        ];
+        cells.forEach(([className, text]) => {
+            const cell = document.createElement('span');
+            cell.className = className;
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        row.querySelector('.move-player').classList.add(`player-${getPlayerClass(move.player)}`);
+
+        return row;
+    }
+
+    /**
+     * Get the board position a row refers to
+     * @param {HTMLElement} row - Move row
+     * @returns {Array<number>|null} Position (null for a swap)
+     * @private
+     */
+    getRowPosition(row) {
+        return row.dataset.position ? row.dataset.position.split(',').map(Number) : null;
+    }
+
+    /**
+     * Get DOM element references (for testing)
+     * @returns {Object} DOM elements
+     */
+    getElements() {
+        return {
+            panel: this.panel,
+            list: this.list,
+            toggleBtn: this.toggleBtn
+        };
+    }
+}
@@ -0,0 +1,151 @@
+/**
+ * Record Controls for Presentation Layer
+ * Save/load buttons for game records (file download/upload) and a
+ * copy/paste dialog for the text notation
+ * Pure view layer - record conversion is delegated to callbacks
+ */
+
+/**
+ * RecordControls - manages game record download/upload UI
+ */
+export class RecordControls {
+    /**
+     * Create record controls
+     * @param {Function} onSave - Returns the record JSON to download
+     * @param {Function} onLoad - Receives the uploaded record JSON (may throw on invalid records)
+     * @param {Function} [onExportNotation] - Returns the current game notation
+     * @param {Function} [onImportNotation] - Receives pasted game notation (may throw on invalid notation)
+     */
+    constructor(onSave, onLoad, onExportNotation = null, onImportNotation = null) {
+        this.onSave = onSave;
+        this.onLoad = onLoad;
+        this.onExportNotation = onExportNotation;
+        this.onImportNotation = onImportNotation;
+
+        // Get DOM elements
+        this.saveBtn = document.getElementById('save-record-btn');
+        this.loadBtn = document.getElementById('load-record-btn');
+        this.fileInput = document.getElementById('load-record-input');
+        this.notationBtn = document.getElementById('notation-btn');
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners for save/load buttons
+     * @private
+     */
+    setupEventListeners() {
+        if (this.saveBtn) {
+            this.saveBtn.addEventListener('click', () => {
+                this.handleSave();
+            });
+        }
+
+        // The load button opens the hidden file picker
+        if (this.loadBtn && this.fileInput) {
+            this.loadBtn.addEventListener('click', () => {
+                this.fileInput.click();
+            });
+        }
+
+        if (this.fileInput) {
+            this.fileInput.addEventListener('change', () => {
+                const file = this.fileInput.files && this.fileInput.files[0];
+                if (file) {
+                    this.handleFile(file);
+                }
+                // Allow selecting the same file again
+                this.fileInput.value = '';
+            });
+        }
+
+        if (this.notationBtn && this.onExportNotation && this.onImportNotation) {
+            this.notationBtn.addEventListener('click', () => {
+                this.handleNotation();
+            });
+        }
+    }
+
+    /**
+     * Show the game notation for copying; load it if the user pastes another game
+     * @returns {boolean} True if a pasted game was loaded
+     */
+    handleNotation() {
+        const current = this.onExportNotation();
+        const text = prompt('棋譜テキスト (コピーして共有 / 貼り付けて読み込み):', current);
+        if (text === null || text.trim() === '' || text.trim() === current) {
+            return false;
+        }
+
+        try {
+            this.onImportNotation(text);
+            return true;
+        } catch (error) {
+            console.error('RecordControls: Failed to load game notation', error);
+            alert(`棋譜テキストを読み込めませんでした:\n${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Download the current game record as a JSON file
+     * @private
+     */
+    handleSave() {
+        const json = this.onSave();
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = this.createFileName(new Date());
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Read an uploaded record file and hand it to the load callback
+     * @param {File} file - Uploaded file
+     * @returns {Promise<boolean>} True if the record was loaded
+     */
+    async handleFile(file) {
+        try {
+            const json = await file.text();
+            this.onLoad(json);
+            return true;
+        } catch (error) {
+            console.error('RecordControls: Failed to load game record', error);
+            alert(`棋譜を読み込めませんでした:\n${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Build a download file name from a date
+     * @param {Date} date - Export time
+     * @returns {string} File name like "tictactoe-20240101-123000.json"
+     */
+    createFileName(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        const day = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+        const time = `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+        return `tictactoe-${day}-${time}.json`;
+    }
+
+    /**
+     * Get DOM element references (for testing)
+     * @returns {Object} DOM elements
+     */
+    getElements() {
+        return {
+            saveBtn: this.saveBtn,
+            loadBtn: this.loadBtn,
+            fileInput: this.fileInput,
+            notationBtn: this.notationBtn
+        };
+    }
+}
@@ -0,0 +1,163 @@
+/**
+ * Replay Controls for Presentation Layer
+ * Toggle button and timeline (slider, step, play/pause, speed) for replay mode
+ * Pure view layer - replay state changes are delegated to callbacks
+ */
+
+import { CONFIG } from '../../config.js';
+
+/**
+ * ReplayControls - manages the replay timeline UI and playback timer
+ */
+export class ReplayControls {
+    /**
+     * Create replay controls
+     * @param {StateStore} stateStore - State store instance (reads the replay slice)
+     * @param {Object} handlers - Callbacks
+     * @param {Function} handlers.onToggle - Enter/leave replay mode
+     * @param {Function} handlers.onSeek - Receives the number of moves to show
+     * @param {Function} handlers.onStep - Receives a step delta (+1 / -1)
+     * @param {Function} handlers.onPlay - Start playback
+     * @param {Function} handlers.onPause - Pause playback
+     * @param {Function} handlers.onSpeedChange - Receives the speed multiplier
+     */
+    constructor(stateStore, handlers) {
+        this.store = stateStore;
+        this.handlers = handlers;
+        this.playbackTimer = null;
+        this.lastReplay = null; // Replay slice last drawn
+
+        // Get DOM elements
+        this.toggleBtn = document.getElementById('replay-btn');
+        this.panel = document.getElementById('replay-panel');
+        this.firstBtn = document.getElementById('replay-first-btn');
+        this.prevBtn = document.getElementById('replay-prev-btn');
+        this.playBtn = document.getElementById('replay-play-btn');
+        this.nextBtn = document.getElementById('replay-next-btn');
+        this.lastBtn = document.getElementById('replay-last-btn');
+        this.slider = document.getElementById('replay-slider');
+        this.positionLabel = document.getElementById('replay-position');
+        this.speedSelect = document.getElementById('replay-speed-select');
+
+        this.setupEventListeners();
+
+        this.store.subscribe((state) => this.onStateChange(state));
+        this.onStateChange(this.store.getState());
+    }
+
+    /**
+     * Setup event listeners for the timeline
+     * @private
+     */
+    setupEventListeners() {
+        this.toggleBtn?.addEventListener('click', () => this.handlers.onToggle());
+        this.firstBtn?.addEventListener('click', () => this.handlers.onSeek(0));
+        this.prevBtn?.addEventListener('click', () => this.handlers.onStep(-1));
+        this.nextBtn?.addEventListener('click', () => this.handlers.onStep(1));
+        this.lastBtn?.addEventListener('click', () => {
+            this.handlers.onSeek(this.store.getState().replay.moves.length);
+        });
+
+        this.playBtn?.addEventListener('click', () => {
+            if (this.store.getState().replay.playing) {
+                this.handlers.onPause();
+            } else {
+                this.handlers.onPlay();
+            }
+        });
+
+        // Scrubbing pauses playback so the slider does not jump back under the pointer
+        this.slider?.addEventListener('input', () => {
+            if (this.store.getState().replay.playing) {
+                this.handlers.onPause();
+            }
+            this.handlers.onSeek(parseInt(this.slider.value, 10));
+        });
+
+        this.speedSelect?.addEventListener('change', () => {
+            this.handlers.onSpeedChange(parseFloat(this.speedSelect.value));
+        });
+    }
+
+    /**
+     * Sync the timeline with the replay slice and (re)arm the playback timer
+     * @param {Object} state - Current state
+     * @private
+     */
+    onStateChange(state) {
+        const replay = state.replay;
+
+        // Rotation updates every frame; only redraw when the replay slice changes
+        if (replay === this.lastReplay) {
+            return;
+        }
+        this.lastReplay = replay;
+
+        this.toggleBtn?.classList.toggle('active', replay.active);
+        this.panel?.classList.toggle('collapsed', !replay.active);
+
+        if (this.slider) {
+            this.slider.max = String(replay.moves.length);
+            this.slider.value = String(replay.index);
+        }
+        if (this.positionLabel) {
+            this.positionLabel.textContent = `${replay.index} / ${replay.moves.length}`;
+        }
+        if (this.playBtn) {
+            this.playBtn.textContent = replay.playing ? '⏸' : '▶';
+            this.playBtn.title = replay.playing ? '一時停止' : '再生';
+        }
+        if (this.speedSelect) {
+            this.speedSelect.value = String(replay.speed);
+        }
+
+        this.syncPlayback(replay);
+    }
+
+    /**
+     * Advance one move per REPLAY_STEP_MS / speed while playing
+     * (each step changes the state, which schedules the next one)
+     * @param {Object} replay - Replay slice
+     * @private
+     */
+    syncPlayback(replay) {
+        if (!replay.active || !replay.playing) {
+            this.stopPlaybackTimer();
+            return;
+        }
+        if (this.playbackTimer !== null) {
+            return;
+        }
+
+        this.playbackTimer = setTimeout(() => {
+            this.playbackTimer = null;
+            this.handlers.onStep(1);
+        }, CONFIG.REPLAY_STEP_MS / replay.speed);
+    }
+
+    /**
+     * Cancel a pending playback step
+     * @private
+     */
+    stopPlaybackTimer() {
+        if (this.playbackTimer !== null) {
+            clearTimeout(this.playbackTimer);
+            this.playbackTimer = null;
+        }
+    }
+
+    /**
+     * Get DOM element references (for testing)
+     * @returns {Object} DOM elements
+     */
+    getElements() {
+        return {
+            toggleBtn: this.toggleBtn,
+            panel: this.panel,
+            playBtn: this.playBtn,
+            slider: this.slider,
+            positionLabel: this.positionLabel,
+            speedSelect: this.speedSelect
+        };
+    }
+}
@@ -7,6 +7,20 @@
 import { CONFIG } from '../../config.js';
 import { generateRotationPlanes } from '../../mathnd.js';
 import { Actions } from '../../infrastructure/state/actions.js';
+import { TimeControl } from '../../domain/rules/TimeControl.js';
+import { RuleSets, RuleSetId, DEFAULT_TARGET_LINES } from '../../domain/rules/RuleSets.js';
+import { Gravity } from '../../domain/rules/Gravity.js';
+import { Topology, TopologyId, MIN_TORUS_SIZE } from '../../domain/rules/Topology.js';
+import { SwapRule } from '../../domain/rules/SwapRule.js';
+import { GridShape } from '../../domain/state/GridShape.js';
+
+// How each rule set ends the game (shown under the rule select)
+const RULE_SET_INFO = {
+    [RuleSetId.STANDARD]: '最初に1列並べたプレイヤーの勝ち',
+    [RuleSetId.MISERE]: '1列並べてしまったプレイヤーの負け',
+    [RuleSetId.LINE_COUNT]: '盤が埋まった時点で並べた列が最も多いプレイヤーの勝ち',
+    [RuleSetId.FIRST_TO_K]: '先にK列並べたプレイヤーの勝ち',
+};
 
 /**
  * SettingsModal - manages settings modal UI
@@ -26,10 +40,25 @@ export class SettingsModal {
         this.modal = document.getElementById('settings-modal');
         this.dimensionSelect = document.getElementById('dimension-select');
         this.gridsizeSelect = document.getElementById('gridsize-select');
+        this.axisSizesInput = document.getElementById('axis-sizes-input');
+        this.winLengthSelect = document.getElementById('winlength-select');
+        this.playerCountSelect = document.getElementById('player-count-select');
+        this.computerSelect = document.getElementById('computer-select');
+        this.difficultySelect = document.getElementById('difficulty-select');
+        this.timeBaseSelect = document.getElementById('time-base-select');
+        this.timeIncrementSelect = document.getElementById('time-increment-select');
+        this.ruleSetSelect = document.getElementById('rule-set-select');
+        this.targetLinesSelect = document.getElementById('target-lines-select');
+        this.ruleSetInfo = document.getElementById('rule-set-info');
+        this.gravitySelect = document.getElementById('gravity-select');
+        this.topologySelect = document.getElementById('topology-select');
+        this.swapSelect = document.getElementById('swap-select');
         this.dimensionInfo = document.getElementById('dimension-info');
         this.cellsInfo = document.getElementById('cells-info');
+        this.winLengthInfo = document.getElementById('winlength-info');
         this.applyBtn = document.getElementById('apply-settings-btn');
         this.cancelBtn = document.getElementById('cancel-settings-btn');
+        this.lastOpen = false; // settingsModalOpen last shown
 
         this.setupEventListeners();
 
@@ -45,9 +74,17 @@ export class SettingsModal {
      * @private
      */
     onStateChange(state) {
-        // Update modal visibility based on UI state
-        if (state.ui && state.ui.settingsModalOpen) {
-            this.showModal(state.settings.dimensions, state.settings.gridSize);
+        // Update modal visibility when the UI state opens or closes it
+        // (not on every change: the clock ticks while the modal is open
+        // and must not reset the choices being made)
+        const open = Boolean(state.ui && state.ui.settingsModalOpen);
+        if (open === this.lastOpen) {
+            return;
+        }
+        this.lastOpen = open;
+
+        if (open) {
+            this.showModal(state.settings.dimensions, state.settings.gridSize, state.settings);
         } else {
             this.hideModal();
         }
@@ -63,6 +100,7 @@ export class SettingsModal {
             this.dimensionSelect.addEventListener('change', () => {
                 this.updateDimensionInfo();
                 this.updateGridSizeInfo();
+                this.updateGravityOptions();
             });
         }
 
@@ -70,6 +108,44 @@ export class SettingsModal {
         if (this.gridsizeSelect) {
             this.gridsizeSelect.addEventListener('change', () => {
                 this.updateGridSizeInfo();
+                this.updateWinLengthInfo();
+            });
+        }
+
+        // Per-axis sizes override the grid size select
+        if (this.axisSizesInput) {
+            this.axisSizesInput.addEventListener('input', () => {
+                this.updateGridSizeInfo();
+                this.updateWinLengthInfo();
+            });
+        }
+
+        // Update info when win length changes
+        if (this.winLengthSelect) {
+            this.winLengthSelect.addEventListener('change', () => {
+                this.updateWinLengthInfo();
+            });
+        }
+
+        // K only matters for first-to-K games
+        if (this.ruleSetSelect) {
+            this.ruleSetSelect.addEventListener('change', () => {
+                this.updateRuleSetInfo();
+            });
+        }
+
+        // The computer can only take a seat that exists
+        if (this.playerCountSelect) {
+            this.playerCountSelect.addEventListener('change', () => {
+                this.updateComputerOptions();
+                this.updateDifficultyState();
+            });
+        }
+
+        // Difficulty only matters when the computer plays
+        if (this.computerSelect) {
+            this.computerSelect.addEventListener('change', () => {
+                this.updateDifficultyState();
             });
         }
 
@@ -103,10 +179,25 @@ export class SettingsModal {
      */
     handleApply() {
         const newDimensions = parseInt(this.dimensionSelect.value);
-        const newGridSize = parseInt(this.gridsizeSelect.value);
+        const newGridSize = this.readGridSize();
+        const playerCount = this.playerCountSelect ? parseInt(this.playerCountSelect.value) : CONFIG.MIN_PLAYERS;
+        const options = {
+            winLength: this.winLengthSelect && this.winLengthSelect.value
+                ? parseInt(this.winLengthSelect.value)
+                : null,
+            players: CONFIG.PLAYER_IDS.slice(0, playerCount),
+            computerPlayer: this.computerSelect ? (this.computerSelect.value || null) : null,
+            computerDifficulty: this.difficultySelect ? this.difficultySelect.value : 'greedy',
+            timeControl: this.readTimeControl(),
+            ...this.readRuleSet(),
+            gravityAxis: this.gravitySelect && this.gravitySelect.value ? parseInt(this.gravitySelect.value) : null,
+            topology: this.topologySelect ? this.topologySelect.value : TopologyId.BOUNDED,
+            swapMoves: this.swapSelect && this.swapSelect.value ? parseInt(this.swapSelect.value) : null,
+        };
 
         // Validate settings before applying
-        if (!this.validateSettings(newDimensions, newGridSize)) {
+        if (!this.validateSettings(newDimensions, newGridSize, options.winLength, playerCount, options.timeControl,
+            options)) {
             return;
         }
 
@@ -120,8 +211,50 @@ export class SettingsModal {
 
         // Call legacy callback if provided (this handles both state update and grid recreation)
         if (this.onApply) {
-            this.onApply(newDimensions, newGridSize);
+            this.onApply(newDimensions, newGridSize, options);
+        }
+    }
+
+    /**
+     * Read the grid size choice
+     * @returns {number|Array<number>|null} Grid size, per-axis sizes when given, or null if they cannot be read
+     * @private
+     */
+    readGridSize() {
+        const axisSizes = this.axisSizesInput ? this.axisSizesInput.value.trim().replace(/[×*,\s]+/g, 'x') : '';
+        if (!axisSizes) {
+            return parseInt(this.gridsizeSelect.value);
         }
+        const gridSize = GridShape.parse(axisSizes);
+        return gridSize === null ? null : GridShape.normalize(gridSize);
+    }
+
+    /**
+     * Read the chess clock choice
+     * @returns {{baseMs: number, incrementMs: number}|null} Time control, or null for untimed games
+     * @private
+     */
+    readTimeControl() {
+        if (!this.timeBaseSelect || !this.timeBaseSelect.value) {
+            return null;
+        }
+        return {
+            baseMs: parseInt(this.timeBaseSelect.value),
+            incrementMs: this.timeIncrementSelect ? parseInt(this.timeIncrementSelect.value) : 0,
+        };
+    }
+
+    /**
+     * Read the rule set choice
+     * @returns {{ruleSet: string, targetLines: number|null}} targetLines is null unless first-to-K is chosen
+     * @private
+     */
+    readRuleSet() {
+        const ruleSet = this.ruleSetSelect ? this.ruleSetSelect.value : RuleSetId.STANDARD;
+        const targetLines = ruleSet === RuleSetId.FIRST_TO_K && this.targetLinesSelect
+            ? parseInt(this.targetLinesSelect.value)
+            : null;
+        return { ruleSet, targetLines };
     }
 
     /**
@@ -129,20 +262,21 @@ export class SettingsModal {
      * @private
      */
     handleCancel() {
+        this.hideModal();
         if (this.store) {
             this.store.dispatch(Actions.setSettingsModalOpen(false));
-        } else {
-            this.hideModal();
         }
     }
 
     /**
      * Show the modal with current settings (new architecture)
      * @param {number} currentDimensions - Current dimension count
-     * @param {number} currentGridSize - Current grid size
+     * @param {number|Array<number>} currentGridSize - Current grid size, or per-axis sizes
+     * @param {Object} [currentSettings] - Full current settings (win length, players, computer player, difficulty,
+     *        clock, rule set)
      * @private
      */
-    showModal(currentDimensions, currentGridSize) {
+    showModal(currentDimensions, currentGridSize, currentSettings = {}) {
         if (!this.modal) return;
 
         // Set current values
@@ -150,12 +284,57 @@ export class SettingsModal {
             this.dimensionSelect.value = currentDimensions.toString();
         }
         if (this.gridsizeSelect) {
-            this.gridsizeSelect.value = currentGridSize.toString();
+            this.gridsizeSelect.value = GridShape.getMaxSize(currentGridSize).toString();
+        }
+        if (this.axisSizesInput) {
+            this.axisSizesInput.value = GridShape.isUniform(currentGridSize) ? '' : GridShape.format(currentGridSize);
+        }
+        if (this.winLengthSelect) {
+            this.winLengthSelect.value = currentSettings.winLength ? currentSettings.winLength.toString() : '';
+        }
+        if (this.playerCountSelect) {
+            const players = currentSettings.players || CONFIG.PLAYER_IDS.slice(0, CONFIG.MIN_PLAYERS);
+            this.playerCountSelect.value = players.length.toString();
+        }
+        if (this.computerSelect) {
+            this.computerSelect.value = currentSettings.computerPlayer || '';
+        }
+        if (this.difficultySelect && currentSettings.computerDifficulty) {
+            this.difficultySelect.value = currentSettings.computerDifficulty;
+        }
+        if (this.timeBaseSelect) {
+            const timeControl = currentSettings.timeControl;
+            this.timeBaseSelect.value = timeControl ? timeControl.baseMs.toString() : '';
+            if (this.timeIncrementSelect) {
+                this.timeIncrementSelect.value = timeControl ? timeControl.incrementMs.toString() : '0';
+            }
+        }
+        if (this.ruleSetSelect) {
+            this.ruleSetSelect.value = currentSettings.ruleSet || RuleSetId.STANDARD;
+        }
+        if (this.targetLinesSelect) {
+            this.targetLinesSelect.value = (currentSettings.targetLines ?? DEFAULT_TARGET_LINES).toString();
+        }
+        if (this.gravitySelect) {
+            const gravityAxis = Gravity.getAxis({ ...currentSettings, dimensions: currentDimensions });
+            this.gravitySelect.value = gravityAxis === null ? '' : gravityAxis.toString();
+        }
+        if (this.topologySelect) {
+            this.topologySelect.value = Topology.getId(currentSettings);
+        }
+        if (this.swapSelect) {
+            const swapMoves = SwapRule.getMoves(currentSettings);
+            this.swapSelect.value = swapMoves === null ? '' : swapMoves.toString();
         }
 
         // Update info displays
         this.updateDimensionInfo();
         this.updateGridSizeInfo();
+        this.updateWinLengthInfo();
+        this.updateComputerOptions();
+        this.updateDifficultyState();
+        this.updateRuleSetInfo();
+        this.updateGravityOptions();
 
         // Show modal
         this.modal.classList.add('show');
@@ -174,10 +353,11 @@ export class SettingsModal {
     /**
      * Show the modal (legacy public API for backward compatibility)
      * @param {number} currentDimensions - Current dimension count
-     * @param {number} currentGridSize - Current grid size
+     * @param {number|Array<number>} currentGridSize - Current grid size, or per-axis sizes
+     * @param {Object} [currentSettings] - Full current settings
      */
-    show(currentDimensions, currentGridSize) {
-        this.showModal(currentDimensions, currentGridSize);
+    show(currentDimensions, currentGridSize, currentSettings = {}) {
+        this.showModal(currentDimensions, currentGridSize, currentSettings);
     }
 
     /**
@@ -190,11 +370,16 @@ export class SettingsModal {
     /**
      * Validate settings before applying
      * @param {number} dimensions - Number of dimensions
-     * @param {number} gridSize - Grid size
+     * @param {number|Array<number>|null} gridSize - Grid size, or per-axis sizes (null if unreadable)
+     * @param {number|null} [winLength] - Markers in a row needed to win (null = gridSize)
+     * @param {number} [playerCount] - Number of players
+     * @param {Object|null} [timeControl] - Chess clock { baseMs, incrementMs } or null
+     * @param {Object} [rules] - Rule choice { ruleSet, targetLines, gravityAxis, topology, swapMoves }
      * @returns {boolean} True if valid
      * @private
      */
-    validateSettings(dimensions, gridSize) {
+    validateSettings(dimensions, gridSize, winLength = null, playerCount = CONFIG.MIN_PLAYERS, timeControl = null,
+        rules = {}) {
         // Validate dimensions
         if (!Number.isInteger(dimensions) || dimensions < CONFIG.MIN_DIMENSIONS || dimensions > CONFIG.MAX_DIMENSIONS) {
             alert(`次元数は${CONFIG.MIN_DIMENSIONS}から${CONFIG.MAX_DIMENSIONS}の整数である必要があります`);
@@ -202,15 +387,74 @@ export class SettingsModal {
             return false;
         }
 
-        // Validate grid size
-        if (!Number.isInteger(gridSize) || gridSize < CONFIG.MIN_GRID_SIZE || gridSize > CONFIG.MAX_GRID_SIZE) {
+        // Validate grid size (every axis, when sizes are given per axis)
+        const sizes = Array.isArray(gridSize) ? gridSize : [gridSize];
+        if (!sizes.every(size => Number.isInteger(size) && size >= CONFIG.MIN_GRID_SIZE && size <= CONFIG.MAX_GRID_SIZE)) {
             alert(`グリッドサイズは${CONFIG.MIN_GRID_SIZE}から${CONFIG.MAX_GRID_SIZE}の整数である必要があります`);
             console.error('SettingsModal: Invalid grid size', gridSize);
             return false;
         }
+        if (Array.isArray(gridSize) && gridSize.length !== dimensions) {
+            alert(`軸ごとのサイズは次元数(${dimensions})と同じ個数を指定してください`);
+            console.error('SettingsModal: Invalid grid size', gridSize);
+            return false;
+        }
+
+        // Validate win length (a line can never be longer than the longest axis)
+        const maxSize = GridShape.getMaxSize(gridSize);
+        if (winLength !== null &&
+            (!Number.isInteger(winLength) || winLength < CONFIG.MIN_WIN_LENGTH || winLength > maxSize)) {
+            alert(`勝利条件は${CONFIG.MIN_WIN_LENGTH}からグリッドサイズ(${maxSize})までの整数である必要があります`);
+            console.error('SettingsModal: Invalid win length', winLength);
+            return false;
+        }
+
+        // Validate player count
+        if (!Number.isInteger(playerCount) || playerCount < CONFIG.MIN_PLAYERS || playerCount > CONFIG.MAX_PLAYERS) {
+            alert(`プレイヤー数は${CONFIG.MIN_PLAYERS}から${CONFIG.MAX_PLAYERS}の整数である必要があります`);
+            console.error('SettingsModal: Invalid player count', playerCount);
+            return false;
+        }
+
+        // Validate chess clock
+        try {
+            TimeControl.normalize(timeControl);
+        } catch (error) {
+            alert('持ち時間の設定が正しくありません');
+            console.error('SettingsModal: Invalid time control', timeControl);
+            return false;
+        }
+
+        // Validate rule set and gravity axis
+        try {
+            RuleSets.validate(rules);
+            Gravity.validate({ dimensions, gravityAxis: rules.gravityAxis });
+        } catch (error) {
+            alert('ルールの設定が正しくありません');
+            console.error('SettingsModal: Invalid rule set', rules);
+            return false;
+        }
+
+        // Validate topology (a torus axis needs room to wrap around)
+        try {
+            Topology.validate({ dimensions, gridSize, topology: rules.topology });
+        } catch (error) {
+            alert(`トーラス盤は各軸${MIN_TORUS_SIZE}マス以上である必要があります`);
+            console.error('SettingsModal: Invalid topology', rules.topology, gridSize);
+            return false;
+        }
+
+        // Validate swap rule (only two players can trade sides)
+        try {
+            SwapRule.validate({ swapMoves: rules.swapMoves, players: CONFIG.PLAYER_IDS.slice(0, playerCount) });
+        } catch (error) {
+            alert('入れ替えルールは2人対戦でのみ使えます');
+            console.error('SettingsModal: Invalid swap rule', rules.swapMoves, playerCount);
+            return false;
+        }
 
         // Check total cell count (performance consideration)
-        const totalCells = Math.pow(gridSize, dimensions);
+        const totalCells = GridShape.getCellCount(dimensions, gridSize);
 
         if (totalCells > CONFIG.MAX_CELLS_WARNING_THRESHOLD) {
             const proceed = confirm(
@@ -248,10 +492,97 @@ export class SettingsModal {
         if (!this.dimensionSelect || !this.gridsizeSelect || !this.cellsInfo) return;
 
         const dims = parseInt(this.dimensionSelect.value);
-        const gridSize = parseInt(this.gridsizeSelect.value);
-        const totalCells = Math.pow(gridSize, dims);
+        const gridSize = this.readGridSize();
+        if (gridSize === null || (Array.isArray(gridSize) && gridSize.length !== dims)) {
+            this.cellsInfo.textContent = `軸ごとのサイズを${dims}個指定してください`;
+            return;
+        }
+
+        this.cellsInfo.textContent = `セル数: ${GridShape.getCellCount(dims, gridSize)}個`;
+    }
+
+    /**
+     * Update win length info display (markers needed to win)
+     * @private
+     */
+    updateWinLengthInfo() {
+        if (!this.gridsizeSelect || !this.winLengthSelect || !this.winLengthInfo) return;
+
+        const gridSize = this.readGridSize() ?? parseInt(this.gridsizeSelect.value);
+        const maxSize = GridShape.getMaxSize(gridSize);
+        const winLength = this.winLengthSelect.value ? parseInt(this.winLengthSelect.value) : maxSize;
+
+        if (winLength > maxSize) {
+            this.winLengthInfo.textContent = `グリッドサイズ(${maxSize})以下にしてください`;
+        } else if (!GridShape.isUniform(gridSize) && winLength > Math.min(...gridSize)) {
+            this.winLengthInfo.textContent = `${winLength}個並べると勝利 (短い軸の方向は端から端まで)`;
+        } else {
+            this.winLengthInfo.textContent = `${winLength}個並べると勝利`;
+        }
+    }
+
+    /**
+     * Describe the chosen rule set and enable K only for first-to-K games
+     * @private
+     */
+    updateRuleSetInfo() {
+        if (!this.ruleSetSelect) return;
+
+        const ruleSet = this.ruleSetSelect.value;
+        if (this.ruleSetInfo) {
+            this.ruleSetInfo.textContent = RULE_SET_INFO[ruleSet] || '';
+        }
+        if (this.targetLinesSelect) {
+            this.targetLinesSelect.disabled = ruleSet !== RuleSetId.FIRST_TO_K;
+        }
+    }
+
+    /**
+     * Only offer gravity axes the chosen dimension count has
+     * @private
+     */
+    updateGravityOptions() {
+        if (!this.dimensionSelect || !this.gravitySelect) return;
+
+        const dims = parseInt(this.dimensionSelect.value);
+        Array.from(this.gravitySelect.options).forEach(option => {
+            const available = option.value === '' || parseInt(option.value) < dims;
+            option.disabled = !available;
+            option.hidden = !available;
+        });
+
+        if (this.gravitySelect.value && parseInt(this.gravitySelect.value) >= dims) {
+            this.gravitySelect.value = '';
+        }
+    }
+
+    /**
+     * Only offer computer seats for players taking part
+     * @private
+     */
+    updateComputerOptions() {
+        if (!this.playerCountSelect || !this.computerSelect) return;
+
+        const players = CONFIG.PLAYER_IDS.slice(0, parseInt(this.playerCountSelect.value));
+        Array.from(this.computerSelect.options).forEach(option => {
+            const available = option.value === '' || players.includes(option.value);
+            option.disabled = !available;
+            option.hidden = !available;
+        });
+
+        if (this.computerSelect.value && !players.includes(this.computerSelect.value)) {
+            this.computerSelect.value = '';
+        }
+    }
+
+    /**
+     * Enable the difficulty select only when a computer player is chosen
+     * @private
+     */
+    updateDifficultyState() {
+        if (!this.computerSelect || !this.difficultySelect) return;
 
-        this.cellsInfo.textContent = `セル数: ${totalCells}個`;
+        this.difficultySelect.disabled = !this.computerSelect.value;
     }
 
     /**
@@ -263,8 +594,22 @@ export class SettingsModal {
             modal: this.modal,
             dimensionSelect: this.dimensionSelect,
             gridsizeSelect: this.gridsizeSelect,
+            axisSizesInput: this.axisSizesInput,
+            winLengthSelect: this.winLengthSelect,
+            playerCountSelect: this.playerCountSelect,
+            computerSelect: this.computerSelect,
+            difficultySelect: this.difficultySelect,
+            timeBaseSelect: this.timeBaseSelect,
+            timeIncrementSelect: this.timeIncrementSelect,
+            ruleSetSelect: this.ruleSetSelect,
+            targetLinesSelect: this.targetLinesSelect,
+            ruleSetInfo: this.ruleSetInfo,
+            gravitySelect: this.gravitySelect,
+            topologySelect: this.topologySelect,
+            swapSelect: this.swapSelect,
             dimensionInfo: this.dimensionInfo,
             cellsInfo: this.cellsInfo,
+            winLengthInfo: this.winLengthInfo,
             applyBtn: this.applyBtn,
             cancelBtn: this.cancelBtn
         };
@@ -4,7 +4,41 @@
  * Pure view layer - no business logic
  */
 
-import { VERSION } from '../../config.js';
+import { CONFIG, VERSION } from '../../config.js';
+import { getPlayerClass, getPlayerGlyph } from '../../rendering/playerStyle.js';
+import { MoveNotation } from '../../domain/record/MoveNotation.js';
+import { TimeControl } from '../../domain/rules/TimeControl.js';
+import { RuleSets } from '../../domain/rules/RuleSets.js';
+import { SwapRule } from '../../domain/rules/SwapRule.js';
+
+// Victory text per game.resultReason (after the winner's marker)
+const VICTORY_MESSAGES = {
+    timeout: ' の勝利！⏰ (時間切れ)',
+    misere: ' の勝利！(相手が1列並べました)',
+    score: ' の勝利！🎉 (ライン数)',
+    'line-count': ' の勝利！🎉 (先取)',
+};
+
+// Network status labels (state.network.status)
+const NETWORK_STATUS_LABELS = {
+    connecting: '接続中…',
+    online: 'オンライン',
+    reconnecting: '再接続中…',
+};
+
+// Why an online action was refused (NetworkClient / relay server reason codes)
+const NETWORK_REJECTION_MESSAGES = {
+    'not-your-turn': '相手の手番です',
+    'no-seat': '観戦中は操作できません',
+    'disconnected': 'サーバーに接続していません',
+    'online': 'オンライン対戦中は変更できません',
+    'illegal-move': 'そのマスには置けません',
+    'game-over': 'ゲームは終了しています',
+    'nothing-to-undo': '元に戻す手がありません',
+    'nothing-to-redo': 'やり直す手がありません',
+    'not-your-move': '相手の手は戻せません',
+    'game-in-progress': '対局中はリセットできません',
+};
 
 /**
  * UIManager - manages UI updates based on state
@@ -20,6 +54,13 @@ export class UIManager {
         this.markerElement = document.getElementById('player-marker');
         this.textElement = document.getElementById('status-text');
         this.versionElement = document.getElementById('version');
+        this.recentMovesElement = document.getElementById('recent-moves');
+        this.clocksElement = document.getElementById('clocks');
+        this.scoresElement = document.getElementById('scores');
+        this.networkElement = document.getElementById('network-status');
+        this.spectatorBadgeElement = document.getElementById('spectator-badge');
+        this.lastMoveHistory = null; // Move history last shown in recent moves
+        this.lastNetwork = null;     // Network state last shown
 
         // State store (new architecture)
         this.store = stateStore;
@@ -39,75 +80,269 @@ export class UIManager {
      * @private
      */
     onStateChange(state) {
-        // Update status based on game phase
-        if (state.game.gamePhase === 'won') {
-            this.showVictoryStatus(`プレイヤー ${state.game.winner} の勝利！`);
+        // Update status based on game phase (replay mode shows the reviewed position)
+        if (state.replay.active) {
+            this.showReplayStatus(state.replay.index, state.replay.moves.length, state.replay.game);
+        } else if (state.game.gamePhase === 'won') {
+            this.showVictoryStatus(`プレイヤー ${state.game.winner} の勝利！`, state.game.winner, state.game.resultReason);
         } else if (state.game.gamePhase === 'draw') {
-            this.showDrawStatus();
+            this.showDrawStatus(state.game.resultReason);
         } else {
-            this.updateStatus(state.game.currentPlayer);
+            this.updateStatus(state.game.currentPlayer, SwapRule.canSwap(state.game));
+        }
+
+        this.updateScores(state.game);
+
+        const shownGame = state.replay.active ? state.replay.game : state.game;
+        this.updateRecentMoves(shownGame.moveHistory);
+
+        if (state.timer) {
+            this.updateClocks(state.timer, state.game);
+        }
+
+        if (state.network) {
+            this.updateNetworkStatus(state.network);
         }
     }
 
+    /**
+     * Show every player's chess clock (hidden for untimed games)
+     * @param {Object} timer - Timer state slice
+     * @param {Object} game - Game state slice
+     */
+    updateClocks(timer, game) {
+        if (!this.clocksElement) return;
+
+        if (!timer.remaining) {
+            this.clocksElement.replaceChildren();
+            return;
+        }
+
+        const running = game.gamePhase === 'playing';
+        const flagged = game.resultReason === 'timeout' ? game.currentPlayer : null;
+        const clocks = Object.keys(timer.remaining).map(player => {
+            const ms = timer.remaining[player];
+            const clock = document.createElement('span');
+            clock.className = 'clock';
+            clock.classList.toggle('active', running && player === game.currentPlayer);
+            clock.classList.toggle('low', ms < CONFIG.CLOCK_LOW_TIME_MS);
+            clock.classList.toggle('flagged', player === flagged);
+            clock.textContent = `${getPlayerGlyph(player)} ${TimeControl.format(ms)}`;
+            return clock;
+        });
+        this.clocksElement.replaceChildren(...clocks);
+    }
+
+    /**
+     * Show every player's line count (hidden unless the rule set counts lines)
+     * @param {Object} game - Game state slice
+     */
+    updateScores(game) {
+        if (!this.scoresElement) return;
+
+        if (!game.settings || !RuleSets.get(game.settings).countsLines) {
+            this.scoresElement.replaceChildren();
+            return;
+        }
+
+        const scores = game.scores || {};
+        const players = game.settings.players || Object.keys(scores);
+        const best = Math.max(0, ...players.map(player => scores[player] ?? 0));
+        const items = players.map(player => {
+            const lines = scores[player] ?? 0;
+            const item = document.createElement('span');
+            item.className = 'score';
+            item.classList.toggle('leading', best > 0 && lines === best);
+            item.textContent = `${getPlayerGlyph(player)} ${lines}列`;
+            return item;
+        });
+        this.scoresElement.replaceChildren(...items);
+    }
+
+    /**
+     * Show the connection, this client's side and who else is in the room
+     * Hidden while playing offline
+     * @param {Object} network - Network state slice
+     */
+    updateNetworkStatus(network) {
+        if (!this.networkElement || network === this.lastNetwork) return;
+        this.lastNetwork = network;
+
+        this.updateSpectatorBadge(network.status !== 'offline' && network.role === 'spectator');
+
+        if (network.status === 'offline') {
+            this.networkElement.textContent = '';
+            this.networkElement.className = '';
+            return;
+        }
+
+        const parts = [`ルーム ${network.room} ${NETWORK_STATUS_LABELS[network.status] || network.status}`];
+        if (network.status === 'online') {
+            if (network.side) {
+                parts.push(`あなた: ${getPlayerGlyph(network.side)}`);
+            }
+            const away = Object.keys(network.seats).filter(player => network.seats[player] !== 'connected');
+            if (away.length > 0) {
+                parts.push(`待機中: ${away.map(player => getPlayerGlyph(player)).join(' ')}`);
+            }
+            if (network.spectators > 0) {
+                parts.push(`👁 ${network.spectators}人が観戦中`);
+            }
+        }
+        this.networkElement.textContent = parts.join(' / ');
+        this.networkElement.className = `network-${network.status}`;
+    }
+
+    /**
+     * Show or hide the spectator badge (read-only view of an online game)
+     * @param {boolean} spectating - Whether this client only watches
+     */
+    updateSpectatorBadge(spectating) {
+        if (!this.spectatorBadgeElement) return;
+        this.spectatorBadgeElement.hidden = !spectating;
+        document.body.classList.toggle('spectating', spectating);
+    }
+
+    /**
+     * Explain why an online action was not applied
+     * The message stays until the network state changes
+     * @param {string} reason - Reason code from NetworkClient or the relay server
+     */
+    showNetworkRejection(reason) {
+        if (!this.networkElement) return;
+        this.networkElement.textContent = NETWORK_REJECTION_MESSAGES[reason] || `操作できません (${reason})`;
+        this.lastNetwork = null;
+    }
+
+    /**
+     * Show the last moves in notation next to the status
+     * @param {Array<Object>} moveHistory - Moves of the shown game
+     */
+    updateRecentMoves(moveHistory) {
+        if (!this.recentMovesElement || moveHistory === this.lastMoveHistory) return;
+        this.lastMoveHistory = moveHistory;
+
+        const firstIndex = Math.max(0, moveHistory.length - CONFIG.RECENT_MOVES_COUNT);
+        const recent = MoveNotation.formatMoves(moveHistory.slice(firstIndex), firstIndex + 1);
+        this.recentMovesElement.textContent = firstIndex > 0 ? `… ${recent}` : recent;
+    }
+
+    /**
+     * Show a player's glyph and color in the status marker
+     * @param {string} player - Player id
+     * @private
+     */
+    showPlayerMarker(player) {
+        this.markerElement.className = `player-${getPlayerClass(player)}`;
+        this.markerElement.textContent = getPlayerGlyph(player);
+        this.markerElement.style.display = 'inline-block';
+    }
+
+    /**
+     * Remove every player-specific turn class (and the replay class) from the status element
+     * @private
+     */
+    clearTurnClasses() {
+        const turnClasses = [...this.statusElement.classList].filter(name => /^player-.+-turn$/.test(name));
+        this.statusElement.classList.remove(...turnClasses, 'replay');
+    }
+
     /**
      * Update status display with current player
-     * @param {string} currentPlayer - Current player ('X' or 'O')
+     * @param {string} currentPlayer - Current player id
+     * @param {boolean} [swapOffered] - The player may swap sides instead of moving (see SwapRule.js)
      */
-    updateStatus(currentPlayer) {
+    updateStatus(currentPlayer, swapOffered = false) {
         if (!this.statusElement || !this.markerElement || !this.textElement) return;
 
-        // Update player marker color
-        this.markerElement.className = currentPlayer === 'X' ? 'player-x' : 'player-o';
-        this.markerElement.style.display = 'inline-block';
+        // Update player marker glyph and color
+        this.showPlayerMarker(currentPlayer);
 
         // Update status border color to match current player
-        this.statusElement.classList.remove('player-x-turn', 'player-o-turn', 'victory');
-        this.statusElement.classList.add(
-            currentPlayer === 'X' ? 'player-x-turn' : 'player-o-turn'
-        );
+        this.clearTurnClasses();
+        this.statusElement.classList.remove('victory');
+        this.statusElement.classList.add(`player-${getPlayerClass(currentPlayer)}-turn`);
 
         // Normal turn display
-        this.textElement.textContent = ' のターン';
+        this.textElement.textContent = swapOffered ? ' のターン (⇄ で入れ替え可)' : ' のターン';
     }
 
     /**
      * Show victory status
      * @param {string} message - Victory message
+     * @param {string} [winner] - Winner player id (extracted from message if omitted)
+     * @param {string} [reason] - game.resultReason (names a flag fall or a variant win)
      */
-    showVictoryStatus(message) {
+    showVictoryStatus(message, winner = null, reason = null) {
         if (!this.statusElement || !this.textElement) return;
 
-        // Extract winner from message
-        const winner = message.includes('X') ? 'X' : 'O';
+        // Extract winner from message ("プレイヤー X の勝利！")
+        const actualWinner = winner || (message.match(/プレイヤー (\S+)/) || [])[1] || 'X';
 
         // Update marker
         if (this.markerElement) {
-            this.markerElement.className = winner === 'X' ? 'player-x' : 'player-o';
-            this.markerElement.style.display = 'inline-block';
+            this.showPlayerMarker(actualWinner);
         }
 
         // Add victory styling
-        this.statusElement.classList.remove('player-x-turn', 'player-o-turn');
+        this.clearTurnClasses();
         this.statusElement.classList.add('victory');
 
         // Show victory message
-        this.textElement.textContent = ' の勝利！🎉';
+        this.textElement.textContent = VICTORY_MESSAGES[reason] || ' の勝利！🎉';
     }
 
     /**
      * Show draw status
+     * @param {string} [reason] - game.resultReason ('score' is a tie on lines)
      */
-    showDrawStatus() {
+    showDrawStatus(reason = null) {
         if (!this.statusElement || !this.textElement || !this.markerElement) return;
 
         // Hide marker for draw
         this.markerElement.style.display = 'none';
 
         // Remove player-specific styling
-        this.statusElement.classList.remove('player-x-turn', 'player-o-turn', 'victory');
+        this.clearTurnClasses();
+        this.statusElement.classList.remove('victory');
 
         // Show draw message
-        this.textElement.textContent = '引き分け！';
+        this.textElement.textContent = reason === 'score' ? '引き分け！(ライン数が同点)' : '引き分け！';
+    }
+
+    /**
+     * Show replay position
+     * @param {number} index - Number of moves shown
+     * @param {number} total - Number of moves in the replay
+     * @param {Object} game - Reviewed game (plain object)
+     */
+    showReplayStatus(index, total, game) {
+        if (!this.statusElement || !this.markerElement || !this.textElement) return;
+
+        this.clearTurnClasses();
+        this.statusElement.classList.remove('victory');
+        this.statusElement.classList.add('replay');
+
+        const position = `リプレイ ${index} / ${total} 手`;
+
+        if (index === 0) {
+            this.markerElement.style.display = 'none';
+            this.textElement.textContent = position;
+            return;
+        }
+
+        // Show who made the last shown move and the result at that point
+        const lastMove = game.moveHistory[index - 1];
+        this.showPlayerMarker(lastMove.player);
+        if (game.gamePhase === 'won') {
+            this.textElement.textContent = ` の勝利 (${position})`;
+        } else if (game.gamePhase === 'draw') {
+            this.textElement.textContent = ` 引き分け (${position})`;
+        } else if (SwapRule.isSwap(lastMove)) {
+            this.textElement.textContent = ` が手番を入れ替え (${position})`;
+        } else {
+            this.textElement.textContent = ` が着手 (${position})`;
+        }
     }
 
     /**
@@ -118,15 +353,12 @@ export class UIManager {
         if (!this.statusElement || !this.markerElement || !this.textElement) return;
 
         // Update marker
-        this.markerElement.className = currentPlayer === 'X' ? 'player-x' : 'player-o';
-        this.markerElement.style.display = 'inline-block';
+        this.showPlayerMarker(currentPlayer);
 
         // Update status
         this.statusElement.classList.remove('victory');
-        this.statusElement.classList.remove('player-x-turn', 'player-o-turn');
-        this.statusElement.classList.add(
-            currentPlayer === 'X' ? 'player-x-turn' : 'player-o-turn'
-        );
+        this.clearTurnClasses();
+        this.statusElement.classList.add(`player-${getPlayerClass(currentPlayer)}-turn`);
 
         // Show confirmation message
         this.textElement.textContent = ' もう一度クリックで確定';
@@ -150,7 +382,11 @@ export class UIManager {
             status: this.statusElement,
             marker: this.markerElement,
             text: this.textElement,
-            version: this.versionElement
+            version: this.versionElement,
+            recentMoves: this.recentMovesElement,
+            clocks: this.clocksElement,
+            network: this.networkElement,
+            spectatorBadge: this.spectatorBadgeElement
         };
     }
 }
@@ -10,6 +10,11 @@ import { CameraController } from './rendering/CameraController.js';
 import { CellAppearanceManager } from './rendering/CellAppearanceManager.js';
 import { GridBuilder } from './grid/GridBuilder.js';
 import { ConnectionManager } from './grid/ConnectionManager.js';
+import { GameState } from './domain/state/GameState.js';
+import { ThreatAnalyzer } from './domain/analysis/ThreatAnalyzer.js';
+import { Topology } from './domain/rules/Topology.js';
+import { GameRules } from './domain/rules/GameRules.js';
+import { SwapRule } from './domain/rules/SwapRule.js';
 
 export class GridRenderer {
     constructor(container, store = null) {
@@ -17,6 +22,8 @@ export class GridRenderer {
         this.store = store; // Store reference for state management
         this.cells = [];
         this.cellMeshes = [];
+        this.winningLineKey = null; // Key of the winning line currently drawn
+        this.threatCache = { game: null, cells: new Map() }; // Threat cells of the last analyzed game
 
         // Initialize rotations dynamically based on dimensions
         this.dimensions = CONFIG.DIMENSIONS || 4;
@@ -59,9 +66,10 @@ export class GridRenderer {
         const gridSize = this.store
             ? this.store.getState().settings.gridSize
             : CONFIG.GRID_SIZE;
+        const blocked = this._getLayout()?.blocked;
 
-        // Use GridBuilder to generate cell data
-        const gridBuilder = new GridBuilder({ dimensions, gridSize });
+        // Use GridBuilder to generate cell data (blocked cells get none)
+        const gridBuilder = new GridBuilder({ dimensions, gridSize, blocked });
         this.cells = gridBuilder.generateCells();
 
         // Create Three.js meshes for each cell
@@ -123,15 +131,33 @@ export class GridRenderer {
         return coords1.every((val, i) => val === coords2[i]);
     }
 
+    /**
+     * Get the board layout of the current settings
+     * @returns {Object|null} Layout { blocked, placements } or null
+     * @private
+     */
+    _getLayout() {
+        return this.store ? (this.store.getState().settings.layout ?? null) : null;
+    }
+
     /**
      * Build a map of cell positions to marker information
      * @param {Array} moveHistory - Move history from state
+     * @param {Array} placements - Initial placements of the board layout
+     * @param {Object} [settings] - Game settings { players? } (a swap hands markers to the other player)
      * @returns {Map<string, {player: string}>} Map of position keys to marker info
      * @private
      */
-    _buildMarkerMap(moveHistory) {
+    _buildMarkerMap(moveHistory, placements = [], settings = null) {
         const markerMap = new Map();
-        moveHistory.forEach(move => {
+        [...placements, ...moveHistory].forEach(move => {
+            if (SwapRule.isSwap(move)) {
+                const opponent = GameRules.nextPlayer(move.player, settings);
+                markerMap.forEach((marker, key) => {
+                    markerMap.set(key, { player: marker.player === move.player ? opponent : move.player });
+                });
+                return;
+            }
             const key = move.position.join(',');
             markerMap.set(key, { player: move.player });
         });
@@ -156,6 +182,65 @@ export class GridRenderer {
         return { hasMarker: false, player: null };
     }
 
+    /**
+     * Get the game to draw: the reviewed position in replay mode, otherwise the real game
+     * @returns {Object} Game state (plain object)
+     * @private
+     */
+    _getDisplayedGame() {
+        const state = this.store.getState();
+        return state.replay && state.replay.active ? state.replay.game : state.game;
+    }
+
+    /**
+     * Get the threat cells of a game (re-analyzed only when the game changes)
+     * @param {Object|null} game - Displayed game (plain object)
+     * @returns {Map<string, {players: Array<string>}>} Position key to threatening players
+     * @private
+     */
+    _getThreatCells(game) {
+        const showThreats = this.store && this.store.getState().visual.showThreats;
+        if (!game || !showThreats || game.gamePhase !== 'playing') {
+            return new Map();
+        }
+
+        if (this.threatCache.game !== game) {
+            const threats = ThreatAnalyzer.findThreats(GameState.fromPlain(game));
+            this.threatCache = { game, cells: ThreatAnalyzer.groupByCell(threats) };
+        }
+        return this.threatCache.cells;
+    }
+
+    /**
+     * Build a set of position keys for the cells of the winning line
+     * @param {{cells: Array<Array<number>>}|null} winningLine - Winning line from state
+     * @returns {Set<string>} Position keys of winning cells
+     * @private
+     */
+    _buildWinningSet(winningLine) {
+        if (!winningLine) return new Set();
+        return new Set(winningLine.cells.map(position => position.join(',')));
+    }
+
+    /**
+     * Keep the connection manager's winning line highlight in sync with state
+     * @param {{cells: Array<Array<number>>}|null} winningLine - Winning line from state
+     * @private
+     */
+    _syncWinningLine(winningLine) {
+        const key = winningLine ? winningLine.cells.map(position => position.join(',')).join(';') : null;
+        if (key === this.winningLineKey) return;
+
+        this.winningLineKey = key;
+        const positions = winningLine
+            ? winningLine.cells
+                .map(coords => this.getCellByCoords(coords))
+                .filter(cell => cell !== null)
+                .map(cell => cell.posND)
+            : [];
+        this.connectionManager.setWinningLine(positions);
+    }
+
     /**
      * Create mesh for a single cell
      * @param {Object} cell - Cell object
@@ -203,21 +288,27 @@ export class GridRenderer {
         const gridSize = this.store
             ? this.store.getState().settings.gridSize
             : CONFIG.GRID_SIZE;
+        const blocked = this._getLayout()?.blocked;
+        const wrap = this.store ? Topology.isTorus(this.store.getState().settings) : false;
 
-        // Use GridBuilder to generate connection data
-        const gridBuilder = new GridBuilder({ dimensions, gridSize });
+        // Use GridBuilder to generate connection data (wrap edges on a torus)
+        const gridBuilder = new GridBuilder({ dimensions, gridSize, blocked, wrap });
         const connections = gridBuilder.generateConnections();
 
         // Use ConnectionManager to create line objects
-        this.connectionManager = new ConnectionManager(this.sceneManager.getScene());
+        this.connectionManager = new ConnectionManager(this.sceneManager.getScene(), {
+            showWrapEdges: CONFIG.SHOW_WRAP_EDGES
+        });
         this.connectionManager.createAllLines(connections);
     }
 
     /**
      * Update all cell positions and appearance based on current rotation
      * @param {Map<string, {player: string}>} markerMap - Pre-built marker map
+     * @param {Set<string>} winningSet - Position keys of winning cells
+     * @param {Map<string, {players: Array<string>}>} threatCells - Empty cells that complete a line
      */
-    updateCellPositions(markerMap) {
+    updateCellPositions(markerMap, winningSet = new Set(), threatCells = new Map()) {
         // Get visual state from store
         let hoveredCell = null;
         let previewCell = null;
@@ -234,7 +325,7 @@ export class GridRenderer {
                 previewCell = this.getCellByCoords(state.visual.previewCell);
             }
 
-            currentPlayer = state.game.currentPlayer;
+            currentPlayer = this._getDisplayedGame().currentPlayer;
         }
 
         this.cells.forEach(cell => {
@@ -254,7 +345,13 @@ export class GridRenderer {
             // Update appearance (delegates to CellAppearanceManager)
             const isHovered = cell === hoveredCell;
             const isPreview = cell === previewCell;
-            this.appearanceManager.updateCellAppearance(cell, w, isHovered, isPreview, currentPlayer, hasMarker, markerPlayer);
+            const key = cell.coordsArray.join(',');
+            const isWinning = winningSet.has(key);
+            const threat = threatCells.get(key);
+            this.appearanceManager.updateCellAppearance(
+                cell, w, isHovered, isPreview, currentPlayer, hasMarker, markerPlayer, isWinning,
+                threat ? threat.players : null
+            );
         });
     }
 
@@ -280,7 +377,7 @@ export class GridRenderer {
                 previewCell = this.getCellByCoords(state.visual.previewCell);
             }
 
-            currentPlayer = state.game.currentPlayer;
+            currentPlayer = this._getDisplayedGame().currentPlayer;
         }
 
         this.connectionManager.updateLines(
@@ -314,7 +411,7 @@ export class GridRenderer {
     /**
      * Set preview selection for a cell
      * @param {Object} cell - Cell to preview
-     * @param {string} player - Player ('X' or 'O') - deprecated parameter, player is now read from store
+     * @param {string} player - Player id - deprecated parameter, player is now read from store
      */
     setPreviewSelection(cell, player) {
         if (this.store) {
@@ -405,11 +502,17 @@ export class GridRenderer {
      */
     render() {
         // Build marker map once per frame for performance
-        const moveHistory = this.store ? (this.store.getState().game.moveHistory || []) : [];
-        const markerMap = this._buildMarkerMap(moveHistory);
+        const game = this.store ? this._getDisplayedGame() : null;
+        const moveHistory = game ? (game.moveHistory || []) : [];
+        const placements = game?.settings?.layout?.placements ?? [];
+        const markerMap = this._buildMarkerMap(moveHistory, placements, game?.settings);
+
+        // Highlight the winning line (cells and connecting segments)
+        const winningLine = game ? (game.winningLine || null) : null;
+        this._syncWinningLine(winningLine);
 
         // Update cells and connections using the same marker map
-        this.updateCellPositions(markerMap);
+        this.updateCellPositions(markerMap, this._buildWinningSet(winningLine), this._getThreatCells(game));
         this.updateConnectionLines(markerMap);
         this.sceneManager.render(this.cameraController.getCamera());
     }
@@ -441,6 +544,9 @@ export class GridRenderer {
             this.connectionManager.dispose();
         }
 
+        // Dispose cached marker glyph textures
+        this.appearanceManager.dispose();
+
         // Dispose cell meshes
         this.cells.forEach(cell => {
             if (cell.group) {
@@ -487,7 +593,7 @@ export class GridRenderer {
     /**
      * Recreate grid with new dimensions (adapter for new architecture)
      * @param {number} dimensions - Number of dimensions
-     * @param {number} gridSize - Grid size
+     * @param {number|Array<number>} gridSize - Grid size, or per-axis sizes
      */
     recreateGrid(dimensions, gridSize) {
         // Clear existing grid (markers are automatically cleared as they're cell properties)
@@ -501,6 +607,7 @@ export class GridRenderer {
         if (this.connectionManager) {
             this.connectionManager.clear();
         }
+        this.winningLineKey = null;
 
         // Clear arrays
         this.cells = [];
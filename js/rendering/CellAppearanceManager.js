@@ -1,29 +1,44 @@
 /**
  * Manages cell visual appearance (color, opacity, line width)
- * Handles different states: unselected, hovered, preview, selected
+ * Handles different states: unselected, hovered, preview, selected, winning, threat
  */
 
 import { CONFIG } from '../config.js';
 import { getHueFromW } from '../mathnd.js';
+import { getPlayerColor, getPlayerGlyph } from './playerStyle.js';
 
 export class CellAppearanceManager {
+    constructor() {
+        this.glyphTextures = new Map(); // player id -> THREE.CanvasTexture
+    }
+
     /**
      * Update cell appearance based on its state
      * @param {Object} cell - Cell object with wireframe material
      * @param {number} w - W coordinate (for depth-based coloring)
      * @param {boolean} isHovered - Whether cell is hovered
      * @param {boolean} isPreview - Whether cell is in preview state
-     * @param {string} currentPlayer - Current player ('X' or 'O'), used for preview color
+     * @param {string} currentPlayer - Current player id, used for preview color
      * @param {boolean} hasMarker - Whether cell has a marker placed
-     * @param {string|null} markerPlayer - Player who placed marker ('X' or 'O'), or null
+     * @param {string|null} markerPlayer - Player id who placed marker, or null
+     * @param {boolean} isWinning - Whether cell is part of the winning line
+     * @param {Array<string>|null} threatPlayers - Players who complete a line by playing this (empty) cell
      */
-    updateCellAppearance(cell, w, isHovered, isPreview, currentPlayer = 'X', hasMarker = false, markerPlayer = null) {
-        if (hasMarker) {
+    updateCellAppearance(cell, w, isHovered, isPreview, currentPlayer = 'X', hasMarker = false, markerPlayer = null, isWinning = false, threatPlayers = null) {
+        this.updateMarkerGlyph(cell, hasMarker ? markerPlayer : null);
+
+        if (isWinning) {
+            // Winning line: highlight color above everything else
+            this.applyWinningAppearance(cell);
+        } else if (hasMarker) {
             // Fully selected: player color with high opacity
             this.applySelectedAppearance(cell, markerPlayer);
         } else if (isPreview) {
             // Preview selection: show player color at reduced opacity
             this.applyPreviewAppearance(cell, currentPlayer);
+        } else if (threatPlayers && threatPlayers.length > 0) {
+            // Threat overlay: empty cell one move from completing a line
+            this.applyThreatAppearance(cell, threatPlayers, isHovered);
         } else {
             // Unselected: W-based color for depth visualization
             this.applyUnselectedAppearance(cell, w, isHovered);
@@ -33,29 +48,54 @@ export class CellAppearanceManager {
     /**
      * Apply appearance for selected cells
      * @param {Object} cell - Cell object
-     * @param {string} player - Player who placed marker ('X' or 'O')
+     * @param {string} player - Player id who placed marker
      */
     applySelectedAppearance(cell, player) {
-        const color = player === 'X' ? CONFIG.PLAYER_X_COLOR : CONFIG.PLAYER_O_COLOR;
+        const color = getPlayerColor(player);
 
         cell.wireframe.material.color.setHex(color);
         cell.wireframe.material.opacity = CONFIG.SELECTED_CELL_OPACITY;
         cell.wireframe.material.linewidth = CONFIG.SELECTED_CELL_LINE_WIDTH;
     }
 
+    /**
+     * Apply appearance for cells on the winning line
+     * @param {Object} cell - Cell object
+     */
+    applyWinningAppearance(cell) {
+        cell.wireframe.material.color.setHex(CONFIG.WINNING_LINE_COLOR);
+        cell.wireframe.material.opacity = CONFIG.WINNING_CELL_OPACITY;
+        cell.wireframe.material.linewidth = CONFIG.WINNING_CELL_LINE_WIDTH;
+    }
+
     /**
      * Apply appearance for preview cells
      * @param {Object} cell - Cell object
-     * @param {string} currentPlayer - Current player ('X' or 'O')
+     * @param {string} currentPlayer - Current player id
      */
     applyPreviewAppearance(cell, currentPlayer = 'X') {
-        const color = currentPlayer === 'X' ? CONFIG.PLAYER_X_COLOR : CONFIG.PLAYER_O_COLOR;
+        const color = getPlayerColor(currentPlayer);
 
         cell.wireframe.material.color.setHex(color);
         cell.wireframe.material.opacity = CONFIG.PREVIEW_CELL_OPACITY;
         cell.wireframe.material.linewidth = CONFIG.CELL_LINE_WIDTH;
     }
 
+    /**
+     * Apply appearance for empty cells that complete a line
+     * @param {Object} cell - Cell object
+     * @param {Array<string>} players - Threatening players
+     * @param {boolean} isHovered - Whether cell is hovered
+     */
+    applyThreatAppearance(cell, players, isHovered) {
+        const color = players.length === 1 ? getPlayerColor(players[0]) : CONFIG.THREAT_SHARED_COLOR;
+
+        cell.wireframe.material.color.setHex(color);
+        cell.wireframe.material.opacity = CONFIG.THREAT_CELL_OPACITY +
+            (isHovered ? CONFIG.HOVER_CELL_OPACITY_BOOST : 0);
+        cell.wireframe.material.linewidth = CONFIG.THREAT_CELL_LINE_WIDTH;
+    }
+
     /**
      * Apply appearance for unselected cells
      * @param {Object} cell - Cell object
@@ -86,6 +126,69 @@ export class CellAppearanceManager {
         cell.wireframe.material.linewidth = CONFIG.CELL_LINE_WIDTH;
     }
 
+    /**
+     * Show the placing player's glyph inside a cell
+     * With more than two players colors alone are hard to tell apart
+     * @param {Object} cell - Cell object with group
+     * @param {string|null} player - Player id, or null to remove the glyph
+     */
+    updateMarkerGlyph(cell, player) {
+        if (!cell.group || cell.markerPlayer === player) return;
+
+        if (cell.markerSprite) {
+            cell.group.remove(cell.markerSprite);
+            cell.markerSprite.material.dispose();
+            cell.markerSprite = null;
+        }
+        cell.markerPlayer = player;
+
+        const texture = player ? this.getGlyphTexture(player) : null;
+        if (!texture) return;
+
+        const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+            map: texture,
+            transparent: true,
+            depthWrite: false
+        }));
+        sprite.scale.setScalar(CONFIG.CELL_SIZE * CONFIG.MARKER_SCALE);
+        cell.group.add(sprite);
+        cell.markerSprite = sprite;
+    }
+
+    /**
+     * Get (and cache) the glyph texture of a player
+     * @param {string} player - Player id
+     * @returns {THREE.CanvasTexture|null} Texture, or null if canvas is unavailable
+     */
+    getGlyphTexture(player) {
+        if (!this.glyphTextures.has(player)) {
+            const size = CONFIG.MARKER_CANVAS_SIZE;
+            const canvas = document.createElement('canvas');
+            canvas.width = size;
+            canvas.height = size;
+
+            const context = canvas.getContext('2d');
+            if (!context) return null;
+
+            context.fillStyle = `#${getPlayerColor(player).toString(16).padStart(6, '0')}`;
+            context.font = `bold ${Math.round(size * 0.75)}px sans-serif`;
+            context.textAlign = 'center';
+            context.textBaseline = 'middle';
+            context.fillText(getPlayerGlyph(player), size / 2, size / 2);
+
+            this.glyphTextures.set(player, new THREE.CanvasTexture(canvas));
+        }
+        return this.glyphTextures.get(player);
+    }
+
+    /**
+     * Dispose cached glyph textures
+     */
+    dispose() {
+        this.glyphTextures.forEach(texture => texture.dispose());
+        this.glyphTextures.clear();
+    }
+
     /**
      * Reset cell to unselected appearance
      * @param {Object} cell - Cell object
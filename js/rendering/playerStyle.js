@@ -0,0 +1,40 @@
+/**
+ * Per-player visual style lookups (color, glyph, CSS class)
+ * Any player id from CONFIG.PLAYER_IDS is supported
+ */
+
+import { CONFIG } from '../config.js';
+
+const PLAYER_COLORS = {
+    X: CONFIG.PLAYER_X_COLOR,
+    O: CONFIG.PLAYER_O_COLOR,
+    T: CONFIG.PLAYER_T_COLOR,
+    S: CONFIG.PLAYER_S_COLOR,
+};
+
+/**
+ * Get the color of a player
+ * @param {string} player - Player id
+ * @returns {number} Hex color (falls back to X's color for unknown ids)
+ */
+export function getPlayerColor(player) {
+    return PLAYER_COLORS[player] ?? CONFIG.PLAYER_X_COLOR;
+}
+
+/**
+ * Get the marker glyph of a player
+ * @param {string} player - Player id
+ * @returns {string} Glyph (the id itself for unknown ids)
+ */
+export function getPlayerGlyph(player) {
+    return CONFIG.PLAYER_GLYPHS[player] ?? player;
+}
+
+/**
+ * Get the CSS class suffix of a player (e.g. 'x' for 'player-x')
+ * @param {string} player - Player id
+ * @returns {string} Lower-case class suffix
+ */
+export function getPlayerClass(player) {
+    return String(player).toLowerCase();
+}
@@ -0,0 +1,240 @@
+/**
+ * One shared game on the relay server
+ * Owns the authoritative game, the redo stack and the seats; every
+ * networked action is checked here with GameRules before it is relayed.
+ * No sockets involved, so the room can be tested on its own.
+ */
+
+import { Engine, GameRules, WinEngine } from '../engine/index.js';
+
+// Seat states reported to clients
+export const SeatStatus = Object.freeze({
+    CONNECTED: 'connected', // Seated player is online
+    AWAY: 'away',           // Seated player lost the connection (seat kept for reconnect)
+    OPEN: 'open',           // Nobody sits here yet
+});
+
+/**
+ * GameRoom class
+ */
+export class GameRoom {
+    /**
+     * Create a room
+     * @param {string} name - Room name
+     * @param {Object} settings - Game settings of the creator (validated by Engine.createGame)
+     * @throws {Error} If the settings are invalid
+     */
+    constructor(name, settings) {
+        this.name = name;
+
+        // Both sides are people; nobody answers for a computer player online,
+        // and clocks are not kept by the relay. Wins are checked by scanning:
+        // the index engine builds a line index per board shape, which would
+        // let any client make the relay build one for the largest boards
+        this.settings = {
+            dimensions: settings.dimensions,
+            gridSize: settings.gridSize,
+            winLength: settings.winLength ?? null,
+            players: settings.players ? [...settings.players] : undefined,
+            ruleSet: settings.ruleSet ?? 'standard',
+            targetLines: settings.targetLines ?? null,
+            gravityAxis: settings.gravityAxis ?? null,
+            topology: settings.topology ?? 'bounded',
+            swapMoves: settings.swapMoves ?? null,
+            winEngine: WinEngine.SCAN,
+            layout: settings.layout ?? null,
+            computerPlayer: null,
+            timeControl: null,
+        };
+        this.state = Engine.createGame(this.settings);
+        this.settings.players = [...GameRules.getPlayers(this.state.settings)];
+        this.redoStack = [];
+
+        this.seats = new Map();      // Player id -> client id
+        this.connected = new Set();  // Connected client ids
+        this.watchers = new Set();   // Clients that joined to spectate (never seated)
+    }
+
+    /**
+     * Seat a client (a returning client gets its old seat back)
+     * @param {string} clientId - Client id
+     * @param {Object} [options] - Join options
+     * @param {boolean} [options.spectator] - Watch without taking a seat
+     * @returns {string|null} Side of the client, or null for spectators
+     *          (also when every seat is taken)
+     */
+    join(clientId, { spectator = false } = {}) {
+        this.connected.add(clientId);
+
+        if (spectator) {
+            this.watchers.add(clientId);
+            return null;
+        }
+        this.watchers.delete(clientId);
+
+        const current = this.getSide(clientId);
+        if (current) {
+            return current;
+        }
+
+        const free = this.settings.players.find(player => !this.seats.has(player));
+        if (free) {
+            this.seats.set(free, clientId);
+            return free;
+        }
+        return null;
+    }
+
+    /**
+     * Mark a client as disconnected (its seat stays reserved)
+     * @param {string} clientId - Client id
+     */
+    leave(clientId) {
+        this.connected.delete(clientId);
+    }
+
+    /**
+     * Get the side of a client
+     * @param {string} clientId - Client id
+     * @returns {string|null} Player id, or null without a seat
+     */
+    getSide(clientId) {
+        if (this.watchers.has(clientId)) {
+            return null;
+        }
+        for (const [player, seated] of this.seats) {
+            if (seated === clientId) return player;
+        }
+        return null;
+    }
+
+    /**
+     * Check if nobody is connected
+     * @returns {boolean}
+     */
+    isEmpty() {
+        return this.connected.size === 0;
+    }
+
+    /**
+     * Validate and apply an action sent by a client
+     * Moves and swaps need the turn; undo and redo only take back (or replay)
+     * the sender's own last move while the game is on, and a reset is only
+     * allowed before the first move or after the game ended
+     * @param {string} clientId - Sender
+     * @param {Object} action - Action ({ type, payload })
+     * @returns {{ok: true, action: Object}|{ok: false, reason: string}}
+     *          The normalized action to relay, or why it was refused
+     */
+    apply(clientId, action) {
+        const side = this.getSide(clientId);
+        if (!side) {
+            return { ok: false, reason: 'no-seat' };
+        }
+
+        switch (action?.type) {
+            case 'PLACE_MARKER': {
+                const position = action.payload?.position;
+                if (this.state.isGameOver()) {
+                    return { ok: false, reason: 'game-over' };
+                }
+                if (side !== this.state.currentPlayer) {
+                    return { ok: false, reason: 'not-your-turn' };
+                }
+                if (!Engine.isLegalMove(this.state, position)) {
+                    return { ok: false, reason: 'illegal-move' };
+                }
+                const timestamp = Date.now();
+                this.state = GameRules.placeMarker(this.state, position, side, timestamp);
+                this.redoStack = [];
+                return { ok: true, action: { type: action.type, payload: { position, player: side, timestamp } } };
+            }
+
+            case 'SWAP_SIDES': {
+                if (this.state.isGameOver()) {
+                    return { ok: false, reason: 'game-over' };
+                }
+                if (side !== this.state.currentPlayer) {
+                    return { ok: false, reason: 'not-your-turn' };
+                }
+                if (!Engine.canSwap(this.state)) {
+                    return { ok: false, reason: 'illegal-move' };
+                }
+                const timestamp = Date.now();
+                this.state = GameRules.swapSides(this.state, side, timestamp);
+                this.redoStack = [];
+                return { ok: true, action: { type: action.type, payload: { player: side, timestamp } } };
+            }
+
+            case 'UNDO_MOVE': {
+                if (this.state.isGameOver()) {
+                    return { ok: false, reason: 'game-over' };
+                }
+                if (!GameRules.canUndo(this.state)) {
+                    return { ok: false, reason: 'nothing-to-undo' };
+                }
+                if (this.state.moveHistory[this.state.moveHistory.length - 1].player !== side) {
+                    return { ok: false, reason: 'not-your-move' };
+                }
+                this.redoStack.push(this.state.moveHistory[this.state.moveHistory.length - 1]);
+                this.state = GameRules.undo(this.state);
+                return { ok: true, action: { type: action.type } };
+            }
+
+            case 'REDO_MOVE': {
+                if (this.state.isGameOver()) {
+                    return { ok: false, reason: 'game-over' };
+                }
+                if (this.redoStack.length === 0) {
+                    return { ok: false, reason: 'nothing-to-redo' };
+                }
+                if (this.redoStack[this.redoStack.length - 1].player !== side) {
+                    return { ok: false, reason: 'not-your-move' };
+                }
+                this.state = GameRules.applyMove(this.state, this.redoStack.pop());
+                return { ok: true, action: { type: action.type } };
+            }
+
+            case 'RESET_GAME':
+                if (!this.state.isGameOver() && this.state.moveHistory.length > 0) {
+                    return { ok: false, reason: 'game-in-progress' };
+                }
+                this.state = Engine.createGame(this.settings);
+                this.redoStack = [];
+                return { ok: true, action: { type: action.type, payload: { settings: null } } };
+
+            default:
+                return { ok: false, reason: 'unsupported-action' };
+        }
+    }
+
+    /**
+     * Get everything a (re)connecting client needs to rebuild the game
+     * Moves rather than the board are sent; clients replay them with GameRules
+     * @returns {{settings: Object, moves: Array<Object>, redoStack: Array<Object>}}
+     */
+    snapshot() {
+        return {
+            settings: { ...this.settings },
+            moves: this.state.moveHistory,
+            redoStack: this.redoStack,
+        };
+    }
+
+    /**
+     * Get who sits where
+     * @returns {{seats: Object, spectators: number}} Seat status per player id
+     *          and the number of connected clients without a seat
+     */
+    presence() {
+        const seats = {};
+        for (const player of this.settings.players) {
+            const clientId = this.seats.get(player);
+            seats[player] = !clientId ? SeatStatus.OPEN
+                : this.connected.has(clientId) ? SeatStatus.CONNECTED : SeatStatus.AWAY;
+        }
+
+        const spectators = [...this.connected].filter(clientId => !this.getSide(clientId)).length;
+        return { seats, spectators };
+    }
+}
@@ -0,0 +1,243 @@
+/**
+ * WebSocket relay server for online play
+ * Clients join a room, get a side, and send game actions; the room checks
+ * them (turn order, legality) and the server relays accepted actions to
+ * every client in the room, sender included, so all stores apply the same
+ * actions in the same order.
+ *
+ * Protocol (JSON text frames):
+ *   client -> server
+ *     { type: 'join', room, clientId, settings, role }
+ *                                                  settings only used to create the room (checked
+ *                                                  like any game, board size limits included);
+ *                                                  role 'spectator' watches without a seat;
+ *                                                  joining another room leaves the current one
+ *     { type: 'action', action }                   PLACE_MARKER / SWAP_SIDES / UNDO_MOVE / REDO_MOVE /
+ *                                                  RESET_GAME
+ *   server -> client
+ *     { type: 'welcome', clientId, side, room, snapshot }   full state, also after reconnecting
+ *                                                           (side null = spectator)
+ *     { type: 'action', action, side }                      accepted action and who sent it
+ *     { type: 'rejected', action, reason }                  only to the sender
+ *     { type: 'presence', seats, spectators }
+ *     { type: 'error', message }
+ */
+
+import { WebSocketServer } from 'ws';
+import { GameRoom } from './GameRoom.js';
+
+export const DEFAULT_PORT = 8787;
+
+/**
+ * Check if a parsed message value is a JSON object (not null, an array or a primitive)
+ * @param {*} value - Parsed value
+ * @returns {boolean}
+ */
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * RelayServer class
+ */
+export class RelayServer {
+    /**
+     * Create a relay server (call start() to listen)
+     * @param {Object} [options] - Server options
+     * @param {number} [options.port] - Port (0 picks a free one)
+     * @param {string} [options.host] - Interface to bind (defaults to all)
+     */
+    constructor({ port = DEFAULT_PORT, host } = {}) {
+        this.port = port;
+        this.host = host;
+        this.rooms = new Map();    // Room name -> GameRoom
+        this.sockets = new Map();  // Socket -> { room, clientId }
+        this.wss = null;
+    }
+
+    /**
+     * Start listening
+     * @returns {Promise<number>} Port the server listens on
+     */
+    start() {
+        return new Promise((resolve, reject) => {
+            this.wss = new WebSocketServer({ port: this.port, host: this.host });
+            this.wss.once('listening', () => {
+                this.port = this.wss.address().port;
+                resolve(this.port);
+            });
+            this.wss.once('error', reject);
+            this.wss.on('connection', (socket) => this.handleConnection(socket));
+        });
+    }
+
+    /**
+     * Close every connection and stop listening
+     * @returns {Promise<void>}
+     */
+    stop() {
+        if (!this.wss) {
+            return Promise.resolve();
+        }
+        for (const socket of this.sockets.keys()) {
+            socket.terminate();
+        }
+        return new Promise((resolve) => {
+            this.wss.close(() => resolve());
+            this.wss = null;
+        });
+    }
+
+    /**
+     * Wire up a new connection
+     * @param {WebSocket} socket - Client socket
+     * @private
+     */
+    handleConnection(socket) {
+        socket.on('message', (data) => {
+            let message;
+            try {
+                message = JSON.parse(String(data));
+            } catch (error) {
+                this.send(socket, { type: 'error', message: 'Messages must be JSON' });
+                return;
+            }
+            this.handleMessage(socket, message);
+        });
+
+        socket.on('close', () => this.leaveRoom(socket));
+    }
+
+    /**
+     * Handle one message
+     * @param {WebSocket} socket - Sender
+     * @param {Object} message - Parsed message
+     * @private
+     */
+    handleMessage(socket, message) {
+        // Any client can send anything: never read fields of a non-object
+        if (!isObject(message)) {
+            this.send(socket, { type: 'error', message: 'Messages must be JSON objects' });
+            return;
+        }
+
+        if (message.type === 'join') {
+            this.handleJoin(socket, message);
+            return;
+        }
+
+        const client = this.sockets.get(socket);
+        if (!client) {
+            this.send(socket, { type: 'error', message: 'Join a room first' });
+            return;
+        }
+
+        if (message.type === 'action') {
+            if (!isObject(message.action)) {
+                this.send(socket, { type: 'rejected', action: null, reason: 'invalid-action' });
+                return;
+            }
+            const room = this.rooms.get(client.room);
+            const result = room.apply(client.clientId, message.action);
+            if (result.ok) {
+                this.broadcast(client.room, { type: 'action', action: result.action, side: room.getSide(client.clientId) });
+            } else {
+                this.send(socket, { type: 'rejected', action: message.action, reason: result.reason });
+            }
+            return;
+        }
+
+        this.send(socket, { type: 'error', message: `Unknown message type: ${String(message.type)}` });
+    }
+
+    /**
+     * Seat a client in a room (creating the room if needed) and send the full state
+     * @param {WebSocket} socket - Client socket
+     * @param {Object} message - Join message
+     * @private
+     */
+    handleJoin(socket, { room: roomName, clientId, settings, role }) {
+        if (typeof roomName !== 'string' || !roomName || typeof clientId !== 'string' || !clientId) {
+            this.send(socket, { type: 'error', message: 'Join needs a room and a clientId' });
+            return;
+        }
+
+        // A socket sits in one room at a time; without this the old room
+        // would keep it connected and never be deleted
+        const previous = this.sockets.get(socket);
+        if (previous && (previous.room !== roomName || previous.clientId !== clientId)) {
+            this.leaveRoom(socket);
+        }
+
+        let room = this.rooms.get(roomName);
+        if (!room) {
+            try {
+                room = new GameRoom(roomName, isObject(settings) ? settings : {});
+            } catch (error) {
+                this.send(socket, { type: 'error', message: error.message });
+                return;
+            }
+            this.rooms.set(roomName, room);
+        }
+
+        // The same client may reconnect before its old socket notices the drop
+        for (const [otherSocket, other] of this.sockets) {
+            if (other.clientId === clientId && other.room === roomName && otherSocket !== socket) {
+                this.sockets.delete(otherSocket);
+                otherSocket.terminate();
+            }
+        }
+
+        const side = room.join(clientId, { spectator: role === 'spectator' });
+        this.sockets.set(socket, { room: roomName, clientId });
+
+        this.send(socket, { type: 'welcome', clientId, side, room: roomName, snapshot: room.snapshot() });
+        this.broadcast(roomName, { type: 'presence', ...room.presence() });
+    }
+
+    /**
+     * Forget a closed socket, or one that joins another room (the seat stays
+     * reserved for a reconnect; the room is deleted once nobody is connected)
+     * @param {WebSocket} socket - Client socket
+     * @private
+     */
+    leaveRoom(socket) {
+        const client = this.sockets.get(socket);
+        if (!client) return;
+        this.sockets.delete(socket);
+
+        const room = this.rooms.get(client.room);
+        room.leave(client.clientId);
+        if (room.isEmpty()) {
+            this.rooms.delete(client.room);
+        } else {
+            this.broadcast(client.room, { type: 'presence', ...room.presence() });
+        }
+    }
+
+    /**
+     * Send a message to every client of a room
+     * @param {string} roomName - Room name
+     * @param {Object} message - Message
+     * @private
+     */
+    broadcast(roomName, message) {
+        for (const [socket, client] of this.sockets) {
+            if (client.room === roomName) {
+                this.send(socket, message);
+            }
+        }
+    }
+
+    /**
+     * Send a message to one socket (ignored if it is closing)
+     * @param {WebSocket} socket - Socket
+     * @param {Object} message - Message
+     * @private
+     */
+    send(socket, message) {
+        if (socket.readyState === socket.OPEN) {
+            socket.send(JSON.stringify(message));
+        }
+    }
+}
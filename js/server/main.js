@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+/**
+ * Relay server entry point
+ * Run: node js/server/main.js [--port 8787] [--host 0.0.0.0]
+ * Then open index.html?room=<name>&server=ws://<host>:<port> in two browsers
+ */
+
+import { RelayServer, DEFAULT_PORT } from './RelayServer.js';
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+};
+
+const port = Number(option('port', DEFAULT_PORT));
+if (!Number.isInteger(port) || port < 0) {
+    console.error(`Invalid port: ${option('port')}`);
+    process.exit(1);
+}
+
+const server = new RelayServer({ port, host: option('host', undefined) });
+server.start().then((listeningPort) => {
+    console.log(`Relay server listening on ws://${option('host', 'localhost')}:${listeningPort}`);
+}).catch((error) => {
+    console.error(`Relay server failed to start: ${error.message}`);
+    process.exit(1);
+});
+
+const shutdown = () => server.stop().then(() => process.exit(0));
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
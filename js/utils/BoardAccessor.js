@@ -1,52 +1,32 @@
 /**
  * Utility for accessing N-dimensional game board
- * Supports both nested arrays (2D-4D) and Map-based storage (5D+)
- * Centralizes board access logic to avoid duplication
+ * Thin wrapper over BoardState, which owns the storage layout
+ * (flat row-major Uint8Array for every dimension count)
  */
 
+import { BoardState, isValidPosition } from '../domain/state/BoardState.js';
+
 export class BoardAccessor {
     /**
      * Get marker at N-dimensional coordinates
-     * @param {Array|Map} board - Game board (nested arrays or Map)
+     * @param {BoardState|Object} board - Board state (or its plain object)
      * @param {Array<number>} coords - N-dimensional coordinates
      * @returns {string|null} Player marker ('X', 'O') or null if empty
      */
     static getMarkerAt(board, coords) {
-        // Handle Map-based storage (5D+)
-        if (board instanceof Map) {
-            return board.get(coords.join(',')) || null;
-        }
-
-        // Handle nested array storage (2D-4D)
-        // Access in reverse order: board[w][z][y][x] for 4D
-        let current = board;
-        for (let i = coords.length - 1; i >= 0; i--) {
-            current = current[coords[i]];
-            if (current === undefined) return null;
-        }
-        return current;
+        return toBoardState(board).get(coords);
     }
 
     /**
      * Set marker at N-dimensional coordinates
-     * @param {Array|Map} board - Game board (nested arrays or Map)
+     * Boards are immutable, so the updated board is returned
+     * @param {BoardState|Object} board - Board state (or its plain object)
      * @param {Array<number>} coords - N-dimensional coordinates
      * @param {string} player - Player marker ('X' or 'O')
+     * @returns {BoardState} Board with the marker placed
      */
     static setMarkerAt(board, coords, player) {
-        // Handle Map-based storage (5D+)
-        if (board instanceof Map) {
-            board.set(coords.join(','), player);
-            return;
-        }
-
-        // Handle nested array storage (2D-4D)
-        // Access in reverse order: board[w][z][y][x] for 4D
-        let current = board;
-        for (let i = coords.length - 1; i > 0; i--) {
-            current = current[coords[i]];
-        }
-        current[coords[0]] = player;
+        return toBoardState(board).set(coords, player);
     }
 
     /**
@@ -57,27 +37,15 @@ export class BoardAccessor {
      * @returns {boolean} True if valid
      */
     static isValidCoordinate(coords, dimensions, gridSize) {
-        // Check if coords is an array
-        if (!Array.isArray(coords)) {
-            return false;
-        }
-
-        // Check dimension count
-        if (coords.length !== dimensions) {
-            return false;
-        }
-
-        // Check each coordinate is within bounds
-        for (let i = 0; i < coords.length; i++) {
-            const coord = coords[i];
-            if (typeof coord !== 'number' || !Number.isInteger(coord)) {
-                return false;
-            }
-            if (coord < 0 || coord >= gridSize) {
-                return false;
-            }
-        }
-
-        return true;
+        return isValidPosition(coords, dimensions, gridSize);
     }
 }
+
+/**
+ * Accept both board instances and plain boards from the store
+ * @param {BoardState|Object} board - Board state or plain object
+ * @returns {BoardState}
+ */
+function toBoardState(board) {
+    return board instanceof BoardState ? board : BoardState.fromPlain(board);
+}
@@ -6,6 +6,8 @@ import { GameService } from '../../../js/application/services/GameService.js';
 import { StateStore } from '../../../js/infrastructure/state/StateStore.js';
 import { EventBus } from '../../../js/infrastructure/events/EventBus.js';
 import { rootReducer, initialState } from '../../../js/infrastructure/state/reducers.js';
+import { Actions } from '../../../js/infrastructure/state/actions.js';
+import { GameState } from '../../../js/domain/state/GameState.js';
 
 describe('GameService', () => {
     let service;
@@ -59,6 +61,32 @@ describe('GameService', () => {
             service.handleCellClick(position);
         });
 
+        it('should drop the marker to the bottom of the column with gravity', () => {
+            service.updateSettings({ dimensions: 2, gridSize: 3, gravityAxis: 1 });
+
+            service.handleCellClick([1, 2]);
+            expect(service.getPreviewCell()).toEqual([1, 0]);
+
+            service.handleCellClick([1, 1]); // Same column confirms the previewed landing cell
+            expect(service.getMoveHistory().map(move => move.position)).toEqual([[1, 0]]);
+
+            service.handleCellClick([1, 2]);
+            expect(service.getPreviewCell()).toEqual([1, 1]);
+        });
+
+        it('should ignore clicks on a full column', () => {
+            service.updateSettings({ dimensions: 2, gridSize: 3, gravityAxis: 1 });
+            for (let i = 0; i < 3; i++) {
+                service.handleCellClick([0, 0]);
+                service.handleCellClick([0, 0]);
+            }
+
+            service.handleCellClick([0, 2]);
+
+            expect(service.getPreviewCell()).toBe(null);
+            expect(service.getMoveHistory()).toHaveLength(3);
+        });
+
         it('should emit event on marker placement', () => {
             const position = [0, 0, 0, 0];
             const spy = vi.fn();
@@ -136,6 +164,220 @@ describe('GameService', () => {
         });
     });
 
+    describe('game records', () => {
+        it('should export and re-import the current game', () => {
+            service.handleCellClick([0, 0, 0, 0]);
+            service.handleCellClick([0, 0, 0, 0]);
+            service.handleCellClick([1, 1, 1, 1]);
+            service.handleCellClick([1, 1, 1, 1]);
+            const json = service.exportGame();
+
+            service.resetGameState();
+            expect(service.getMoveHistory()).toHaveLength(0);
+
+            service.importGame(json);
+
+            expect(service.getMoveHistory()).toHaveLength(2);
+            expect(service.getCurrentPlayer()).toBe('X');
+            expect(store.getState().game.board).toBeTruthy();
+        });
+
+        it('should apply the settings of an imported game', () => {
+            const listener = vi.fn();
+            eventBus.on('game:loaded', listener);
+            const json = JSON.stringify({
+                format: 'nd-tic-tac-toe/game-record',
+                version: 1,
+                settings: { dimensions: 2, gridSize: 3 },
+                players: ['X', 'O'],
+                moves: [{ position: [1, 1], player: 'X', timestamp: 1 }]
+            });
+
+            service.importGame(json);
+
+            expect(service.getSettings().dimensions).toBe(2);
+            expect(service.getSettings().gridSize).toBe(3);
+            expect(store.getState().game.redoStack).toEqual([]);
+            expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+                newSettings: expect.objectContaining({ dimensions: 2, gridSize: 3 })
+            }));
+        });
+
+        it('should start a new game on an imported board layout', () => {
+            const json = JSON.stringify({
+                format: 'nd-tic-tac-toe/board-layout',
+                version: 1,
+                dimensions: 2,
+                gridSize: 3,
+                blocked: [[1, 1]],
+                placements: [{ position: [0, 0], player: 'O' }]
+            });
+
+            service.importGame(json);
+
+            const game = store.getState().game;
+            expect(service.getSettings().layout.blocked).toEqual([[1, 1]]);
+            expect(game.moveHistory).toEqual([]);
+            expect(game.currentPlayer).toBe('X');
+            expect(GameState.fromPlain(game).getMarkerAt([0, 0])).toBe('O');
+        });
+
+        it('should export and re-import the current game as notation', () => {
+            service.handleCellClick([0, 0, 0, 0]);
+            service.handleCellClick([0, 0, 0, 0]);
+            const text = service.exportNotation();
+
+            expect(text).toBe('4D/4: 1.x0y0z0w0');
+
+            service.importNotation('2D/3: x1y1 x0y0');
+
+            expect(service.getSettings().dimensions).toBe(2);
+            expect(service.getMoveHistory().map(move => move.position)).toEqual([[1, 1], [0, 0]]);
+            expect(service.getCurrentPlayer()).toBe('X');
+        });
+
+        it('should leave the game unchanged when the record is invalid', () => {
+            service.handleCellClick([0, 0, 0, 0]);
+            service.handleCellClick([0, 0, 0, 0]);
+            const before = store.getState();
+
+            expect(() => service.importGame('{"format":"other"}')).toThrow();
+            expect(store.getState()).toBe(before);
+        });
+    });
+
+    describe('replay', () => {
+        /**
+         * Click a cell twice (preview + confirm)
+         */
+        const place = (position) => {
+            service.handleCellClick(position);
+            service.handleCellClick(position);
+        };
+
+        beforeEach(() => {
+            place([0, 0, 0, 0]);
+            place([1, 1, 1, 1]);
+            place([2, 2, 2, 2]);
+        });
+
+        it('should review the move history without changing the game', () => {
+            const game = store.getState().game;
+
+            service.startReplay();
+            service.seekReplay(2);
+
+            expect(service.isReplaying()).toBe(true);
+            expect(store.getState().replay.game.moveHistory).toHaveLength(2);
+            expect(store.getState().game).toBe(game);
+
+            service.stopReplay();
+
+            expect(service.isReplaying()).toBe(false);
+            expect(store.getState().game).toBe(game);
+        });
+
+        it('should disable placement, undo and redo while reviewing', () => {
+            service.startReplay();
+
+            service.handleCellClick([3, 3, 3, 3]);
+            service.handleCellClick([3, 3, 3, 3]);
+
+            expect(service.getPreviewCell()).toBe(null);
+            expect(service.getMoveHistory()).toHaveLength(3);
+            expect(service.canUndo()).toBe(false);
+            expect(service.canRedo()).toBe(false);
+        });
+
+        it('should step forward and back', () => {
+            service.startReplay();
+
+            service.stepReplay(1);
+            service.stepReplay(1);
+            service.stepReplay(-1);
+
+            expect(store.getState().replay.index).toBe(1);
+        });
+
+        it('should restart playback from the beginning at the last move', () => {
+            service.startReplay();
+            service.seekReplay(3);
+
+            service.playReplay();
+
+            expect(store.getState().replay.index).toBe(0);
+            expect(store.getState().replay.playing).toBe(true);
+
+            service.pauseReplay();
+            expect(store.getState().replay.playing).toBe(false);
+        });
+
+        it('should ignore invalid speeds', () => {
+            service.setReplaySpeed(4);
+            service.setReplaySpeed(0);
+
+            expect(store.getState().replay.speed).toBe(4);
+        });
+
+        it('should emit replay events', () => {
+            const started = vi.fn();
+            const stopped = vi.fn();
+            eventBus.on('replay:started', started);
+            eventBus.on('replay:stopped', stopped);
+
+            service.startReplay();
+            service.stopReplay();
+
+            expect(started).toHaveBeenCalledWith({ moves: service.getMoveHistory() });
+            expect(stopped).toHaveBeenCalled();
+        });
+
+        it('should preview a move of the history and pending redos', () => {
+            service.undo();
+            const game = store.getState().game;
+
+            expect(service.getMoveLine().map(move => move.position)).toEqual([
+                [0, 0, 0, 0], [1, 1, 1, 1], [2, 2, 2, 2]
+            ]);
+
+            service.previewMove(3);
+
+            expect(service.isReplaying()).toBe(true);
+            expect(store.getState().replay.moves).toHaveLength(3);
+            expect(store.getState().replay.game.moveHistory).toHaveLength(3);
+            expect(store.getState().game).toBe(game);
+
+            service.previewMove(1);
+            expect(store.getState().replay.index).toBe(1);
+        });
+
+        it('should list pending redos next redo first', () => {
+            service.undo();
+            service.undo();
+
+            expect(service.getMoveLine().map(move => move.position)).toEqual([
+                [0, 0, 0, 0], [1, 1, 1, 1], [2, 2, 2, 2]
+            ]);
+        });
+
+        it('should hold the computer move until replay stops', () => {
+            const deferred = [];
+            service = new GameService(store, new EventBus(), {
+                scheduleComputerMove: (move) => deferred.push(move)
+            });
+            service.updateSettings({ computerPlayer: 'O' });
+            service.handleCellClick([0, 0, 0, 0]);
+            service.handleCellClick([0, 0, 0, 0]);
+            deferred.length = 0;
+
+            service.startReplay();
+            expect(service.isComputerTurn()).toBe(false);
+
+            service.stopReplay();
+            expect(deferred).toHaveLength(1);
+        });
+    });
+
     describe('undo', () => {
         it('should undo last move', () => {
             service.handleCellClick([0, 0, 0, 0]);
@@ -169,6 +411,237 @@ describe('GameService', () => {
         });
     });
 
+    describe('computer player', () => {
+        /**
+         * Click a cell twice (preview + confirm)
+         */
+        const place = (position) => {
+            service.handleCellClick(position);
+            service.handleCellClick(position);
+        };
+
+        beforeEach(() => {
+            service.updateSettings({ dimensions: 2, gridSize: 3, computerPlayer: 'O', computerDifficulty: 'greedy' });
+        });
+
+        it('should answer a human move automatically', () => {
+            place([0, 0]);
+
+            const history = service.getMoveHistory();
+            expect(history).toHaveLength(2);
+            expect(history[1].player).toBe('O');
+            expect(service.getCurrentPlayer()).toBe('X');
+        });
+
+        it('should emit markerPlaced for the computer move', () => {
+            const spy = vi.fn();
+            eventBus.on('game:markerPlaced', spy);
+
+            place([0, 0]);
+
+            expect(spy).toHaveBeenCalledTimes(2);
+            expect(spy).toHaveBeenCalledWith(expect.objectContaining({ player: 'O', byComputer: true }));
+        });
+
+        it('should block an immediate threat', () => {
+            place([0, 0]);
+            const reply = service.getMoveHistory()[1].position;
+            const next = reply[0] === 1 && reply[1] === 0 ? [0, 1] : [1, 0];
+            const threat = next[0] === 1 ? [2, 0] : [0, 2];
+
+            place(next);
+
+            expect(service.getMoveHistory()[3].position).toEqual(threat);
+        });
+
+        it('should ignore clicks on the computer turn', () => {
+            const deferred = [];
+            service = new GameService(store, new EventBus(), {
+                scheduleComputerMove: (move) => deferred.push(move)
+            });
+
+            place([0, 0]);
+            service.handleCellClick([1, 1]);
+
+            expect(service.getPreviewCell()).toBe(null);
+            expect(service.getMoveHistory()).toHaveLength(1);
+
+            deferred.forEach(move => move());
+            expect(service.getMoveHistory()).toHaveLength(2);
+        });
+
+        it('should move first when playing X', () => {
+            service.updateSettings({ computerPlayer: 'X' });
+
+            expect(service.getMoveHistory()).toHaveLength(1);
+            expect(service.getMoveHistory()[0].player).toBe('X');
+        });
+
+        it('should undo and redo the computer reply together', () => {
+            place([0, 0]);
+            expect(service.getMoveHistory()).toHaveLength(2);
+
+            service.undo();
+            expect(service.getMoveHistory()).toHaveLength(0);
+            expect(service.getCurrentPlayer()).toBe('X');
+
+            service.redo();
+            expect(service.getMoveHistory()).toHaveLength(2);
+            expect(service.getCurrentPlayer()).toBe('X');
+        });
+    });
+
+    describe('swap rule', () => {
+        it('should offer the swap to the player to move after the opening', () => {
+            service.updateSettings({ dimensions: 2, gridSize: 3, swapMoves: 1 });
+            expect(service.canSwap()).toBe(false);
+
+            service.handleCellClick([1, 1]);
+            service.handleCellClick([1, 1]);
+            expect(service.canSwap()).toBe(true);
+
+            const spy = vi.fn();
+            eventBus.on('game:sidesSwapped', spy);
+            service.swapSides();
+
+            expect(spy).toHaveBeenCalledWith({ player: 'O' });
+            expect(service.getCurrentPlayer()).toBe('X');
+            expect(service.canSwap()).toBe(false);
+
+            service.undo();
+            expect(service.getMoveHistory()).toHaveLength(1);
+            expect(service.canSwap()).toBe(true);
+        });
+
+        it('should let the computer answer a swap', () => {
+            service.updateSettings({ dimensions: 2, gridSize: 3, swapMoves: 1, computerPlayer: 'X' });
+            service.swapSides();
+
+            const history = service.getMoveHistory();
+            expect(history).toHaveLength(3);
+            expect(history[1]).toMatchObject({ swap: true, player: 'O' });
+            expect(history[2].player).toBe('X');
+        });
+
+        it('should let the computer swap a strong opening', () => {
+            service.updateSettings({ dimensions: 2, gridSize: 3, swapMoves: 1, computerPlayer: 'O' });
+            const spy = vi.fn();
+            eventBus.on('game:sidesSwapped', spy);
+
+            service.handleCellClick([1, 1]);
+            service.handleCellClick([1, 1]);
+
+            expect(spy).toHaveBeenCalledWith({ player: 'O', byComputer: true });
+            expect(service.getCurrentPlayer()).toBe('X');
+            expect(service.canSwap()).toBe(false);
+        });
+    });
+
+    describe('chess clock', () => {
+        beforeEach(() => {
+            service.updateSettings({ dimensions: 2, gridSize: 3, timeControl: { baseMs: 5000, incrementMs: 0 } });
+            service.tickClock(0);
+        });
+
+        it('should count down the player to move', () => {
+            service.tickClock(2000);
+
+            expect(service.getClocks()).toEqual({ X: 3000, O: 5000 });
+        });
+
+        it('should end the game when a clock runs out', () => {
+            const events = [];
+            eventBus.on('game:timedOut', (data) => events.push(data));
+
+            service.tickClock(6000);
+
+            expect(service.getGamePhase()).toBe('won');
+            expect(service.getWinner()).toBe('O');
+            expect(store.getState().game.resultReason).toBe('timeout');
+            expect(events).toEqual([{ player: 'X', winner: 'O' }]);
+        });
+
+        it('should not run while the settings modal is open', () => {
+            service.setSettingsModalOpen(true);
+            service.tickClock(60000);
+
+            expect(service.getGamePhase()).toBe('playing');
+            expect(service.getClocks().X).toBe(5000);
+        });
+    });
+
+    describe('playing online', () => {
+        beforeEach(() => {
+            store.dispatch(Actions.setNetworkStatus({ status: 'online', room: 'r', side: 'O', role: 'player' }));
+        });
+
+        it('should only offer undo and redo of your own moves', () => {
+            store.dispatch(Actions.placeMarker([0, 0, 0, 0]));
+            expect(service.canUndo()).toBe(false);
+
+            store.dispatch(Actions.placeMarker([1, 0, 0, 0]));
+            expect(service.canUndo()).toBe(true);
+
+            store.dispatch(Actions.undoMove());
+            expect(service.canRedo()).toBe(true);
+        });
+
+        it('should ignore cell clicks while the other side is to move', () => {
+            service.handleCellClick([0, 0, 0, 0]);
+            service.handleCellClick([0, 0, 0, 0]);
+
+            expect(service.getPreviewCell()).toBe(null);
+            expect(service.getMoveHistory()).toEqual([]);
+        });
+
+        it('should not announce a move the network kept back', () => {
+            // Like NetworkClient: moves go to the server instead of the store
+            const relay = () => (action) => action.type === 'PLACE_MARKER' ? null : action;
+            store = new StateStore(initialState, rootReducer, [relay]);
+            service = new GameService(store, eventBus);
+            store.dispatch(Actions.setNetworkStatus({ status: 'online', room: 'r', side: 'X', role: 'player' }));
+            const spy = vi.fn();
+            eventBus.on('game:markerPlaced', spy);
+
+            service.handleCellClick([0, 0, 0, 0]);
+            service.handleCellClick([0, 0, 0, 0]);
+
+            expect(service.getMoveHistory()).toEqual([]);
+            expect(service.getPreviewCell()).toBe(null);
+            expect(spy).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('spectating', () => {
+        beforeEach(() => {
+            store.dispatch(Actions.setNetworkStatus({ status: 'online', room: 'r', side: null, role: 'spectator' }));
+        });
+
+        it('should ignore cell clicks', () => {
+            service.handleCellClick([0, 0, 0, 0]);
+            service.handleCellClick([0, 0, 0, 0]);
+
+            expect(service.getPreviewCell()).toBe(null);
+            expect(service.getMoveHistory()).toEqual([]);
+        });
+
+        it('should not allow undo or redo', () => {
+            store.dispatch(Actions.loadGame({
+                ...store.getState().game,
+                redoStack: [{ position: [0, 0, 0, 0], player: 'X', timestamp: 1 }]
+            }));
+
+            expect(service.isSpectating()).toBe(true);
+            expect(service.canRedo()).toBe(false);
+        });
+
+        it('should still allow changing the local view', () => {
+            service.updateRotation('xy', 0.5);
+
+            expect(service.getVisualState().rotation.xy).toBeCloseTo(0.5);
+        });
+    });
+
     describe('queries', () => {
         it('should get current player', () => {
             expect(service.getCurrentPlayer()).toBe('X');
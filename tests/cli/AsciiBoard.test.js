@@ -0,0 +1,81 @@
+/**
+ * ASCII board renderer unit tests
+ */
+import { describe, it, expect } from 'vitest';
+import { renderBoard } from '../../js/cli/AsciiBoard.js';
+import { Engine } from '../../js/engine/index.js';
+
+/**
+ * Play positions in order
+ */
+function playAll(settings, positions) {
+    return positions.reduce((state, position) => Engine.play(state, position), Engine.createGame(settings));
+}
+
+describe('renderBoard', () => {
+    it('should render a 2D board with row and column labels', () => {
+        const state = playAll({ dimensions: 2, gridSize: 3 }, [[1, 0], [2, 2]]);
+
+        expect(renderBoard(state)).toBe([
+            '  0 1 2',
+            '0 . X .',
+            '1 . . .',
+            '2 . . O',
+        ].join('\n'));
+    });
+
+    it('should render boards with per-axis sizes', () => {
+        const state = playAll({ dimensions: 2, gridSize: [4, 2] }, [[3, 1]]);
+
+        expect(renderBoard(state)).toBe([
+            '  0 1 2 3',
+            '0 . . . .',
+            '1 . . . X',
+        ].join('\n'));
+    });
+
+    it('should mark blocked cells', () => {
+        const state = playAll({ dimensions: 2, gridSize: 3, layout: { blocked: [[1, 1]] } }, [[0, 0]]);
+
+        expect(renderBoard(state)).toBe([
+            '  0 1 2',
+            '0 X . .',
+            '1 . # .',
+            '2 . . .',
+        ].join('\n'));
+    });
+
+    it('should lay 3D z-slices side by side', () => {
+        const state = playAll({ dimensions: 3, gridSize: 2 }, [[0, 1, 1]]);
+
+        expect(renderBoard(state)).toBe([
+            'z=0    z=1',
+            '  0 1    0 1',
+            '0 . .  0 . .',
+            '1 . .  1 X .',
+        ].join('\n'));
+    });
+
+    it('should stack 4D w-slices of z-slices', () => {
+        const state = playAll({ dimensions: 4, gridSize: 2 }, [[1, 0, 0, 1]]);
+        const lines = renderBoard(state).split('\n');
+
+        expect(lines[0]).toBe('w=0:');
+        expect(lines).toContain('w=1:');
+        expect(lines.filter(line => line.startsWith('z=0'))).toHaveLength(2);
+        expect(lines[lines.indexOf('w=1:') + 3]).toBe('0 . X  0 . .');
+    });
+
+    it('should render every cell of a 5D board once', () => {
+        const state = Engine.createGame({ dimensions: 5, gridSize: 2 });
+        const cells = renderBoard(state).match(/\./g);
+
+        expect(cells).toHaveLength(32);
+    });
+
+    it('should render a 1D board as one row', () => {
+        const state = playAll({ dimensions: 1, gridSize: 3 }, [[2]]);
+
+        expect(renderBoard(state)).toBe('0 1 2\n. . X');
+    });
+});
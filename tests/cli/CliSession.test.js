@@ -0,0 +1,153 @@
+/**
+ * CLI session unit tests
+ */
+import { describe, it, expect } from 'vitest';
+import { CliSession } from '../../js/cli/CliSession.js';
+import { GameRules } from '../../js/domain/rules/GameRules.js';
+
+describe('CliSession', () => {
+    const settings = { dimensions: 2, gridSize: 3, winLength: null };
+
+    describe('moves', () => {
+        it('should accept notation and plain coordinates', () => {
+            const session = new CliSession({ settings });
+
+            session.execute('x1y2');
+            session.execute('0, 0');
+
+            expect(session.state.getMarkerAt([1, 2])).toBe('X');
+            expect(session.state.getMarkerAt([0, 0])).toBe('O');
+        });
+
+        it('should reject taken cells and bad input without changing the game', () => {
+            const session = new CliSession({ settings });
+            session.execute('1 1');
+
+            expect(session.execute('1 1')).toContain('already taken');
+            expect(session.execute('3 0')).toContain('not on the 2D/3 board');
+            expect(session.execute('hello')).toContain('Invalid position notation');
+            expect(session.state.moveHistory).toHaveLength(1);
+        });
+
+        it('should say why a blocked or unsupported cell cannot be played', () => {
+            const blocked = new CliSession({ settings: { ...settings, layout: { blocked: [[1, 1]], placements: [] } } });
+            const gravity = new CliSession({ settings: { ...settings, gravityAxis: 1 } });
+
+            expect(blocked.execute('1 1')).toBe('x1y1 is blocked.');
+            expect(gravity.execute('1 2')).toBe('x1y2 has nothing below it: a marker there falls to x1y0.');
+            expect(gravity.state.moveHistory).toHaveLength(0);
+        });
+
+        it('should report the winner and refuse more moves', () => {
+            const session = new CliSession({ settings });
+            ['0 0', '0 1', '1 0', '1 1'].forEach(move => session.execute(move));
+
+            expect(session.execute('2 0')).toContain('X wins: x0y0 x1y0 x2y0');
+            expect(session.execute('2 2')).toContain('game is over');
+        });
+    });
+
+    describe('undo, redo and reset', () => {
+        it('should undo and redo moves', () => {
+            const session = new CliSession({ settings });
+            session.execute('0 0');
+            session.execute('1 1');
+
+            session.execute('undo');
+            expect(session.state.moveHistory).toHaveLength(1);
+            expect(session.state.currentPlayer).toBe('O');
+
+            session.execute('redo');
+            expect(session.state.getMarkerAt([1, 1])).toBe('O');
+            expect(session.execute('r')).toBe('Nothing to redo.');
+        });
+
+        it('should clear the redo stack on a new move', () => {
+            const session = new CliSession({ settings });
+            session.execute('0 0');
+            session.execute('u');
+            session.execute('2 2');
+
+            expect(session.execute('redo')).toBe('Nothing to redo.');
+        });
+
+        it('should reset the game', () => {
+            const session = new CliSession({ settings });
+            session.execute('0 0');
+
+            expect(session.execute('reset')).toContain('New game.');
+            expect(session.state.moveHistory).toHaveLength(0);
+        });
+    });
+
+    describe('computer players', () => {
+        it('should answer a human move', () => {
+            const session = new CliSession({ settings, controllers: { X: 'human', O: 'greedy' } });
+
+            const output = session.execute('1 1');
+
+            expect(output).toContain('O (greedy) plays');
+            expect(session.state.moveHistory).toHaveLength(2);
+            expect(session.state.currentPlayer).toBe('X');
+        });
+
+        it('should undo back to the human turn', () => {
+            const session = new CliSession({ settings, controllers: { X: 'human', O: 'greedy' } });
+            session.execute('1 1');
+
+            session.execute('undo');
+
+            expect(session.state.moveHistory).toHaveLength(0);
+            expect(session.state.currentPlayer).toBe('X');
+        });
+
+        it('should not undo past the first human turn when the computer moves first', () => {
+            const session = new CliSession({ settings, controllers: { X: 'greedy', O: 'human' } });
+            session.playComputerMoves();
+            const [reply] = GameRules.getValidMoves(session.state);
+            session.execute(reply.join(' '));
+
+            expect(session.execute('undo')).not.toContain('Nothing to undo');
+            expect(session.state.moveHistory).toHaveLength(1);
+            expect(session.state.currentPlayer).toBe('O');
+
+            expect(session.execute('undo')).toBe('Nothing to undo.');
+            expect(session.state.moveHistory).toHaveLength(1);
+            expect(session.state.currentPlayer).toBe('O');
+
+            session.execute(reply.join(' '));
+            expect(session.state.getMarkerAt(reply)).toBe('O');
+        });
+
+        it('should play a whole game between computers', () => {
+            const session = new CliSession({
+                settings: { dimensions: 3, gridSize: 3, winLength: null },
+                controllers: { X: 'random', O: 'greedy' },
+                random: () => 0.5
+            });
+
+            expect(session.isComputerOnly()).toBe(true);
+            const log = session.playComputerMoves();
+
+            expect(session.state.isGameOver()).toBe(true);
+            expect(log).toHaveLength(session.state.moveHistory.length);
+        });
+    });
+
+    describe('other commands', () => {
+        it('should list moves in notation', () => {
+            const session = new CliSession({ settings });
+            session.execute('x0y0');
+
+            expect(session.execute('moves')).toBe('2D/3: 1.x0y0');
+        });
+
+        it('should quit', () => {
+            const session = new CliSession({ settings });
+
+            session.execute('quit');
+
+            expect(session.finished).toBe(true);
+        });
+    });
+});
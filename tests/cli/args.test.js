@@ -0,0 +1,57 @@
+/**
+ * CLI argument parser unit tests
+ */
+import { describe, it, expect } from 'vitest';
+import { parseArgs, HUMAN } from '../../js/cli/args.js';
+
+describe('parseArgs', () => {
+    it('should use defaults without arguments', () => {
+        const options = parseArgs([]);
+
+        expect(options.settings).toEqual({ dimensions: 4, gridSize: 4, winLength: null });
+        expect(options.controllers).toEqual({ X: HUMAN, O: HUMAN });
+        expect(options.games).toBe(1);
+        expect(options.help).toBe(false);
+    });
+
+    it('should read long, short and attached options', () => {
+        const options = parseArgs(['--dimensions', '3', '-g', '5', '--win-length=4', '--x', 'random', '-o', 'Greedy', '-n', '10']);
+
+        expect(options.settings).toEqual({ dimensions: 3, gridSize: 5, winLength: 4 });
+        expect(options.controllers).toEqual({ X: 'random', O: 'greedy' });
+        expect(options.games).toBe(10);
+    });
+
+    it('should read per-axis grid sizes', () => {
+        expect(parseArgs(['-d', '3', '-g', '3x3x5', '-k', '4']).settings).toEqual({ dimensions: 3, gridSize: [3, 3, 5], winLength: 4 });
+        expect(parseArgs(['-d', '2', '-g', '4x4']).settings.gridSize).toBe(4);
+        expect(() => parseArgs(['-d', '2', '-g', '3x3x5'])).toThrow('does not have 2 axes');
+        expect(() => parseArgs(['-d', '2', '-g', '3x'])).toThrow('positive integer');
+    });
+
+    it('should read the win engine', () => {
+        expect(parseArgs(['-e', 'index']).settings.winEngine).toBe('index');
+        expect(parseArgs(['--win-engine=Scan']).settings.winEngine).toBe('scan');
+        expect(() => parseArgs(['-e', 'magic'])).toThrow('expects one of');
+    });
+
+    it('should recognize help', () => {
+        expect(parseArgs(['-h']).help).toBe(true);
+        expect(parseArgs(['--help']).help).toBe(true);
+    });
+
+    it('should reject invalid input', () => {
+        expect(() => parseArgs(['--size', '3'])).toThrow('Unknown option');
+        expect(() => parseArgs(['--dimensions'])).toThrow('Missing value');
+        expect(() => parseArgs(['--grid-size', '0'])).toThrow('positive integer');
+        expect(() => parseArgs(['-d', '2.5'])).toThrow('positive integer');
+        expect(() => parseArgs(['--x', 'genius'])).toThrow('expects one of');
+        expect(() => parseArgs(['-g', '3', '-k', '4'])).toThrow('larger than the grid size');
+    });
+
+    it('should reject boards beyond the size limits', () => {
+        expect(() => parseArgs(['-d', '9', '-g', '9'])).toThrow('Invalid dimensions');
+        expect(() => parseArgs(['-d', '30', '-g', '2'])).toThrow('Invalid dimensions');
+        expect(() => parseArgs(['-d', '2', '-g', '7'])).toThrow('Invalid grid size');
+    });
+});
@@ -0,0 +1,233 @@
+/**
+ * AIPlayer unit tests
+ */
+import { describe, it, expect } from 'vitest';
+import { AIPlayer, AIDifficulty } from '../../../js/domain/ai/AIPlayer.js';
+import { GameRules } from '../../../js/domain/rules/GameRules.js';
+import { GameState } from '../../../js/domain/state/GameState.js';
+
+/**
+ * Play a list of moves with alternating players
+ */
+function playMoves(settings, positions) {
+    let state = GameState.initial(settings);
+    for (const position of positions) {
+        state = GameRules.placeMarker(state, position);
+    }
+    return state;
+}
+
+/**
+ * Play a full game where every move is chosen by the AI
+ */
+function playOut(settings, difficulty) {
+    let state = GameState.initial(settings);
+    while (!state.isGameOver()) {
+        const position = AIPlayer.chooseMove(state, difficulty, { random: () => 0 });
+        expect(state.isValidMove(position)).toBe(true);
+        state = GameRules.placeMarker(state, position);
+    }
+    return state;
+}
+
+describe('AIPlayer', () => {
+    const settings2D = { dimensions: 2, gridSize: 3 };
+
+    describe('chooseMove', () => {
+        it('should return null when the game is over', () => {
+            const state = playMoves(settings2D, [[0, 0], [0, 1], [1, 0], [1, 1], [2, 0]]);
+
+            expect(state.gamePhase).toBe('won');
+            expect(AIPlayer.chooseMove(state, AIDifficulty.GREEDY)).toBe(null);
+        });
+
+        it('should default to greedy difficulty', () => {
+            const state = playMoves(settings2D, [[0, 0], [0, 1], [1, 0]]);
+
+            // O must block X at [2, 0]
+            expect(AIPlayer.chooseMove(state)).toEqual([2, 0]);
+        });
+    });
+
+    describe('shouldSwap', () => {
+        const swapSettings = { ...settings2D, swapMoves: 1 };
+
+        it('should not swap unless a swap is offered', () => {
+            expect(AIPlayer.shouldSwap(playMoves(settings2D, [[1, 1]]))).toBe(false);
+            expect(AIPlayer.shouldSwap(GameState.initial(swapSettings))).toBe(false);
+        });
+
+        it('should take over a strong opening', () => {
+            expect(AIPlayer.shouldSwap(playMoves(swapSettings, [[1, 1]]), AIDifficulty.GREEDY)).toBe(true);
+            expect(AIPlayer.shouldSwap(playMoves(swapSettings, [[1, 1]]), AIDifficulty.MINIMAX)).toBe(true);
+        });
+
+        it('should flip a coin at random difficulty', () => {
+            const state = playMoves(swapSettings, [[1, 1]]);
+
+            expect(AIPlayer.shouldSwap(state, AIDifficulty.RANDOM, { random: () => 0.2 })).toBe(true);
+            expect(AIPlayer.shouldSwap(state, AIDifficulty.RANDOM, { random: () => 0.8 })).toBe(false);
+        });
+    });
+
+    describe('random difficulty', () => {
+        it('should choose a valid move using the injected RNG', () => {
+            const state = playMoves(settings2D, [[0, 0]]);
+
+            const first = AIPlayer.chooseMove(state, AIDifficulty.RANDOM, { random: () => 0 });
+            const last = AIPlayer.chooseMove(state, AIDifficulty.RANDOM, { random: () => 0.999 });
+
+            expect(state.isValidMove(first)).toBe(true);
+            expect(state.isValidMove(last)).toBe(true);
+            expect(first).not.toEqual(last);
+        });
+
+        it('should return null when no moves are left', () => {
+            const state = GameState.initial(settings2D).withDraw();
+
+            expect(AIPlayer.chooseRandomMove(state)).toBe(null);
+        });
+    });
+
+    describe('greedy difficulty', () => {
+        it('should complete its own line', () => {
+            // X: [0,0], [1,0]; O: [0,1], [1,1]; X to move
+            const state = playMoves(settings2D, [[0, 0], [0, 1], [1, 0], [1, 1]]);
+
+            expect(AIPlayer.chooseMove(state, AIDifficulty.GREEDY)).toEqual([2, 0]);
+        });
+
+        it('should prefer winning over blocking', () => {
+            // X: [0,0], [1,0]; O: [0,2], [1,2]; X to move can win at [2,0]
+            const state = playMoves(settings2D, [[0, 0], [0, 2], [1, 0], [1, 2]]);
+
+            expect(AIPlayer.chooseMove(state, AIDifficulty.GREEDY)).toEqual([2, 0]);
+        });
+
+        it('should use the configured win length', () => {
+            // X: [1,1], [2,1]; O: [0,4], [4,4]; X to move, 3 in a row wins on a 5-wide board
+            const settings = { dimensions: 2, gridSize: 5, winLength: 3 };
+            const state = playMoves(settings, [[1, 1], [0, 4], [2, 1], [4, 4]]);
+            const move = AIPlayer.chooseMove(state, AIDifficulty.GREEDY);
+
+            expect(GameRules.placeMarker(state, move).winner).toBe('X');
+        });
+
+        it('should avoid completing its own line under misere rules', () => {
+            // X: [0,0], [1,0]; O: [0,2], [2,2]; X to move, [2,0] would lose
+            const settings = { ...settings2D, ruleSet: 'misere' };
+            const state = playMoves(settings, [[0, 0], [0, 2], [1, 0], [2, 2]]);
+            const move = AIPlayer.chooseMove(state, AIDifficulty.GREEDY);
+
+            expect(move).not.toEqual([2, 0]);
+            expect(GameRules.placeMarker(state, move).isGameOver()).toBe(false);
+        });
+
+        it('should take the center on an empty 3x3 board', () => {
+            const state = GameState.initial(settings2D);
+
+            expect(AIPlayer.chooseMove(state, AIDifficulty.GREEDY)).toEqual([1, 1]);
+        });
+    });
+
+    describe('minimax difficulty', () => {
+        it('should take an immediate win', () => {
+            const state = playMoves(settings2D, [[0, 0], [0, 1], [1, 0], [1, 1]]);
+
+            expect(AIPlayer.chooseMove(state, AIDifficulty.MINIMAX)).toEqual([2, 0]);
+        });
+
+        it('should block an immediate threat', () => {
+            const state = playMoves(settings2D, [[0, 0], [2, 2], [1, 0]]);
+
+            expect(AIPlayer.chooseMove(state, AIDifficulty.MINIMAX)).toEqual([2, 0]);
+        });
+
+        it('should never lose a 3x3 game against itself', () => {
+            const finalState = playOut(settings2D, AIDifficulty.MINIMAX);
+
+            expect(finalState.gamePhase).toBe('draw');
+        });
+    });
+
+    describe('scoreMove', () => {
+        it('should score a winning move above a blocking move', () => {
+            const state = playMoves(settings2D, [[0, 0], [0, 2], [1, 0], [1, 2]]);
+
+            const win = AIPlayer.scoreMove(state, [2, 0], 'X');
+            const block = AIPlayer.scoreMove(state, [2, 2], 'X');
+
+            expect(win).toBeGreaterThan(block);
+        });
+    });
+
+    describe('getCandidateMoves', () => {
+        it('should return all valid moves on small boards', () => {
+            const state = GameState.initial(settings2D);
+
+            expect(AIPlayer.getCandidateMoves(state)).toHaveLength(9);
+        });
+
+        it('should only consider cells near markers on large boards', () => {
+            const settings = { dimensions: 5, gridSize: 4 }; // 1024 cells
+            const state = playMoves(settings, [[0, 0, 0, 0, 0]]);
+            const candidates = AIPlayer.getCandidateMoves(state);
+
+            expect(candidates.length).toBe(Math.pow(2, 5) - 1);
+            candidates.forEach(position => {
+                expect(position.every(coord => coord <= 1)).toBe(true);
+            });
+        });
+
+        it('should anchor on pre-filled layout markers', () => {
+            const layout = { blocked: [], placements: [{ position: [0, 0, 0, 0, 0], player: 'O' }] };
+            const state = GameState.initial({ dimensions: 5, gridSize: 4, layout });
+            const candidates = AIPlayer.getCandidateMoves(state);
+
+            expect(candidates.length).toBe(Math.pow(2, 5) - 1);
+            candidates.forEach(position => {
+                expect(position.every(coord => coord <= 1)).toBe(true);
+            });
+        });
+    });
+
+    describe('evaluatePosition', () => {
+        it('should count lines through pre-filled layout markers', () => {
+            const layout = { blocked: [], placements: [{ position: [0, 0], player: 'X' }, { position: [1, 0], player: 'X' }] };
+            const state = GameState.initial({ dimensions: 2, gridSize: 3, layout });
+
+            expect(AIPlayer.evaluatePosition(state, 'X')).toBeGreaterThan(0);
+            expect(AIPlayer.evaluatePosition(state, 'O')).toBeLessThan(0);
+        });
+    });
+
+    describe('all board sizes', () => {
+        const boards = [
+            { dimensions: 2, gridSize: 4 },
+            { dimensions: 3, gridSize: 3 },
+            { dimensions: 4, gridSize: 3 },
+        ];
+
+        boards.forEach(settings => {
+            it(`should finish a ${settings.dimensions}D ${settings.gridSize}-grid game with greedy players`, () => {
+                const finalState = playOut(settings, AIDifficulty.GREEDY);
+
+                expect(finalState.isGameOver()).toBe(true);
+            });
+        });
+
+        it('should answer with greedy on a 6D 3-grid board', () => {
+            const state = playMoves({ dimensions: 6, gridSize: 3 }, [[1, 1, 1, 1, 1, 1]]);
+            const position = AIPlayer.chooseMove(state, AIDifficulty.GREEDY);
+
+            expect(state.isValidMove(position)).toBe(true);
+        });
+
+        it('should answer with minimax on a 4D 4-grid board', () => {
+            const state = playMoves({ dimensions: 4, gridSize: 4 }, [[0, 0, 0, 0]]);
+            const position = AIPlayer.chooseMove(state, AIDifficulty.MINIMAX);
+
+            expect(state.isValidMove(position)).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,135 @@
+/**
+ * ThreatAnalyzer unit tests
+ */
+import { describe, it, expect } from 'vitest';
+import { ThreatAnalyzer } from '../../../js/domain/analysis/ThreatAnalyzer.js';
+import { GameRules } from '../../../js/domain/rules/GameRules.js';
+import { GameState } from '../../../js/domain/state/GameState.js';
+
+/**
+ * Play a list of moves in turn order
+ */
+function playMoves(settings, positions) {
+    let state = GameState.initial(settings);
+    positions.forEach(position => {
+        state = GameRules.placeMarker(state, position);
+    });
+    return state;
+}
+
+/**
+ * Sorted position keys of threat cells for a player
+ */
+function threatKeys(state, player) {
+    return ThreatAnalyzer.findThreats(state)
+        .filter(threat => threat.player === player)
+        .map(threat => threat.cell.join(','))
+        .sort();
+}
+
+describe('ThreatAnalyzer', () => {
+    describe('findThreats', () => {
+        it('should find no threats on an empty board', () => {
+            const state = GameState.initial({ dimensions: 3, gridSize: 3 });
+
+            expect(ThreatAnalyzer.findThreats(state)).toEqual([]);
+        });
+
+        it('should find the empty cell that completes a row', () => {
+            // X: (0,0) (1,0)   O: (0,2)
+            const state = playMoves({ dimensions: 2, gridSize: 3 }, [[0, 0], [0, 2], [1, 0]]);
+
+            const threats = ThreatAnalyzer.findThreats(state);
+
+            expect(threats).toEqual([
+                { player: 'X', cell: [2, 0], line: [[0, 0], [1, 0], [2, 0]] }
+            ]);
+        });
+
+        it('should find gaps in the middle of a line', () => {
+            // X: (0,0) (2,2)   O: (0,1)
+            const state = playMoves({ dimensions: 2, gridSize: 3 }, [[0, 0], [0, 1], [2, 2]]);
+
+            expect(threatKeys(state, 'X')).toEqual(['1,1']);
+        });
+
+        it('should ignore lines blocked by another player', () => {
+            // X: (0,0) (1,0)   O: (2,0)
+            const state = playMoves({ dimensions: 2, gridSize: 3 }, [[0, 0], [2, 0], [1, 0]]);
+
+            expect(threatKeys(state, 'X')).toEqual([]);
+        });
+
+        it('should find threats of every player', () => {
+            // X: (0,0) (1,0)   O: (0,2) (1,2)
+            const state = playMoves({ dimensions: 2, gridSize: 3 }, [[0, 0], [0, 2], [1, 0], [1, 2]]);
+
+            expect(threatKeys(state, 'X')).toEqual(['2,0']);
+            expect(threatKeys(state, 'O')).toEqual(['2,2']);
+        });
+
+        it('should find diagonal threats in 4D', () => {
+            const state = playMoves({ dimensions: 4, gridSize: 3 }, [
+                [0, 0, 0, 0], [0, 1, 2, 0], [1, 1, 1, 1]
+            ]);
+
+            expect(threatKeys(state, 'X')).toEqual(['2,2,2,2']);
+        });
+
+        it('should use the configured win length', () => {
+            // 4x4 board, 3 in a row: X at (0,0) (1,0)
+            const state = playMoves({ dimensions: 2, gridSize: 4, winLength: 3 }, [[0, 0], [3, 3], [1, 0]]);
+
+            expect(threatKeys(state, 'X')).toEqual(['2,0']);
+        });
+
+        it('should report each window once', () => {
+            // X: (0,0) (1,1) on a 3x3 board: only the main diagonal is a threat
+            const state = playMoves({ dimensions: 2, gridSize: 3 }, [[0, 0], [0, 2], [1, 1]]);
+
+            expect(ThreatAnalyzer.findThreats(state).filter(threat => threat.player === 'X')).toHaveLength(1);
+        });
+    });
+
+    describe('board layouts', () => {
+        it('should find threats through pre-filled markers', () => {
+            const layout = { blocked: [], placements: [{ position: [0, 0], player: 'X' }, { position: [1, 0], player: 'X' }] };
+            const state = GameState.initial({ dimensions: 2, gridSize: 3, layout });
+
+            expect(threatKeys(state, 'X')).toEqual(['2,0']);
+        });
+    });
+
+    describe('torus topology', () => {
+        it('should find threats across the edge', () => {
+            const settings = { dimensions: 2, gridSize: 4, winLength: 3 };
+            const moves = [[3, 0], [2, 2], [0, 0]];
+
+            expect(threatKeys(playMoves(settings, moves), 'X')).toEqual([]);
+            expect(threatKeys(playMoves({ ...settings, topology: 'torus' }, moves), 'X')).toEqual(['1,0', '2,0']);
+        });
+
+        it('should report a full circle once', () => {
+            const state = playMoves({ dimensions: 2, gridSize: 3, topology: 'torus' }, [[0, 0], [0, 2], [1, 1]]);
+
+            expect(threatKeys(state, 'X')).toEqual(['2,2']);
+        });
+    });
+
+    describe('groupByCell', () => {
+        it('should merge threats on the same cell', () => {
+            const threats = [
+                { player: 'X', cell: [2, 0] },
+                { player: 'X', cell: [2, 0] },
+                { player: 'O', cell: [2, 0] },
+                { player: 'O', cell: [1, 1] }
+            ];
+
+            const cells = ThreatAnalyzer.groupByCell(threats);
+
+            expect(cells.size).toBe(2);
+            expect(cells.get('2,0')).toEqual({ position: [2, 0], players: ['X', 'O'] });
+            expect(cells.get('1,1').players).toEqual(['O']);
+        });
+    });
+});
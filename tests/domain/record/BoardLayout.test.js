@@ -0,0 +1,117 @@
+/**
+ * BoardLayout unit tests
+ */
+import { describe, it, expect } from 'vitest';
+import { BoardLayout, BOARD_LAYOUT_FORMAT, BOARD_LAYOUT_VERSION } from '../../../js/domain/record/BoardLayout.js';
+import { GameRules } from '../../../js/domain/rules/GameRules.js';
+import { GameState } from '../../../js/domain/state/GameState.js';
+
+describe('BoardLayout', () => {
+    const settings = {
+        dimensions: 2,
+        gridSize: 3,
+        layout: {
+            blocked: [[1, 1]],
+            placements: [{ position: [2, 2], player: 'O' }]
+        }
+    };
+
+    describe('validate', () => {
+        it('should accept settings without a layout', () => {
+            expect(() => BoardLayout.validate({ dimensions: 2, gridSize: 3 })).not.toThrow();
+            expect(() => BoardLayout.validate({ dimensions: 2, gridSize: 3, layout: null })).not.toThrow();
+        });
+
+        it('should reject cells off the board', () => {
+            expect(() => BoardLayout.validate({ ...settings, layout: { blocked: [[3, 0]] } }))
+                .toThrow('Invalid blocked cell');
+            expect(() => BoardLayout.validate({ ...settings, layout: { placements: [{ position: [0], player: 'X' }] } }))
+                .toThrow('Invalid placement');
+        });
+
+        it('should reject a cell listed twice', () => {
+            const layout = { blocked: [[0, 0]], placements: [{ position: [0, 0], player: 'X' }] };
+
+            expect(() => BoardLayout.validate({ ...settings, layout })).toThrow('twice');
+        });
+
+        it('should reject placements of unknown players', () => {
+            const layout = { placements: [{ position: [0, 0], player: 'Z' }] };
+
+            expect(() => BoardLayout.validate({ ...settings, layout })).toThrow('Unknown player');
+        });
+    });
+
+    describe('initial board', () => {
+        it('should start with blocked cells and placed markers but no moves', () => {
+            const state = GameState.initial(settings);
+
+            expect(state.board.isBlocked([1, 1])).toBe(true);
+            expect(state.getMarkerAt([2, 2])).toBe('O');
+            expect(state.moveHistory).toEqual([]);
+            expect(state.currentPlayer).toBe('X');
+        });
+
+        it('should leave blocked cells out of the valid moves', () => {
+            const moves = GameRules.getValidMoves(GameState.initial(settings));
+
+            expect(moves).toHaveLength(7);
+            expect(moves).not.toContainEqual([1, 1]);
+            expect(moves).not.toContainEqual([2, 2]);
+        });
+
+        it('should count placed markers towards lines', () => {
+            const layout = { placements: [{ position: [0, 0], player: 'X' }, { position: [1, 0], player: 'X' }] };
+            let state = GameState.initial({ dimensions: 2, gridSize: 3, layout });
+
+            state = GameRules.placeMarker(state, [2, 0]);
+
+            expect(state.gamePhase).toBe('won');
+            expect(state.winner).toBe('X');
+        });
+
+        it('should keep placed markers on undo', () => {
+            const state = GameRules.placeMarker(GameState.initial(settings), [0, 0]);
+            const undone = GameRules.undo(state);
+
+            expect(undone.getMarkerAt([0, 0])).toBe(null);
+            expect(undone.getMarkerAt([2, 2])).toBe('O');
+        });
+    });
+
+    describe('create and parse', () => {
+        it('should describe the layout with format and version', () => {
+            const file = BoardLayout.create(settings);
+
+            expect(file.format).toBe(BOARD_LAYOUT_FORMAT);
+            expect(file.version).toBe(BOARD_LAYOUT_VERSION);
+            expect(file.players).toEqual(['X', 'O']);
+            expect(file.blocked).toEqual([[1, 1]]);
+        });
+
+        it('should round-trip through JSON', () => {
+            const state = BoardLayout.parse(BoardLayout.stringify(settings));
+
+            expect(state.settings.dimensions).toBe(2);
+            expect(state.settings.layout).toEqual(settings.layout);
+            expect(state.board.isBlocked([1, 1])).toBe(true);
+            expect(state.getMarkerAt([2, 2])).toBe('O');
+        });
+
+        it('should tell layout files from game records', () => {
+            expect(BoardLayout.isLayoutJSON(BoardLayout.stringify(settings))).toBe(true);
+            expect(BoardLayout.isLayoutJSON('{"format":"nd-tic-tac-toe/game-record"}')).toBe(false);
+            expect(BoardLayout.isLayoutJSON('not json')).toBe(false);
+        });
+
+        it('should reject invalid layout files', () => {
+            const file = BoardLayout.create(settings);
+
+            expect(() => BoardLayout.parse('{')).toThrow('not valid JSON');
+            expect(() => BoardLayout.parse(JSON.stringify({ ...file, version: 2 }))).toThrow('Unsupported board layout version');
+            expect(() => BoardLayout.parse(JSON.stringify({ ...file, gridSize: 0 }))).toThrow('Invalid grid size');
+            expect(() => BoardLayout.parse(JSON.stringify({ ...file, players: ['X'] }))).toThrow('players');
+            expect(() => BoardLayout.parse(JSON.stringify({ ...file, blocked: [[5, 5]] }))).toThrow('Invalid blocked cell');
+        });
+    });
+});
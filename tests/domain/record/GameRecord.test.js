@@ -0,0 +1,194 @@
+/**
+ * GameRecord unit tests
+ */
+import { describe, it, expect } from 'vitest';
+import { GameRecord, GAME_RECORD_FORMAT, GAME_RECORD_VERSION } from '../../../js/domain/record/GameRecord.js';
+import { GameRules } from '../../../js/domain/rules/GameRules.js';
+import { GameState } from '../../../js/domain/state/GameState.js';
+
+/**
+ * Play a list of moves with timestamps 1000, 2000, ...
+ */
+function playMoves(settings, positions) {
+    let state = GameState.initial(settings);
+    positions.forEach((position, index) => {
+        state = GameRules.placeMarker(state, position, null, (index + 1) * 1000);
+    });
+    return state;
+}
+
+describe('GameRecord', () => {
+    const settings = { dimensions: 2, gridSize: 3 };
+
+    describe('create', () => {
+        it('should describe the game with format and version', () => {
+            const state = playMoves(settings, [[0, 0], [1, 1]]);
+            const record = GameRecord.create(state, new Date(0));
+
+            expect(record.format).toBe(GAME_RECORD_FORMAT);
+            expect(record.version).toBe(GAME_RECORD_VERSION);
+            expect(record.exportedAt).toBe('1970-01-01T00:00:00.000Z');
+            expect(record.settings).toEqual(settings);
+            expect(record.players).toEqual(['X', 'O']);
+            expect(record.moves).toEqual([
+                { position: [0, 0], player: 'X', timestamp: 1000 },
+                { position: [1, 1], player: 'O', timestamp: 2000 }
+            ]);
+            expect(record.result).toEqual({ gamePhase: 'playing', winner: null, winningLine: null });
+        });
+    });
+
+    describe('round trip', () => {
+        it('should restore a finished game with timestamps and winning line', () => {
+            const state = playMoves(settings, [[0, 0], [0, 1], [1, 0], [1, 1], [2, 0]]);
+            const restored = GameRecord.parse(GameRecord.stringify(state));
+
+            expect(restored.gamePhase).toBe('won');
+            expect(restored.winner).toBe('X');
+            expect(restored.winningLine).toEqual(state.winningLine);
+            expect(restored.moveHistory).toEqual(state.moveHistory);
+            expect(restored.board.get([2, 0])).toBe('X');
+        });
+
+        it('should restore a game lost on time', () => {
+            const state = GameRules.timeout(playMoves(settings, [[0, 0]]));
+            const record = GameRecord.create(state);
+
+            expect(record.result.reason).toBe('timeout');
+
+            const restored = GameRecord.toGameState(record);
+            expect(restored.gamePhase).toBe('won');
+            expect(restored.resultReason).toBe('timeout');
+            expect(restored.winner).toBe('X');
+        });
+
+        it('should restore multi-player games in 4D', () => {
+            const settings4D = { dimensions: 4, gridSize: 3, players: ['X', 'O', 'T'] };
+            const state = playMoves(settings4D, [[0, 0, 0, 0], [1, 1, 1, 1], [2, 2, 2, 2]]);
+            const restored = GameRecord.parse(GameRecord.stringify(state));
+
+            expect(restored.currentPlayer).toBe('X');
+            expect(restored.settings.players).toEqual(['X', 'O', 'T']);
+            expect(restored.moveHistory.map(move => move.player)).toEqual(['X', 'O', 'T']);
+        });
+
+        it('should restore swaps', () => {
+            const swapSettings = { ...settings, swapMoves: 1 };
+            const state = GameRules.swapSides(playMoves(swapSettings, [[1, 1]]), null, 2000);
+            const record = GameRecord.create(state);
+
+            expect(record.moves[1]).toEqual({ swap: true, player: 'O', timestamp: 2000 });
+
+            const restored = GameRecord.toGameState(record);
+            expect(restored.moveHistory).toEqual(state.moveHistory);
+            expect(restored.board.get([1, 1])).toBe('O');
+            expect(restored.currentPlayer).toBe('X');
+
+            record.settings.swapMoves = null;
+            expect(() => GameRecord.toGameState(record)).toThrow(/Move 2: swap not allowed/);
+        });
+    });
+
+    describe('validation', () => {
+        const validRecord = () => GameRecord.create(playMoves(settings, [[0, 0], [1, 1]]));
+
+        it('should reject invalid JSON', () => {
+            expect(() => GameRecord.parse('{not json')).toThrow(/not valid JSON/);
+        });
+
+        it('should reject unknown formats', () => {
+            const record = { ...validRecord(), format: 'something-else' };
+
+            expect(() => GameRecord.toGameState(record)).toThrow(/Unknown game record format/);
+        });
+
+        it('should reject newer versions', () => {
+            const record = { ...validRecord(), version: GAME_RECORD_VERSION + 1 };
+
+            expect(() => GameRecord.toGameState(record)).toThrow(/newer than supported/);
+        });
+
+        it('should reject out-of-range positions', () => {
+            const record = validRecord();
+            record.moves[1].position = [3, 0];
+
+            expect(() => GameRecord.toGameState(record)).toThrow(/Move 2: invalid position/);
+        });
+
+        it('should reject positions with the wrong number of coordinates', () => {
+            const record = validRecord();
+            record.moves[0].position = [0, 0, 0];
+
+            expect(() => GameRecord.toGameState(record)).toThrow(/Move 1: invalid position/);
+        });
+
+        it('should reject moves out of turn', () => {
+            const record = validRecord();
+            record.moves[1].player = 'X';
+
+            expect(() => GameRecord.toGameState(record)).toThrow(/Move 2: expected player O/);
+        });
+
+        it('should reject moves on occupied cells', () => {
+            const record = validRecord();
+            record.moves[1].position = [0, 0];
+
+            expect(() => GameRecord.toGameState(record)).toThrow(/not playable/);
+        });
+
+        it('should reject moves after the game ended', () => {
+            const record = GameRecord.create(playMoves(settings, [[0, 0], [0, 1], [1, 0], [1, 1], [2, 0]]));
+            record.moves.push({ position: [2, 2], player: 'O', timestamp: 6000 });
+
+            expect(() => GameRecord.toGameState(record)).toThrow(/Move 6/);
+        });
+
+        it('should reject a result that does not match the replay', () => {
+            const record = validRecord();
+            record.result = { gamePhase: 'won', winner: 'O', winningLine: null };
+
+            expect(() => GameRecord.toGameState(record)).toThrow(/does not match/);
+        });
+
+        it('should reject invalid settings', () => {
+            const record = { ...validRecord(), settings: { dimensions: 2, gridSize: 3, winLength: 4 } };
+
+            expect(() => GameRecord.toGameState(record)).toThrow(/Invalid win length/);
+        });
+
+        it('should reject boards larger than the settings allow', () => {
+            const tooManyDimensions = { ...validRecord(), settings: { dimensions: 11, gridSize: 6 } };
+            const tooLarge = { ...validRecord(), settings: { dimensions: 2, gridSize: [3, 100] } };
+
+            expect(() => GameRecord.toGameState(tooManyDimensions)).toThrow(/Invalid dimensions: 11/);
+            expect(() => GameRecord.toGameState(tooLarge)).toThrow(/Invalid grid size/);
+        });
+
+        it('should reject invalid time controls', () => {
+            const negative = { ...validRecord(), settings: { ...settings, timeControl: { initialMs: -1 } } };
+            const badIncrement = { ...validRecord(), settings: { ...settings, timeControl: { baseMs: 60000, incrementMs: 'x' } } };
+
+            expect(() => GameRecord.toGameState(negative)).toThrow(/Invalid base time/);
+            expect(() => GameRecord.toGameState(badIncrement)).toThrow(/Invalid time increment/);
+        });
+
+        it('should keep only the known time control fields', () => {
+            const record = { ...validRecord(), settings: { ...settings, timeControl: { baseMs: 60000, extra: 1 } } };
+
+            expect(GameRecord.toGameState(record).settings.timeControl).toEqual({ baseMs: 60000, incrementMs: 0 });
+        });
+
+        it('should reject a computer player that is not in the game', () => {
+            const record = { ...validRecord(), settings: { ...settings, computerPlayer: 'T' } };
+
+            expect(() => GameRecord.toGameState(record)).toThrow(/Invalid computer player: T/);
+            expect(() => GameRecord.toGameState({ ...record, settings: { ...settings, computerPlayer: 'O' } })).not.toThrow();
+        });
+
+        it('should reject duplicate players', () => {
+            const record = { ...validRecord(), players: ['X', 'X'] };
+
+            expect(() => GameRecord.toGameState(record)).toThrow(/distinct/);
+        });
+    });
+});
@@ -0,0 +1,220 @@
+/**
+ * MoveNotation unit tests
+ */
+import { describe, it, expect } from 'vitest';
+import { MoveNotation } from '../../../js/domain/record/MoveNotation.js';
+import { GameRules } from '../../../js/domain/rules/GameRules.js';
+import { GameState } from '../../../js/domain/state/GameState.js';
+
+/**
+ * Play a list of moves
+ */
+function playMoves(settings, positions) {
+    let state = GameState.initial(settings);
+    positions.forEach(position => {
+        state = GameRules.placeMarker(state, position);
+    });
+    return state;
+}
+
+describe('MoveNotation', () => {
+    describe('positions', () => {
+        it('should format one letter and coordinate per axis', () => {
+            expect(MoveNotation.formatPosition([2, 0, 3, 1])).toBe('x2y0z3w1');
+            expect(MoveNotation.formatPosition([1, 2])).toBe('x1y2');
+        });
+
+        it('should round-trip every position of a board', () => {
+            const settings = { dimensions: 3, gridSize: 3 };
+            const state = GameState.initial(settings);
+
+            GameRules.getValidMoves(state).forEach(position => {
+                const text = MoveNotation.formatPosition(position);
+                expect(MoveNotation.parsePosition(text, settings)).toEqual(position);
+            });
+        });
+
+        it('should accept axes in any order and upper case', () => {
+            const settings = { dimensions: 4, gridSize: 4 };
+
+            expect(MoveNotation.parsePosition('W1Z3Y0X2', settings)).toEqual([2, 0, 3, 1]);
+        });
+
+        it('should support coordinates above 9', () => {
+            const settings = { dimensions: 2, gridSize: 12 };
+
+            expect(MoveNotation.formatPosition([10, 11])).toBe('x10y11');
+            expect(MoveNotation.parsePosition('x10y11', settings)).toEqual([10, 11]);
+        });
+
+        it('should reject malformed or off-board positions', () => {
+            const settings = { dimensions: 2, gridSize: 3 };
+
+            expect(() => MoveNotation.parsePosition('x1', settings)).toThrow(/not on the/);
+            expect(() => MoveNotation.parsePosition('x1y3', settings)).toThrow(/not on the/);
+            expect(() => MoveNotation.parsePosition('x1z1', settings)).toThrow(/Invalid axis/);
+            expect(() => MoveNotation.parsePosition('x1x2', settings)).toThrow(/twice/);
+            expect(() => MoveNotation.parsePosition('1,2', settings)).toThrow(/Invalid position notation/);
+        });
+    });
+
+    describe('moves', () => {
+        it('should number moves from the given move number', () => {
+            const moves = [{ position: [0, 0] }, { position: [1, 1] }];
+
+            expect(MoveNotation.formatMoves(moves)).toBe('1.x0y0 2.x1y1');
+            expect(MoveNotation.formatMoves(moves, 5)).toBe('5.x0y0 6.x1y1');
+        });
+    });
+
+    describe('games', () => {
+        it('should format header and move list', () => {
+            const state = playMoves({ dimensions: 2, gridSize: 3 }, [[0, 0], [1, 1]]);
+
+            expect(MoveNotation.formatGame(state)).toBe('2D/3: 1.x0y0 2.x1y1');
+        });
+
+        it('should include win length and non-default players', () => {
+            const settings = { dimensions: 3, gridSize: 5, winLength: 4, players: ['X', 'O', 'T'] };
+            const state = playMoves(settings, [[2, 2, 2]]);
+
+            expect(MoveNotation.formatGame(state)).toBe('3D/5/k4/X,O,T: 1.x2y2z2');
+        });
+
+        it('should round-trip a game', () => {
+            const settings = { dimensions: 3, gridSize: 4, winLength: 3, players: ['X', 'O', 'T'] };
+            const state = playMoves(settings, [[0, 0, 0], [1, 1, 1], [2, 2, 2], [0, 1, 0]]);
+
+            const parsed = MoveNotation.parseGame(MoveNotation.formatGame(state));
+
+            expect(parsed.settings).toEqual(settings);
+            expect(parsed.moveHistory.map(move => move.position)).toEqual(state.moveHistory.map(move => move.position));
+            expect(parsed.moveHistory.map(move => move.player)).toEqual(['X', 'O', 'T', 'X']);
+            expect(parsed.currentPlayer).toBe(state.currentPlayer);
+        });
+
+        it('should round-trip per-axis grid sizes', () => {
+            const settings = { dimensions: 3, gridSize: [3, 3, 5], winLength: 4, players: ['X', 'O'] };
+            const state = playMoves(settings, [[1, 1, 4], [0, 0, 0]]);
+            const text = MoveNotation.formatGame(state);
+
+            expect(text).toBe('3D/3x3x5/k4: 1.x1y1z4 2.x0y0z0');
+            expect(MoveNotation.parseGame(text).settings).toEqual(settings);
+            expect(() => MoveNotation.parseGame('3D/3x5: x0y0z0')).toThrow('Invalid grid size in header');
+            expect(() => MoveNotation.parseGame('2D/3x5: x3y0')).toThrow('not on the 2D/3x5 board');
+        });
+
+        it('should round-trip the rule set', () => {
+            const settings = { dimensions: 2, gridSize: 3, players: ['X', 'O'], ruleSet: 'first-to-k', targetLines: 2 };
+            const state = playMoves(settings, [[0, 0], [1, 1]]);
+            const text = MoveNotation.formatGame(state);
+
+            expect(text).toBe('2D/3/r=first-to-k/t=2: 1.x0y0 2.x1y1');
+            expect(MoveNotation.parseGame(text).settings).toEqual({ ...settings, winLength: null });
+        });
+
+        it('should replay with the recorded rule set', () => {
+            const parsed = MoveNotation.parseGame('2D/3/r=misere: x0y0 x0y1 x1y0 x1y1 x2y0');
+
+            expect(parsed.winner).toBe('O');
+            expect(parsed.resultReason).toBe('misere');
+        });
+
+        it('should round-trip the torus topology', () => {
+            const state = playMoves({ dimensions: 2, gridSize: 3, topology: 'torus' }, [[2, 0], [1, 1], [0, 1], [2, 2], [1, 2]]);
+            const text = MoveNotation.formatGame(state);
+            const parsed = MoveNotation.parseGame(text);
+
+            // x2y0 x0y1 x1y2 is a broken diagonal: a line only on the torus
+            expect(text).toBe('2D/3/torus: 1.x2y0 2.x1y1 3.x0y1 4.x2y2 5.x1y2');
+            expect(parsed.settings.topology).toBe('torus');
+            expect(parsed.gamePhase).toBe('won');
+            expect(MoveNotation.parseGame('2D/3: x2y0 x1y1 x0y1 x2y2 x1y2').gamePhase).toBe('playing');
+            expect(() => MoveNotation.parseGame('2D/2/torus:')).toThrow(/Invalid topology/);
+        });
+
+        it('should round-trip the swap rule and swaps', () => {
+            const state = GameRules.swapSides(playMoves({ dimensions: 2, gridSize: 3, swapMoves: 1 }, [[1, 1]]));
+            const text = MoveNotation.formatGame(state);
+            const parsed = MoveNotation.parseGame(`${text} 3.x0y0`);
+
+            expect(text).toBe('2D/3/s=1: 1.x1y1 2.swap');
+            expect(parsed.settings.swapMoves).toBe(1);
+            expect(parsed.board.get([1, 1])).toBe('O');
+            expect(parsed.board.get([0, 0])).toBe('X');
+            expect(() => MoveNotation.parseGame('2D/3: x1y1 swap')).toThrow(/Move 2: swap not allowed/);
+            expect(() => MoveNotation.parseGame('2D/3/X,O,T/s=1:')).toThrow(/Invalid swap rule/);
+        });
+
+        it('should round-trip the gravity axis', () => {
+            const state = playMoves({ dimensions: 3, gridSize: 3, gravityAxis: 2 }, [[1, 1, 0], [1, 1, 1]]);
+            const text = MoveNotation.formatGame(state);
+
+            expect(text).toBe('3D/3/g=z: 1.x1y1z0 2.x1y1z1');
+            expect(MoveNotation.parseGame(text).settings.gravityAxis).toBe(2);
+            expect(() => MoveNotation.parseGame('2D/3/g=z:')).toThrow(/gravity axis/);
+            expect(() => MoveNotation.parseGame('2D/3/g=y: x0y1')).toThrow(/Move 1/);
+        });
+
+        it('should round-trip a board layout', () => {
+            const layout = {
+                blocked: [[1, 1, 1], [0, 2, 1]],
+                placements: [{ position: [0, 0, 0], player: 'O' }, { position: [2, 2, 2], player: 'X' },
+                    { position: [2, 0, 0], player: 'O' }]
+            };
+            const state = playMoves({ dimensions: 3, gridSize: 3, layout }, [[1, 0, 0], [0, 1, 0]]);
+            const text = MoveNotation.formatGame(state);
+            const parsed = MoveNotation.parseGame(text);
+
+            expect(text).toBe('3D/3/b=x1y1z1,x0y2z1/p1=x2y2z2/p2=x0y0z0,x2y0z0: 1.x1y0z0 2.x0y1z0');
+            expect(parsed.board.getHash()).toBe(state.board.getHash());
+            expect(parsed.board.isBlocked([0, 2, 1])).toBe(true);
+            expect(parsed.getHash()).toBe(state.getHash());
+            expect(MoveNotation.formatGame(parsed)).toBe(text);
+        });
+
+        it('should reject bad layout fields', () => {
+            expect(() => MoveNotation.parseGame('2D/3/b=x5y0:')).toThrow(/Invalid layout in header/);
+            expect(() => MoveNotation.parseGame('2D/3/p3=x0y0:')).toThrow(/names no player/);
+            expect(() => MoveNotation.parseGame('2D/3/b=x0y0/p1=x0y0:')).toThrow(/twice/);
+            expect(() => MoveNotation.parseGame('2D/3/b=x1y1: x1y1')).toThrow(/Move 1: cell x1y1 is not playable/);
+        });
+
+        it('should replay to the same result', () => {
+            const parsed = MoveNotation.parseGame('2D/3: x0y0 x0y1 x1y1 x0y2 x2y2');
+
+            expect(parsed.gamePhase).toBe('won');
+            expect(parsed.winner).toBe('X');
+        });
+
+        it('should parse an empty game', () => {
+            const parsed = MoveNotation.parseGame('4D/4:');
+
+            expect(parsed.settings).toEqual({ dimensions: 4, gridSize: 4, winLength: null, players: ['X', 'O'] });
+            expect(parsed.moveHistory).toEqual([]);
+        });
+
+        it('should accept move numbers separated by spaces', () => {
+            const parsed = MoveNotation.parseGame('2D/3:\n1. x0y0\n2. x1y1');
+
+            expect(parsed.moveHistory).toHaveLength(2);
+        });
+
+        it('should reject bad headers', () => {
+            expect(() => MoveNotation.parseGame('x0y0 x1y1')).toThrow(/header/);
+            expect(() => MoveNotation.parseGame('9D/3:')).toThrow(/dimensions/);
+            expect(() => MoveNotation.parseGame('2D/x:')).toThrow(/grid size/);
+            expect(() => MoveNotation.parseGame('8D/12:')).toThrow(/grid size/);
+            expect(() => MoveNotation.parseGame('2D/3x99:')).toThrow(/grid size/);
+            expect(() => MoveNotation.parseGame('2D/3/k4:')).toThrow(/win length/);
+            expect(() => MoveNotation.parseGame('2D/3/X,X:')).toThrow(/players/);
+            expect(() => MoveNotation.parseGame('2D/3/r=nope:')).toThrow(/rule set/);
+        });
+
+        it('should reject illegal moves with the move number', () => {
+            expect(() => MoveNotation.parseGame('2D/3: x0y0 x0y0')).toThrow(/Move 2: cell x0y0 is not playable/);
+            expect(() => MoveNotation.parseGame('2D/3: x0y0 x5y0')).toThrow(/Move 2:/);
+            expect(() => MoveNotation.parseGame('2D/3: x0y0 x0y1 x1y1 x0y2 x2y2 x1y0')).toThrow(/Move 6:/);
+        });
+    });
+});
@@ -88,6 +88,30 @@ describe('GameRules', () => {
             expect(state.winner).toBe('X');
         });
 
+        it('should record the winning line', () => {
+            let state = initialState;
+            state = GameRules.placeMarker(state, [2, 0], 'X');
+            state = GameRules.placeMarker(state, [0, 2], 'X');
+            state = GameRules.placeMarker(state, [1, 1], 'X');
+
+            expect(state.winningLine).toEqual({
+                cells: [[0, 2], [1, 1], [2, 0]],
+                direction: [1, -1]
+            });
+        });
+
+        it('should honor configured win length', () => {
+            let state = GameState.initial({ dimensions: 2, gridSize: 5, winLength: 3 });
+            state = GameRules.placeMarker(state, [1, 1], 'X');
+            state = GameRules.placeMarker(state, [2, 1], 'X');
+            expect(state.gamePhase).toBe('playing');
+
+            state = GameRules.placeMarker(state, [3, 1], 'X');
+
+            expect(state.gamePhase).toBe('won');
+            expect(state.winner).toBe('X');
+        });
+
         it('should detect draw when board is full', () => {
             let state = initialState;
 
@@ -124,6 +148,101 @@ describe('GameRules', () => {
         it('should switch from O to X', () => {
             expect(GameRules.nextPlayer('O')).toBe('X');
         });
+
+        it('should rotate through a configured player list', () => {
+            const settings = { dimensions: 2, gridSize: 3, players: ['X', 'O', 'T'] };
+
+            expect(GameRules.nextPlayer('X', settings)).toBe('O');
+            expect(GameRules.nextPlayer('O', settings)).toBe('T');
+            expect(GameRules.nextPlayer('T', settings)).toBe('X');
+        });
+    });
+
+    describe('replay', () => {
+        it('should rebuild the game and keep timestamps', () => {
+            let state = initialState;
+            state = GameRules.placeMarker(state, [0, 0], null, 1000);
+            state = GameRules.placeMarker(state, [1, 1], null, 2000);
+
+            const replayed = GameRules.replay(state.settings, state.moveHistory);
+
+            expect(replayed.moveHistory).toEqual(state.moveHistory);
+            expect(replayed.currentPlayer).toBe('X');
+            expect(replayed.board.get([1, 1])).toBe('O');
+        });
+
+        it('should detect the result of replayed moves', () => {
+            const moves = [[0, 0], [0, 1], [1, 0], [1, 1], [2, 0]].map((position, index) => ({
+                position,
+                player: index % 2 === 0 ? 'X' : 'O'
+            }));
+
+            const replayed = GameRules.replay(initialState.settings, moves);
+
+            expect(replayed.gamePhase).toBe('won');
+            expect(replayed.winner).toBe('X');
+        });
+    });
+
+    describe('multiple players', () => {
+        const settings = { dimensions: 2, gridSize: 4, winLength: 3, players: ['X', 'O', 'T', 'S'] };
+
+        it('should start with the first listed player', () => {
+            expect(GameState.initial(settings).currentPlayer).toBe('X');
+            expect(GameState.initial({ ...settings, players: ['T', 'X'] }).currentPlayer).toBe('T');
+        });
+
+        it('should rotate turns through every player', () => {
+            let state = GameState.initial(settings);
+            const order = [];
+
+            [[0, 0], [0, 1], [0, 2], [0, 3], [1, 0]].forEach(position => {
+                order.push(state.currentPlayer);
+                state = GameRules.placeMarker(state, position);
+            });
+
+            expect(order).toEqual(['X', 'O', 'T', 'S', 'X']);
+        });
+
+        it('should let any player win', () => {
+            let state = GameState.initial({ ...settings, players: ['X', 'O', 'T'] });
+            // X, O, T rotate; T completes [2,0] [2,1] [2,2]
+            const moves = [[0, 0], [1, 0], [2, 0], [0, 3], [1, 3], [2, 1], [3, 3], [3, 0], [2, 2]];
+            moves.forEach(position => {
+                state = GameRules.placeMarker(state, position);
+            });
+
+            expect(state.gamePhase).toBe('won');
+            expect(state.winner).toBe('T');
+        });
+
+        it('should return the undone player turn', () => {
+            let state = GameState.initial({ ...settings, players: ['X', 'O', 'T'] });
+            state = GameRules.placeMarker(state, [0, 0]);
+            state = GameRules.placeMarker(state, [1, 1]);
+
+            expect(state.currentPlayer).toBe('T');
+            expect(GameRules.undo(state).currentPlayer).toBe('O');
+        });
+    });
+
+    describe('timeout', () => {
+        it('should make the other player win', () => {
+            const state = GameRules.placeMarker(initialState, [0, 0], 'X');
+
+            const timedOut = GameRules.timeout(state);
+
+            expect(timedOut.gamePhase).toBe('won');
+            expect(timedOut.resultReason).toBe('timeout');
+            expect(timedOut.winner).toBe('X');
+            expect(timedOut.winningLine).toBe(null);
+        });
+
+        it('should not change a finished game', () => {
+            const won = initialState.withWinner('O');
+
+            expect(GameRules.timeout(won)).toBe(won);
+        });
     });
 
     describe('reset', () => {
@@ -211,6 +330,29 @@ describe('GameRules', () => {
             expect(state).toBe(initialState);
         });
 
+        it('should keep timestamps of remaining moves', () => {
+            let state = GameRules.placeMarker(initialState, [0, 0], 'X', 1000);
+            state = GameRules.placeMarker(state, [1, 1], 'O', 2000);
+
+            const undone = GameRules.undo(state);
+
+            expect(undone.moveHistory).toEqual([{ position: [0, 0], player: 'X', timestamp: 1000 }]);
+        });
+
+        it('should recount line scores', () => {
+            const settings = { dimensions: 2, gridSize: 3, ruleSet: 'line-count' };
+            let state = GameState.initial(settings);
+            for (const position of [[0, 0], [0, 1], [1, 0], [1, 1], [2, 0], [2, 2]]) {
+                state = GameRules.placeMarker(state, position);
+            }
+            expect(state.scores).toEqual({ X: 1, O: 0 });
+
+            state = GameRules.undo(GameRules.undo(state));
+
+            expect(state.scores).toEqual({ X: 0, O: 0 });
+            expect(state.currentPlayer).toBe('X');
+        });
+
         it('should undo last move', () => {
             let state = GameRules.placeMarker(initialState, [0, 0], 'X');
             state = GameRules.placeMarker(state, [1, 0], 'O');
@@ -272,6 +414,36 @@ describe('GameRules', () => {
         });
     });
 
+    describe('index win engine', () => {
+        const settings = { dimensions: 2, gridSize: 3, winEngine: 'index' };
+
+        it('should keep line counts on the boards of the game', () => {
+            let state = GameState.initial(settings);
+            expect(state.board.getLineCounters()).not.toBe(null);
+
+            state = GameRules.placeMarker(state, [0, 0]);
+            state = GameRules.placeMarker(GameState.fromPlain(state.toPlain()), [1, 0]);
+
+            expect(state.board.getLineCounters()).not.toBe(null);
+            expect(GameState.initial({ dimensions: 2, gridSize: 3 }).board.getLineCounters()).toBe(null);
+        });
+
+        it('should play and undo a game like the scan engine', () => {
+            const moves = [[0, 0], [1, 0], [0, 1], [1, 1], [0, 2]];
+            const play = (gameSettings) => moves.reduce(
+                (state, position) => GameRules.placeMarker(state, position), GameState.initial(gameSettings));
+
+            const indexed = play(settings);
+            const scanned = play({ dimensions: 2, gridSize: 3 });
+            expect(indexed.gamePhase).toBe('won');
+            expect(indexed.winningLine).toEqual(scanned.winningLine);
+
+            const undone = GameRules.undo(indexed);
+            expect(undone.gamePhase).toBe('playing');
+            expect(GameRules.placeMarker(undone, [2, 2]).gamePhase).toBe('playing');
+        });
+    });
+
     describe('getValidMoves', () => {
         it('should return all positions for empty board', () => {
             const validMoves = GameRules.getValidMoves(initialState);
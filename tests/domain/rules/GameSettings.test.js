@@ -0,0 +1,64 @@
+/**
+ * GameSettings unit tests
+ */
+import { describe, it, expect } from 'vitest';
+import { GameSettings } from '../../../js/domain/rules/GameSettings.js';
+import { GRID_LIMITS } from '../../../js/domain/state/GridShape.js';
+import { Engine } from '../../../js/engine/Engine.js';
+import { GameRecord } from '../../../js/domain/record/GameRecord.js';
+import { BoardLayout, BOARD_LAYOUT_FORMAT, BOARD_LAYOUT_VERSION } from '../../../js/domain/record/BoardLayout.js';
+
+describe('GameSettings', () => {
+    describe('validate', () => {
+        it('should accept valid settings with or without players', () => {
+            expect(() => GameSettings.validate({ dimensions: 3, gridSize: 3 })).not.toThrow();
+            expect(() => GameSettings.validate({
+                dimensions: 3, gridSize: [3, 3, 5], winLength: 4, players: ['X', 'O', 'T']
+            })).not.toThrow();
+        });
+
+        it('should reject bad dimensions, sizes and win lengths', () => {
+            expect(() => GameSettings.validate({ dimensions: 0, gridSize: 3 })).toThrow('Invalid dimensions');
+            expect(() => GameSettings.validate({ dimensions: 2, gridSize: 0 })).toThrow('Invalid grid size');
+            expect(() => GameSettings.validate({ dimensions: 2, gridSize: 3, winLength: 4 })).toThrow('Invalid win length');
+        });
+
+        it('should reject boards beyond the size limits', () => {
+            const settings = { dimensions: GRID_LIMITS.MAX_DIMENSIONS + 1, gridSize: 2 };
+
+            expect(() => GameSettings.validate(settings)).toThrow('Invalid dimensions');
+        });
+
+        it('should reject fewer than two distinct players', () => {
+            expect(() => GameSettings.validate({ dimensions: 2, gridSize: 3, players: ['X'] })).toThrow('distinct');
+            expect(() => GameSettings.validate({ dimensions: 2, gridSize: 3, players: ['X', 'X'] })).toThrow('distinct');
+            expect(() => GameSettings.validate({ dimensions: 2, gridSize: 3, players: ['X', ''] })).toThrow('distinct');
+        });
+
+        it('should check the clock and the computer player', () => {
+            expect(() => GameSettings.validate({ dimensions: 2, gridSize: 3, timeControl: { baseMs: 0 } })).toThrow('base time');
+            expect(() => GameSettings.validate({ dimensions: 2, gridSize: 3, computerPlayer: 'T' })).toThrow('computer player');
+            expect(() => GameSettings.validate({
+                dimensions: 2, gridSize: 3, timeControl: { baseMs: 60000 }, computerPlayer: 'O'
+            })).not.toThrow();
+        });
+
+        it('should check the variant rules', () => {
+            expect(() => GameSettings.validate({ dimensions: 2, gridSize: 3, ruleSet: 'nope' })).toThrow();
+            expect(() => GameSettings.validate({ dimensions: 2, gridSize: 3, swapMoves: 0 })).toThrow('swap');
+            expect(() => GameSettings.validate({ dimensions: 2, gridSize: 3, winEngine: 'magic' })).toThrow('win engine');
+        });
+    });
+
+    describe('entry points', () => {
+        it('should make the engine, records and layouts reject the same settings', () => {
+            const settings = { dimensions: 11, gridSize: 6 };
+            const record = { ...GameRecord.create(Engine.createGame({ dimensions: 2, gridSize: 3 })), settings };
+            const layout = { format: BOARD_LAYOUT_FORMAT, version: BOARD_LAYOUT_VERSION, ...settings };
+
+            expect(() => Engine.createGame(settings)).toThrow('Invalid dimensions');
+            expect(() => GameRecord.toGameState(record)).toThrow('Invalid dimensions');
+            expect(() => BoardLayout.toSettings(layout)).toThrow('Invalid dimensions');
+        });
+    });
+});
@@ -0,0 +1,97 @@
+/**
+ * Gravity unit tests
+ */
+import { describe, it, expect } from 'vitest';
+import { Gravity } from '../../../js/domain/rules/Gravity.js';
+import { GameRules } from '../../../js/domain/rules/GameRules.js';
+import { GameState } from '../../../js/domain/state/GameState.js';
+import { BoardState } from '../../../js/domain/state/BoardState.js';
+
+describe('Gravity', () => {
+    describe('getAxis', () => {
+        it('should return null without gravity', () => {
+            expect(Gravity.getAxis(null)).toBe(null);
+            expect(Gravity.getAxis({ dimensions: 3 })).toBe(null);
+            expect(Gravity.getAxis({ dimensions: 3, gravityAxis: null })).toBe(null);
+        });
+
+        it('should ignore axes the board does not have', () => {
+            expect(Gravity.getAxis({ dimensions: 2, gravityAxis: 1 })).toBe(1);
+            expect(Gravity.getAxis({ dimensions: 2, gravityAxis: 2 })).toBe(null);
+        });
+    });
+
+    describe('validate', () => {
+        it('should reject axes outside the board', () => {
+            expect(() => Gravity.validate({ dimensions: 3, gravityAxis: 2 })).not.toThrow();
+            expect(() => Gravity.validate({ dimensions: 3, gravityAxis: 3 })).toThrow('Invalid gravity axis');
+            expect(() => Gravity.validate({ dimensions: 3, gravityAxis: -1 })).toThrow('Invalid gravity axis');
+        });
+    });
+
+    describe('findLandingCell', () => {
+        it('should return the lowest empty cell of the column', () => {
+            const board = BoardState.empty(2, 3).set([1, 0], 'X');
+
+            expect(Gravity.findLandingCell(board, [1, 2], 1)).toEqual([1, 1]);
+            expect(Gravity.findLandingCell(board, [0, 2], 1)).toEqual([0, 0]);
+        });
+
+        it('should rest markers on blocked cells', () => {
+            const board = BoardState.empty(2, 3).withBlocked([[0, 0]]);
+
+            expect(Gravity.findLandingCell(board, [0, 2], 1)).toEqual([0, 1]);
+            expect(Gravity.isSupported(board, [0, 1], 1)).toBe(true);
+        });
+
+        it('should return null for a full column', () => {
+            const board = BoardState.empty(2, 3).set([1, 0], 'X').set([1, 1], 'O').set([1, 2], 'X');
+
+            expect(Gravity.findLandingCell(board, [1, 0], 1)).toBe(null);
+        });
+    });
+
+    describe('moves', () => {
+        const settings = { dimensions: 3, gridSize: 3, gravityAxis: 2 };
+
+        it('should only allow resting cells', () => {
+            const state = GameRules.placeMarker(GameState.initial(settings), [1, 1, 0]);
+
+            expect(state.isValidMove([1, 1, 1])).toBe(true);
+            expect(state.isValidMove([1, 1, 2])).toBe(false);
+            expect(state.isValidMove([0, 0, 1])).toBe(false);
+            expect(state.isValidMove([0, 0, 0])).toBe(true);
+        });
+
+        it('should offer one move per column', () => {
+            const state = GameRules.placeMarker(GameState.initial(settings), [1, 1, 0]);
+            const moves = GameRules.getValidMoves(state);
+
+            expect(moves).toHaveLength(9);
+            expect(moves).toContainEqual([1, 1, 1]);
+            expect(moves.every(move => state.isValidMove(move))).toBe(true);
+        });
+
+        it('should drop a move aimed at a column to its landing cell', () => {
+            const state = GameRules.placeMarker(GameState.initial(settings), [1, 1, 0]);
+
+            expect(GameRules.getLandingCell(state, [1, 1, 2])).toEqual([1, 1, 1]);
+            expect(GameRules.getLandingCell(GameState.initial({ dimensions: 2, gridSize: 3 }), [1, 2])).toEqual([1, 2]);
+        });
+
+        it('should stack markers into a winning column', () => {
+            let state = GameState.initial({ dimensions: 2, gridSize: 3, gravityAxis: 1 });
+            for (const position of [[0, 0], [1, 0], [0, 1], [2, 0], [0, 2]]) {
+                state = GameRules.placeMarker(state, position);
+            }
+
+            expect(state.winner).toBe('X');
+        });
+
+        it('should not accept floating markers', () => {
+            const state = GameState.initial({ dimensions: 2, gridSize: 3, gravityAxis: 1 });
+
+            expect(GameRules.placeMarker(state, [1, 2])).toBe(state);
+        });
+    });
+});
@@ -0,0 +1,170 @@
+/**
+ * LineIndex unit tests
+ */
+import { describe, it, expect } from 'vitest';
+import { LineIndex } from '../../../js/domain/rules/LineIndex.js';
+import { WinChecker } from '../../../js/domain/rules/WinChecker.js';
+
+/**
+ * Build an index with canonical directions
+ */
+function buildIndex(dimensions, gridSize, winLength = gridSize) {
+    return new LineIndex(dimensions, gridSize, winLength, WinChecker.generateCanonicalDirections(dimensions));
+}
+
+/**
+ * Expected number of lines: ((g + 2)^N - g^N) / 2 when winLength = gridSize = g
+ */
+function fullLineCount(dimensions, gridSize) {
+    return (Math.pow(gridSize + 2, dimensions) - Math.pow(gridSize, dimensions)) / 2;
+}
+
+describe('LineIndex', () => {
+    describe('lines', () => {
+        it('should index the 8 lines of a 3x3 board', () => {
+            expect(buildIndex(2, 3).lineCount).toBe(8);
+        });
+
+        it('should index the 49 lines of a 3x3x3 cube', () => {
+            expect(buildIndex(3, 3).lineCount).toBe(49);
+        });
+
+        it('should match the closed-form line count up to 6D', () => {
+            [[2, 4], [3, 4], [4, 3], [4, 4], [5, 3], [6, 3]].forEach(([dimensions, gridSize]) => {
+                expect(buildIndex(dimensions, gridSize).lineCount).toBe(fullLineCount(dimensions, gridSize));
+            });
+        });
+
+        it('should index each wrapped cycle of a torus once', () => {
+            // One full circle per direction and row: (3^N - 1) / 2 * g^(N - 1)
+            const directions = dimensions => WinChecker.generateCanonicalDirections(dimensions);
+            expect(new LineIndex(2, 3, 3, directions(2), true).lineCount).toBe(4 * 3);
+            expect(new LineIndex(3, 3, 3, directions(3), true).lineCount).toBe(13 * 9);
+
+            // Shorter lines start at every cell in every direction
+            const index = new LineIndex(2, 4, 3, directions(2), true);
+            expect(index.lineCount).toBe(16 * 4);
+            expect(index.getLinesThrough([0, 0])).toHaveLength(4 * 3);
+        });
+
+        it('should index every window when the win length is shorter', () => {
+            // 4x4 board, 3 in a row: 2 windows per row/column (16) + 4 per diagonal direction (8)
+            expect(buildIndex(2, 4, 3).lineCount).toBe(24);
+        });
+
+        it('should shorten lines along short axes', () => {
+            // 3x5 board, 4 in a row: rows along x hold 3 cells, columns along y 4
+            const index = buildIndex(2, [3, 5], 4);
+            const lengths = Array.from({ length: index.lineCount }, (_, line) => index.getLineLength(line));
+
+            // 5 rows + 3 * 2 column windows + 3 * 2 windows per diagonal direction
+            expect(index.lineCount).toBe(5 + 6 + 6);
+            expect(lengths.filter(length => length === 4)).toHaveLength(6);
+            expect(index.positionOf(index.indexOf([2, 4]))).toEqual([2, 4]);
+        });
+
+        it('should store consecutive cells along the line direction', () => {
+            const index = buildIndex(3, 4);
+
+            for (let line = 0; line < index.lineCount; line++) {
+                const cells = [...index.getLineCells(line)].map(cell => index.positionOf(cell));
+                const direction = index.getDirection(line);
+                cells.slice(1).forEach((cell, i) => {
+                    expect(cell).toEqual(cells[i].map((coord, axis) => coord + direction[axis]));
+                });
+            }
+        });
+    });
+
+    describe('cell lookups', () => {
+        it('should convert between positions and row-major indices', () => {
+            const index = buildIndex(3, 4);
+
+            expect(index.indexOf([0, 0, 1])).toBe(1);
+            expect(index.indexOf([1, 0, 0])).toBe(16);
+            expect(index.positionOf(index.indexOf([3, 1, 2]))).toEqual([3, 1, 2]);
+        });
+
+        it('should list the lines through a cell', () => {
+            const index = buildIndex(2, 3);
+
+            expect(index.getLinesThrough([1, 1])).toHaveLength(4); // row, column, both diagonals
+            expect(index.getLinesThrough([0, 1])).toHaveLength(2); // row and column
+            expect(index.getLinesThrough([0, 0])).toHaveLength(3);
+        });
+
+        it('should give the 40 lines through the center of a 4D 3x3 board', () => {
+            const index = buildIndex(4, 3);
+
+            expect(index.getLinesThrough([1, 1, 1, 1])).toHaveLength(40); // (3^4 - 1) / 2
+        });
+    });
+
+    describe('LineCounters', () => {
+        it('should report the line completed by a placement', () => {
+            const index = buildIndex(2, 3);
+            const counters = index.createCounters();
+
+            expect(counters.place([0, 0], 'X')).toBe(-1);
+            expect(counters.place([1, 1], 'X')).toBe(-1);
+            const line = counters.place([2, 2], 'X');
+
+            expect(line).not.toBe(-1);
+            expect(index.getDirection(line)).toEqual([1, 1]);
+        });
+
+        it('should count each player separately', () => {
+            const index = buildIndex(2, 3);
+            const counters = index.createCounters();
+            const row = index.getLinesThrough([0, 0]).find(line => index.getDirection(line).join() === '0,1');
+
+            counters.place([0, 0], 'X');
+            counters.place([0, 1], 'O');
+
+            expect(counters.getCount(row, 'X')).toBe(1);
+            expect(counters.getCount(row, 'O')).toBe(1);
+            expect(counters.getCount(row, 'T')).toBe(0);
+            expect(counters.place([0, 2], 'X')).toBe(-1);
+        });
+
+        it('should undo placements', () => {
+            const index = buildIndex(2, 3);
+            const counters = index.createCounters();
+
+            counters.place([0, 0], 'X');
+            counters.place([0, 1], 'X');
+            counters.remove([0, 1], 'X');
+
+            expect(counters.place([0, 2], 'X')).toBe(-1);
+            expect(counters.place([0, 1], 'X')).not.toBe(-1);
+        });
+
+        it('should return new counters from withCell and leave the old ones alone', () => {
+            const index = buildIndex(2, 3);
+            const row = index.getLinesThrough([0, 0]).find(line => index.getDirection(line).join() === '0,1');
+            const before = index.createCounters().withCell(index.indexOf([0, 0]), null, 'X')
+                .withCell(index.indexOf([0, 1]), null, 'X');
+
+            const after = before.withCell(index.indexOf([0, 2]), null, 'X');
+            expect(after.isComplete(row, 'X')).toBe(true);
+            expect(before.isComplete(row, 'X')).toBe(false);
+
+            const taken = after.withCell(index.indexOf([0, 2]), 'X', 'O');
+            expect(taken.getCount(row, 'X')).toBe(2);
+            expect(taken.getCount(row, 'O')).toBe(1);
+            expect(after.getCount(row, 'O')).toBe(0);
+        });
+
+        it('should exchange two players\' counts', () => {
+            const index = buildIndex(2, 3);
+            const row = index.getLinesThrough([0, 0]).find(line => index.getDirection(line).join() === '0,1');
+            const counters = index.createCounters().withCell(index.indexOf([0, 0]), null, 'X');
+
+            const swapped = counters.swapPlayers('X', 'O');
+
+            expect(swapped.getCount(row, 'O')).toBe(1);
+            expect(swapped.getCount(row, 'X')).toBe(0);
+            expect(counters.getCount(row, 'X')).toBe(1);
+        });
+    });
+});
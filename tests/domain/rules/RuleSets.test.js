@@ -0,0 +1,174 @@
+/**
+ * RuleSets unit tests
+ */
+import { describe, it, expect } from 'vitest';
+import { RuleSets, RuleSetId } from '../../../js/domain/rules/RuleSets.js';
+import { GameRules } from '../../../js/domain/rules/GameRules.js';
+import { GameState } from '../../../js/domain/state/GameState.js';
+
+/**
+ * Play a list of moves with alternating players
+ */
+function playMoves(settings, positions) {
+    let state = GameState.initial(settings);
+    for (const position of positions) {
+        state = GameRules.placeMarker(state, position);
+    }
+    return state;
+}
+
+// X completes row y=0 on move 5, then column x=2 on move 9 (last cell);
+// O never completes a line
+const TWO_LINES_FOR_X = [[0, 0], [0, 1], [1, 0], [1, 1], [2, 0], [0, 2], [2, 1], [1, 2], [2, 2]];
+
+// X completes row y=0 on move 5, O completes row y=1 on move 6; full board
+const ONE_LINE_EACH = [[0, 0], [0, 1], [1, 0], [1, 1], [2, 0], [2, 1], [0, 2], [1, 2], [2, 2]];
+
+describe('RuleSets', () => {
+    describe('get', () => {
+        it('should default to the standard rules', () => {
+            expect(RuleSets.get().id).toBe(RuleSetId.STANDARD);
+            expect(RuleSets.get({ dimensions: 2, gridSize: 3 }).id).toBe(RuleSetId.STANDARD);
+        });
+
+        it('should reject unknown rule sets', () => {
+            expect(() => RuleSets.get({ ruleSet: 'nope' })).toThrow('Unknown rule set: nope');
+        });
+
+        it('should list the built-in rule sets', () => {
+            expect(RuleSets.getIds()).toEqual(expect.arrayContaining(Object.values(RuleSetId)));
+        });
+    });
+
+    describe('validate', () => {
+        it('should accept a positive target line count', () => {
+            expect(() => RuleSets.validate({ ruleSet: RuleSetId.FIRST_TO_K, targetLines: 3 })).not.toThrow();
+            expect(() => RuleSets.validate({ ruleSet: RuleSetId.FIRST_TO_K, targetLines: null })).not.toThrow();
+        });
+
+        it('should reject invalid target line counts', () => {
+            expect(() => RuleSets.validate({ ruleSet: RuleSetId.FIRST_TO_K, targetLines: 0 })).toThrow('Invalid target lines');
+            expect(() => RuleSets.validate({ ruleSet: RuleSetId.FIRST_TO_K, targetLines: 1.5 })).toThrow('Invalid target lines');
+        });
+    });
+
+    describe('register', () => {
+        it('should let a custom rule set end the game', () => {
+            RuleSets.register({
+                id: 'first-move-wins',
+                evaluate: (state, position, player) => ({ gamePhase: 'won', winner: player, reason: 'custom' })
+            });
+
+            const state = playMoves({ dimensions: 2, gridSize: 3, ruleSet: 'first-move-wins' }, [[1, 1]]);
+
+            expect(state.gamePhase).toBe('won');
+            expect(state.winner).toBe('X');
+            expect(state.resultReason).toBe('custom');
+        });
+
+        it('should reject rule sets without evaluate', () => {
+            expect(() => RuleSets.register({ id: 'broken' })).toThrow('evaluate');
+        });
+    });
+
+    describe('standard', () => {
+        it('should end the game with the first line', () => {
+            const state = playMoves({ dimensions: 2, gridSize: 3 }, [[0, 0], [0, 1], [1, 0], [1, 1], [2, 0]]);
+
+            expect(state.gamePhase).toBe('won');
+            expect(state.winner).toBe('X');
+            expect(state.resultReason).toBe('line');
+            expect(state.scores).toBe(null);
+        });
+    });
+
+    describe('misere', () => {
+        const settings = { dimensions: 2, gridSize: 3, ruleSet: RuleSetId.MISERE };
+
+        it('should make the player completing a line lose', () => {
+            const state = playMoves(settings, [[0, 0], [0, 1], [1, 0], [1, 1], [2, 0]]);
+
+            expect(state.gamePhase).toBe('won');
+            expect(state.winner).toBe('O');
+            expect(state.resultReason).toBe('misere');
+            expect(state.winningLine.cells).toEqual([[0, 0], [1, 0], [2, 0]]);
+        });
+
+        it('should credit the next player in turn order with three players', () => {
+            const state = playMoves({ ...settings, players: ['X', 'O', 'T'] },
+                [[0, 0], [0, 1], [0, 2], [1, 0], [1, 1], [1, 2], [2, 0]]);
+
+            expect(state.winner).toBe('O');
+        });
+
+        it('should draw when the board fills without a line', () => {
+            const state = playMoves(settings,
+                [[0, 0], [1, 0], [2, 0], [1, 1], [0, 1], [0, 2], [2, 1], [2, 2], [1, 2]]);
+
+            expect(state.gamePhase).toBe('draw');
+            expect(state.resultReason).toBe('board-full');
+        });
+    });
+
+    describe('line-count', () => {
+        const settings = { dimensions: 2, gridSize: 3, ruleSet: RuleSetId.LINE_COUNT };
+
+        it('should keep playing after a line and count it', () => {
+            const state = playMoves(settings, TWO_LINES_FOR_X.slice(0, 5));
+
+            expect(state.gamePhase).toBe('playing');
+            expect(state.currentPlayer).toBe('O');
+            expect(state.scores).toEqual({ X: 1, O: 0 });
+        });
+
+        it('should give the win to the most lines once the board is full', () => {
+            const state = playMoves(settings, TWO_LINES_FOR_X);
+
+            expect(state.gamePhase).toBe('won');
+            expect(state.winner).toBe('X');
+            expect(state.resultReason).toBe('score');
+            expect(state.scores).toEqual({ X: 2, O: 0 });
+        });
+
+        it('should draw on equal line counts', () => {
+            const state = playMoves(settings, ONE_LINE_EACH);
+
+            expect(state.gamePhase).toBe('draw');
+            expect(state.resultReason).toBe('score');
+            expect(state.scores).toEqual({ X: 1, O: 1 });
+        });
+    });
+
+    describe('first-to-k', () => {
+        const settings = { dimensions: 2, gridSize: 3, ruleSet: RuleSetId.FIRST_TO_K, targetLines: 2 };
+
+        it('should keep playing below the target', () => {
+            const state = playMoves(settings, TWO_LINES_FOR_X.slice(0, 8));
+
+            expect(state.gamePhase).toBe('playing');
+            expect(state.scores.X).toBe(1);
+        });
+
+        it('should end the game when a player reaches the target', () => {
+            const state = playMoves(settings, TWO_LINES_FOR_X);
+
+            expect(state.gamePhase).toBe('won');
+            expect(state.winner).toBe('X');
+            expect(state.resultReason).toBe('line-count');
+            expect(state.winningLine.cells).toEqual([[2, 0], [2, 1], [2, 2]]);
+        });
+
+        it('should behave like the standard rules with a target of one', () => {
+            const state = playMoves({ ...settings, targetLines: 1 }, TWO_LINES_FOR_X.slice(0, 5));
+
+            expect(state.winner).toBe('X');
+        });
+
+        it('should draw when nobody reaches the target', () => {
+            const state = playMoves(settings, ONE_LINE_EACH);
+
+            expect(state.gamePhase).toBe('draw');
+            expect(state.resultReason).toBe('board-full');
+        });
+    });
+});
@@ -0,0 +1,106 @@
+/**
+ * SwapRule unit tests
+ */
+import { describe, it, expect } from 'vitest';
+import { SwapRule } from '../../../js/domain/rules/SwapRule.js';
+import { GameRules } from '../../../js/domain/rules/GameRules.js';
+import { GameState } from '../../../js/domain/state/GameState.js';
+
+const settings = { dimensions: 2, gridSize: 3, swapMoves: 1 };
+
+describe('SwapRule', () => {
+    describe('getMoves', () => {
+        it('should be off unless a positive move count is set for two players', () => {
+            expect(SwapRule.getMoves(null)).toBe(null);
+            expect(SwapRule.getMoves({ dimensions: 2 })).toBe(null);
+            expect(SwapRule.getMoves({ swapMoves: 0 })).toBe(null);
+            expect(SwapRule.getMoves({ swapMoves: 1, players: ['X', 'O', 'T'] })).toBe(null);
+            expect(SwapRule.getMoves({ swapMoves: 3 })).toBe(3);
+        });
+    });
+
+    describe('validate', () => {
+        it('should reject invalid move counts', () => {
+            expect(() => SwapRule.validate({})).not.toThrow();
+            expect(() => SwapRule.validate({ swapMoves: null })).not.toThrow();
+            expect(() => SwapRule.validate({ swapMoves: 1 })).not.toThrow();
+            expect(() => SwapRule.validate({ swapMoves: 0 })).toThrow('Invalid swap move count');
+            expect(() => SwapRule.validate({ swapMoves: 1.5 })).toThrow('Invalid swap move count');
+        });
+
+        it('should require exactly two players', () => {
+            expect(() => SwapRule.validate({ swapMoves: 1, players: ['X', 'O', 'T'] })).toThrow('two players');
+        });
+    });
+
+    describe('canSwap', () => {
+        it('should offer the swap only right after the opening moves', () => {
+            let state = GameState.initial(settings);
+            expect(SwapRule.canSwap(state)).toBe(false);
+
+            state = GameRules.placeMarker(state, [1, 1]);
+            expect(SwapRule.canSwap(state)).toBe(true);
+            expect(SwapRule.canSwap(state.toPlain())).toBe(true);
+
+            expect(SwapRule.canSwap(GameRules.placeMarker(state, [0, 0]))).toBe(false);
+            expect(SwapRule.canSwap(GameRules.swapSides(state))).toBe(false);
+        });
+
+        it('should never offer a swap without the rule', () => {
+            const state = GameRules.placeMarker(GameState.initial({ dimensions: 2, gridSize: 3 }), [1, 1]);
+
+            expect(SwapRule.canSwap(state)).toBe(false);
+            expect(GameRules.swapSides(state)).toBe(state);
+        });
+    });
+
+    describe('games', () => {
+        it('should hand every marker to the other player and pass the turn', () => {
+            let state = GameState.initial({ ...settings, swapMoves: 3 });
+            state = GameRules.placeMarker(state, [1, 1]);
+            state = GameRules.placeMarker(state, [0, 0]);
+            state = GameRules.placeMarker(state, [2, 2]);
+            const hash = state.board.getHash();
+
+            state = GameRules.swapSides(state);
+
+            expect(state.board.get([1, 1])).toBe('O');
+            expect(state.board.get([2, 2])).toBe('O');
+            expect(state.board.get([0, 0])).toBe('X');
+            expect(state.currentPlayer).toBe('X');
+            expect(state.moveHistory[3]).toMatchObject({ swap: true, player: 'O' });
+            expect(state.board.getHash()).not.toBe(hash);
+            expect(SwapRule.getPlacements(state.moveHistory)).toHaveLength(3);
+        });
+
+        it('should let the swapping player win with the markers taken over', () => {
+            let state = GameRules.placeMarker(GameState.initial(settings), [0, 0]);
+            state = GameRules.swapSides(state);
+            for (const position of [[1, 1], [0, 1], [2, 2], [0, 2]]) {
+                state = GameRules.placeMarker(state, position);
+            }
+
+            expect(state.gamePhase).toBe('won');
+            expect(state.winner).toBe('O');
+        });
+
+        it('should refuse a swap by the player not to move', () => {
+            const state = GameRules.placeMarker(GameState.initial(settings), [1, 1]);
+
+            expect(GameRules.swapSides(state, 'X')).toBe(state);
+        });
+
+        it('should undo and replay swaps', () => {
+            const played = GameRules.swapSides(GameRules.placeMarker(GameState.initial(settings), [1, 1]));
+
+            const undone = GameRules.undo(played);
+            expect(undone.board.get([1, 1])).toBe('X');
+            expect(undone.currentPlayer).toBe('O');
+            expect(SwapRule.canSwap(undone)).toBe(true);
+
+            const replayed = GameRules.replay(settings, played.moveHistory);
+            expect(replayed.getHash()).toBe(played.getHash());
+            expect(GameRules.applyMove(undone, played.moveHistory[1]).getHash()).toBe(played.getHash());
+        });
+    });
+});
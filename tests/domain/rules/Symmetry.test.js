@@ -0,0 +1,244 @@
+/**
+ * Symmetry unit tests
+ */
+import { describe, it, expect } from 'vitest';
+import { Symmetry } from '../../../js/domain/rules/Symmetry.js';
+import { BoardState } from '../../../js/domain/state/BoardState.js';
+import { WinChecker } from '../../../js/domain/rules/WinChecker.js';
+import { Engine } from '../../../js/engine/Engine.js';
+
+/**
+ * Every position of a board
+ */
+function allPositions(dimensions, gridSize) {
+    const board = BoardState.empty(dimensions, gridSize);
+    return Array.from({ length: board.cellCount }, (_, index) => board.positionOf(index));
+}
+
+describe('Symmetry', () => {
+    describe('count and enumeration', () => {
+        [[2, 8], [3, 48], [4, 384]].forEach(([dimensions, expected]) => {
+            it(`should have ${expected} symmetries in ${dimensions}D`, () => {
+                expect(Symmetry.count(dimensions)).toBe(expected);
+                expect(Symmetry.getAll(dimensions)).toHaveLength(expected);
+            });
+
+            it(`should enumerate distinct mappings in ${dimensions}D`, () => {
+                const positions = allPositions(dimensions, 3);
+                const images = Symmetry.getAll(dimensions).map(symmetry =>
+                    positions.map(position => Symmetry.applyToPosition(symmetry, position, 3).join(',')).join('|')
+                );
+
+                expect(new Set(images).size).toBe(expected);
+            });
+        });
+
+        it('should start with the identity', () => {
+            const first = Symmetry.getAll(3)[0];
+
+            expect(Symmetry.isIdentity(first)).toBe(true);
+            expect(first).toEqual(Symmetry.identity(3));
+        });
+
+        it('should visit the same symmetries with forEach', () => {
+            let visited = 0;
+            Symmetry.forEach(3, () => visited++);
+
+            expect(visited).toBe(48);
+        });
+    });
+
+    describe('per-axis sizes', () => {
+        it('should only swap axes of equal size', () => {
+            // x and y may be swapped, z may not: 2! * 2^3
+            expect(Symmetry.getAll(3, [3, 3, 5])).toHaveLength(16);
+            expect(Symmetry.getAll(3, [2, 3, 4])).toHaveLength(8);
+            expect(Symmetry.getAll(3, 3)).toHaveLength(48);
+        });
+
+        it('should map the board onto itself', () => {
+            const gridSize = [2, 3, 3];
+            const positions = allPositions(3, gridSize);
+            const board = BoardState.empty(3, gridSize);
+
+            Symmetry.getAll(3, gridSize).forEach(symmetry => {
+                positions.forEach(position => {
+                    expect(board.indexOf(Symmetry.applyToPosition(symmetry, position, gridSize))).not.toBe(-1);
+                });
+            });
+        });
+
+        it('should give every image of an uneven board the same canonical form', () => {
+            const board = BoardState.empty(3, [2, 3, 3]).set([0, 1, 2], 'X').set([1, 0, 1], 'O');
+            const canonical = Symmetry.canonicalize(board).board.getHash();
+
+            Symmetry.getAll(3, [2, 3, 3]).forEach(symmetry => {
+                const image = Symmetry.applyToBoard(symmetry, board);
+                expect(Symmetry.canonicalize(image).board.getHash()).toBe(canonical);
+            });
+        });
+    });
+
+    describe('applyToPosition', () => {
+        it('should permute and mirror axes', () => {
+            const symmetry = { permutation: [1, 0], reflect: [true, false] };
+
+            // image = [2 - y, x]
+            expect(Symmetry.applyToPosition(symmetry, [0, 1], 3)).toEqual([1, 0]);
+            expect(Symmetry.applyToPosition(symmetry, [2, 0], 3)).toEqual([2, 2]);
+        });
+
+        it('should map the board onto itself', () => {
+            const positions = allPositions(3, 3);
+            const keys = new Set(positions.map(position => position.join(',')));
+
+            Symmetry.getAll(3).forEach(symmetry => {
+                const images = positions.map(position => Symmetry.applyToPosition(symmetry, position, 3).join(','));
+                expect(new Set(images)).toEqual(keys);
+            });
+        });
+
+        it('should map winning lines to winning lines', () => {
+            let board = BoardState.empty(3, 3);
+            const line = [[0, 0, 0], [1, 1, 0], [2, 2, 0]];
+            line.forEach(position => { board = board.set(position, 'X'); });
+            const settings = { dimensions: 3, gridSize: 3 };
+
+            Symmetry.getAll(3).forEach(symmetry => {
+                const image = Symmetry.applyToBoard(symmetry, board);
+                const last = Symmetry.applyToPosition(symmetry, line[2], 3);
+                expect(WinChecker.hasWinningLine(image, last, 'X', settings)).toBe(true);
+            });
+        });
+    });
+
+    describe('invert', () => {
+        it('should undo every 4D symmetry', () => {
+            const position = [0, 1, 2, 1];
+
+            Symmetry.getAll(4).forEach(symmetry => {
+                const image = Symmetry.applyToPosition(symmetry, position, 3);
+                expect(Symmetry.applyToPosition(Symmetry.invert(symmetry), image, 3)).toEqual(position);
+            });
+        });
+    });
+
+    describe('applyToBoard', () => {
+        it('should move markers and keep counts and players', () => {
+            const board = BoardState.empty(2, 3).set([0, 1], 'X').set([1, 1], 'O');
+            const mirror = { permutation: [0, 1], reflect: [true, false] };
+
+            const image = Symmetry.applyToBoard(mirror, board);
+
+            expect(image.get([2, 1])).toBe('X');
+            expect(image.get([1, 1])).toBe('O');
+            expect(image.get([0, 1])).toBe(null);
+            expect(image.getFilledCount()).toBe(2);
+            expect(board.get([0, 1])).toBe('X'); // Original unchanged
+        });
+
+        it('should keep the board hash consistent', () => {
+            const board = BoardState.empty(2, 3).set([0, 1], 'X');
+            const mirror = { permutation: [0, 1], reflect: [true, false] };
+
+            expect(Symmetry.applyToBoard(mirror, board).getHash())
+                .toBe(BoardState.empty(2, 3).set([2, 1], 'X').getHash());
+        });
+    });
+
+    describe('applyToMoves', () => {
+        it('should map positions and keep other fields', () => {
+            const moves = [{ position: [0, 0], player: 'X', timestamp: 5 }];
+            const rotate = { permutation: [1, 0], reflect: [true, false] };
+
+            expect(Symmetry.applyToMoves(rotate, moves, 3)).toEqual([
+                { position: [2, 0], player: 'X', timestamp: 5 }
+            ]);
+        });
+    });
+
+    describe('canonicalize', () => {
+        it('should give every image of a 3D board the same canonical form', () => {
+            const board = BoardState.empty(3, 3).set([0, 1, 2], 'X').set([1, 1, 1], 'O').set([2, 0, 2], 'X');
+            const canonical = Symmetry.canonicalize(board).board.getHash();
+
+            Symmetry.getAll(3).forEach(symmetry => {
+                const image = Symmetry.applyToBoard(symmetry, board);
+                expect(Symmetry.canonicalize(image).board.getHash()).toBe(canonical);
+            });
+        });
+
+        it('should return the symmetry that produces the canonical board', () => {
+            const board = BoardState.empty(4, 3).set([2, 2, 1, 0], 'X').set([0, 1, 0, 2], 'O');
+            const { board: canonical, symmetry } = Symmetry.canonicalize(board);
+
+            expect(Symmetry.applyToBoard(symmetry, board).getHash()).toBe(canonical.getHash());
+        });
+
+        it('should tell equivalent boards from different ones', () => {
+            const corner = BoardState.empty(2, 3).set([0, 0], 'X');
+            const otherCorner = BoardState.empty(2, 3).set([2, 0], 'X');
+            const edge = BoardState.empty(2, 3).set([1, 0], 'X');
+
+            expect(Symmetry.areEquivalent(corner, otherCorner)).toBe(true);
+            expect(Symmetry.areEquivalent(corner, edge)).toBe(false);
+        });
+
+        it('should tell layouts apart that differ only in their holes', () => {
+            const board = BoardState.empty(2, 3).set([1, 1], 'X');
+            const cornerHole = board.withBlocked([[0, 0]]);
+            const otherCornerHole = board.withBlocked([[2, 2]]);
+            const edgeHole = board.withBlocked([[0, 1]]);
+
+            expect(Symmetry.areEquivalent(cornerHole, otherCornerHole)).toBe(true);
+            expect(Symmetry.areEquivalent(cornerHole, edgeHole)).toBe(false);
+            expect(Symmetry.areEquivalent(cornerHole, board)).toBe(false);
+            expect(Symmetry.canonicalize(otherCornerHole).board.isBlocked([0, 0])).toBe(true);
+        });
+    });
+
+    describe('canonicalizeMoves', () => {
+        it('should give every image of a game the same canonical moves', () => {
+            const settings = { dimensions: 2, gridSize: 3 };
+            const moves = [
+                { position: [2, 1], player: 'X' },
+                { position: [0, 0], player: 'O' },
+                { position: [1, 1], player: 'X' },
+            ];
+            const canonical = Symmetry.canonicalizeMoves(moves, settings).moves;
+
+            Symmetry.getAll(2).forEach(symmetry => {
+                const image = Symmetry.applyToMoves(symmetry, moves, 3);
+                expect(Symmetry.canonicalizeMoves(image, settings).moves).toEqual(canonical);
+            });
+        });
+
+        it('should keep move order', () => {
+            const settings = { dimensions: 2, gridSize: 3 };
+            const moves = [{ position: [1, 1], player: 'X' }, { position: [2, 2], player: 'O' }];
+
+            const { moves: canonical, symmetry } = Symmetry.canonicalizeMoves(moves, settings);
+
+            expect(canonical[0].position).toEqual([1, 1]);
+            expect(canonical[1].position).toEqual([0, 0]);
+            expect(Symmetry.applyToMoves(symmetry, moves, 3)).toEqual(canonical);
+        });
+
+        it('should pass swap entries through unchanged', () => {
+            const settings = { dimensions: 2, gridSize: 3, swapMoves: 1 };
+            let game = Engine.play(Engine.createGame(settings), [2, 1]);
+            game = Engine.play(Engine.swap(game), [0, 0]);
+            const moves = game.moveHistory;
+
+            const { moves: canonical, symmetry } = Symmetry.canonicalizeMoves(moves, settings);
+
+            expect(canonical[1]).toBe(moves[1]);
+            expect(Symmetry.applyToMoves(symmetry, moves, 3)).toEqual(canonical);
+            Symmetry.getAll(2).forEach(other => {
+                const image = Symmetry.applyToMoves(other, moves, 3);
+                expect(image[1]).toEqual({ swap: true, player: 'O', timestamp: moves[1].timestamp });
+                expect(Symmetry.canonicalizeMoves(image, settings).moves).toEqual(canonical);
+            });
+        });
+    });
+});
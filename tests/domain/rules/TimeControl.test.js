@@ -0,0 +1,67 @@
+/**
+ * TimeControl unit tests
+ */
+import { describe, it, expect } from 'vitest';
+import { TimeControl } from '../../../js/domain/rules/TimeControl.js';
+
+describe('TimeControl', () => {
+    describe('normalize', () => {
+        it('should accept no time control', () => {
+            expect(TimeControl.normalize(null)).toBe(null);
+            expect(TimeControl.normalize(undefined)).toBe(null);
+        });
+
+        it('should default the increment to zero', () => {
+            expect(TimeControl.normalize({ baseMs: 60000 })).toEqual({ baseMs: 60000, incrementMs: 0 });
+        });
+
+        it('should reject invalid times', () => {
+            expect(() => TimeControl.normalize({ baseMs: 0 })).toThrow('Invalid base time');
+            expect(() => TimeControl.normalize({ baseMs: 1000, incrementMs: -1 })).toThrow('Invalid time increment');
+        });
+    });
+
+    describe('createClocks', () => {
+        it('should give every player the base time', () => {
+            const settings = { timeControl: { baseMs: 60000, incrementMs: 0 } };
+
+            expect(TimeControl.createClocks(settings, ['X', 'O', 'T'])).toEqual({ X: 60000, O: 60000, T: 60000 });
+        });
+
+        it('should return null for untimed games', () => {
+            expect(TimeControl.createClocks({ timeControl: null }, ['X', 'O'])).toBe(null);
+        });
+    });
+
+    describe('charge and addIncrement', () => {
+        it('should only change the given player', () => {
+            const clocks = { X: 1000, O: 1000 };
+
+            expect(TimeControl.charge(clocks, 'X', 300)).toEqual({ X: 700, O: 1000 });
+            expect(clocks.X).toBe(1000);
+        });
+
+        it('should not go below zero or charge negative time', () => {
+            expect(TimeControl.charge({ X: 100 }, 'X', 500).X).toBe(0);
+            expect(TimeControl.charge({ X: 100 }, 'X', -500).X).toBe(100);
+        });
+
+        it('should add the increment', () => {
+            const settings = { timeControl: { baseMs: 1000, incrementMs: 2000 } };
+
+            expect(TimeControl.addIncrement({ X: 500, O: 1000 }, 'X', settings)).toEqual({ X: 2500, O: 1000 });
+        });
+    });
+
+    describe('format', () => {
+        it('should show minutes and seconds', () => {
+            expect(TimeControl.format(300000)).toBe('5:00');
+            expect(TimeControl.format(61500)).toBe('1:01');
+        });
+
+        it('should show tenths under ten seconds', () => {
+            expect(TimeControl.format(9950)).toBe('9.9');
+            expect(TimeControl.format(-5)).toBe('0.0');
+        });
+    });
+});
@@ -0,0 +1,67 @@
+/**
+ * Topology unit tests
+ */
+import { describe, it, expect } from 'vitest';
+import { Topology, TopologyId } from '../../../js/domain/rules/Topology.js';
+import { GameRules } from '../../../js/domain/rules/GameRules.js';
+import { GameState } from '../../../js/domain/state/GameState.js';
+
+describe('Topology', () => {
+    describe('getId', () => {
+        it('should default to a bounded board', () => {
+            expect(Topology.getId(null)).toBe(TopologyId.BOUNDED);
+            expect(Topology.getId({ dimensions: 3 })).toBe(TopologyId.BOUNDED);
+            expect(Topology.getId({ topology: 'klein' })).toBe(TopologyId.BOUNDED);
+            expect(Topology.isTorus({ topology: 'torus' })).toBe(true);
+        });
+    });
+
+    describe('validate', () => {
+        it('should reject unknown topologies', () => {
+            expect(() => Topology.validate({ dimensions: 2, gridSize: 3 })).not.toThrow();
+            expect(() => Topology.validate({ dimensions: 2, gridSize: 3, topology: 'bounded' })).not.toThrow();
+            expect(() => Topology.validate({ dimensions: 2, gridSize: 3, topology: 'klein' })).toThrow('Unknown topology');
+        });
+
+        it('should require three cells on every torus axis', () => {
+            expect(() => Topology.validate({ dimensions: 2, gridSize: 3, topology: 'torus' })).not.toThrow();
+            expect(() => Topology.validate({ dimensions: 2, gridSize: 2, topology: 'torus' })).toThrow('at least 3');
+            expect(() => Topology.validate({ dimensions: 3, gridSize: [3, 2, 4], topology: 'torus' })).toThrow('at least 3');
+            expect(() => Topology.validate({ dimensions: 2, gridSize: 2, topology: 'bounded' })).not.toThrow();
+        });
+    });
+
+    describe('wrap', () => {
+        it('should bring coordinates past either edge back onto the board', () => {
+            expect(Topology.wrap([-1, 3, 1], 3)).toEqual([2, 0, 1]);
+            expect(Topology.wrap([5, -1], [3, 5])).toEqual([2, 4]);
+        });
+    });
+
+    describe('getCycleLength', () => {
+        it('should be the axis size along one axis', () => {
+            expect(Topology.getCycleLength(4, [0, 1, 0])).toBe(4);
+            expect(Topology.getCycleLength([3, 5], [0, -1])).toBe(5);
+        });
+
+        it('should be the least common multiple of the axes a diagonal moves along', () => {
+            expect(Topology.getCycleLength(4, [1, 1, -1])).toBe(4);
+            expect(Topology.getCycleLength([3, 4, 6], [1, 1, 0])).toBe(12);
+            expect(Topology.getCycleLength([3, 4, 6], [1, 0, 1])).toBe(6);
+        });
+    });
+
+    describe('games', () => {
+        it('should win with a line that wraps around', () => {
+            const play = settings => [[0, 1, 2], [1, 1, 1], [1, 2, 0], [0, 0, 0], [2, 0, 1]]
+                .reduce((state, position) => GameRules.placeMarker(state, position), GameState.initial(settings));
+
+            const state = play({ dimensions: 3, gridSize: 3, topology: 'torus' });
+            expect(state.gamePhase).toBe('won');
+            expect(state.winner).toBe('X');
+            expect(state.winningLine.cells).toEqual([[2, 0, 1], [0, 1, 2], [1, 2, 0]]);
+
+            expect(play({ dimensions: 3, gridSize: 3 }).gamePhase).toBe('playing');
+        });
+    });
+});
@@ -2,8 +2,9 @@
  * WinChecker unit tests
  */
 import { describe, it, expect } from 'vitest';
-import { WinChecker } from '../../../js/domain/rules/WinChecker.js';
+import { WinChecker, WinEngine } from '../../../js/domain/rules/WinChecker.js';
 import { BoardState } from '../../../js/domain/state/BoardState.js';
+import { GridShape } from '../../../js/domain/state/GridShape.js';
 
 describe('WinChecker', () => {
     describe('generateDirections', () => {
@@ -235,6 +236,256 @@ describe('WinChecker', () => {
         });
     });
 
+    describe('findWinningLine', () => {
+        it('should return null when there is no winning line', () => {
+            let board = BoardState.empty(2, 3);
+            board = board.set([0, 0], 'X');
+            board = board.set([1, 0], 'X');
+
+            expect(WinChecker.findWinningLine(board, [1, 0], 'X', { dimensions: 2, gridSize: 3 })).toBe(null);
+        });
+
+        it('should return ordered cells and direction in 2D', () => {
+            let board = BoardState.empty(2, 3);
+            board = board.set([0, 1], 'O');
+            board = board.set([1, 1], 'O');
+            board = board.set([2, 1], 'O');
+
+            const line = WinChecker.findWinningLine(board, [2, 1], 'O', { dimensions: 2, gridSize: 3 });
+
+            expect(line.direction).toEqual([1, 0]);
+            expect(line.cells).toEqual([[0, 1], [1, 1], [2, 1]]);
+        });
+
+        it('should return a 4D diagonal line', () => {
+            let board = BoardState.empty(4, 3);
+            board = board.set([0, 2, 0, 2], 'X');
+            board = board.set([1, 1, 1, 1], 'X');
+            board = board.set([2, 0, 2, 0], 'X');
+
+            const line = WinChecker.findWinningLine(board, [1, 1, 1, 1], 'X', { dimensions: 4, gridSize: 3 });
+
+            expect(line.direction).toEqual([1, -1, 1, -1]);
+            expect(line.cells).toEqual([[0, 2, 0, 2], [1, 1, 1, 1], [2, 0, 2, 0]]);
+        });
+
+        it('should include every consecutive marker when the run exceeds win length', () => {
+            let board = BoardState.empty(2, 6);
+            [[0, 3], [1, 3], [2, 3], [3, 3], [4, 3]].forEach(position => {
+                board = board.set(position, 'X');
+            });
+
+            const line = WinChecker.findWinningLine(board, [2, 3], 'X', { dimensions: 2, gridSize: 6, winLength: 4 });
+
+            expect(line.cells).toHaveLength(5);
+        });
+    });
+
+    describe('index engine', () => {
+        /**
+         * Fill a board with pseudo-random markers (deterministic)
+         */
+        const randomBoard = (dimensions, gridSize, seed) => {
+            let board = BoardState.empty(dimensions, gridSize);
+            let value = seed;
+            const cellCount = Math.pow(gridSize, dimensions);
+            for (let i = 0; i < cellCount; i++) {
+                value = (value * 1103515245 + 12345) % 2147483648;
+                const marker = ['X', 'O', null][value % 3];
+                if (marker) {
+                    const position = [];
+                    for (let axis = 0, rest = i; axis < dimensions; axis++, rest = Math.floor(rest / gridSize)) {
+                        position.push(rest % gridSize);
+                    }
+                    board = board.set(position, marker);
+                }
+            }
+            return board;
+        };
+
+        it('should default to the scan engine', () => {
+            expect(WinChecker.getEngine()).toBe(WinEngine.SCAN);
+            expect(WinChecker.getEngine({ dimensions: 3, gridSize: 3 })).toBe(WinEngine.SCAN);
+            expect(WinChecker.getEngine({ winEngine: WinEngine.INDEX })).toBe(WinEngine.INDEX);
+        });
+
+        it('should reject unknown engines', () => {
+            expect(() => WinChecker.validateEngine({})).not.toThrow();
+            expect(() => WinChecker.validateEngine({ winEngine: WinEngine.INDEX })).not.toThrow();
+            expect(() => WinChecker.validateEngine({ winEngine: 'magic' })).toThrow(/Unknown win engine/);
+        });
+
+        it('should find the same winning lines as the scan engine', () => {
+            [[2, 3, null], [3, 3, null], [3, 4, 3], [4, 3, null]].forEach(([dimensions, gridSize, winLength], seed) => {
+                const settings = { dimensions, gridSize, winLength };
+                const board = randomBoard(dimensions, gridSize, seed + 1);
+                const cellCount = Math.pow(gridSize, dimensions);
+
+                for (let i = 0; i < cellCount; i++) {
+                    const position = [];
+                    for (let axis = 0, rest = i; axis < dimensions; axis++, rest = Math.floor(rest / gridSize)) {
+                        position.push(rest % gridSize);
+                    }
+                    const player = board.get(position);
+                    if (!player) continue;
+
+                    const scanned = WinChecker.findWinningLine(board, position, player, settings);
+                    const indexed = WinChecker.findWinningLine(board, position, player,
+                        { ...settings, winEngine: WinEngine.INDEX });
+
+                    expect(indexed).toEqual(scanned);
+                }
+            });
+        });
+
+        it('should detect a 4D diagonal win', () => {
+            const settings = { dimensions: 4, gridSize: 3, winEngine: WinEngine.INDEX };
+            let board = BoardState.empty(4, 3);
+            board = board.set([0, 0, 0, 0], 'X');
+            board = board.set([1, 1, 1, 1], 'X');
+            board = board.set([2, 2, 2, 2], 'X');
+
+            expect(WinChecker.hasWinningLine(board, [1, 1, 1, 1], 'X', settings)).toBe(true);
+            expect(WinChecker.hasWinningLine(board, [1, 1, 1, 1], 'O', settings)).toBe(false);
+        });
+
+        it('should cache the line index per board shape', () => {
+            const settings = { dimensions: 3, gridSize: 3 };
+
+            expect(WinChecker.getLineIndex(settings)).toBe(WinChecker.getLineIndex({ ...settings }));
+            expect(WinChecker.getLineIndex(settings)).not.toBe(WinChecker.getLineIndex({ ...settings, winLength: 2 }));
+        });
+
+        it('should only keep the most recently used line indexes', () => {
+            const settings = { dimensions: 2, gridSize: 6 };
+            const first = WinChecker.getLineIndex(settings);
+            const recent = WinChecker.getLineIndex({ ...settings, winLength: 2 });
+
+            for (const winLength of [3, 4, 5]) {
+                WinChecker.getLineIndex({ ...settings, winLength });
+                WinChecker.getLineIndex({ ...settings, winLength: 2 });
+            }
+
+            expect(WinChecker.getLineIndex({ ...settings, winLength: 2 })).toBe(recent);
+            expect(WinChecker.getLineIndex(settings)).not.toBe(first);
+        });
+    });
+
+    describe('getWinLength', () => {
+        it('should default to grid size', () => {
+            expect(WinChecker.getWinLength({ dimensions: 3, gridSize: 4 })).toBe(4);
+            expect(WinChecker.getWinLength({ dimensions: 3, gridSize: 4, winLength: null })).toBe(4);
+        });
+
+        it('should use configured win length', () => {
+            expect(WinChecker.getWinLength({ dimensions: 2, gridSize: 6, winLength: 4 })).toBe(4);
+        });
+
+        it('should never exceed grid size', () => {
+            expect(WinChecker.getWinLength({ dimensions: 2, gridSize: 3, winLength: 5 })).toBe(3);
+        });
+    });
+
+    describe('per-axis sizes', () => {
+        const settings = { dimensions: 2, gridSize: [3, 5], winLength: 4 };
+
+        it('should bound the win length by the axes a direction spans', () => {
+            expect(WinChecker.getWinLength(settings)).toBe(4);
+            expect(WinChecker.getLineLength(settings, [0, 1])).toBe(4);
+            expect(WinChecker.getLineLength(settings, [1, 0])).toBe(3);
+            expect(WinChecker.getLineLength(settings, [1, 1])).toBe(3);
+        });
+
+        it('should default the win length to the longest axis', () => {
+            expect(WinChecker.getWinLength({ dimensions: 2, gridSize: [3, 5] })).toBe(5);
+        });
+
+        it('should check bounds per axis', () => {
+            expect(WinChecker.isInBounds([2, 4], [3, 5])).toBe(true);
+            expect(WinChecker.isInBounds([3, 0], [3, 5])).toBe(false);
+        });
+
+        it('should win with a full row along a short axis', () => {
+            const board = BoardState.empty(2, [3, 5]).set([0, 2], 'X').set([1, 2], 'X').set([2, 2], 'X');
+
+            expect(WinChecker.hasWinningLine(board, [2, 2], 'X', settings)).toBe(true);
+        });
+
+        it('should need the full win length along a long axis', () => {
+            let board = BoardState.empty(2, [3, 5]).set([1, 0], 'X').set([1, 1], 'X').set([1, 2], 'X');
+            expect(WinChecker.hasWinningLine(board, [1, 2], 'X', settings)).toBe(false);
+
+            board = board.set([1, 3], 'X');
+            expect(WinChecker.hasWinningLine(board, [1, 3], 'X', settings)).toBe(true);
+        });
+
+        it('should find the same winning lines with the index engine', () => {
+            const uneven = { dimensions: 3, gridSize: [2, 3, 4], winLength: 3 };
+            let board = BoardState.empty(3, [2, 3, 4]);
+            for (let index = 0; index < board.cellCount; index++) {
+                const marker = ['X', 'O', null][(index * 7) % 3];
+                if (marker) board = board.set(board.positionOf(index), marker);
+            }
+
+            for (let index = 0; index < board.cellCount; index++) {
+                const position = board.positionOf(index);
+                const player = board.get(position);
+                if (!player) continue;
+
+                const scanned = WinChecker.findWinningLine(board, position, player, uneven);
+                const indexed = WinChecker.findWinningLine(board, position, player,
+                    { ...uneven, winEngine: WinEngine.INDEX });
+
+                expect(indexed).toEqual(scanned);
+            }
+        });
+
+        it('should count windows of the bounded length', () => {
+            const board = BoardState.empty(2, [3, 5]).set([0, 0], 'X').set([1, 0], 'X').set([2, 0], 'X');
+
+            expect(WinChecker.countCompletedLines(board, [2, 0], 'X', settings)).toBe(1);
+        });
+    });
+
+    describe('hasWinningLine - custom win length', () => {
+        const settings = { dimensions: 2, gridSize: 6, winLength: 4 };
+
+        it('should detect 4 in a row on a 6-wide board', () => {
+            let board = BoardState.empty(2, 6);
+            board = board.set([1, 2], 'X');
+            board = board.set([2, 2], 'X');
+            board = board.set([3, 2], 'X');
+            board = board.set([4, 2], 'X');
+
+            expect(WinChecker.hasWinningLine(board, [2, 2], 'X', settings)).toBe(true);
+        });
+
+        it('should not detect 3 in a row when 4 is required', () => {
+            let board = BoardState.empty(2, 6);
+            board = board.set([0, 0], 'X');
+            board = board.set([1, 1], 'X');
+            board = board.set([2, 2], 'X');
+
+            expect(WinChecker.hasWinningLine(board, [1, 1], 'X', settings)).toBe(false);
+        });
+
+        it('should detect 3 in a row in 4D with win length 3', () => {
+            let board = BoardState.empty(4, 5);
+            board = board.set([0, 1, 2, 3], 'O');
+            board = board.set([1, 1, 2, 2], 'O');
+            board = board.set([2, 1, 2, 1], 'O');
+
+            const hasWin = WinChecker.hasWinningLine(
+                board,
+                [2, 1, 2, 1],
+                'O',
+                { dimensions: 4, gridSize: 5, winLength: 3 }
+            );
+
+            expect(hasWin).toBe(true);
+        });
+    });
+
     describe('checkDirection', () => {
         it('should count in both directions', () => {
             let board = BoardState.empty(2, 5);
@@ -309,5 +560,235 @@ describe('WinChecker', () => {
 
             expect(count).toBe(1); // Only (1,0)
         });
+
+        it('should stop at a blocked cell', () => {
+            const board = BoardState.empty(2, 5)
+                .withBlocked([[2, 0]])
+                .set([0, 0], 'X').set([1, 0], 'X').set([3, 0], 'X');
+
+            expect(WinChecker.countInDirection(board, [0, 0], 'X', [1, 0], 5, 1)).toBe(1);
+        });
+    });
+
+    describe('blocked cells', () => {
+        it('should not complete a line across a blocked cell', () => {
+            const board = BoardState.empty(2, 5)
+                .withBlocked([[2, 0]])
+                .set([0, 0], 'X').set([1, 0], 'X').set([3, 0], 'X').set([4, 0], 'X');
+
+            expect(WinChecker.hasWinningLine(board, [4, 0], 'X', { dimensions: 2, gridSize: 5, winLength: 3 })).toBe(false);
+        });
+
+        it('should still find lines beside blocked cells', () => {
+            const board = BoardState.empty(2, 3)
+                .withBlocked([[1, 1]])
+                .set([0, 0], 'X').set([1, 0], 'X').set([2, 0], 'X');
+
+            expect(WinChecker.hasWinningLine(board, [2, 0], 'X', { dimensions: 2, gridSize: 3 })).toBe(true);
+        });
+    });
+
+    describe('torus topology', () => {
+        /**
+         * Cells of a "broken" main diagonal: starts at a different
+         * coordinate on each axis, so it runs off the edge and comes back
+         */
+        const brokenDiagonal = (dimensions, size) =>
+            Array.from({ length: size }, (_, step) =>
+                Array.from({ length: dimensions }, (_, axis) => (axis + step) % size));
+
+        [[2, 4], [3, 3], [4, 4], [5, 3], [6, 3]].forEach(([dimensions, size]) => {
+            describe(`${dimensions}D`, () => {
+                const torus = { dimensions, gridSize: size, topology: 'torus' };
+                const bounded = { dimensions, gridSize: size };
+                const cells = brokenDiagonal(dimensions, size);
+                const board = cells.reduce((b, cell) => b.set(cell, 'X'), BoardState.empty(dimensions, size));
+
+                it('should find a line that wraps around the edges', () => {
+                    cells.forEach(cell => {
+                        expect(WinChecker.hasWinningLine(board, cell, 'X', torus)).toBe(true);
+                        expect(WinChecker.hasWinningLine(board, cell, 'X', bounded)).toBe(false);
+                    });
+                });
+
+                it('should return every cell of a full circle once', () => {
+                    const line = WinChecker.findWinningLine(board, cells[1], 'X', torus);
+                    const keys = line.cells.map(cell => cell.join(','));
+
+                    expect(line.direction).toEqual(new Array(dimensions).fill(1));
+                    expect(keys).toHaveLength(size);
+                    expect(new Set(keys)).toEqual(new Set(cells.map(cell => cell.join(','))));
+                    expect(line.cells[0]).toEqual(cells[1]);
+                });
+
+                it('should count a full circle as one line', () => {
+                    expect(WinChecker.countCompletedLines(board, cells[0], 'X', torus)).toBe(1);
+                    expect(WinChecker.countCompletedLines(board, cells[0], 'X', bounded)).toBe(0);
+                });
+
+                it('should match the index engine', () => {
+                    const index = { winEngine: WinEngine.INDEX };
+                    cells.forEach(cell => {
+                        expect(WinChecker.findWinningLine(board, cell, 'X', { ...torus, ...index })?.direction)
+                            .toEqual(new Array(dimensions).fill(1));
+                    });
+                    expect(WinChecker.findWinningLine(board, cells[0], 'X', { ...bounded, ...index })).toBeNull();
+                });
+            });
+        });
+
+        it('should wrap shorter lines across the edge', () => {
+            const settings = { dimensions: 2, gridSize: 5, winLength: 3, topology: 'torus' };
+            const board = BoardState.empty(2, 5).set([3, 2], 'X').set([4, 2], 'X').set([0, 2], 'X');
+
+            expect(WinChecker.findWinningLine(board, [0, 2], 'X', settings)).toEqual({
+                cells: [[3, 2], [4, 2], [0, 2]],
+                direction: [1, 0]
+            });
+            expect(WinChecker.hasWinningLine(board, [0, 2], 'X', { ...settings, topology: 'bounded' })).toBe(false);
+        });
+
+        it('should count each window of a cycle once', () => {
+            // Full row of 4 on a 4-wide torus: three windows of 3 through [0, 0], one full circle of 4
+            const board = [0, 1, 2, 3].reduce((b, x) => b.set([x, 0], 'X'), BoardState.empty(2, 4));
+            const settings = { dimensions: 2, gridSize: 4, topology: 'torus' };
+
+            expect(WinChecker.countCompletedLines(board, [0, 0], 'X', { ...settings, winLength: 3 })).toBe(3);
+            expect(WinChecker.countCompletedLines(board, [0, 0], 'X', settings)).toBe(1);
+        });
+
+        it('should stop counting when the walk is back at its start', () => {
+            const board = [0, 1, 2].reduce((b, x) => b.set([x, 1], 'X'), BoardState.empty(2, 3));
+
+            expect(WinChecker.countInDirection(board, [0, 1], 'X', [1, 0], 3, 1, true)).toBe(2);
+            expect(WinChecker.countInDirection(board, [0, 1], 'X', [1, 0], 3, -1, true)).toBe(2);
+            expect(WinChecker.checkDirection(board, [0, 1], 'X', [1, 0], 4, true)).toBe(false);
+            expect(WinChecker.collectLine(board, [2, 1], 'X', [1, 0], true)).toEqual([[2, 1], [0, 1], [1, 1]]);
+        });
+
+        it('should stop at blocked cells', () => {
+            const board = BoardState.empty(2, 4)
+                .withBlocked([[1, 0]])
+                .set([2, 0], 'X').set([3, 0], 'X').set([0, 0], 'X');
+
+            expect(WinChecker.countInDirection(board, [0, 0], 'X', [-1, 0], 4, 1, true)).toBe(2);
+            expect(WinChecker.hasWinningLine(board, [0, 0], 'X', { dimensions: 2, gridSize: 4, winLength: 3, topology: 'torus' }))
+                .toBe(true);
+            expect(WinChecker.hasWinningLine(board, [0, 0], 'X', { dimensions: 2, gridSize: 4, topology: 'torus' }))
+                .toBe(false);
+        });
+
+        it('should wrap windows and list a full circle once', () => {
+            expect(WinChecker.getWindowsThrough([0, 0], [1, 1], 3, 5, true)).toEqual([
+                [[0, 0], [1, 1], [2, 2]],
+                [[4, 4], [0, 0], [1, 1]],
+                [[3, 3], [4, 4], [0, 0]],
+            ]);
+            // Read from any cell, the circle starts where x is 0
+            expect(WinChecker.getWindowsThrough([2, 1], [1, -1], 3, 3, true)).toEqual([
+                [[0, 0], [1, 2], [2, 1]],
+            ]);
+        });
+
+        it('should find the same lines as the index engine on random boards', () => {
+            const settingsList = [
+                { dimensions: 2, gridSize: 5, winLength: 3, topology: 'torus' },
+                { dimensions: 3, gridSize: [3, 3, 4], winLength: 3, topology: 'torus' },
+                { dimensions: 3, gridSize: 4, topology: 'torus' },
+            ];
+
+            settingsList.forEach((settings, seed) => {
+                let board = BoardState.empty(settings.dimensions, settings.gridSize);
+                const cellCount = GridShape.getCellCount(settings.dimensions, settings.gridSize);
+                let value = seed + 7;
+                for (let index = 0; index < cellCount; index++) {
+                    value = (value * 1103515245 + 12345) % 2147483648;
+                    const marker = ['X', 'O', null][value % 3];
+                    if (marker) {
+                        board = board.set(board.positionOf(index), marker);
+                    }
+                }
+
+                for (let index = 0; index < cellCount; index++) {
+                    const position = board.positionOf(index);
+                    const player = board.get(position);
+                    if (!player) continue;
+
+                    const scanned = WinChecker.findWinningLine(board, position, player, settings);
+                    const indexed = WinChecker.findWinningLine(board, position, player,
+                        { ...settings, winEngine: WinEngine.INDEX });
+
+                    expect(indexed).toEqual(scanned);
+                }
+            });
+        });
+    });
+
+    describe('generateCanonicalDirections', () => {
+        it('should keep one direction per line orientation', () => {
+            expect(WinChecker.generateCanonicalDirections(2)).toHaveLength(4);
+            expect(WinChecker.generateCanonicalDirections(3)).toHaveLength(13);
+            expect(WinChecker.generateCanonicalDirections(4)).toHaveLength(40);
+        });
+
+        it('should never contain both d and -d', () => {
+            const directions = WinChecker.generateCanonicalDirections(3);
+            const keys = new Set(directions.map(d => d.join(',')));
+
+            directions.forEach(direction => {
+                const opposite = direction.map(v => -v).join(',');
+                expect(keys.has(opposite)).toBe(false);
+            });
+        });
+    });
+
+    describe('getWindowsThrough', () => {
+        it('should return every window containing the position', () => {
+            const windows = WinChecker.getWindowsThrough([2, 0], [1, 0], 3, 5);
+
+            expect(windows).toEqual([
+                [[2, 0], [3, 0], [4, 0]],
+                [[1, 0], [2, 0], [3, 0]],
+                [[0, 0], [1, 0], [2, 0]],
+            ]);
+        });
+
+        it('should skip windows leaving the board', () => {
+            const windows = WinChecker.getWindowsThrough([0, 0], [1, 1], 3, 3);
+
+            expect(windows).toEqual([[[0, 0], [1, 1], [2, 2]]]);
+        });
+
+        it('should return nothing when the line is too short', () => {
+            expect(WinChecker.getWindowsThrough([0, 2], [1, 1], 3, 3)).toEqual([]);
+        });
+    });
+
+    describe('countCompletedLines', () => {
+        const settings = { dimensions: 2, gridSize: 3 };
+
+        it('should count nothing without a complete line', () => {
+            const board = BoardState.empty(2, 3).set([0, 0], 'X').set([1, 0], 'X');
+
+            expect(WinChecker.countCompletedLines(board, [1, 0], 'X', settings)).toBe(0);
+        });
+
+        it('should count every line completed by one marker', () => {
+            // [2,0] completes row y=0 and column x=2
+            const board = BoardState.empty(2, 3)
+                .set([0, 0], 'X').set([1, 0], 'X')
+                .set([2, 1], 'X').set([2, 2], 'X')
+                .set([2, 0], 'X');
+
+            expect(WinChecker.countCompletedLines(board, [2, 0], 'X', settings)).toBe(2);
+        });
+
+        it('should count each window of a run longer than the win length', () => {
+            const board = BoardState.empty(2, 4)
+                .set([0, 0], 'X').set([1, 0], 'X').set([3, 0], 'X')
+                .set([2, 0], 'X');
+
+            expect(WinChecker.countCompletedLines(board, [2, 0], 'X', { dimensions: 2, gridSize: 4, winLength: 3 })).toBe(2);
+        });
     });
 });
@@ -3,6 +3,7 @@
  */
 import { describe, it, expect } from 'vitest';
 import { BoardState } from '../../../js/domain/state/BoardState.js';
+import { WinChecker } from '../../../js/domain/rules/WinChecker.js';
 
 describe('BoardState', () => {
     describe('constructor and empty', () => {
@@ -14,20 +15,43 @@ describe('BoardState', () => {
             expect(board.get([0, 0])).toBe(null);
         });
 
-        it('should create empty 4D board with array storage', () => {
+        it('should create empty 4D board with flat storage', () => {
             const board = BoardState.empty(4, 4);
 
             expect(board.dimensions).toBe(4);
             expect(board.gridSize).toBe(4);
-            expect(board._storage instanceof Map).toBe(false);
+            expect(board._storage).toBeInstanceOf(Uint8Array);
+            expect(board._storage.length).toBe(256);
         });
 
-        it('should create empty 5D board with Map storage', () => {
+        it('should create empty 5D board with flat storage', () => {
             const board = BoardState.empty(5, 3);
 
             expect(board.dimensions).toBe(5);
             expect(board.gridSize).toBe(3);
-            expect(board._storage instanceof Map).toBe(true);
+            expect(board._storage).toBeInstanceOf(Uint8Array);
+            expect(board.cellCount).toBe(243);
+        });
+    });
+
+    describe('indexOf', () => {
+        it('should number cells row-major', () => {
+            const board = BoardState.empty(3, 3);
+
+            expect(board.indexOf([0, 0, 0])).toBe(0);
+            expect(board.indexOf([0, 0, 1])).toBe(1);
+            expect(board.indexOf([0, 1, 0])).toBe(3);
+            expect(board.indexOf([1, 0, 0])).toBe(9);
+            expect(board.indexOf([2, 2, 2])).toBe(26);
+        });
+
+        it('should return -1 for positions off the board', () => {
+            const board = BoardState.empty(2, 3);
+
+            expect(board.indexOf([3, 0])).toBe(-1);
+            expect(board.indexOf([0, -1])).toBe(-1);
+            expect(board.indexOf([0, 0, 0])).toBe(-1);
+            expect(board.indexOf([0.5, 0])).toBe(-1);
         });
     });
 
@@ -46,7 +70,7 @@ describe('BoardState', () => {
             expect(board.get([1, 2, 3, 0])).toBe(null);
         });
 
-        it('should get value from 5D Map board', () => {
+        it('should get value from 5D board', () => {
             const board = BoardState.empty(5, 3);
 
             expect(board.get([0, 0, 0, 0, 0])).toBe(null);
@@ -77,7 +101,7 @@ describe('BoardState', () => {
             expect(board.get([1, 2, 0, 1])).toBe(null);
         });
 
-        it('should set value in 5D Map board', () => {
+        it('should set value in 5D board', () => {
             const board = BoardState.empty(5, 3);
             const newBoard = board.set([0, 1, 2, 1, 0], 'X');
 
@@ -85,6 +109,29 @@ describe('BoardState', () => {
             expect(board.get([0, 1, 2, 1, 0])).toBe(null);
         });
 
+        it('should clear a cell when set to null', () => {
+            const board = BoardState.empty(2, 3).set([1, 1], 'X');
+            const cleared = board.set([1, 1], null);
+
+            expect(cleared.get([1, 1])).toBe(null);
+            expect(cleared.getFilledCount()).toBe(0);
+            expect(board.get([1, 1])).toBe('X');
+        });
+
+        it('should throw for positions off the board', () => {
+            const board = BoardState.empty(2, 3);
+
+            expect(() => board.set([3, 0], 'X')).toThrow('out of bounds');
+        });
+
+        it('should share the player table between derived boards', () => {
+            const board = BoardState.empty(2, 3).set([0, 0], 'X');
+            const next = board.set([1, 1], 'X');
+
+            expect(next._players).toBe(board._players);
+            expect(next._storage).not.toBe(board._storage);
+        });
+
         it('should allow multiple sets', () => {
             let board = BoardState.empty(2, 3);
 
@@ -125,7 +172,20 @@ describe('BoardState', () => {
             expect(board.isFull()).toBe(true);
         });
 
-        it('should check if 5D Map board is full', () => {
+        it('should track the filled cell count', () => {
+            let board = BoardState.empty(3, 3);
+            expect(board.getFilledCount()).toBe(0);
+
+            board = board.set([0, 0, 0], 'X');
+            board = board.set([1, 1, 1], 'O');
+            expect(board.getFilledCount()).toBe(2);
+
+            // Overwriting an occupied cell does not change the count
+            board = board.set([1, 1, 1], 'X');
+            expect(board.getFilledCount()).toBe(2);
+        });
+
+        it('should check if 5D board is full', () => {
             let board = BoardState.empty(5, 2); // 2^5 = 32 cells
 
             expect(board.isFull()).toBe(false);
@@ -147,6 +207,121 @@ describe('BoardState', () => {
         });
     });
 
+    describe('per-axis sizes', () => {
+        it('should size the board by the product of its axes', () => {
+            const board = BoardState.empty(3, [2, 3, 4]);
+
+            expect(board.cellCount).toBe(24);
+            expect(board.isEmpty([1, 2, 3])).toBe(true);
+            expect(board.isEmpty([2, 0, 0])).toBe(false);
+            expect(board.isEmpty([0, 0, 4])).toBe(false);
+        });
+
+        it('should number cells row-major with each axis size', () => {
+            const board = BoardState.empty(3, [2, 3, 4]);
+
+            expect(board.indexOf([0, 0, 1])).toBe(1);
+            expect(board.indexOf([0, 1, 0])).toBe(4);
+            expect(board.indexOf([1, 0, 0])).toBe(12);
+            for (let index = 0; index < board.cellCount; index++) {
+                expect(board.indexOf(board.positionOf(index))).toBe(index);
+            }
+        });
+
+        it('should fill up like any board', () => {
+            let board = BoardState.empty(2, [1, 2]);
+            board = board.set([0, 0], 'X').set([0, 1], 'O');
+
+            expect(board.isFull()).toBe(true);
+            expect(BoardState.fromPlain(board.toPlain()).get([0, 1])).toBe('O');
+        });
+    });
+
+    describe('blocked cells', () => {
+        it('should block cells without filling them', () => {
+            const board = BoardState.empty(2, 3).withBlocked([[1, 1]]);
+
+            expect(board.isBlocked([1, 1])).toBe(true);
+            expect(board.isEmpty([1, 1])).toBe(false);
+            expect(board.get([1, 1])).toBe(null);
+            expect(board.getFilledCount()).toBe(0);
+            expect(board.getBlockedCount()).toBe(1);
+        });
+
+        it('should refuse markers on blocked cells', () => {
+            const board = BoardState.empty(2, 3).withBlocked([[0, 2]]);
+
+            expect(() => board.set([0, 2], 'X')).toThrow('Cell is blocked');
+        });
+
+        it('should refuse to block occupied or missing cells', () => {
+            const board = BoardState.empty(2, 3).set([0, 0], 'X');
+
+            expect(() => board.withBlocked([[0, 0]])).toThrow('Cannot block an occupied cell');
+            expect(() => board.withBlocked([[3, 0]])).toThrow('Position out of bounds');
+        });
+
+        it('should keep the mask on derived boards', () => {
+            const board = BoardState.empty(2, 2).withBlocked([[1, 1]]).set([0, 0], 'X');
+
+            expect(board.isBlocked([1, 1])).toBe(true);
+        });
+
+        it('should be full when every open cell holds a marker', () => {
+            let board = BoardState.empty(2, 2).withBlocked([[1, 1]]);
+            board = board.set([0, 0], 'X').set([1, 0], 'O');
+            expect(board.isFull()).toBe(false);
+
+            expect(board.set([0, 1], 'X').isFull()).toBe(true);
+        });
+
+        it('should keep the mask through plain conversion', () => {
+            const board = BoardState.empty(3, 2).withBlocked([[1, 0, 1]]);
+            const plain = { ...board.toPlain(), blocked: Array.from(board.toPlain().blocked) };
+
+            const restored = BoardState.fromPlain(plain);
+
+            expect(restored.isBlocked([1, 0, 1])).toBe(true);
+            expect(restored.getBlockedCount()).toBe(1);
+        });
+    });
+
+    describe('line counts', () => {
+        const settings = { dimensions: 2, gridSize: 3 };
+        const index = WinChecker.getLineIndex(settings);
+        const rowOf = (position) => index.getLinesThrough(position)
+            .find(line => index.getDirection(line).join() === '0,1');
+
+        it('should keep no counts unless asked', () => {
+            expect(BoardState.empty(2, 3).set([0, 0], 'X').getLineCounters()).toBe(null);
+        });
+
+        it('should count the markers already on the board', () => {
+            const board = BoardState.empty(2, 3).set([0, 0], 'X').set([0, 1], 'X').withLineIndex(index);
+
+            expect(board.getLineCounters().getCount(rowOf([0, 0]), 'X')).toBe(2);
+            expect(board.withLineIndex(index)).toBe(board);
+        });
+
+        it('should update the counts as markers are placed and removed', () => {
+            const start = BoardState.empty(2, 3).withLineIndex(index);
+            const full = start.set([0, 0], 'X').set([0, 1], 'X').set([0, 2], 'X');
+            const undone = full.set([0, 2], null);
+
+            expect(full.getLineCounters().isComplete(rowOf([0, 0]), 'X')).toBe(true);
+            expect(undone.getLineCounters().getCount(rowOf([0, 0]), 'X')).toBe(2);
+            expect(start.getLineCounters().getCount(rowOf([0, 0]), 'X')).toBe(0);
+        });
+
+        it('should follow swapped players and plain conversion', () => {
+            const board = BoardState.empty(2, 3).withLineIndex(index).set([0, 0], 'X').swapPlayers('X', 'O');
+
+            expect(board.getLineCounters().getCount(rowOf([0, 0]), 'O')).toBe(1);
+            expect(BoardState.fromPlain(board.toPlain()).getLineCounters()).toBe(board.getLineCounters());
+            expect(BoardState.fromPlain(JSON.parse(JSON.stringify(board.toPlain()))).getLineCounters()).toBe(null);
+        });
+    });
+
     describe('immutability', () => {
         it('should not mutate original board on set', () => {
             const original = BoardState.empty(2, 3);
@@ -179,7 +354,64 @@ describe('BoardState', () => {
             expect(restored.get([1, 1])).toBe('O');
         });
 
-        it('should convert Map board to plain and back', () => {
+        it('should keep the filled count through plain conversion', () => {
+            const board = BoardState.empty(4, 2).set([0, 1, 0, 1], 'X');
+            const restored = BoardState.fromPlain(board.toPlain());
+
+            expect(restored.getFilledCount()).toBe(1);
+            expect(restored.isFull()).toBe(false);
+        });
+
+        it('should restore flat data given as a plain array', () => {
+            const board = BoardState.empty(2, 2).set([1, 0], 'O');
+            const plain = { ...board.toPlain(), data: Array.from(board.toPlain().data) };
+            delete plain.filled;
+
+            const restored = BoardState.fromPlain(plain);
+
+            expect(restored.get([1, 0])).toBe('O');
+            expect(restored.getFilledCount()).toBe(1);
+        });
+
+        it('should read legacy array payloads', () => {
+            // board[y][x]: the last coordinate selects the outer array
+            const restored = BoardState.fromPlain({
+                dimensions: 2,
+                gridSize: 2,
+                type: 'array',
+                data: [['X', null], [null, 'O']]
+            });
+
+            expect(restored.get([0, 0])).toBe('X');
+            expect(restored.get([1, 1])).toBe('O');
+            expect(restored.get([1, 0])).toBe(null);
+            expect(restored.getFilledCount()).toBe(2);
+        });
+
+        it('should read legacy nested 3D array payloads by coordinate order', () => {
+            const data = [0, 1, 2].map(() => [0, 1, 2].map(() => [null, null, null]));
+            data[2][1][0] = 'X'; // board[z][y][x]
+
+            const restored = BoardState.fromPlain({ dimensions: 3, gridSize: 3, type: 'array', data });
+
+            expect(restored.get([0, 1, 2])).toBe('X');
+            expect(restored.getFilledCount()).toBe(1);
+        });
+
+        it('should read legacy map payloads', () => {
+            const restored = BoardState.fromPlain({
+                dimensions: 5,
+                gridSize: 3,
+                type: 'map',
+                data: [['0,1,2,1,0', 'X'], ['2,2,2,2,2', 'O']]
+            });
+
+            expect(restored.get([0, 1, 2, 1, 0])).toBe('X');
+            expect(restored.get([2, 2, 2, 2, 2])).toBe('O');
+            expect(restored.getFilledCount()).toBe(2);
+        });
+
+        it('should convert 5D board to plain and back', () => {
             let board = BoardState.empty(5, 3);
             board = board.set([0, 1, 2, 1, 0], 'X');
             board = board.set([2, 2, 2, 2, 2], 'O');
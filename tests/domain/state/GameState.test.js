@@ -64,6 +64,16 @@ describe('GameState', () => {
 
             expect(newState.gamePhase).toBe('won');
             expect(newState.winner).toBe('X');
+            expect(newState.winningLine).toBe(null);
+        });
+
+        it('should store the winning line', () => {
+            const state = GameState.initial({ dimensions: 2, gridSize: 3 });
+            const winningLine = { cells: [[0, 0], [1, 1], [2, 2]], direction: [1, 1] };
+            const newState = state.withWinner('X', winningLine);
+
+            expect(newState.winningLine).toEqual(winningLine);
+            expect(GameState.fromPlain(newState.toPlain()).winningLine).toEqual(winningLine);
         });
     });
 
@@ -170,4 +180,39 @@ describe('GameState', () => {
             expect(restored.moveHistory).toHaveLength(2);
         });
     });
+
+    describe('getHash', () => {
+        it('should give transpositions the same hash', () => {
+            const initial = GameState.initial({ dimensions: 2, gridSize: 3 });
+            const a = initial.withMarker([0, 0], 'X').withMarker([1, 1], 'O')
+                .withMarker([2, 2], 'X').withPlayer('O');
+            const b = initial.withMarker([2, 2], 'X').withMarker([1, 1], 'O')
+                .withMarker([0, 0], 'X').withPlayer('O');
+
+            expect(a.getHash()).toBe(b.getHash());
+        });
+
+        it('should depend on the side to move', () => {
+            const state = GameState.initial({ dimensions: 2, gridSize: 3 }).withMarker([0, 0], 'X');
+
+            expect(state.withPlayer('O').getHash()).not.toBe(state.withPlayer('X').getHash());
+        });
+
+        it('should survive plain conversion', () => {
+            const state = GameState.initial({ dimensions: 3, gridSize: 3 }).withMarker([0, 1, 2], 'X');
+
+            expect(GameState.fromPlain(state.toPlain()).getHash()).toBe(state.getHash());
+        });
+    });
+
+    describe('getCanonicalHash', () => {
+        it('should match for mirrored positions', () => {
+            const initial = GameState.initial({ dimensions: 2, gridSize: 3 });
+            const left = initial.withMarker([0, 1], 'X').withPlayer('O');
+            const right = initial.withMarker([2, 1], 'X').withPlayer('O');
+
+            expect(left.getHash()).not.toBe(right.getHash());
+            expect(left.getCanonicalHash()).toBe(right.getCanonicalHash());
+        });
+    });
 });
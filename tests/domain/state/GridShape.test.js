@@ -0,0 +1,88 @@
+/**
+ * GridShape unit tests
+ */
+import { describe, it, expect } from 'vitest';
+import { GridShape, GRID_LIMITS } from '../../../js/domain/state/GridShape.js';
+
+describe('GridShape', () => {
+    describe('sizes', () => {
+        it('should give every axis the same size for a number', () => {
+            expect(GridShape.getSizes(3, 4)).toEqual([4, 4, 4]);
+            expect(GridShape.getSize(4, 2)).toBe(4);
+        });
+
+        it('should read per-axis sizes', () => {
+            expect(GridShape.getSizes(4, [3, 3, 3, 5])).toEqual([3, 3, 3, 5]);
+            expect(GridShape.getSize([3, 3, 3, 5], 3)).toBe(5);
+            expect(GridShape.getMaxSize([3, 3, 3, 5])).toBe(5);
+        });
+
+        it('should count cells as the product of the sizes', () => {
+            expect(GridShape.getCellCount(4, 4)).toBe(256);
+            expect(GridShape.getCellCount(4, [3, 3, 3, 5])).toBe(135);
+        });
+    });
+
+    describe('getSpan', () => {
+        it('should be the smallest axis a direction moves along', () => {
+            expect(GridShape.getSpan([3, 5], [0, 1])).toBe(5);
+            expect(GridShape.getSpan([3, 5], [1, 0])).toBe(3);
+            expect(GridShape.getSpan([3, 5], [1, -1])).toBe(3);
+            expect(GridShape.getSpan(4, [1, 1, 0])).toBe(4);
+        });
+    });
+
+    describe('validate', () => {
+        it('should accept a positive size or one positive size per axis', () => {
+            expect(() => GridShape.validate(3, 4)).not.toThrow();
+            expect(() => GridShape.validate(3, [3, 3, 5])).not.toThrow();
+        });
+
+        it('should reject bad sizes and vectors of the wrong length', () => {
+            expect(() => GridShape.validate(3, 0)).toThrow('Invalid grid size');
+            expect(() => GridShape.validate(3, [3, 5])).toThrow('Invalid grid size');
+            expect(() => GridShape.validate(2, [3, 0])).toThrow('Invalid grid size');
+            expect(() => GridShape.validate(2, '3')).toThrow('Invalid grid size');
+        });
+
+        it('should reject boards beyond the size limits', () => {
+            const { MAX_DIMENSIONS, MAX_GRID_SIZE } = GRID_LIMITS;
+
+            expect(() => GridShape.validate(MAX_DIMENSIONS, MAX_GRID_SIZE)).not.toThrow();
+            expect(() => GridShape.validate(MAX_DIMENSIONS + 1, 2)).toThrow('Invalid dimensions');
+            expect(() => GridShape.validate(0, 2)).toThrow('Invalid dimensions');
+            expect(() => GridShape.validate(2, MAX_GRID_SIZE + 1)).toThrow('Invalid grid size');
+            expect(() => GridShape.validate(2, [3, MAX_GRID_SIZE + 1])).toThrow('Invalid grid size');
+        });
+    });
+
+    describe('format and parse', () => {
+        it('should round-trip numbers and per-axis sizes', () => {
+            expect(GridShape.format(4)).toBe('4');
+            expect(GridShape.format([3, 3, 5])).toBe('3x3x5');
+            expect(GridShape.parse('4')).toBe(4);
+            expect(GridShape.parse('3x3x5')).toEqual([3, 3, 5]);
+        });
+
+        it('should return null for other text', () => {
+            expect(GridShape.parse('')).toBe(null);
+            expect(GridShape.parse('3x')).toBe(null);
+            expect(GridShape.parse('3,3')).toBe(null);
+        });
+    });
+
+    describe('normalize and equals', () => {
+        it('should write equal per-axis sizes as one number', () => {
+            expect(GridShape.normalize([4, 4, 4])).toBe(4);
+            expect(GridShape.normalize([3, 4])).toEqual([3, 4]);
+            expect(GridShape.normalize(5)).toBe(5);
+        });
+
+        it('should compare shapes in either form', () => {
+            expect(GridShape.equals(3, 4, [4, 4, 4])).toBe(true);
+            expect(GridShape.equals(2, [3, 5], [3, 5])).toBe(true);
+            expect(GridShape.equals(2, [3, 5], [5, 3])).toBe(false);
+            expect(GridShape.equals(2, 3, 4)).toBe(false);
+        });
+    });
+});
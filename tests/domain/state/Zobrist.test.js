@@ -0,0 +1,136 @@
+/**
+ * Zobrist unit tests
+ */
+import { describe, it, expect } from 'vitest';
+import { Zobrist } from '../../../js/domain/state/Zobrist.js';
+import { BoardState } from '../../../js/domain/state/BoardState.js';
+
+describe('Zobrist', () => {
+    describe('keyOf', () => {
+        it('should be deterministic', () => {
+            expect(Zobrist.keyOf(4, 4, 17, 'X')).toEqual(Zobrist.keyOf(4, 4, 17, 'X'));
+        });
+
+        it('should differ per cell, player and board shape', () => {
+            const keys = [
+                Zobrist.keyOf(4, 4, 17, 'X'),
+                Zobrist.keyOf(4, 4, 18, 'X'),
+                Zobrist.keyOf(4, 4, 17, 'O'),
+                Zobrist.keyOf(3, 4, 17, 'X'),
+                Zobrist.keyOf(4, 3, 17, 'X'),
+            ].map(([hi, lo]) => Zobrist.toHex(hi, lo));
+
+            expect(new Set(keys).size).toBe(keys.length);
+        });
+
+        it('should not collide across a 4D board', () => {
+            const keys = new Set();
+            for (const player of ['X', 'O', 'T', 'S']) {
+                for (let index = 0; index < 256; index++) {
+                    const [hi, lo] = Zobrist.keyOf(4, 4, index, player);
+                    keys.add(Zobrist.toHex(hi, lo));
+                }
+            }
+
+            expect(keys.size).toBe(1024);
+        });
+    });
+
+    describe('board hash', () => {
+        it('should be zero for an empty board', () => {
+            expect(BoardState.empty(3, 3).getHash()).toBe('0000000000000000');
+        });
+
+        it('should match a full recomputation after incremental updates', () => {
+            let board = BoardState.empty(3, 3);
+            board = board.set([0, 0, 0], 'X');
+            board = board.set([1, 2, 0], 'O');
+            board = board.set([1, 2, 0], 'X'); // overwrite
+            board = board.set([2, 2, 2], 'O');
+            board = board.set([2, 2, 2], null); // clear
+
+            expect(board.getHash()).toBe(Zobrist.toHex(...Zobrist.hashBoard(board)));
+        });
+
+        it('should return to the previous hash when a marker is removed', () => {
+            const board = BoardState.empty(2, 3).set([0, 0], 'X');
+
+            expect(board.set([1, 1], 'O').set([1, 1], null).getHash()).toBe(board.getHash());
+        });
+
+        it('should not depend on the order players first appeared', () => {
+            const a = BoardState.empty(2, 3).set([0, 0], 'X').set([1, 1], 'O');
+            const b = BoardState.empty(2, 3).set([1, 1], 'O').set([0, 0], 'X');
+
+            expect(a.getHash()).toBe(b.getHash());
+        });
+
+        it('should be recomputed for legacy payloads', () => {
+            const board = BoardState.empty(2, 2).set([1, 0], 'X');
+            const legacy = BoardState.fromPlain({
+                dimensions: 2,
+                gridSize: 2,
+                type: 'array',
+                data: [[null, 'X'], [null, null]]
+            });
+
+            expect(legacy.getHash()).toBe(board.getHash());
+        });
+    });
+
+    describe('canonicalHash', () => {
+        it('should be equal for every corner of a 2D board', () => {
+            const corners = [[0, 0], [0, 2], [2, 0], [2, 2]];
+            const hashes = corners.map(corner => BoardState.empty(2, 3).set(corner, 'X').getCanonicalHash());
+
+            expect(new Set(hashes).size).toBe(1);
+        });
+
+        it('should be equal for transposed 3D boards', () => {
+            const a = BoardState.empty(3, 3).set([0, 1, 2], 'X').set([1, 1, 1], 'O');
+            const b = BoardState.empty(3, 3).set([2, 1, 0], 'X').set([1, 1, 1], 'O');
+
+            expect(a.getCanonicalHash()).toBe(b.getCanonicalHash());
+        });
+
+        it('should be equal for a 4D position and its reflection', () => {
+            const a = BoardState.empty(4, 3).set([0, 0, 1, 2], 'X').set([1, 0, 0, 0], 'O');
+            const b = BoardState.empty(4, 3).set([2, 0, 1, 2], 'X').set([1, 0, 0, 0], 'O');
+
+            expect(a.getCanonicalHash()).toBe(b.getCanonicalHash());
+        });
+
+        it('should separate positions that are not symmetric', () => {
+            const corner = BoardState.empty(2, 3).set([0, 0], 'X');
+            const edge = BoardState.empty(2, 3).set([0, 1], 'X');
+
+            expect(corner.getCanonicalHash()).not.toBe(edge.getCanonicalHash());
+        });
+
+        it('should separate boards that differ only in their holes', () => {
+            const board = BoardState.empty(2, 3).set([1, 1], 'X');
+            const cornerHole = board.withBlocked([[0, 0]]);
+            const edgeHole = board.withBlocked([[0, 1]]);
+
+            expect(cornerHole.getHash()).not.toBe(board.getHash());
+            expect(cornerHole.getCanonicalHash()).not.toBe(edgeHole.getCanonicalHash());
+            expect(cornerHole.getCanonicalHash()).toBe(board.withBlocked([[2, 0]]).getCanonicalHash());
+            expect(cornerHole.set([2, 2], 'O').set([2, 2], null).getHash()).toBe(cornerHole.getHash());
+        });
+
+        it('should not mix up which player holds a cell', () => {
+            const a = BoardState.empty(2, 3).set([0, 0], 'X').set([1, 1], 'O');
+            const b = BoardState.empty(2, 3).set([0, 0], 'O').set([1, 1], 'X');
+
+            expect(a.getCanonicalHash()).not.toBe(b.getCanonicalHash());
+        });
+    });
+
+    describe('withTurn', () => {
+        it('should be undone by applying it twice', () => {
+            const hash = BoardState.empty(2, 3).set([0, 0], 'X').getHash();
+
+            expect(Zobrist.withTurn(Zobrist.withTurn(hash, 'O'), 'O')).toBe(hash);
+        });
+    });
+});
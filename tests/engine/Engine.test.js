@@ -0,0 +1,153 @@
+/**
+ * Headless engine unit tests
+ *
+ * Runs without jsdom to make sure the engine needs no browser globals
+ * @vitest-environment node
+ */
+import { describe, it, expect } from 'vitest';
+import * as engine from '../../js/engine/index.js';
+import { Engine, DEFAULT_SETTINGS, AIDifficulty } from '../../js/engine/index.js';
+
+/**
+ * Seeded RNG so bot games are reproducible
+ */
+function createRandom(seed) {
+    let value = seed;
+    return () => {
+        value = (value * 16807) % 2147483647;
+        return (value - 1) / 2147483646;
+    };
+}
+
+describe('Engine', () => {
+    it('should run without DOM globals', () => {
+        expect(typeof document).toBe('undefined');
+        expect(typeof window).toBe('undefined');
+    });
+
+    it('should export the domain classes', () => {
+        ['GameState', 'BoardState', 'GameRules', 'WinChecker', 'AIPlayer', 'GameRecord', 'MoveNotation', 'Symmetry']
+            .forEach(name => expect(engine[name]).toBeDefined());
+    });
+
+    describe('createGame', () => {
+        it('should use the default settings', () => {
+            const game = Engine.createGame();
+
+            expect(game.settings.dimensions).toBe(DEFAULT_SETTINGS.dimensions);
+            expect(game.settings.gridSize).toBe(DEFAULT_SETTINGS.gridSize);
+            expect(game.currentPlayer).toBe('X');
+        });
+
+        it('should accept custom settings', () => {
+            const game = Engine.createGame({ dimensions: 2, gridSize: 5, winLength: 4, players: ['A', 'B', 'C'] });
+
+            expect(game.settings.winLength).toBe(4);
+            expect(game.currentPlayer).toBe('A');
+        });
+
+        it('should accept per-axis grid sizes', () => {
+            const game = Engine.createGame({ dimensions: 3, gridSize: [3, 3, 5], winLength: 4 });
+
+            expect(game.settings.gridSize).toEqual([3, 3, 5]);
+            expect(Engine.getLegalMoves(game)).toHaveLength(45);
+            expect(Engine.createGame({ dimensions: 2, gridSize: [4, 4] }).settings.gridSize).toBe(4);
+        });
+
+        it('should reject invalid settings', () => {
+            expect(() => Engine.createGame({ dimensions: 0 })).toThrow('Invalid dimensions');
+            expect(() => Engine.createGame({ gridSize: 2.5 })).toThrow('Invalid grid size');
+            expect(() => Engine.createGame({ gridSize: 3, winLength: 4 })).toThrow('Invalid win length');
+            expect(() => Engine.createGame({ dimensions: 2, gridSize: [3, 4, 5] })).toThrow('Invalid grid size');
+            expect(() => Engine.createGame({ dimensions: 2, gridSize: [3, 4], winLength: 5 })).toThrow('Invalid win length');
+            expect(() => Engine.createGame({ players: ['X', 'X'] })).toThrow('distinct');
+            expect(() => Engine.createGame({ topology: 'klein' })).toThrow('Unknown topology');
+            expect(() => Engine.createGame({ dimensions: 2, gridSize: [2, 4], topology: 'torus' })).toThrow('at least 3');
+        });
+    });
+
+    describe('play', () => {
+        it('should place the current player and pass the turn', () => {
+            const game = Engine.play(Engine.createGame({ dimensions: 2, gridSize: 3 }), [1, 1]);
+
+            expect(game.getMarkerAt([1, 1])).toBe('X');
+            expect(game.currentPlayer).toBe('O');
+        });
+
+        it('should throw on illegal moves', () => {
+            const game = Engine.play(Engine.createGame({ dimensions: 2, gridSize: 3 }), [1, 1]);
+
+            expect(() => Engine.play(game, [1, 1])).toThrow('Illegal move: x1y1');
+            expect(() => Engine.play(game, [3, 0])).toThrow('Illegal move');
+            expect(() => Engine.play(game, [0, 0, 0])).toThrow('Illegal move');
+        });
+
+        it('should report a win and refuse further moves', () => {
+            let game = Engine.createGame({ dimensions: 2, gridSize: 3 });
+            [[0, 0], [0, 1], [1, 0], [1, 1], [2, 0]].forEach(position => {
+                game = Engine.play(game, position);
+            });
+
+            const result = Engine.getResult(game);
+            expect(result.status).toBe('won');
+            expect(result.winner).toBe('X');
+            expect(result.moveCount).toBe(5);
+            expect(Engine.getLegalMoves(game)).toEqual([]);
+            expect(() => Engine.play(game, [2, 2])).toThrow('Game is over');
+        });
+    });
+
+    describe('legal moves and undo', () => {
+        it('should list the empty cells', () => {
+            const game = Engine.play(Engine.createGame({ dimensions: 2, gridSize: 2 }), [0, 0]);
+
+            expect(Engine.getLegalMoves(game)).toHaveLength(3);
+            expect(Engine.isLegalMove(game, [0, 0])).toBe(false);
+            expect(Engine.isLegalMove(game, [1, 0])).toBe(true);
+        });
+
+        it('should undo the last move', () => {
+            const game = Engine.play(Engine.createGame({ dimensions: 2, gridSize: 3 }), [1, 1]);
+            const undone = Engine.undo(game);
+
+            expect(undone.getMarkerAt([1, 1])).toBe(null);
+            expect(undone.currentPlayer).toBe('X');
+        });
+    });
+
+    describe('bots', () => {
+        it('should play a full game between two bots', () => {
+            const random = createRandom(42);
+            let game = Engine.createGame({ dimensions: 3, gridSize: 3 });
+
+            while (Engine.getResult(game).status === 'playing') {
+                const difficulty = game.currentPlayer === 'X' ? AIDifficulty.GREEDY : AIDifficulty.RANDOM;
+                game = Engine.play(game, Engine.chooseMove(game, difficulty, { random }));
+            }
+
+            expect(['won', 'draw']).toContain(Engine.getResult(game).status);
+            expect(Engine.chooseMove(game)).toBe(null);
+        });
+    });
+
+    describe('serialization', () => {
+        it('should round-trip record JSON', () => {
+            let game = Engine.createGame({ dimensions: 3, gridSize: 3 });
+            game = Engine.play(game, [0, 1, 2]);
+            game = Engine.play(game, [1, 1, 1]);
+
+            const restored = Engine.fromJSON(Engine.toJSON(game));
+
+            expect(restored.getHash()).toBe(game.getHash());
+            expect(restored.moveHistory).toHaveLength(2);
+        });
+
+        it('should round-trip notation', () => {
+            let game = Engine.createGame({ dimensions: 2, gridSize: 3 });
+            game = Engine.play(game, [2, 0]);
+
+            expect(Engine.toNotation(game)).toBe('2D/3: 1.x2y0');
+            expect(Engine.fromNotation('2D/3: 1.x2y0').getHash()).toBe(game.getHash());
+        });
+    });
+});
@@ -0,0 +1,273 @@
+/**
+ * Persistence middleware unit tests
+ */
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+    createPersistenceMiddleware,
+    loadPersistedState,
+    saveState,
+    PERSISTENCE_KEY,
+    PERSISTENCE_VERSION
+} from '../../../js/infrastructure/state/persistence.js';
+import { StateStore } from '../../../js/infrastructure/state/StateStore.js';
+import { rootReducer, initialState } from '../../../js/infrastructure/state/reducers.js';
+import { Actions } from '../../../js/infrastructure/state/actions.js';
+import { BoardState } from '../../../js/domain/state/BoardState.js';
+
+/**
+ * In-memory Storage implementation
+ */
+function createMemoryStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+    };
+}
+
+/**
+ * Create a store whose visual saves are not throttled
+ */
+function createStore(storage, options = {}) {
+    const middleware = createPersistenceMiddleware(storage, {
+        scheduleDelayed: (save) => queueMicrotask(save),
+        ...options
+    });
+    return new StateStore(initialState, rootReducer, [middleware]);
+}
+
+/**
+ * Let deferred saves run
+ */
+const flushSaves = () => Promise.resolve();
+
+describe('persistence', () => {
+    let storage;
+
+    beforeEach(() => {
+        storage = createMemoryStorage();
+    });
+
+    describe('createPersistenceMiddleware', () => {
+        it('should save game and settings after a move', async () => {
+            const store = createStore(storage);
+
+            store.dispatch(Actions.placeMarker([0, 0, 0, 0]));
+            await flushSaves();
+
+            const saved = JSON.parse(storage.getItem(PERSISTENCE_KEY));
+            expect(saved.version).toBe(PERSISTENCE_VERSION);
+            expect(saved.game.moveHistory).toHaveLength(1);
+            expect(saved.settings.dimensions).toBe(4);
+            expect(saved.visual).toBeUndefined();
+            expect(saved.game.board).toBeUndefined();
+        });
+
+        it('should save after the reducer has run', async () => {
+            const store = new StateStore(initialState, rootReducer, [createPersistenceMiddleware(storage)]);
+
+            store.dispatch(Actions.placeMarker([0, 0, 0, 0]));
+            store.dispatch(Actions.placeMarker([1, 0, 0, 0]));
+            expect(storage.getItem(PERSISTENCE_KEY)).toBe(null);
+
+            await Promise.resolve();
+
+            const saved = JSON.parse(storage.getItem(PERSISTENCE_KEY));
+            expect(saved.game.moveHistory).toHaveLength(2);
+        });
+
+        it('should ignore unrelated actions', async () => {
+            const store = createStore(storage);
+
+            store.dispatch(Actions.setHoveredCell([0, 0, 0, 0]));
+            store.dispatch(Actions.updateRotation('xy', 0.1));
+            await flushSaves();
+
+            expect(storage.getItem(PERSISTENCE_KEY)).toBe(null);
+        });
+
+        it('should save rotation when visual persistence is enabled', async () => {
+            const store = createStore(storage, { includeVisual: true });
+
+            store.dispatch(Actions.updateRotation('xy', 0.5));
+            await flushSaves();
+
+            const saved = JSON.parse(storage.getItem(PERSISTENCE_KEY));
+            expect(saved.visual.rotation.xy).toBeCloseTo(store.getState().visual.rotation.xy);
+        });
+
+        it('should keep playing when storage is full', async () => {
+            const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+            storage.setItem = () => {
+                throw new Error('QuotaExceededError');
+            };
+            const store = createStore(storage);
+
+            store.dispatch(Actions.placeMarker([0, 0, 0, 0]));
+            await flushSaves();
+
+            expect(store.getState().game.moveHistory).toHaveLength(1);
+            expect(warn).toHaveBeenCalled();
+            warn.mockRestore();
+        });
+    });
+
+    describe('loadPersistedState', () => {
+        it('should return initial state when nothing is stored', () => {
+            expect(loadPersistedState(storage, initialState)).toBe(initialState);
+            expect(loadPersistedState(null, initialState)).toBe(initialState);
+        });
+
+        it('should restore game, redo stack and settings', async () => {
+            const store = createStore(storage);
+            store.dispatch(Actions.updateSettings({ dimensions: 2, gridSize: 3 }));
+            store.dispatch(Actions.placeMarker([0, 0]));
+            store.dispatch(Actions.placeMarker([1, 1]));
+            store.dispatch(Actions.undoMove());
+            await flushSaves();
+
+            const restored = loadPersistedState(storage, initialState);
+
+            expect(restored.settings.dimensions).toBe(2);
+            expect(restored.game.moveHistory).toEqual(store.getState().game.moveHistory);
+            expect(restored.game.redoStack).toHaveLength(1);
+            expect(restored.game.currentPlayer).toBe('O');
+            expect(Object.keys(restored.visual.rotation)).toEqual(['xy']);
+            expect(restored.ui).toBe(initialState.ui);
+        });
+
+        it('should rebuild the board from the stored moves', async () => {
+            const store = createStore(storage);
+            store.dispatch(Actions.updateSettings({ dimensions: 2, gridSize: 3 }));
+            store.dispatch(Actions.placeMarker([2, 1]));
+            await flushSaves();
+
+            const restored = loadPersistedState(storage, initialState);
+            const board = BoardState.fromPlain(restored.game.board);
+
+            expect(board.get([2, 1])).toBe('X');
+            expect(board.getFilledCount()).toBe(1);
+        });
+
+        it('should restore the chess clocks as of the last move', async () => {
+            const store = createStore(storage);
+            store.dispatch(Actions.updateSettings({ dimensions: 2, gridSize: 3, timeControl: { baseMs: 60000, incrementMs: 0 } }));
+            store.dispatch(Actions.tickTimer(1000));
+            store.dispatch(Actions.tickTimer(6000));
+            store.dispatch(Actions.placeMarker([0, 0], null, 6000));
+            await flushSaves();
+
+            const restored = loadPersistedState(storage, initialState, { now: 6000 });
+
+            expect(restored.timer).toEqual({ remaining: { X: 55000, O: 60000 }, lastTick: 6000 });
+        });
+
+        it('should charge the player to move for the time the page was closed', async () => {
+            const store = createStore(storage);
+            store.dispatch(Actions.updateSettings({ dimensions: 2, gridSize: 3, timeControl: { baseMs: 60000, incrementMs: 0 } }));
+            store.dispatch(Actions.tickTimer(1000));
+            store.dispatch(Actions.placeMarker([0, 0], null, 1000));
+            store.dispatch(Actions.tickTimer(5000));
+            await flushSaves();
+
+            const restored = loadPersistedState(storage, initialState, { now: 21000 });
+
+            expect(restored.timer).toEqual({ remaining: { X: 60000, O: 40000 }, lastTick: 21000 });
+            expect(loadPersistedState(storage, initialState, { now: 100000 }).timer.remaining.O).toBe(0);
+        });
+
+        it('should not charge a stopped clock', async () => {
+            const store = createStore(storage);
+            store.dispatch(Actions.updateSettings({ dimensions: 2, gridSize: 3, timeControl: { baseMs: 60000, incrementMs: 0 } }));
+            store.dispatch(Actions.placeMarker([0, 0]));
+            await flushSaves();
+
+            const restored = loadPersistedState(storage, initialState, { now: 21000 });
+
+            expect(restored.timer).toEqual({ remaining: { X: 60000, O: 60000 }, lastTick: null });
+        });
+
+        it('should restore a game lost on time', async () => {
+            const store = createStore(storage);
+            store.dispatch(Actions.updateSettings({ dimensions: 2, gridSize: 3, timeControl: { baseMs: 1000, incrementMs: 0 } }));
+            store.dispatch(Actions.timeOut('X'));
+            await flushSaves();
+
+            const restored = loadPersistedState(storage, initialState);
+
+            expect(restored.game.gamePhase).toBe('won');
+            expect(restored.game.resultReason).toBe('timeout');
+            expect(restored.game.winner).toBe('O');
+        });
+
+        it('should restore rotation and auto-rotate when requested', async () => {
+            const store = createStore(storage, { includeVisual: true });
+            store.dispatch(Actions.updateRotation('xw', 1.25));
+            store.dispatch(Actions.setAutoRotate(false));
+            await flushSaves();
+
+            const restored = loadPersistedState(storage, initialState, { includeVisual: true });
+
+            expect(restored.visual.rotation.xw).toBeCloseTo(store.getState().visual.rotation.xw);
+            expect(restored.visual.autoRotate).toBe(false);
+        });
+
+        it('should restore the threat overlay toggle', async () => {
+            const store = createStore(storage, { includeVisual: true });
+            store.dispatch(Actions.toggleThreatOverlay());
+            await flushSaves();
+
+            const restored = loadPersistedState(storage, initialState, { includeVisual: true });
+
+            expect(restored.visual.showThreats).toBe(false);
+        });
+
+        describe('fallback', () => {
+            let warn;
+
+            beforeEach(() => {
+                warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+            });
+
+            afterEach(() => {
+                warn.mockRestore();
+            });
+
+            it('should discard corrupt JSON', () => {
+                storage.setItem(PERSISTENCE_KEY, '{broken');
+
+                expect(loadPersistedState(storage, initialState)).toBe(initialState);
+                expect(storage.getItem(PERSISTENCE_KEY)).toBe(null);
+            });
+
+            it('should discard data from another schema version', () => {
+                saveState(storage, initialState);
+                const saved = JSON.parse(storage.getItem(PERSISTENCE_KEY));
+                storage.setItem(PERSISTENCE_KEY, JSON.stringify({ ...saved, version: 0 }));
+
+                expect(loadPersistedState(storage, initialState)).toBe(initialState);
+                expect(storage.getItem(PERSISTENCE_KEY)).toBe(null);
+            });
+
+            it('should discard moves that do not replay', async () => {
+                const store = createStore(storage);
+                store.dispatch(Actions.placeMarker([0, 0, 0, 0]));
+                await flushSaves();
+                const saved = JSON.parse(storage.getItem(PERSISTENCE_KEY));
+                saved.game.moveHistory.push({ position: [0, 0, 0, 0], player: 'O', timestamp: 1 });
+                storage.setItem(PERSISTENCE_KEY, JSON.stringify(saved));
+
+                expect(loadPersistedState(storage, initialState)).toBe(initialState);
+            });
+
+            it('should fall back when storage access throws', () => {
+                storage.getItem = () => {
+                    throw new Error('SecurityError');
+                };
+
+                expect(loadPersistedState(storage, initialState)).toBe(initialState);
+            });
+        });
+    });
+});
@@ -111,6 +111,35 @@ describe('Reducers', () => {
 
             expect(newState.game.moveHistory).toEqual([]);
         });
+
+        it('should swap sides and undo and redo the swap', () => {
+            let state = rootReducer(undefined, Actions.updateSettings({ dimensions: 2, gridSize: 3, swapMoves: 1 }));
+            state = rootReducer(state, Actions.placeMarker([1, 1]));
+            state = rootReducer(state, Actions.swapSides());
+
+            expect(state.game.moveHistory[1]).toMatchObject({ swap: true, player: 'O' });
+            expect(state.game.currentPlayer).toBe('X');
+            expect(state.game.board.players).toEqual(['O']);
+
+            state = rootReducer(state, Actions.undoMove());
+            expect(state.game.moveHistory).toHaveLength(1);
+            expect(state.game.currentPlayer).toBe('O');
+            expect(state.game.board.players).toEqual(['X']);
+            expect(state.game.redoStack[0].swap).toBe(true);
+
+            state = rootReducer(state, Actions.redoMove());
+            expect(state.game.moveHistory[1].swap).toBe(true);
+            expect(state.game.currentPlayer).toBe('X');
+            expect(state.game.redoStack).toEqual([]);
+        });
+
+        it('should ignore a swap that is not offered', () => {
+            let state = rootReducer(undefined, Actions.updateSettings({ dimensions: 2, gridSize: 3 }));
+            state = rootReducer(state, Actions.placeMarker([1, 1]));
+
+            const newState = rootReducer(state, Actions.swapSides());
+            expect(newState.game).toBe(state.game);
+        });
     });
 
     describe('settingsReducer', () => {
@@ -138,6 +167,44 @@ describe('Reducers', () => {
 
             expect(newState.settings.gridSize).toBe(5);
         });
+
+        it('should drop the board layout when the board shape changes', () => {
+            const layout = { blocked: [[1, 1, 1, 1]], placements: [] };
+            let state = rootReducer(undefined, { type: '@@INIT' });
+            state = rootReducer(state, Actions.updateSettings({ layout }));
+
+            expect(rootReducer(state, Actions.updateSettings({ winLength: 3 })).settings.layout).toBe(layout);
+            expect(rootReducer(state, Actions.setGridSize(3)).settings.layout).toBe(null);
+            expect(rootReducer(state, Actions.updateSettings({ dimensions: 3 })).game.settings.layout).toBe(null);
+        });
+
+        it('should handle SET_WIN_LENGTH action', () => {
+            const state = rootReducer(undefined, { type: '@@INIT' });
+            const newState = rootReducer(state, Actions.setWinLength(3));
+
+            expect(newState.settings.winLength).toBe(3);
+        });
+
+        it('should rotate SWITCH_PLAYER through configured players', () => {
+            let state = rootReducer(undefined, { type: '@@INIT' });
+            state = rootReducer(state, Actions.updateSettings({ players: ['X', 'O', 'T'] }));
+
+            state = rootReducer(state, Actions.switchPlayer());
+            state = rootReducer(state, Actions.switchPlayer());
+
+            expect(state.game.currentPlayer).toBe('T');
+        });
+
+        it('should carry win length into game settings', () => {
+            const state = rootReducer(undefined, { type: '@@INIT' });
+            const newState = rootReducer(state, Actions.updateSettings({
+                gridSize: 6,
+                winLength: 4
+            }));
+
+            expect(newState.game.settings.gridSize).toBe(6);
+            expect(newState.game.settings.winLength).toBe(4);
+        });
     });
 
     describe('visualReducer', () => {
@@ -217,6 +284,19 @@ describe('Reducers', () => {
         });
     });
 
+    describe('threat overlay', () => {
+        it('should show threats by default and toggle them', () => {
+            const state = rootReducer(undefined, { type: '@@INIT' });
+            expect(state.visual.showThreats).toBe(true);
+
+            let newState = rootReducer(state, Actions.toggleThreatOverlay());
+            expect(newState.visual.showThreats).toBe(false);
+
+            newState = rootReducer(newState, Actions.setThreatOverlay(true));
+            expect(newState.visual.showThreats).toBe(true);
+        });
+    });
+
     describe('uiReducer', () => {
         it('should handle TOGGLE_SETTINGS_MODAL action', () => {
             const state = rootReducer(undefined, { type: '@@INIT' });
@@ -265,6 +345,212 @@ describe('Reducers', () => {
         });
     });
 
+    describe('replayReducer', () => {
+        const settings = { dimensions: 2, gridSize: 3 };
+        const moves = [
+            { position: [0, 0], player: 'X', timestamp: 1 },
+            { position: [1, 1], player: 'O', timestamp: 2 },
+            { position: [0, 1], player: 'X', timestamp: 3 }
+        ];
+
+        /**
+         * Root state in replay mode for the moves above
+         */
+        const startReplay = () => rootReducer(
+            rootReducer(undefined, { type: '@@INIT' }),
+            Actions.startReplay(moves, settings)
+        );
+
+        it('should start at the empty board', () => {
+            const state = startReplay();
+
+            expect(state.replay.active).toBe(true);
+            expect(state.replay.index).toBe(0);
+            expect(state.replay.moves).toHaveLength(3);
+            expect(state.replay.game.moveHistory).toEqual([]);
+        });
+
+        it('should replay moves up to the seek index', () => {
+            const state = rootReducer(startReplay(), Actions.seekReplay(2));
+
+            expect(state.replay.index).toBe(2);
+            expect(state.replay.game.moveHistory).toHaveLength(2);
+            expect(state.replay.game.currentPlayer).toBe('X');
+        });
+
+        it('should clamp the seek index to the move list', () => {
+            let state = rootReducer(startReplay(), Actions.seekReplay(10));
+            expect(state.replay.index).toBe(3);
+
+            state = rootReducer(state, Actions.seekReplay(-1));
+            expect(state.replay.index).toBe(0);
+        });
+
+        it('should not modify the game slice', () => {
+            const before = startReplay();
+            const state = rootReducer(before, Actions.seekReplay(3));
+
+            expect(state.game).toBe(before.game);
+        });
+
+        it('should stop playing at the last move', () => {
+            let state = rootReducer(startReplay(), Actions.setReplayPlaying(true));
+            state = rootReducer(state, Actions.seekReplay(2));
+            expect(state.replay.playing).toBe(true);
+
+            state = rootReducer(state, Actions.seekReplay(3));
+            expect(state.replay.playing).toBe(false);
+        });
+
+        it('should ignore seek and play outside replay mode', () => {
+            const state = rootReducer(undefined, { type: '@@INIT' });
+
+            expect(rootReducer(state, Actions.seekReplay(1)).replay).toBe(state.replay);
+            expect(rootReducer(state, Actions.setReplayPlaying(true)).replay).toBe(state.replay);
+        });
+
+        it('should keep the speed when replay stops', () => {
+            let state = rootReducer(startReplay(), Actions.setReplaySpeed(2));
+            state = rootReducer(state, Actions.stopReplay());
+
+            expect(state.replay.active).toBe(false);
+            expect(state.replay.game).toBe(null);
+            expect(state.replay.speed).toBe(2);
+        });
+
+        it('should leave replay mode when the game is reset', () => {
+            const state = rootReducer(startReplay(), Actions.resetGame());
+
+            expect(state.replay.active).toBe(false);
+        });
+    });
+
+    describe('timerReducer', () => {
+        const timeControl = { baseMs: 60000, incrementMs: 2000 };
+
+        /**
+         * Root state of a timed 2D game with a running clock (last tick at 1000)
+         */
+        const startClock = () => {
+            let state = rootReducer(undefined, Actions.updateSettings({ dimensions: 2, gridSize: 3, timeControl }));
+            return rootReducer(state, Actions.tickTimer(1000));
+        };
+
+        it('should have no clocks for untimed games', () => {
+            const state = rootReducer(undefined, Actions.tickTimer(1000));
+
+            expect(state.timer.remaining).toBe(null);
+        });
+
+        it('should charge only the player to move', () => {
+            const state = rootReducer(startClock(), Actions.tickTimer(4000));
+
+            expect(state.timer.remaining).toEqual({ X: 57000, O: 60000 });
+        });
+
+        it('should add the increment after a move', () => {
+            let state = rootReducer(startClock(), Actions.tickTimer(4000));
+            state = rootReducer(state, Actions.placeMarker([0, 0], null, 4000));
+            state = rootReducer(state, Actions.tickTimer(5000));
+
+            expect(state.timer.remaining).toEqual({ X: 59000, O: 59000 });
+        });
+
+        it('should charge the mover for the time since the last tick', () => {
+            let state = rootReducer(startClock(), Actions.tickTimer(4000));
+            state = rootReducer(state, Actions.placeMarker([0, 0], null, 4600));
+
+            expect(state.timer).toEqual({ remaining: { X: 58400, O: 60000 }, lastTick: 4600 });
+
+            state = rootReducer(state, Actions.tickTimer(5000));
+            expect(state.timer.remaining).toEqual({ X: 58400, O: 59600 });
+        });
+
+        it('should add the increment after a swap', () => {
+            let state = rootReducer(undefined, Actions.updateSettings({
+                dimensions: 2, gridSize: 3, timeControl, swapMoves: 1
+            }));
+            state = rootReducer(state, Actions.placeMarker([1, 1]));
+            state = rootReducer(state, Actions.swapSides());
+            state = rootReducer(state, Actions.swapSides());
+
+            expect(state.timer.remaining).toEqual({ X: 62000, O: 62000 });
+        });
+
+        it('should not charge or credit a refused move', () => {
+            let state = rootReducer(startClock(), Actions.placeMarker([0, 0], null, 1000));
+            state = rootReducer(state, Actions.placeMarker([0, 0], null, 1500));
+
+            expect(state.timer).toEqual({ remaining: { X: 62000, O: 60000 }, lastTick: 1000 });
+        });
+
+        it('should not credit a move gravity refuses', () => {
+            let state = rootReducer(undefined, Actions.updateSettings({
+                dimensions: 2, gridSize: 3, timeControl, gravityAxis: 1
+            }));
+            state = rootReducer(state, Actions.placeMarker([0, 2], null, 1000));
+
+            expect(state.game.moveHistory).toEqual([]);
+            expect(state.timer.remaining).toEqual({ X: 60000, O: 60000 });
+        });
+
+        it('should pause while the settings modal is open', () => {
+            let state = rootReducer(startClock(), Actions.setSettingsModalOpen(true));
+            state = rootReducer(state, Actions.tickTimer(30000));
+            state = rootReducer(state, Actions.setSettingsModalOpen(false));
+            state = rootReducer(state, Actions.tickTimer(31000));
+            state = rootReducer(state, Actions.tickTimer(32000));
+
+            expect(state.timer.remaining.X).toBe(59000);
+        });
+
+        it('should stop when the game is over', () => {
+            let state = rootReducer(startClock(), Actions.timeOut('X'));
+            state = rootReducer(state, Actions.tickTimer(5000));
+
+            expect(state.timer.remaining).toEqual({ X: 0, O: 60000 });
+            expect(state.game.gamePhase).toBe('won');
+            expect(state.game.resultReason).toBe('timeout');
+            expect(state.game.winner).toBe('O');
+        });
+
+        it('should refill the clocks on reset', () => {
+            let state = rootReducer(startClock(), Actions.tickTimer(9000));
+            state = rootReducer(state, Actions.resetGame());
+
+            expect(state.timer).toEqual({ remaining: { X: 60000, O: 60000 }, lastTick: null });
+        });
+    });
+
+    describe('networkReducer', () => {
+        it('should start offline', () => {
+            const state = rootReducer(undefined, { type: '@@INIT' });
+
+            expect(state.network.status).toBe('offline');
+            expect(state.network.side).toBe(null);
+        });
+
+        it('should merge network status updates', () => {
+            let state = rootReducer(undefined, { type: '@@INIT' });
+            state = rootReducer(state, Actions.setNetworkStatus({ status: 'online', room: 'r1', side: 'O' }));
+            state = rootReducer(state, Actions.setNetworkStatus({ spectators: 2 }));
+
+            expect(state.network).toMatchObject({ status: 'online', room: 'r1', side: 'O', spectators: 2 });
+        });
+
+        it('should keep the redo stack of a loaded game', () => {
+            let state = rootReducer(undefined, { type: '@@INIT' });
+            state = rootReducer(state, Actions.placeMarker([0, 0, 0, 0], 'X'));
+            state = rootReducer(state, Actions.undoMove());
+
+            const loaded = rootReducer(undefined, Actions.loadGame({ ...state.game }));
+            expect(loaded.game.redoStack).toHaveLength(1);
+
+            const { redoStack: _redoStack, ...withoutRedo } = state.game;
+            expect(rootReducer(undefined, Actions.loadGame(withoutRedo)).game.redoStack).toEqual([]);
+        });
+    });
+
     describe('integration', () => {
         it('should handle complex state changes', () => {
             let state = rootReducer(undefined, { type: '@@INIT' });
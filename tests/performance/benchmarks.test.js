@@ -5,7 +5,7 @@ import { describe, it, expect } from 'vitest';
 import { GameState } from '../../js/domain/state/GameState.js';
 import { BoardState } from '../../js/domain/state/BoardState.js';
 import { GameRules } from '../../js/domain/rules/GameRules.js';
-import { WinChecker } from '../../js/domain/rules/WinChecker.js';
+import { WinChecker, WinEngine } from '../../js/domain/rules/WinChecker.js';
 
 describe('Performance Benchmarks', () => {
     describe('BoardState operations', () => {
@@ -39,7 +39,7 @@ describe('Performance Benchmarks', () => {
             expect(avgTime).toBeLessThan(5);
         });
 
-        it('should benchmark 6D Map-based board', () => {
+        it('should benchmark 6D flat board', () => {
             const start = performance.now();
 
             for (let i = 0; i < 100; i++) {
@@ -50,7 +50,7 @@ describe('Performance Benchmarks', () => {
             const end = performance.now();
             const avgTime = (end - start) / 100;
 
-            console.log(`6D Map-based board operations: ${avgTime.toFixed(3)}ms per operation`);
+            console.log(`6D flat board operations: ${avgTime.toFixed(3)}ms per operation`);
             expect(avgTime).toBeLessThan(1);
         });
     });
@@ -98,6 +98,88 @@ describe('Performance Benchmarks', () => {
         });
     });
 
+    describe('WinChecker engines (scan vs index)', () => {
+        /**
+         * Time findWinningLine for every marker of a board with the given engine
+         * @returns {{avgTime: number, results: Array}} Average ms per call and the results
+         */
+        const timeEngine = (engine, board, positions, baseSettings, iterations) => {
+            const settings = { ...baseSettings, winEngine: engine };
+            // A game with the index engine keeps the line counts on its boards
+            if (engine === WinEngine.INDEX) {
+                board = board.withLineIndex(WinChecker.getLineIndex(settings));
+            }
+            const results = positions.map(position => WinChecker.findWinningLine(board, position, 'X', settings));
+
+            const start = performance.now();
+            for (let i = 0; i < iterations; i++) {
+                positions.forEach(position => WinChecker.findWinningLine(board, position, 'X', settings));
+            }
+            const end = performance.now();
+
+            return { avgTime: (end - start) / (iterations * positions.length), results };
+        };
+
+        /**
+         * Board with X on the main diagonal plus a few scattered markers
+         */
+        const createBoard = (dimensions, gridSize) => {
+            let board = BoardState.empty(dimensions, gridSize);
+            const positions = [];
+            for (let i = 0; i < gridSize; i++) {
+                const diagonal = new Array(dimensions).fill(i);
+                const scattered = diagonal.map((coord, axis) => (coord + axis) % gridSize);
+                board = board.set(diagonal, 'X');
+                if (board.isEmpty(scattered)) {
+                    board = board.set(scattered, 'X');
+                    positions.push(scattered);
+                }
+                positions.push(diagonal);
+            }
+            return { board, positions };
+        };
+
+        [[4, 4], [6, 3]].forEach(([dimensions, gridSize]) => {
+            it(`should compare engines on a ${dimensions}D ${gridSize}x board`, () => {
+                const settings = { dimensions, gridSize };
+                const { board, positions } = createBoard(dimensions, gridSize);
+
+                // Build the index outside the timed loop (one-time cost per board shape)
+                const buildStart = performance.now();
+                WinChecker.getLineIndex(settings);
+                const buildTime = performance.now() - buildStart;
+
+                const scan = timeEngine(WinEngine.SCAN, board, positions, settings, 20);
+                const index = timeEngine(WinEngine.INDEX, board, positions, settings, 20);
+
+                console.log(
+                    `${dimensions}D win check: scan ${scan.avgTime.toFixed(3)}ms, ` +
+                    `index ${index.avgTime.toFixed(3)}ms (build ${buildTime.toFixed(1)}ms, ` +
+                    `${WinChecker.getLineIndex(settings).lineCount} lines)`
+                );
+                expect(index.results).toEqual(scan.results);
+                expect(index.avgTime).toBeLessThan(5);
+            });
+        });
+
+        it('should benchmark incremental line counters', () => {
+            const settings = { dimensions: 6, gridSize: 3 };
+            const counters = WinChecker.getLineIndex(settings).createCounters();
+            const position = [1, 1, 1, 1, 1, 1];
+
+            const start = performance.now();
+            for (let i = 0; i < 1000; i++) {
+                counters.place(position, 'X');
+                counters.remove(position, 'X');
+            }
+            const end = performance.now();
+            const avgTime = (end - start) / 1000;
+
+            console.log(`6D line counters place+undo (center cell): ${avgTime.toFixed(4)}ms per pair`);
+            expect(avgTime).toBeLessThan(1);
+        });
+    });
+
     describe('GameState operations', () => {
         it('should benchmark placeMarker with full game logic', () => {
             const settings = { dimensions: 4, gridSize: 4 };
@@ -197,30 +279,29 @@ describe('Performance Benchmarks', () => {
             console.log(`Move history length: ${state.moveHistory.length}`);
         });
 
-        it('should compare array vs Map storage', () => {
-            // 4D with array
+        it('should compare flat storage size across dimensions', () => {
+            // 4D
             const board4D = BoardState.empty(4, 4);
             let board4DModified = board4D;
             for (let i = 0; i < 10; i++) {
                 board4DModified = board4DModified.set([i % 4, 0, 0, 0], 'X');
             }
 
-            // 6D with Map
+            // 6D
             const board6D = BoardState.empty(6, 3);
             let board6DModified = board6D;
             for (let i = 0; i < 10; i++) {
                 board6DModified = board6DModified.set([i % 3, 0, 0, 0, 0, 0], 'X');
             }
 
-            const json4D = JSON.stringify(board4DModified.toPlain());
-            const json6D = JSON.stringify(board6DModified.toPlain());
-
-            const bytes4D = new TextEncoder().encode(json4D).length;
-            const bytes6D = new TextEncoder().encode(json6D).length;
+            // One byte per cell, independent of how many markers are placed
+            const bytes4D = board4DModified.toPlain().data.byteLength;
+            const bytes6D = board6DModified.toPlain().data.byteLength;
 
-            console.log(`4D board (${Math.pow(4, 4)} potential cells): ${(bytes4D / 1024).toFixed(2)}KB`);
-            console.log(`6D board (${Math.pow(3, 6)} potential cells): ${(bytes6D / 1024).toFixed(2)}KB`);
-            console.log(`Map storage advantage: ${((bytes4D - bytes6D) / bytes4D * 100).toFixed(1)}% smaller`);
+            console.log(`4D board (${Math.pow(4, 4)} cells): ${(bytes4D / 1024).toFixed(2)}KB`);
+            console.log(`6D board (${Math.pow(3, 6)} cells): ${(bytes6D / 1024).toFixed(2)}KB`);
+            expect(bytes4D).toBe(Math.pow(4, 4));
+            expect(bytes6D).toBe(Math.pow(3, 6));
         });
     });
 });
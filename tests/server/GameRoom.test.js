@@ -0,0 +1,194 @@
+/**
+ * GameRoom unit tests
+ */
+import { describe, it, expect } from 'vitest';
+import { GameRoom, SeatStatus } from '../../js/server/GameRoom.js';
+
+const SETTINGS = { dimensions: 2, gridSize: 3, computerPlayer: 'O' };
+
+describe('GameRoom', () => {
+    describe('join', () => {
+        it('should seat clients in turn order, then as spectators', () => {
+            const room = new GameRoom('r', SETTINGS);
+
+            expect(room.join('a')).toBe('X');
+            expect(room.join('b')).toBe('O');
+            expect(room.join('c')).toBe(null);
+        });
+
+        it('should give a returning client its seat back', () => {
+            const room = new GameRoom('r', SETTINGS);
+            room.join('a');
+            room.join('b');
+            room.leave('a');
+
+            expect(room.join('c')).toBe(null);
+            expect(room.join('a')).toBe('X');
+        });
+
+        it('should not seat spectators even with free seats', () => {
+            const room = new GameRoom('r', SETTINGS);
+
+            expect(room.join('watcher', { spectator: true })).toBe(null);
+            expect(room.join('a')).toBe('X');
+            expect(room.apply('watcher', { type: 'RESET_GAME' }).reason).toBe('no-seat');
+            expect(room.presence().spectators).toBe(1);
+        });
+
+        it('should not keep a computer player', () => {
+            const room = new GameRoom('r', SETTINGS);
+
+            expect(room.settings.computerPlayer).toBe(null);
+        });
+
+        it('should check wins by scanning whatever engine the creator asked for', () => {
+            const room = new GameRoom('r', { ...SETTINGS, winEngine: 'index' });
+
+            expect(room.settings.winEngine).toBe('scan');
+            expect(room.state.board.getLineCounters()).toBe(null);
+        });
+
+        it('should throw on invalid settings', () => {
+            expect(() => new GameRoom('r', { dimensions: 2, gridSize: 3, winLength: 5 })).toThrow('Invalid win length');
+        });
+    });
+
+    describe('apply', () => {
+        it('should apply a move of the player to move', () => {
+            const room = new GameRoom('r', SETTINGS);
+            room.join('a');
+            room.join('b');
+
+            const result = room.apply('a', { type: 'PLACE_MARKER', payload: { position: [1, 1] } });
+
+            expect(result.ok).toBe(true);
+            expect(result.action).toEqual({
+                type: 'PLACE_MARKER',
+                payload: { position: [1, 1], player: 'X', timestamp: room.state.moveHistory[0].timestamp }
+            });
+            expect(room.state.currentPlayer).toBe('O');
+        });
+
+        it('should reject moves out of turn', () => {
+            const room = new GameRoom('r', SETTINGS);
+            room.join('a');
+            room.join('b');
+
+            expect(room.apply('b', { type: 'PLACE_MARKER', payload: { position: [1, 1] } }))
+                .toEqual({ ok: false, reason: 'not-your-turn' });
+            expect(room.state.moveHistory).toHaveLength(0);
+        });
+
+        it('should reject illegal moves and spectators', () => {
+            const room = new GameRoom('r', SETTINGS);
+            room.join('a');
+            room.join('b');
+            room.join('c');
+            room.apply('a', { type: 'PLACE_MARKER', payload: { position: [1, 1] } });
+
+            expect(room.apply('b', { type: 'PLACE_MARKER', payload: { position: [1, 1] } }).reason).toBe('illegal-move');
+            expect(room.apply('b', { type: 'PLACE_MARKER', payload: { position: [3, 0] } }).reason).toBe('illegal-move');
+            expect(room.apply('c', { type: 'UNDO_MOVE' }).reason).toBe('no-seat');
+        });
+
+        it('should undo and redo moves', () => {
+            const room = new GameRoom('r', SETTINGS);
+            room.join('a');
+            room.join('b');
+            room.apply('a', { type: 'PLACE_MARKER', payload: { position: [1, 1] } });
+
+            expect(room.apply('a', { type: 'UNDO_MOVE' }).ok).toBe(true);
+            expect(room.state.moveHistory).toHaveLength(0);
+            expect(room.snapshot().redoStack).toHaveLength(1);
+
+            expect(room.apply('a', { type: 'REDO_MOVE' }).ok).toBe(true);
+            expect(room.state.moveHistory).toHaveLength(1);
+            expect(room.apply('a', { type: 'REDO_MOVE' }).reason).toBe('nothing-to-redo');
+        });
+
+        it('should only let players take back their own moves', () => {
+            const room = new GameRoom('r', SETTINGS);
+            room.join('a');
+            room.join('b');
+            room.apply('a', { type: 'PLACE_MARKER', payload: { position: [1, 1] } });
+
+            expect(room.apply('b', { type: 'UNDO_MOVE' })).toEqual({ ok: false, reason: 'not-your-move' });
+            expect(room.state.moveHistory).toHaveLength(1);
+
+            room.apply('a', { type: 'UNDO_MOVE' });
+            expect(room.apply('b', { type: 'REDO_MOVE' })).toEqual({ ok: false, reason: 'not-your-move' });
+            expect(room.state.moveHistory).toHaveLength(0);
+        });
+
+        it('should refuse undo and redo once the game is over', () => {
+            const room = new GameRoom('r', SETTINGS);
+            room.join('a');
+            room.join('b');
+            for (const [client, position] of [['a', [0, 0]], ['b', [1, 0]], ['a', [0, 1]], ['b', [1, 1]], ['a', [0, 2]]]) {
+                room.apply(client, { type: 'PLACE_MARKER', payload: { position } });
+            }
+
+            expect(room.state.gamePhase).toBe('won');
+            expect(room.apply('a', { type: 'UNDO_MOVE' }).reason).toBe('game-over');
+            expect(room.apply('b', { type: 'REDO_MOVE' }).reason).toBe('game-over');
+        });
+
+        it('should swap sides only when the swap rule offers it', () => {
+            const room = new GameRoom('r', { ...SETTINGS, swapMoves: 1 });
+            room.join('a');
+            room.join('b');
+
+            expect(room.apply('a', { type: 'SWAP_SIDES' }).reason).toBe('illegal-move');
+            room.apply('a', { type: 'PLACE_MARKER', payload: { position: [1, 1] } });
+            expect(room.apply('a', { type: 'SWAP_SIDES' }).reason).toBe('not-your-turn');
+
+            const result = room.apply('b', { type: 'SWAP_SIDES' });
+            expect(result.ok).toBe(true);
+            expect(result.action.payload.player).toBe('O');
+            expect(room.state.board.get([1, 1])).toBe('O');
+
+            room.apply('b', { type: 'UNDO_MOVE' });
+            expect(room.apply('b', { type: 'REDO_MOVE' }).ok).toBe(true);
+            expect(room.state.currentPlayer).toBe('X');
+        });
+
+        it('should reset a finished game but not one in progress', () => {
+            const room = new GameRoom('r', SETTINGS);
+            room.join('a');
+            room.join('b');
+            room.apply('a', { type: 'PLACE_MARKER', payload: { position: [1, 1] } });
+
+            expect(room.apply('b', { type: 'RESET_GAME', payload: { settings: null } }).reason).toBe('game-in-progress');
+            expect(room.snapshot().moves).toHaveLength(1);
+
+            for (const [client, position] of [['b', [0, 0]], ['a', [0, 1]], ['b', [2, 0]], ['a', [2, 1]]]) {
+                room.apply(client, { type: 'PLACE_MARKER', payload: { position } });
+            }
+            expect(room.state.gamePhase).toBe('won');
+            expect(room.apply('b', { type: 'RESET_GAME', payload: { settings: null } }).ok).toBe(true);
+            expect(room.snapshot().moves).toEqual([]);
+        });
+
+        it('should refuse other actions', () => {
+            const room = new GameRoom('r', SETTINGS);
+            room.join('a');
+
+            expect(room.apply('a', { type: 'UPDATE_SETTINGS' }).reason).toBe('unsupported-action');
+        });
+    });
+
+    describe('presence', () => {
+        it('should report seats and spectators', () => {
+            const room = new GameRoom('r', SETTINGS);
+            room.join('a');
+            room.join('b');
+            room.join('c');
+            room.leave('b');
+
+            expect(room.presence()).toEqual({
+                seats: { X: SeatStatus.CONNECTED, O: SeatStatus.AWAY },
+                spectators: 1
+            });
+        });
+    });
+});
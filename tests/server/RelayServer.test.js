@@ -0,0 +1,264 @@
+/**
+ * RelayServer and NetworkClient integration tests
+ * @vitest-environment node
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import WebSocket from 'ws';
+import { RelayServer } from '../../js/server/RelayServer.js';
+import { NetworkClient } from '../../js/infrastructure/network/NetworkClient.js';
+import { StateStore } from '../../js/infrastructure/state/StateStore.js';
+import { EventBus } from '../../js/infrastructure/events/EventBus.js';
+import { rootReducer, initialState } from '../../js/infrastructure/state/reducers.js';
+import { Actions } from '../../js/infrastructure/state/actions.js';
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Returns true when done
+ * @param {number} [timeout] - Milliseconds before failing
+ */
+async function waitFor(condition, timeout = 2000) {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeout) {
+            throw new Error('Timed out waiting for condition');
+        }
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+describe('RelayServer', () => {
+    let server;
+    let url;
+    let clients;
+    let rawSockets;
+
+    /**
+     * Create a store with a connected network client
+     * @param {string} clientId - Client id (kept across reconnects)
+     * @param {Object} [settings] - Local settings (used if the room is new)
+     * @param {Object} [options] - { spectator }
+     */
+    async function join(clientId, settings = { dimensions: 2, gridSize: 3 }, { spectator = false } = {}) {
+        const eventBus = new EventBus();
+        const storage = new Map([['tictactoe4d:clientId', clientId]]);
+        const network = new NetworkClient(eventBus, {
+            url,
+            room: 'test',
+            storage: { getItem: key => storage.get(key) ?? null, setItem: (key, value) => storage.set(key, value) },
+            WebSocketImpl: WebSocket,
+            reconnectDelay: 10,
+            spectator
+        });
+        const state = rootReducer(initialState, Actions.updateSettings(settings));
+        const store = new StateStore(state, rootReducer, [network.createMiddleware()]);
+        const rejected = [];
+        eventBus.on('network:rejected', ({ reason }) => rejected.push(reason));
+
+        network.attach(store);
+        network.connect();
+        await waitFor(() => network.isOnline());
+
+        const client = { network, store, rejected };
+        clients.push(client);
+        return client;
+    }
+
+    /**
+     * Open a bare socket that records every server message
+     * @returns {Promise<{socket: WebSocket, messages: Array<Object>, send: Function}>}
+     */
+    async function connectRaw() {
+        const socket = new WebSocket(url);
+        const messages = [];
+        socket.on('message', data => messages.push(JSON.parse(String(data))));
+        await new Promise(resolve => socket.once('open', resolve));
+
+        rawSockets.push(socket);
+        return { socket, messages, send: text => socket.send(text) };
+    }
+
+    beforeEach(async () => {
+        server = new RelayServer({ port: 0, host: '127.0.0.1' });
+        const port = await server.start();
+        url = `ws://127.0.0.1:${port}`;
+        clients = [];
+        rawSockets = [];
+    });
+
+    afterEach(async () => {
+        clients.forEach(client => client.network.disconnect());
+        rawSockets.forEach(socket => socket.terminate());
+        await server.stop();
+    });
+
+    it('should assign sides and use the first client settings', async () => {
+        const a = await join('a');
+        const b = await join('b', { dimensions: 4, gridSize: 4 });
+
+        expect(a.store.getState().network.side).toBe('X');
+        expect(b.store.getState().network.side).toBe('O');
+        expect(b.store.getState().settings).toMatchObject({ dimensions: 2, gridSize: 3 });
+        await waitFor(() => a.store.getState().network.seats.O === 'connected');
+    });
+
+    it('should sync moves between peers', async () => {
+        const a = await join('a');
+        const b = await join('b');
+
+        a.store.dispatch(Actions.placeMarker([1, 1]));
+        await waitFor(() => b.store.getState().game.moveHistory.length === 1);
+
+        b.store.dispatch(Actions.placeMarker([0, 0]));
+        await waitFor(() => a.store.getState().game.moveHistory.length === 2);
+
+        expect(a.store.getState().game.moveHistory.map(move => move.player)).toEqual(['X', 'O']);
+        expect(a.store.getState().game.currentPlayer).toBe('X');
+        expect(b.store.getState().game.board.hash).toBe(a.store.getState().game.board.hash);
+    });
+
+    it('should reject moves out of turn without sending them', async () => {
+        const a = await join('a');
+        const b = await join('b');
+
+        b.store.dispatch(Actions.placeMarker([1, 1]));
+
+        expect(b.rejected).toEqual(['not-your-turn']);
+        expect(b.store.getState().game.moveHistory).toEqual([]);
+        expect(a.store.getState().game.moveHistory).toEqual([]);
+    });
+
+    it('should sync undo, redo and reset', async () => {
+        const a = await join('a');
+        const b = await join('b');
+
+        a.store.dispatch(Actions.placeMarker([1, 1]));
+        await waitFor(() => b.store.getState().game.moveHistory.length === 1);
+
+        a.store.dispatch(Actions.undoMove());
+        await waitFor(() => b.store.getState().game.redoStack.length === 1);
+        expect(b.store.getState().game.moveHistory).toEqual([]);
+
+        a.store.dispatch(Actions.redoMove());
+        await waitFor(() => b.store.getState().game.moveHistory.length === 1);
+
+        // Neither the opponent's move nor a game in progress can be taken back
+        b.store.dispatch(Actions.undoMove());
+        b.store.dispatch(Actions.resetGame());
+        await waitFor(() => b.rejected.length === 2);
+        expect(b.rejected).toEqual(['not-your-move', 'game-in-progress']);
+        expect(a.store.getState().game.moveHistory).toHaveLength(1);
+
+        a.store.dispatch(Actions.undoMove());
+        await waitFor(() => b.store.getState().game.moveHistory.length === 0);
+        b.store.dispatch(Actions.resetGame());
+        await waitFor(() => a.store.getState().game.redoStack.length === 0);
+        expect(b.store.getState().game.moveHistory).toEqual([]);
+    });
+
+    it('should block local settings changes while online', async () => {
+        const a = await join('a');
+
+        a.store.dispatch(Actions.updateSettings({ dimensions: 4 }));
+
+        expect(a.rejected).toEqual(['online']);
+        expect(a.store.getState().settings.dimensions).toBe(2);
+    });
+
+    it('should resynchronize the full state after reconnecting', async () => {
+        const a = await join('a');
+        const b = await join('b');
+
+        // Drop b's connection from the server side; a keeps playing meanwhile
+        for (const [socket, client] of server.sockets) {
+            if (client.clientId === 'b') socket.terminate();
+        }
+        await waitFor(() => b.store.getState().network.status === 'reconnecting');
+        b.store.dispatch(Actions.undoMove());
+        expect(b.rejected).toEqual(['disconnected']);
+
+        a.store.dispatch(Actions.placeMarker([2, 2]));
+        await waitFor(() => a.store.getState().game.moveHistory.length === 1);
+
+        await waitFor(() => b.network.isOnline());
+        expect(b.store.getState().network.side).toBe('O');
+        expect(b.store.getState().game.moveHistory).toEqual(a.store.getState().game.moveHistory);
+        expect(b.store.getState().game.currentPlayer).toBe('O');
+    });
+
+    it('should make extra clients spectators', async () => {
+        await join('a');
+        await join('b');
+        const c = await join('c');
+
+        expect(c.store.getState().network.side).toBe(null);
+        c.store.dispatch(Actions.placeMarker([0, 0]));
+        expect(c.rejected).toEqual(['no-seat']);
+    });
+
+    it('should stream moves to spectators who join mid-game', async () => {
+        const a = await join('a');
+        const b = await join('b');
+        a.store.dispatch(Actions.placeMarker([1, 1]));
+        await waitFor(() => b.store.getState().game.moveHistory.length === 1);
+
+        const watcher = await join('w', undefined, { spectator: true });
+        expect(watcher.store.getState().network.role).toBe('spectator');
+        expect(watcher.store.getState().game.moveHistory).toHaveLength(1);
+        await waitFor(() => a.store.getState().network.spectators === 1);
+
+        b.store.dispatch(Actions.placeMarker([0, 0]));
+        await waitFor(() => watcher.store.getState().game.moveHistory.length === 2);
+
+        watcher.store.dispatch(Actions.updateRotation('xy', 1));
+        expect(watcher.store.getState().visual.rotation.xy).toBeCloseTo(1);
+        expect(a.store.getState().visual.rotation.xy).toBeCloseTo(0);
+    });
+
+    it('should answer malformed messages without crashing', async () => {
+        const raw = await connectRaw();
+
+        raw.send('null');
+        raw.send('[1, 2]');
+        raw.send('"join"');
+        await waitFor(() => raw.messages.length === 3);
+        expect(raw.messages.every(message => message.type === 'error')).toBe(true);
+
+        raw.send(JSON.stringify({ type: 'join', room: 'test', clientId: 'raw', settings: { dimensions: 2, gridSize: 3 } }));
+        await waitFor(() => raw.messages.some(message => message.type === 'welcome'));
+        raw.send(JSON.stringify({ type: 'action', action: null }));
+        raw.send(JSON.stringify({ type: 'action', action: 'PLACE_MARKER' }));
+        raw.send(JSON.stringify({ type: 'action', action: { type: 'PLACE_MARKER', payload: 7 } }));
+        await waitFor(() => raw.messages.filter(message => message.type === 'rejected').length === 3);
+
+        const a = await join('a');
+        expect(a.store.getState().network.side).toBe('O');
+    });
+
+    it('should refuse to create rooms beyond the board size limits', async () => {
+        const raw = await connectRaw();
+
+        raw.send(JSON.stringify({ type: 'join', room: 'huge', clientId: 'raw', settings: { dimensions: 11, gridSize: 6 } }));
+        await waitFor(() => raw.messages.length === 1);
+
+        expect(raw.messages[0]).toMatchObject({ type: 'error' });
+        expect(raw.messages[0].message).toMatch(/Invalid dimensions/);
+        expect(server.rooms.has('huge')).toBe(false);
+    });
+
+    it('should leave the previous room when a socket joins another', async () => {
+        const raw = await connectRaw();
+        const first = await join('a');
+
+        raw.send(JSON.stringify({ type: 'join', room: 'test', clientId: 'raw', settings: { dimensions: 2, gridSize: 3 } }));
+        await waitFor(() => first.store.getState().network.seats.O === 'connected');
+        raw.send(JSON.stringify({ type: 'join', room: 'other', clientId: 'raw', settings: { dimensions: 2, gridSize: 3 } }));
+        await waitFor(() => server.rooms.has('other'));
+
+        await waitFor(() => first.store.getState().network.seats.O === 'away');
+        expect(server.rooms.get('test').connected.has('raw')).toBe(false);
+
+        raw.send(JSON.stringify({ type: 'join', room: 'third', clientId: 'raw', settings: { dimensions: 2, gridSize: 3 } }));
+        await waitFor(() => server.rooms.has('third'));
+        expect(server.rooms.has('other')).toBe(false);
+    });
+});